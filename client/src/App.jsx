@@ -5,6 +5,9 @@ import FilterPanel from './components/Filters/FilterPanel';
 import Board from './components/Board/Board';
 import ListView from './components/ListView/ListView';
 import AdminSettings from './components/AdminSettings/AdminSettings';
+import Presence from './components/Presence/Presence';
+import BulkActionBar from './components/BulkActionBar/BulkActionBar';
+import { parseUrlState } from './utils/urlState';
 import './App.css';
 
 const APP_VERSION = '0.1.10.26';
@@ -14,7 +17,7 @@ function App() {
   const [loading, setLoading] = useState(true);
   const [showAdminSettings, setShowAdminSettings] = useState(false);
   const [showAbout, setShowAbout] = useState(false);
-  const [viewMode, setViewMode] = useState('board'); // 'board' or 'list'
+  const [viewMode, setViewMode] = useState(() => parseUrlState().viewMode || 'board'); // 'board' or 'list'
   const [triggerNewTask, setTriggerNewTask] = useState(0);
 
   const handleNewTask = () => setTriggerNewTask(prev => prev + 1);
@@ -51,7 +54,7 @@ function App() {
   }
 
   return (
-    <AppProvider user={user}>
+    <AppProvider user={user} viewMode={viewMode} setViewMode={setViewMode}>
       <div className="app">
         <header className="app-header">
           <div className="header-left">
@@ -75,6 +78,7 @@ function App() {
                 List
               </button>
             </div>
+            <Presence />
           </div>
           <div className="header-right">
             <div className="user-info">
@@ -93,6 +97,7 @@ function App() {
         <main className={`app-main ${viewMode === 'list' ? 'app-main-list' : ''}`}>
           {viewMode === 'board' ? <Board triggerNewTask={triggerNewTask} /> : <ListView triggerNewTask={triggerNewTask} />}
         </main>
+        <BulkActionBar />
         {showAdminSettings && (
           <AdminSettings user={user} onClose={() => setShowAdminSettings(false)} />
         )}
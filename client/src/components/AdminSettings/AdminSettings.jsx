@@ -3,6 +3,9 @@ import { userApi, boardApi } from '../../services/api';
 import BoardPermissions from './BoardPermissions';
 import EmailRulesManager from './EmailRulesManager';
 import EmailConfigSection from './EmailConfigSection';
+import BoardBackupSection from './BoardBackupSection';
+import UploadCleanupSection from './UploadCleanupSection';
+import AttachmentQuotaSection from './AttachmentQuotaSection';
 
 function CollapsibleSection({ title, description, defaultOpen = true, children }) {
   const [isOpen, setIsOpen] = useState(defaultOpen);
@@ -213,6 +216,39 @@ export default function AdminSettings({ user: currentUser, onClose }) {
                 </CollapsibleSection>
               )}
 
+              {/* Board Backups Section - Admin Only */}
+              {showUserPermissions && (
+                <CollapsibleSection
+                  title="Board Backups"
+                  description="Move a board with its attachments between servers"
+                  defaultOpen={false}
+                >
+                  <BoardBackupSection boards={boards} onRestored={loadData} />
+                </CollapsibleSection>
+              )}
+
+              {/* Upload Cleanup Section - Admin Only */}
+              {showUserPermissions && (
+                <CollapsibleSection
+                  title="Upload Cleanup"
+                  description="Remove uploaded files that are not attached to any task or comment"
+                  defaultOpen={false}
+                >
+                  <UploadCleanupSection />
+                </CollapsibleSection>
+              )}
+
+              {/* Attachment Quotas Section - Admin Only */}
+              {showUserPermissions && (
+                <CollapsibleSection
+                  title="Attachment Quotas"
+                  description="Limit attachment counts and sizes, and see the storage each board uses"
+                  defaultOpen={false}
+                >
+                  <AttachmentQuotaSection />
+                </CollapsibleSection>
+              )}
+
               {/* Email Notification Rules Section */}
               <CollapsibleSection
                 title="Email Notification Rules"
@@ -0,0 +1,185 @@
+import { useState, useEffect } from 'react';
+import { adminApi } from '../../services/api';
+import { loadAttachmentQuotas, resetAttachmentQuotas, formatLimit } from '../../utils/attachments';
+
+const MB = 1024 * 1024;
+
+// Byte quotas are edited in MB; an empty field means no limit
+const toMegabytes = (bytes) => (bytes === null || bytes === undefined ? '' : String(bytes / MB));
+const toBytes = (megabytes) => (String(megabytes).trim() === '' ? null : Math.round(Number(megabytes) * MB));
+
+const toForm = (quotas) => ({
+  maxFilesPerTask: String(quotas.maxFilesPerTask),
+  maxTaskMB: toMegabytes(quotas.maxBytesPerTask),
+  maxBoardMB: toMegabytes(quotas.maxBytesPerBoard),
+  sizeLimits: quotas.sizeLimits.map(limit => ({ pattern: limit.pattern, maxMB: toMegabytes(limit.maxBytes) }))
+});
+
+// Edit the attachment quotas and see how much storage each board uses
+export default function AttachmentQuotaSection() {
+  const [form, setForm] = useState(null);
+  const [usage, setUsage] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState({ type: '', text: '' });
+
+  useEffect(() => {
+    loadAttachmentQuotas()
+      .then(quotas => setForm(toForm(quotas)))
+      .catch(err => setMessage({ type: 'error', text: 'Failed to load quotas: ' + err.message }));
+    loadUsage();
+  }, []);
+
+  const loadUsage = async () => {
+    try {
+      const response = await adminApi.getStorageUsage();
+      setUsage(response.data.data);
+    } catch (err) {
+      setMessage({ type: 'error', text: 'Failed to load storage usage: ' + (err.response?.data?.error || err.message) });
+    }
+  };
+
+  const updateField = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+  const updateSizeLimit = (index, field, value) => setForm(prev => ({
+    ...prev,
+    sizeLimits: prev.sizeLimits.map((limit, i) => (i === index ? { ...limit, [field]: value } : limit))
+  }));
+
+  const addSizeLimit = () => setForm(prev => ({ ...prev, sizeLimits: [...prev.sizeLimits, { pattern: '', maxMB: '' }] }));
+
+  const removeSizeLimit = (index) => setForm(prev => ({
+    ...prev,
+    sizeLimits: prev.sizeLimits.filter((_, i) => i !== index)
+  }));
+
+  const handleSave = async () => {
+    setSaving(true);
+    setMessage({ type: '', text: '' });
+    try {
+      const response = await adminApi.updateAttachmentQuotas({
+        maxFilesPerTask: Number(form.maxFilesPerTask),
+        maxBytesPerTask: toBytes(form.maxTaskMB),
+        maxBytesPerBoard: toBytes(form.maxBoardMB),
+        sizeLimits: form.sizeLimits
+          .filter(limit => limit.pattern.trim())
+          .map(limit => ({ pattern: limit.pattern.trim(), maxBytes: toBytes(limit.maxMB) }))
+      });
+      resetAttachmentQuotas();
+      setForm(toForm(response.data.data));
+      setMessage({ type: 'success', text: 'Quotas saved.' });
+    } catch (err) {
+      setMessage({ type: 'error', text: 'Failed to save quotas: ' + (err.response?.data?.error || err.message) });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="attachment-quota-section">
+      {message.text && <div className={`message ${message.type}`}>{message.text}</div>}
+
+      {form && (
+        <>
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="maxFilesPerTask">Files per task</label>
+              <input
+                type="number"
+                id="maxFilesPerTask"
+                min="1"
+                value={form.maxFilesPerTask}
+                onChange={(e) => updateField('maxFilesPerTask', e.target.value)}
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="maxTaskMB">MB per task</label>
+              <input
+                type="number"
+                id="maxTaskMB"
+                min="1"
+                value={form.maxTaskMB}
+                onChange={(e) => updateField('maxTaskMB', e.target.value)}
+                placeholder="No limit"
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="maxBoardMB">MB per board</label>
+              <input
+                type="number"
+                id="maxBoardMB"
+                min="1"
+                value={form.maxBoardMB}
+                onChange={(e) => updateField('maxBoardMB', e.target.value)}
+                placeholder="No limit"
+              />
+            </div>
+          </div>
+          <small className="form-help">Counts and sizes of a task include the files on its comments.</small>
+
+          <h4 className="attachment-quota-heading">Size limits by file type</h4>
+          <small className="form-help">
+            The first matching type applies (types are found from the file content); files no type matches have no limit.
+          </small>
+          {form.sizeLimits.map((limit, index) => (
+            <div key={index} className="attachment-size-limit">
+              <input
+                type="text"
+                value={limit.pattern}
+                onChange={(e) => updateSizeLimit(index, 'pattern', e.target.value)}
+                placeholder="video/* or */*"
+              />
+              <input
+                type="number"
+                min="1"
+                value={limit.maxMB}
+                onChange={(e) => updateSizeLimit(index, 'maxMB', e.target.value)}
+              />
+              <span>MB</span>
+              <button type="button" className="btn btn-secondary btn-small" onClick={() => removeSizeLimit(index)}>
+                Remove
+              </button>
+            </div>
+          ))}
+
+          <div className="form-actions">
+            <button type="button" className="btn btn-secondary btn-small" onClick={addSizeLimit}>
+              Add Size Limit
+            </button>
+            <button className="btn btn-primary" onClick={handleSave} disabled={saving}>
+              {saving ? 'Saving...' : 'Save Quotas'}
+            </button>
+          </div>
+        </>
+      )}
+
+      <h4 className="attachment-quota-heading">Storage by board</h4>
+      {usage && (
+        <table className="users-table">
+          <thead>
+            <tr>
+              <th>Board</th>
+              <th>Attachments</th>
+              <th>Attached size</th>
+              <th>Stored files</th>
+              <th>Stored size</th>
+            </tr>
+          </thead>
+          <tbody>
+            {usage.map(board => (
+              <tr key={board.boardId}>
+                <td>{board.name} ({board.key}){board.deleted && ' - in trash'}</td>
+                <td>{board.files}</td>
+                <td>{formatLimit(board.bytes)}</td>
+                <td>{board.storedFiles}</td>
+                <td>{formatLimit(board.storedBytes)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <small className="form-help">
+        Stored files also include thumbnails, quarantined files and uploads that were not attached yet.
+      </small>
+    </div>
+  );
+}
@@ -0,0 +1,88 @@
+import { useState } from 'react';
+import { adminApi } from '../../services/api';
+import { useApp } from '../../context/AppContext';
+
+// Download a board as a .tar.gz archive (with its attachments) or restore one as a new board
+export default function BoardBackupSection({ boards, onRestored }) {
+  const { fetchBoards } = useApp();
+  const [boardId, setBoardId] = useState('');
+  const [file, setFile] = useState(null);
+  const [name, setName] = useState('');
+  const [key, setKey] = useState('');
+  const [restoring, setRestoring] = useState(false);
+  const [message, setMessage] = useState({ type: '', text: '', warnings: [] });
+
+  const handleRestore = async () => {
+    if (!file) return;
+
+    setRestoring(true);
+    setMessage({ type: '', text: '', warnings: [] });
+    try {
+      const response = await adminApi.restoreBoard(file, { name: name.trim(), key: key.trim() });
+      const { board, warnings } = response.data.data;
+      setMessage({ type: 'success', text: `Restored "${board.name}" (${board.key}).`, warnings });
+      setFile(null);
+      setName('');
+      setKey('');
+      await fetchBoards();
+      onRestored?.();
+    } catch (err) {
+      setMessage({ type: 'error', text: 'Restore failed: ' + (err.response?.data?.error || err.message), warnings: [] });
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  return (
+    <div className="board-backup-section">
+      {message.text && (
+        <div className={`message ${message.type}`}>
+          {message.text}
+          {message.warnings.length > 0 && (
+            <ul>
+              {message.warnings.map((warning, index) => <li key={index}>{warning}</li>)}
+            </ul>
+          )}
+        </div>
+      )}
+
+      <div className="board-backup-row">
+        <h4>Back up a board</h4>
+        <select value={boardId} onChange={(e) => setBoardId(e.target.value)}>
+          <option value="">Select a board...</option>
+          {boards.map(board => (
+            <option key={board._id} value={board._id}>{board.name}</option>
+          ))}
+        </select>
+        {boardId ? (
+          <a className="btn btn-primary btn-small" href={adminApi.getBoardBackupUrl(boardId)} download>
+            Download Backup
+          </a>
+        ) : (
+          <button className="btn btn-primary btn-small" disabled>Download Backup</button>
+        )}
+      </div>
+
+      <div className="board-backup-row">
+        <h4>Restore a backup as a new board</h4>
+        <input type="file" accept=".gz,.tgz,application/gzip" onChange={(e) => setFile(e.target.files[0] || null)} />
+        <input
+          type="text"
+          placeholder="Board name (optional)"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+        />
+        <input
+          type="text"
+          placeholder="Task key prefix (optional)"
+          value={key}
+          onChange={(e) => setKey(e.target.value.toUpperCase())}
+          maxLength={10}
+        />
+        <button className="btn btn-primary btn-small" onClick={handleRestore} disabled={!file || restoring}>
+          {restoring ? 'Restoring...' : 'Restore'}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -3,10 +3,10 @@ import './ConditionBuilder.css';
 const CONDITION_FIELDS = [
   { value: 'fromState', label: 'From State', forTriggers: ['state_change'] },
   { value: 'toState', label: 'To State', forTriggers: ['state_change'] },
-  { value: 'priority', label: 'Priority', forTriggers: ['state_change', 'assignee_change', 'comment_added', 'comment_edited'] },
-  { value: 'taskType', label: 'Task Type', forTriggers: ['state_change', 'assignee_change', 'comment_added', 'comment_edited'] },
-  { value: 'assignee', label: 'Assignee', forTriggers: ['state_change', 'comment_added', 'comment_edited'] },
-  { value: 'reporter', label: 'Reporter', forTriggers: ['state_change', 'assignee_change', 'comment_added', 'comment_edited'] },
+  { value: 'priority', label: 'Priority', forTriggers: ['state_change', 'assignee_change', 'comment_added', 'comment_edited', 'mentioned'] },
+  { value: 'taskType', label: 'Task Type', forTriggers: ['state_change', 'assignee_change', 'comment_added', 'comment_edited', 'mentioned'] },
+  { value: 'assignee', label: 'Assignee', forTriggers: ['state_change', 'comment_added', 'comment_edited', 'mentioned'] },
+  { value: 'reporter', label: 'Reporter', forTriggers: ['state_change', 'assignee_change', 'comment_added', 'comment_edited', 'mentioned'] },
   { value: 'newAssignee', label: 'New Assignee', forTriggers: ['assignee_change'] },
   { value: 'previousAssignee', label: 'Previous Assignee', forTriggers: ['assignee_change'] }
 ];
@@ -8,16 +8,19 @@ const TRIGGER_TYPES = [
   { value: 'state_change', label: 'State/Column Changes' },
   { value: 'assignee_change', label: 'Assignee Changes' },
   { value: 'comment_added', label: 'Comment Added' },
-  { value: 'comment_edited', label: 'Comment Text Edited' }
+  { value: 'comment_edited', label: 'Comment Text Edited' },
+  { value: 'mentioned', label: 'User @Mentioned in a Comment' }
 ];
 
 const RECIPIENT_TYPES = [
   { value: 'assignee', label: 'Task Assignee' },
   { value: 'reporter', label: 'Task Reporter/Creator' },
-  { value: 'specific', label: 'Specific User' }
+  { value: 'specific', label: 'Specific User' },
+  { value: 'mentioned', label: 'Mentioned User', forTrigger: 'mentioned' }
 ];
 
 const TEMPLATE_VARIABLES = [
+  { var: '{{task.key}}', desc: 'Task key (e.g. HBH-123)' },
   { var: '{{task.name}}', desc: 'Task name' },
   { var: '{{task.description}}', desc: 'Task description' },
   { var: '{{task.state}}', desc: 'Current state/column' },
@@ -30,6 +33,8 @@ const TEMPLATE_VARIABLES = [
   { var: '{{previous.assignee}}', desc: 'Previous assignee (for assignee changes)' },
   { var: '{{comment.text}}', desc: 'Comment text (for comment triggers)' },
   { var: '{{comment.author}}', desc: 'Comment author (for comment triggers)' },
+  { var: '{{comment.previousText}}', desc: 'Comment text before the edit (for comment edits)' },
+  { var: '{{mention.user}}', desc: 'Mentioned user (all of them, for other recipients)' },
   { var: '{{board.name}}', desc: 'Board name' }
 ];
 
@@ -76,11 +81,14 @@ export default function EmailRuleEditor({ rule, boardId, isNew, onSave, onCancel
     setErrors(prev => ({ ...prev, [field]: null }));
   };
 
+  // The mentioned user is only a recipient for mentions (and the natural one)
   const handleTriggerChange = (type) => {
-    setFormData(prev => ({
-      ...prev,
-      trigger: { type }
-    }));
+    setFormData(prev => {
+      let { recipientType } = prev.email;
+      if (type === 'mentioned' && prev.trigger.type !== 'mentioned') recipientType = 'mentioned';
+      if (type !== 'mentioned' && recipientType === 'mentioned') recipientType = 'assignee';
+      return { ...prev, trigger: { type }, email: { ...prev.email, recipientType } };
+    });
   };
 
   const handleEmailChange = (field, value) => {
@@ -222,7 +230,7 @@ export default function EmailRuleEditor({ rule, boardId, isNew, onSave, onCancel
                   value={formData.email.recipientType}
                   onChange={e => handleEmailChange('recipientType', e.target.value)}
                 >
-                  {RECIPIENT_TYPES.map(type => (
+                  {RECIPIENT_TYPES.filter(type => !type.forTrigger || type.forTrigger === formData.trigger.type).map(type => (
                     <option key={type.value} value={type.value}>{type.label}</option>
                   ))}
                 </select>
@@ -293,7 +301,7 @@ export default function EmailRuleEditor({ rule, boardId, isNew, onSave, onCancel
                 id="rule-email-body"
                 value={formData.email.body}
                 onChange={e => handleEmailChange('body', e.target.value)}
-                placeholder="Enter the email body content. You can use template variables like {{task.name}}."
+                placeholder="Enter the email body content (Markdown). You can use template variables like {{task.name}}."
                 rows={6}
                 className={errors['email.body'] ? 'error' : ''}
               />
@@ -115,6 +115,7 @@ export default function EmailRulesManager({ boards }) {
       case 'assignee_change': return 'Assignee Changes';
       case 'comment_added': return 'Comment Added';
       case 'comment_edited': return 'Comment Edited';
+      case 'mentioned': return 'Mentioned';
       default: return trigger.type;
     }
   };
@@ -124,6 +125,7 @@ export default function EmailRulesManager({ boards }) {
       case 'assignee': return 'Task Assignee';
       case 'reporter': return 'Task Reporter';
       case 'specific': return email.specificName || email.specificEmail || 'Specific User';
+      case 'mentioned': return 'Mentioned User';
       default: return email.recipientType;
     }
   };
@@ -0,0 +1,68 @@
+import { useState } from 'react';
+import { adminApi } from '../../services/api';
+
+const formatSize = (bytes) => {
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Find (dry run) or remove uploaded files that were never attached or whose task is gone
+export default function UploadCleanupSection() {
+  const [running, setRunning] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+
+  const runCleanup = async (dryRun) => {
+    setRunning(true);
+    setError('');
+    try {
+      const response = await adminApi.collectFiles(dryRun);
+      setResult(response.data.data);
+    } catch (err) {
+      setError('Cleanup failed: ' + (err.response?.data?.error || err.message));
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  return (
+    <div className="upload-cleanup-section">
+      <p className="upload-cleanup-note">
+        Uploads that no task or comment uses are removed automatically once they are older than the
+        grace period. Run a check to see what would be removed now.
+      </p>
+
+      {error && <div className="message error">{error}</div>}
+
+      <div className="board-backup-row">
+        <button className="btn btn-secondary btn-small" onClick={() => runCleanup(true)} disabled={running}>
+          {running ? 'Checking...' : 'Check for Orphaned Files'}
+        </button>
+        <button
+          className="btn btn-danger btn-small"
+          onClick={() => runCleanup(false)}
+          disabled={running || !result?.dryRun || result.files.length === 0}
+        >
+          Remove Orphaned Files
+        </button>
+      </div>
+
+      {result && (
+        <div className={`message ${result.dryRun ? '' : 'success'}`}>
+          {result.dryRun
+            ? `${result.files.length} of ${result.scanned} file(s) unused for more than ${result.gracePeriodHours} hour(s); removing them would reclaim ${formatSize(result.reclaimedBytes)}.`
+            : `Removed ${result.files.length} file(s) and reclaimed ${formatSize(result.reclaimedBytes)}.`}
+          {result.files.length > 0 && (
+            <ul>
+              {result.files.map(file => (
+                <li key={`${file.boardId}/${file.name}`}>
+                  {file.boardId}/{file.name} ({formatSize(file.size)})
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,4 +1,4 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import {
   DndContext,
   DragOverlay,
@@ -23,6 +23,8 @@ import TaskCard from './TaskCard';
 import TaskModal from '../TaskModal/TaskModal';
 import DependencyDialog from './DependencyDialog';
 import { useApp } from '../../context/AppContext';
+import { getBlockingTasks } from '../../utils/dependencies';
+import { isSelectionClick, applySelectionClick } from '../../utils/selection';
 
 // Columns that require dependency check
 const DEPENDENCY_CHECK_COLUMNS = ['Next Up', 'Working On'];
@@ -36,6 +38,8 @@ export default function Board({ triggerNewTask }) {
     moveTask,
     createColumn,
     reorderColumns,
+    selectedTaskIds,
+    setSelectedTaskIds,
     loading
   } = useApp();
 
@@ -45,6 +49,7 @@ export default function Board({ triggerNewTask }) {
   const [showTaskModal, setShowTaskModal] = useState(false);
   const [newColumnName, setNewColumnName] = useState('');
   const [showAddColumn, setShowAddColumn] = useState(false);
+  const selectionAnchor = useRef(null); // Last task clicked, where Shift+click ranges start
 
   // Open new task modal when triggered from header
   useEffect(() => {
@@ -58,7 +63,6 @@ export default function Board({ triggerNewTask }) {
   const [dependencyDialog, setDependencyDialog] = useState({
     show: false,
     task: null,
-    parentTask: null,
     targetColumnId: null,
     position: null,
     tasksToMove: []
@@ -165,32 +169,33 @@ export default function Board({ triggerNewTask }) {
       });
   };
 
-  // Find all tasks in dependency chain that need to be moved
+  // Find all blocking tasks (direct and indirect) that are in an earlier column than the target.
+  // Dependencies form a DAG, so each blocker is listed once, in the order it should be moved
+  // (a task's own blockers come before it).
   const findDependencyChain = (taskId, targetColumnId) => {
     const tasksToMove = [];
+    const visited = new Set();
     const targetColStr = String(targetColumnId);
-    const targetColumn = columns.find(c => String(c._id) === targetColStr);
+    const targetIndex = columns.findIndex(c => String(c._id) === targetColStr);
 
     const checkTask = (id) => {
       const idStr = String(id);
       const task = tasks.find(t => String(t._id) === idStr);
-      if (!task || !task.dependsOn) return;
-
-      const dependsOnStr = String(task.dependsOn);
-      const parentTask = tasks.find(t => String(t._id) === dependsOnStr);
-      if (!parentTask) return;
-
-      // Check if parent is in the target column or a "later" column
-      const parentColStr = String(parentTask.columnId);
-      const targetIndex = columns.findIndex(c => String(c._id) === targetColStr);
-      const parentIndex = columns.findIndex(c => String(c._id) === parentColStr);
-
-      // If parent is in an earlier column than target, it needs to be moved
-      if (parentIndex < targetIndex && DEPENDENCY_CHECK_COLUMNS.includes(targetColumn?.name)) {
-        tasksToMove.push(parentTask);
-        // Recursively check parent's dependencies
-        checkTask(parentTask._id);
-      }
+      if (!task) return;
+
+      getBlockingTasks(task, tasks).forEach(blocker => {
+        const blockerIdStr = String(blocker._id);
+        if (visited.has(blockerIdStr)) return;
+        visited.add(blockerIdStr);
+
+        // If the blocker is in an earlier column than target, it needs to be moved
+        const blockerIndex = columns.findIndex(c => String(c._id) === String(blocker.columnId));
+        if (blockerIndex < targetIndex) {
+          // Check the blocker's own dependencies first so they move before it
+          checkTask(blocker._id);
+          tasksToMove.push({ task: blocker, blocks: task });
+        }
+      });
     };
 
     checkTask(taskId);
@@ -302,7 +307,7 @@ export default function Board({ triggerNewTask }) {
     }
 
     // Check for dependency issues when moving to Next Up or Current
-    if (DEPENDENCY_CHECK_COLUMNS.includes(targetColumn.name) && task.dependsOn) {
+    if (DEPENDENCY_CHECK_COLUMNS.includes(targetColumn.name) && getBlockingTasks(task, tasks).length > 0) {
       const tasksToMove = findDependencyChain(taskId, targetColumnId);
 
       if (tasksToMove.length > 0) {
@@ -310,7 +315,6 @@ export default function Board({ triggerNewTask }) {
         setDependencyDialog({
           show: true,
           task,
-          parentTask: tasksToMove[0],
           targetColumnId,
           position,
           tasksToMove
@@ -325,24 +329,32 @@ export default function Board({ triggerNewTask }) {
   const handleDependencyDialogConfirm = async () => {
     const { task, targetColumnId, position, tasksToMove } = dependencyDialog;
 
-    // Move all parent tasks first (in reverse order so deepest dependency moves first)
-    for (const parentTask of [...tasksToMove].reverse()) {
-      await moveTask(parentTask._id, targetColumnId);
+    // Move all blocking tasks first (already ordered so the deepest dependency moves first)
+    for (const { task: blocker } of tasksToMove) {
+      await moveTask(blocker._id, targetColumnId);
     }
 
     // Then move the original task
     await moveTask(task._id, targetColumnId, position);
 
-    setDependencyDialog({ show: false, task: null, parentTask: null, targetColumnId: null, position: null, tasksToMove: [] });
+    setDependencyDialog({ show: false, task: null, targetColumnId: null, position: null, tasksToMove: [] });
   };
 
   const handleDependencyDialogCancel = () => {
-    setDependencyDialog({ show: false, task: null, parentTask: null, targetColumnId: null, position: null, tasksToMove: [] });
+    setDependencyDialog({ show: false, task: null, targetColumnId: null, position: null, tasksToMove: [] });
   };
 
-  const handleTaskClick = (task) => {
-    setSelectedTask(task);
-    setShowTaskModal(true);
+  // Ctrl/Shift+click selects tasks for bulk actions (ranges run down each column, left to right),
+  // a plain click opens the task
+  const handleTaskClick = (task, e) => {
+    if (isSelectionClick(e)) {
+      const orderedIds = columns.flatMap(col => getTasksForColumn(col._id).map(t => t._id));
+      setSelectedTaskIds(applySelectionClick(selectedTaskIds, orderedIds, task._id, selectionAnchor.current, e));
+    } else {
+      setSelectedTask(task);
+      setShowTaskModal(true);
+    }
+    selectionAnchor.current = task._id;
   };
 
   const handleAddColumn = async () => {
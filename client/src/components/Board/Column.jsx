@@ -5,7 +5,8 @@ import { useApp } from '../../context/AppContext';
 import { useState } from 'react';
 
 export default function Column({ column, tasks, onTaskClick, allTasks, dragHandleListeners }) {
-  const { deleteColumn, updateColumn } = useApp();
+  const { deleteColumn, updateColumn, user } = useApp();
+  const canDeleteTasks = user?.permissions?.canDeleteTasks || false;
   const [isEditing, setIsEditing] = useState(false);
   const [editName, setEditName] = useState(column.name);
 
@@ -69,7 +70,7 @@ export default function Column({ column, tasks, onTaskClick, allTasks, dragHandl
             <span className="task-count">({tasks.length})</span>
           </h3>
         )}
-        {!column.isDefault && (
+        {!column.isDefault && canDeleteTasks && (
           <button
             className="column-delete-btn"
             onClick={handleDelete}
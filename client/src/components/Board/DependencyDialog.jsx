@@ -4,12 +4,15 @@ export default function DependencyDialog({ task, tasksToMove, onConfirm, onCance
       <div className="dependency-dialog" onClick={(e) => e.stopPropagation()}>
         <h3>Dependency Warning</h3>
         <p>
-          <strong>{task.name}</strong> depends on {tasksToMove.length === 1 ? 'a task' : 'tasks'} that {tasksToMove.length === 1 ? 'is' : 'are'} not in this column:
+          <strong>{task.name}</strong> is blocked by {tasksToMove.length === 1 ? 'a task' : 'tasks'} that {tasksToMove.length === 1 ? 'is' : 'are'} not in this column:
         </p>
         <ul className="dependency-list">
-          {tasksToMove.map(t => (
-            <li key={t._id}>
-              <span className="dependency-task-type">[{t.taskType || 'Task'}]</span> {t.name}
+          {tasksToMove.map(({ task: blocker, blocks }) => (
+            <li key={blocker._id}>
+              <span className="dependency-task-type">[{blocker.taskType || 'Task'}]</span> {blocker.name}
+              {blocks._id !== task._id && (
+                <span className="dependency-via"> (blocks {blocks.name})</span>
+              )}
             </li>
           ))}
         </ul>
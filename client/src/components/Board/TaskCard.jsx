@@ -1,5 +1,10 @@
 import { useSortable } from '@dnd-kit/sortable';
 import { CSS } from '@dnd-kit/utilities';
+import { getBlockingTasks } from '../../utils/dependencies';
+import { useApp } from '../../context/AppContext';
+import { getPreviewFile } from '../../utils/attachments';
+import { markdownToText } from '../../utils/markdown';
+import FileThumbnail from '../FileUpload/FileThumbnail';
 
 const priorityColors = {
   Low: '#4caf50',
@@ -27,8 +32,12 @@ const typeColors = {
 };
 
 export default function TaskCard({ task, onClick, allTasks = [] }) {
-  // Find the parent task name if there's a dependency
-  const parentTask = task.dependsOn ? allTasks.find(t => t._id === task.dependsOn) : null;
+  // Find the tasks blocking this one
+  const blockingTasks = getBlockingTasks(task, allTasks);
+  const { selectedTaskIds } = useApp();
+  const isSelected = selectedTaskIds.includes(task._id);
+  const previewFile = getPreviewFile(task);
+  const description = markdownToText(task.description);
   const {
     attributes,
     listeners,
@@ -50,8 +59,8 @@ export default function TaskCard({ task, onClick, allTasks = [] }) {
       style={style}
       {...attributes}
       {...listeners}
-      className="task-card"
-      onClick={() => onClick(task)}
+      className={`task-card ${isSelected ? 'task-card-selected' : ''}`}
+      onClick={(e) => onClick(task, e)}
     >
       <div className="task-card-header">
         <span
@@ -69,15 +78,36 @@ export default function TaskCard({ task, onClick, allTasks = [] }) {
         </span>
       </div>
 
-      {task.description && (
+      {previewFile && (
+        <FileThumbnail
+          key={previewFile.fileId}
+          className="task-card-preview"
+          boardId={task.boardId}
+          file={previewFile}
+          draggable={false}
+        />
+      )}
+
+      {description && (
         <p className="task-description">
-          {task.description.length > 100
-            ? task.description.substring(0, 100) + '...'
-            : task.description}
+          {description.length > 100
+            ? description.substring(0, 100) + '...'
+            : description}
         </p>
       )}
 
+      {task.labels?.length > 0 && (
+        <div className="task-labels">
+          {task.labels.map(label => (
+            <span key={label} className="task-label">{label}</span>
+          ))}
+        </div>
+      )}
+
       <div className="task-card-footer">
+        {task.key && (
+          <span className="task-key">{task.key}</span>
+        )}
         {task.assignedTo && (
           <span className="task-assigned">
             {task.assignedTo}
@@ -91,9 +121,9 @@ export default function TaskCard({ task, onClick, allTasks = [] }) {
         </span>
       </div>
 
-      {parentTask && (
+      {blockingTasks.length > 0 && (
         <div className="task-dependency">
-          Depends on: {parentTask.name}
+          Blocked by: {blockingTasks.map(t => t.name).join(', ')}
         </div>
       )}
 
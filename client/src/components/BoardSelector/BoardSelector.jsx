@@ -1,13 +1,16 @@
 import { useState, useRef, useEffect } from 'react';
 import { useApp } from '../../context/AppContext';
+import ImportExportDialog from './ImportExportDialog';
+import TrashDialog from './TrashDialog';
 
 export default function BoardSelector() {
-  const { boards, currentBoard, setCurrentBoard, createBoard, deleteBoard, updateBoard, user } = useApp();
+  const { boards, currentBoard, setCurrentBoard, createBoard, deleteBoard, updateBoard, repairBoard, user } = useApp();
   const canAdminBoards = user?.permissions?.canAdminBoards || false;
 
   const [showCreate, setShowCreate] = useState(false);
   const [newBoardName, setNewBoardName] = useState('');
   const [newBoardDescription, setNewBoardDescription] = useState('');
+  const [newBoardKey, setNewBoardKey] = useState('');
   const createFormRef = useRef(null);
 
   // Close create form when clicking outside
@@ -25,24 +28,32 @@ export default function BoardSelector() {
   }, [showCreate]);
   const [isEditing, setIsEditing] = useState(false);
   const [editName, setEditName] = useState('');
+  const [editKey, setEditKey] = useState('');
+  const [editAllowedTypes, setEditAllowedTypes] = useState('');
+  const [editDeniedTypes, setEditDeniedTypes] = useState('');
+  const [repairResult, setRepairResult] = useState(null);
+  const [repairing, setRepairing] = useState(false);
+  const [showImportExport, setShowImportExport] = useState(false);
+  const [showTrash, setShowTrash] = useState(false);
 
   const handleCreateBoard = async () => {
     if (!newBoardName.trim()) return;
 
     try {
-      await createBoard(newBoardName.trim(), newBoardDescription.trim());
+      await createBoard(newBoardName.trim(), newBoardDescription.trim(), newBoardKey.trim());
       setNewBoardName('');
       setNewBoardDescription('');
+      setNewBoardKey('');
       setShowCreate(false);
     } catch (err) {
-      alert('Error creating board: ' + err.message);
+      alert('Error creating board: ' + (err.response?.data?.error || err.message));
     }
   };
 
   const handleDeleteBoard = async () => {
     if (!currentBoard) return;
 
-    if (window.confirm(`Delete board "${currentBoard.name}" and all its tasks? This cannot be undone.`)) {
+    if (window.confirm(`Move board "${currentBoard.name}" and all its tasks to the trash?`)) {
       try {
         await deleteBoard(currentBoard._id);
       } catch (err) {
@@ -51,25 +62,60 @@ export default function BoardSelector() {
     }
   };
 
+  // "image/*, application/pdf" <-> ['image/*', 'application/pdf']
+  const parseTypeList = (value) => value.split(',').map(type => type.trim().toLowerCase()).filter(Boolean);
+  const formatTypeList = (types = []) => types.join(', ');
+
   const handleRenameBoard = async () => {
-    if (!editName.trim() || editName === currentBoard.name) {
+    const updates = {};
+    if (editName.trim() && editName.trim() !== currentBoard.name) {
+      updates.name = editName.trim();
+    }
+    if (editKey.trim() && editKey.trim().toUpperCase() !== currentBoard.key) {
+      if (!window.confirm(`Change the task key prefix to ${editKey.trim().toUpperCase()}? Existing task keys will change.`)) {
+        return;
+      }
+      updates.key = editKey.trim();
+    }
+    const fileTypes = { allowed: parseTypeList(editAllowedTypes), denied: parseTypeList(editDeniedTypes) };
+    if (formatTypeList(fileTypes.allowed) !== formatTypeList(currentBoard.fileTypes?.allowed) ||
+        formatTypeList(fileTypes.denied) !== formatTypeList(currentBoard.fileTypes?.denied)) {
+      updates.fileTypes = fileTypes;
+    }
+
+    if (Object.keys(updates).length === 0) {
       setIsEditing(false);
       return;
     }
 
     try {
-      await updateBoard(currentBoard._id, { name: editName.trim() });
+      await updateBoard(currentBoard._id, updates);
       setIsEditing(false);
     } catch (err) {
-      alert('Error renaming board: ' + err.message);
+      alert('Error updating board: ' + (err.response?.data?.error || err.message));
     }
   };
 
   const startEditing = () => {
     setEditName(currentBoard?.name || '');
+    setEditKey(currentBoard?.key || '');
+    setEditAllowedTypes(formatTypeList(currentBoard?.fileTypes?.allowed));
+    setEditDeniedTypes(formatTypeList(currentBoard?.fileTypes?.denied));
+    setRepairResult(null);
     setIsEditing(true);
   };
 
+  const handleRepairBoard = async () => {
+    setRepairing(true);
+    try {
+      setRepairResult(await repairBoard(currentBoard._id));
+    } catch (err) {
+      alert('Error repairing board: ' + (err.response?.data?.error || err.message));
+    } finally {
+      setRepairing(false);
+    }
+  };
+
   return (
     <div className="board-selector">
       <div className="board-selector-main">
@@ -104,12 +150,32 @@ export default function BoardSelector() {
           </button>
         )}
 
+        {currentBoard && (
+          <button
+            className="btn btn-icon"
+            onClick={() => setShowImportExport(true)}
+            title={canAdminBoards ? 'Import / export tasks' : 'Export tasks'}
+          >
+            ⇅
+          </button>
+        )}
+
+        {(currentBoard || canAdminBoards) && (
+          <button
+            className="btn btn-icon"
+            onClick={() => setShowTrash(true)}
+            title="Trash (restore deleted tasks, columns and boards)"
+          >
+            ♻
+          </button>
+        )}
+
         {currentBoard && canAdminBoards && (
           <>
             <button
               className="btn btn-icon"
               onClick={startEditing}
-              title="Rename board"
+              title="Edit board"
             >
               ✎
             </button>
@@ -140,6 +206,13 @@ export default function BoardSelector() {
             value={newBoardDescription}
             onChange={(e) => setNewBoardDescription(e.target.value)}
           />
+          <input
+            type="text"
+            placeholder="Task key prefix (optional, e.g. HBH)"
+            value={newBoardKey}
+            onChange={(e) => setNewBoardKey(e.target.value.toUpperCase())}
+            maxLength={10}
+          />
           <div className="board-create-buttons">
             <button className="btn btn-primary" onClick={handleCreateBoard}>
               Create Board
@@ -151,10 +224,18 @@ export default function BoardSelector() {
         </div>
       )}
 
+      {showImportExport && currentBoard && (
+        <ImportExportDialog onClose={() => setShowImportExport(false)} />
+      )}
+
+      {showTrash && (
+        <TrashDialog onClose={() => setShowTrash(false)} />
+      )}
+
       {isEditing && (
         <div className="modal-overlay" onClick={() => setIsEditing(false)}>
           <div className="modal-content modal-small" onClick={(e) => e.stopPropagation()}>
-            <h3>Rename Board</h3>
+            <h3>Edit Board</h3>
             <input
               type="text"
               value={editName}
@@ -162,6 +243,55 @@ export default function BoardSelector() {
               onKeyDown={(e) => e.key === 'Enter' && handleRenameBoard()}
               autoFocus
             />
+            <label className="board-key-label">
+              Task key prefix
+              <input
+                type="text"
+                value={editKey}
+                onChange={(e) => setEditKey(e.target.value.toUpperCase())}
+                onKeyDown={(e) => e.key === 'Enter' && handleRenameBoard()}
+                maxLength={10}
+              />
+            </label>
+            <label className="board-file-types-label">
+              Allowed file types
+              <input
+                type="text"
+                value={editAllowedTypes}
+                onChange={(e) => setEditAllowedTypes(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && handleRenameBoard()}
+                placeholder="Any type, e.g. image/*, application/pdf"
+              />
+            </label>
+            <label className="board-file-types-label">
+              Blocked file types
+              <input
+                type="text"
+                value={editDeniedTypes}
+                onChange={(e) => setEditDeniedTypes(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && handleRenameBoard()}
+                placeholder="None, e.g. application/x-msdownload"
+              />
+            </label>
+            <div className="board-repair">
+              <button className="btn btn-secondary btn-small" onClick={handleRepairBoard} disabled={repairing}>
+                {repairing ? 'Checking...' : 'Check & Repair Board'}
+              </button>
+              {repairResult && (
+                repairResult.fixes.length === 0 ? (
+                  <p className="board-repair-summary">No problems found.</p>
+                ) : (
+                  <>
+                    <p className="board-repair-summary">Fixed {repairResult.fixes.length} problem(s):</p>
+                    <ul className="board-repair-fixes">
+                      {repairResult.fixes.map((fix, index) => (
+                        <li key={index}>{fix.message}</li>
+                      ))}
+                    </ul>
+                  </>
+                )
+              )}
+            </div>
             <div className="modal-footer">
               <button className="btn btn-secondary" onClick={() => setIsEditing(false)}>
                 Cancel
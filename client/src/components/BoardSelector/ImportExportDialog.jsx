@@ -0,0 +1,256 @@
+import { useState } from 'react';
+import { useApp } from '../../context/AppContext';
+import { boardApi } from '../../services/api';
+
+// Task fields a file column can be imported into
+const IMPORT_FIELDS = [
+  { field: 'name', label: 'Name' },
+  { field: 'key', label: 'Key (to find duplicates and dependencies)' },
+  { field: 'description', label: 'Description' },
+  { field: 'state', label: 'State' },
+  { field: 'type', label: 'Type' },
+  { field: 'priority', label: 'Priority' },
+  { field: 'assignee', label: 'Assignee' },
+  { field: 'reporter', label: 'Reporter' },
+  { field: 'labels', label: 'Labels' },
+  { field: 'dependencies', label: 'Dependencies' },
+  { field: 'comments', label: 'Comments' },
+  { field: 'created', label: 'Created date' }
+];
+
+const DEDUPE_OPTIONS = [
+  { value: 'key_or_name', label: 'Same key or same name' },
+  { value: 'key', label: 'Same key' },
+  { value: 'name', label: 'Same name' },
+  { value: 'none', label: 'Import everything' }
+];
+
+const STATUS_LABELS = {
+  create: 'New',
+  created: 'Created',
+  duplicate: 'Duplicate',
+  error: 'Error'
+};
+
+// Export the current board, or import tasks into it in three steps:
+// choose a file, map its columns to task fields, then review the dry run before importing
+export default function ImportExportDialog({ onClose }) {
+  const { currentBoard, importTasks, user } = useApp();
+  const canAdminBoards = user?.permissions?.canAdminBoards || false;
+
+  const [step, setStep] = useState('file'); // 'file' | 'mapping' | 'preview' | 'done'
+  const [file, setFile] = useState(null); // { name, format, content }
+  const [dedupe, setDedupe] = useState('key_or_name');
+  const [mapping, setMapping] = useState({});
+  const [report, setReport] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const runImport = async (dryRun, importMapping) => {
+    setBusy(true);
+    try {
+      return await importTasks(currentBoard._id, {
+        format: file.format,
+        content: file.content,
+        mapping: importMapping,
+        dedupe,
+        dryRun
+      });
+    } catch (err) {
+      alert('Error importing tasks: ' + (err.response?.data?.error || err.message));
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleFileChange = async (e) => {
+    const selected = e.target.files[0];
+    if (!selected) return;
+    setFile({
+      name: selected.name,
+      format: selected.name.toLowerCase().endsWith('.json') ? 'json' : 'csv',
+      content: await selected.text()
+    });
+  };
+
+  // A first dry run reads the file's columns and suggests a mapping
+  const handleReadFile = async () => {
+    const result = await runImport(true);
+    if (result) {
+      setReport(result);
+      setMapping(result.mapping);
+      setStep('mapping');
+    }
+  };
+
+  const handlePreview = async () => {
+    const result = await runImport(true, mapping);
+    if (result) {
+      setReport(result);
+      setStep('preview');
+    }
+  };
+
+  const handleImport = async () => {
+    const result = await runImport(false, mapping);
+    if (result) {
+      setReport(result);
+      setStep('done');
+    }
+  };
+
+  const handleMappingChange = (header, field) => {
+    // A field comes from one column only
+    setMapping(prev => Object.fromEntries(Object.entries({ ...prev, [header]: field })
+      .map(([h, f]) => [h, h !== header && f === field ? '' : f])));
+  };
+
+  const renderReport = () => (
+    <>
+      <p className="import-summary">
+        {report.summary.total} row(s): {report.summary.created} {report.dryRun ? 'to create' : 'created'},
+        {' '}{report.summary.duplicates} duplicate(s), {report.summary.errors} with errors
+      </p>
+      <div className="import-report">
+        <table>
+          <thead>
+            <tr>
+              <th>Row</th>
+              <th>Name</th>
+              <th>Result</th>
+              <th>Notes</th>
+            </tr>
+          </thead>
+          <tbody>
+            {report.results.map(result => (
+              <tr key={result.row} className={`import-row-${result.status}`}>
+                <td>{result.row}</td>
+                <td>{result.name || <em>(no name)</em>}</td>
+                <td>
+                  {STATUS_LABELS[result.status]}
+                  {result.key && ` as ${result.key}`}
+                  {result.duplicateOf && ` of ${result.duplicateOf}`}
+                </td>
+                <td>{[...result.errors, ...result.warnings].join('; ')}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </>
+  );
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content import-export-dialog" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Import / Export</h2>
+          <button className="modal-close" onClick={onClose}>&times;</button>
+        </div>
+
+        {step === 'file' && (
+          <>
+            <section className="import-export-section">
+              <h3>Export</h3>
+              <p>Download all tasks of {currentBoard.name} with comments, dependencies and file details.</p>
+              <div className="import-export-buttons">
+                <a className="btn btn-secondary" href={boardApi.getExportUrl(currentBoard._id, 'csv')} download>
+                  Export CSV
+                </a>
+                <a className="btn btn-secondary" href={boardApi.getExportUrl(currentBoard._id, 'json')} download>
+                  Export JSON
+                </a>
+              </div>
+            </section>
+
+            {canAdminBoards && (
+              <section className="import-export-section">
+                <h3>Import</h3>
+                <p>Add tasks from a CSV file (first row holds the column names) or a JSON export.</p>
+                <input type="file" accept=".csv,.json,text/csv,application/json" onChange={handleFileChange} />
+                <label className="import-dedupe">
+                  Skip rows that match an existing task:
+                  <select value={dedupe} onChange={(e) => setDedupe(e.target.value)}>
+                    {DEDUPE_OPTIONS.map(o => (
+                      <option key={o.value} value={o.value}>{o.label}</option>
+                    ))}
+                  </select>
+                </label>
+                <div className="modal-footer">
+                  <button className="btn btn-primary" onClick={handleReadFile} disabled={!file || busy}>
+                    {busy ? 'Reading...' : 'Next'}
+                  </button>
+                </div>
+              </section>
+            )}
+          </>
+        )}
+
+        {step === 'mapping' && (
+          <section className="import-export-section">
+            <h3>Map columns</h3>
+            <p>Choose the task field for each column of {file.name}.</p>
+            <table className="import-mapping">
+              <thead>
+                <tr>
+                  <th>Column</th>
+                  <th>First row</th>
+                  <th>Task field</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.headers.map(header => (
+                  <tr key={header}>
+                    <td>{header}</td>
+                    <td className="import-sample">{report.sample[header]}</td>
+                    <td>
+                      <select value={mapping[header] || ''} onChange={(e) => handleMappingChange(header, e.target.value)}>
+                        <option value="">(don&apos;t import)</option>
+                        {IMPORT_FIELDS.map(f => (
+                          <option key={f.field} value={f.field}>{f.label}</option>
+                        ))}
+                      </select>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div className="modal-footer">
+              <button className="btn btn-secondary" onClick={() => setStep('file')}>Back</button>
+              <button
+                className="btn btn-primary"
+                onClick={handlePreview}
+                disabled={busy || !Object.values(mapping).includes('name')}
+              >
+                {busy ? 'Checking...' : 'Preview'}
+              </button>
+            </div>
+          </section>
+        )}
+
+        {step === 'preview' && (
+          <section className="import-export-section">
+            <h3>Preview</h3>
+            {renderReport()}
+            <div className="modal-footer">
+              <button className="btn btn-secondary" onClick={() => setStep('mapping')}>Back</button>
+              <button className="btn btn-primary" onClick={handleImport} disabled={busy || report.summary.created === 0}>
+                {busy ? 'Importing...' : `Import ${report.summary.created} task(s)`}
+              </button>
+            </div>
+          </section>
+        )}
+
+        {step === 'done' && (
+          <section className="import-export-section">
+            <h3>Import finished</h3>
+            {renderReport()}
+            <div className="modal-footer">
+              <button className="btn btn-primary" onClick={onClose}>Close</button>
+            </div>
+          </section>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,157 @@
+import { useState, useEffect } from 'react';
+import { useApp } from '../../context/AppContext';
+import { boardApi } from '../../services/api';
+
+const formatDate = (dateString) => new Date(dateString).toLocaleString();
+
+// Deleted tasks and columns of the current board (and deleted boards, for board admins).
+// Items can be restored until they are purged after the retention period.
+export default function TrashDialog({ onClose }) {
+  const { currentBoard, restoreBoard, restoreTask, restoreColumn, user } = useApp();
+  const canAdminBoards = user?.permissions?.canAdminBoards || false;
+  const canDeleteTasks = user?.permissions?.canDeleteTasks || false;
+  const boardId = currentBoard?._id;
+
+  const [trash, setTrash] = useState(null); // { retentionDays, tasks, columns }
+  const [deletedBoards, setDeletedBoards] = useState([]);
+  const [restoring, setRestoring] = useState(null); // id of the item being restored
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    Promise.all([
+      boardId ? boardApi.getTrash(boardId) : null,
+      canAdminBoards ? boardApi.getDeleted() : null
+    ])
+      .then(([boardTrash, boards]) => {
+        if (cancelled) return;
+        setTrash(boardTrash?.data.data || { retentionDays: boards?.data.data.retentionDays, tasks: [], columns: [] });
+        setDeletedBoards(boards?.data.data.boards || []);
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.response?.data?.error || err.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [boardId, canAdminBoards]);
+
+  const handleRestore = async (id, restore, removeFromList) => {
+    setRestoring(id);
+    try {
+      await restore();
+      removeFromList();
+    } catch (err) {
+      alert('Error restoring from the trash: ' + (err.response?.data?.error || err.message));
+    } finally {
+      setRestoring(null);
+    }
+  };
+
+  const removeTask = (id) => () => setTrash(prev => ({ ...prev, tasks: prev.tasks.filter(t => t._id !== id) }));
+  const removeColumn = (id) => () => setTrash(prev => ({ ...prev, columns: prev.columns.filter(c => c._id !== id) }));
+  const removeBoard = (id) => () => setDeletedBoards(prev => prev.filter(b => b._id !== id));
+
+  const renderDeleted = (item) => (
+    <span className="trash-item-meta">
+      Deleted {formatDate(item.deletedAt)}{item.deletedBy?.name && ` by ${item.deletedBy.name}`}
+      {' '}&middot; removed for good {formatDate(item.purgeAt)}
+    </span>
+  );
+
+  const renderRestoreButton = (id, onRestore) => (
+    <button className="btn btn-secondary btn-small" onClick={onRestore} disabled={restoring !== null}>
+      {restoring === id ? 'Restoring...' : 'Restore'}
+    </button>
+  );
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content trash-dialog" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Trash</h2>
+          <button className="modal-close" onClick={onClose}>&times;</button>
+        </div>
+
+        {error && <p className="trash-error">{error}</p>}
+        {!trash && !error && <p className="trash-empty">Loading...</p>}
+
+        {trash && (
+          <>
+            <p className="trash-note">
+              Deleted items are kept for {trash.retentionDays} day(s), then removed with their attachments.
+            </p>
+
+            {currentBoard && (
+              <section className="trash-section">
+                <h3>Tasks on {currentBoard.name}</h3>
+                {trash.tasks.length === 0 && <p className="trash-empty">No deleted tasks</p>}
+                {trash.tasks.map(task => (
+                  <div key={task._id} className="trash-item">
+                    <div className="trash-item-info">
+                      <span className="trash-item-name">
+                        {task.key && <span className="trash-item-key">{task.key}</span>}
+                        {task.name}
+                      </span>
+                      {renderDeleted(task)}
+                    </div>
+                    {canDeleteTasks && renderRestoreButton(task._id, () => handleRestore(
+                      task._id,
+                      () => restoreTask(boardId, task._id),
+                      removeTask(task._id)
+                    ))}
+                  </div>
+                ))}
+              </section>
+            )}
+
+            {currentBoard && (
+              <section className="trash-section">
+                <h3>Columns on {currentBoard.name}</h3>
+                {trash.columns.length === 0 && <p className="trash-empty">No deleted columns</p>}
+                {trash.columns.map(column => (
+                  <div key={column._id} className="trash-item">
+                    <div className="trash-item-info">
+                      <span className="trash-item-name">{column.name}</span>
+                      {renderDeleted(column)}
+                    </div>
+                    {canDeleteTasks && renderRestoreButton(column._id, () => handleRestore(
+                      column._id,
+                      () => restoreColumn(boardId, column._id),
+                      removeColumn(column._id)
+                    ))}
+                  </div>
+                ))}
+              </section>
+            )}
+
+            {canAdminBoards && (
+              <section className="trash-section">
+                <h3>Boards</h3>
+                {deletedBoards.length === 0 && <p className="trash-empty">No deleted boards</p>}
+                {deletedBoards.map(board => (
+                  <div key={board._id} className="trash-item">
+                    <div className="trash-item-info">
+                      <span className="trash-item-name">
+                        {board.key && <span className="trash-item-key">{board.key}</span>}
+                        {board.name}
+                      </span>
+                      {renderDeleted(board)}
+                    </div>
+                    {renderRestoreButton(board._id, () => handleRestore(
+                      board._id,
+                      () => restoreBoard(board._id),
+                      removeBoard(board._id)
+                    ))}
+                  </div>
+                ))}
+              </section>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,127 @@
+import { useState } from 'react';
+import { useApp } from '../../context/AppContext';
+import { TASK_TYPES, PRIORITIES } from '../../utils/taskQuery';
+import './BulkActionBar.css';
+
+// Actions for the tasks selected with Ctrl/Shift+click in the board and list views
+export default function BulkActionBar() {
+  const {
+    selectedTaskIds,
+    setSelectedTaskIds,
+    bulkUpdateTasks,
+    columns,
+    boardUsers,
+    user
+  } = useApp();
+  const [label, setLabel] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  if (selectedTaskIds.length === 0) return null;
+
+  const canDeleteTasks = user?.permissions?.canDeleteTasks || false;
+  const count = selectedTaskIds.length;
+
+  const run = async (operation, params) => {
+    setBusy(true);
+    try {
+      await bulkUpdateTasks(selectedTaskIds, operation, params);
+      return true;
+    } catch (err) {
+      const failed = err.response?.data?.data?.results?.filter(r => r.status === 'error') || [];
+      alert('Error updating tasks: ' + (err.response?.data?.error || err.message) +
+        (failed.length > 0 ? '\n' + failed.map(r => `${r.taskId}: ${r.error}`).join('\n') : ''));
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Selects run their operation as soon as a value is picked, then reset
+  const handleSelect = (operation, toParams) => (e) => {
+    const { value } = e.target;
+    e.target.value = '';
+    if (value !== '') run(operation, toParams(value));
+  };
+
+  const handleAssign = (e) => {
+    const { value } = e.target;
+    e.target.value = '';
+    if (value === '') return;
+    const assignee = boardUsers.find(u => String(u.id) === value);
+    run('assign', assignee ? { assignedTo: assignee.name, assigneeId: assignee.id } : { assignedTo: '' });
+  };
+
+  const handleLabel = async (operation) => {
+    if (!label.trim()) return;
+    if (await run(operation, { label: label.trim() })) setLabel('');
+  };
+
+  const handleDelete = () => {
+    if (window.confirm(`Move ${count} task${count !== 1 ? 's' : ''} to the trash?`)) {
+      run('delete');
+    }
+  };
+
+  return (
+    <div className="bulk-action-bar">
+      <span className="bulk-action-count">{count} selected</span>
+
+      <select defaultValue="" disabled={busy} onChange={handleSelect('move', columnId => ({ columnId }))}>
+        <option value="" disabled>Move to...</option>
+        {columns.map(col => (
+          <option key={col._id} value={col._id}>{col.name}</option>
+        ))}
+      </select>
+
+      <select defaultValue="" disabled={busy} onChange={handleAssign}>
+        <option value="" disabled>Assign to...</option>
+        <option value="none">Unassigned</option>
+        {boardUsers.map(u => (
+          <option key={u.id} value={u.id}>{u.name}</option>
+        ))}
+      </select>
+
+      <select defaultValue="" disabled={busy} onChange={handleSelect('priority', priority => ({ priority }))}>
+        <option value="" disabled>Priority...</option>
+        {PRIORITIES.map(p => (
+          <option key={p} value={p}>{p}</option>
+        ))}
+      </select>
+
+      <select defaultValue="" disabled={busy} onChange={handleSelect('type', taskType => ({ taskType }))}>
+        <option value="" disabled>Type...</option>
+        {TASK_TYPES.map(t => (
+          <option key={t} value={t}>{t}</option>
+        ))}
+      </select>
+
+      <div className="bulk-action-label">
+        <input
+          type="text"
+          placeholder="Label"
+          value={label}
+          maxLength={50}
+          onChange={(e) => setLabel(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && handleLabel('add_label')}
+          disabled={busy}
+        />
+        <button className="btn btn-secondary btn-small" onClick={() => handleLabel('add_label')} disabled={busy || !label.trim()}>
+          Add
+        </button>
+        <button className="btn btn-secondary btn-small" onClick={() => handleLabel('remove_label')} disabled={busy || !label.trim()}>
+          Remove
+        </button>
+      </div>
+
+      {canDeleteTasks && (
+        <button className="btn btn-danger btn-small" onClick={handleDelete} disabled={busy}>
+          Delete
+        </button>
+      )}
+
+      <button className="bulk-action-clear" onClick={() => setSelectedTaskIds([])} title="Clear selection">
+        &times;
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,163 @@
+import { useState } from 'react';
+import { useApp } from '../../context/AppContext';
+import FileUpload from '../FileUpload/FileUpload';
+import Markdown from '../Markdown/Markdown';
+import MarkdownEditor from '../Markdown/MarkdownEditor';
+import './CommentItem.css';
+
+const formatDate = (dateString) => {
+  return new Date(dateString).toLocaleString();
+};
+
+const isCommentAuthor = (comment, user) => {
+  return Boolean(user?.id && comment.createdBy?.id === user.id);
+};
+
+export default function CommentItem({
+  comment,
+  boardId,
+  onSave,
+  onDelete,
+  onFilesUploaded,
+  onFileRemove,
+  onFileLink,
+  onFileMove
+}) {
+  const { user, boardUsers } = useApp();
+  const [editing, setEditing] = useState(false);
+  const [editText, setEditText] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [showRevisions, setShowRevisions] = useState(false);
+
+  const revisions = comment.revisions || [];
+  // Comments can be edited by their author or admins, and deleted by their author or users who can delete tasks
+  const canEdit = isCommentAuthor(comment, user) || Boolean(user?.isAdmin);
+  const canDelete = isCommentAuthor(comment, user) || Boolean(user?.permissions?.canDeleteTasks);
+
+  const startEditing = () => {
+    setEditText(comment.text);
+    setEditing(true);
+  };
+
+  const handleSave = async () => {
+    const text = editText.trim();
+    if (!text) return;
+    if (text === comment.text) {
+      setEditing(false);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await onSave(text);
+      setEditing(false);
+    } catch (err) {
+      alert('Error editing comment: ' + (err.response?.data?.error || err.message));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Each revision holds text that was replaced; it was written when the previous revision was replaced
+  const getRevisionWrittenAt = (index) => {
+    return index === 0 ? comment.createdAt : revisions[index - 1].editedAt;
+  };
+
+  return (
+    <div className="comment">
+      <div className="comment-header">
+        <strong>{comment.author}</strong>
+        <span className="comment-date">{formatDate(comment.createdAt)}</span>
+        {comment.editedAt && (
+          <button
+            type="button"
+            className="comment-edited"
+            title={`Edited ${formatDate(comment.editedAt)}`}
+            onClick={() => setShowRevisions(!showRevisions)}
+          >
+            (edited)
+          </button>
+        )}
+        <div className="comment-actions">
+          {canEdit && !editing && (
+            <button type="button" className="comment-edit" onClick={startEditing}>
+              Edit
+            </button>
+          )}
+          {canDelete && (
+            <button
+              type="button"
+              className="comment-delete"
+              onClick={onDelete}
+            >
+              &times;
+            </button>
+          )}
+        </div>
+      </div>
+
+      {editing ? (
+        <div className="comment-edit-form">
+          <MarkdownEditor
+            value={editText}
+            mentionUsers={boardUsers}
+            onChange={(e) => setEditText(e.target.value)}
+            rows={3}
+            autoFocus
+          />
+          <div className="comment-edit-buttons">
+            <button
+              type="button"
+              className="btn btn-secondary"
+              onClick={() => setEditing(false)}
+              disabled={saving}
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              className="btn btn-primary"
+              onClick={handleSave}
+              disabled={saving || !editText.trim()}
+            >
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </div>
+      ) : (
+        <Markdown text={comment.text} className="comment-text" />
+      )}
+
+      {showRevisions && revisions.length > 0 && (
+        <div className="comment-revisions">
+          <div className="comment-revisions-title">Previous versions</div>
+          {revisions.map((revision, index) => (
+            <div key={index} className="comment-revision">
+              <div className="comment-revision-meta">
+                {formatDate(getRevisionWrittenAt(index))}
+                {revision.editedBy && <> &middot; replaced by {revision.editedBy.name} on {formatDate(revision.editedAt)}</>}
+              </div>
+              <p>{revision.text}</p>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {boardId && (
+        <FileUpload
+          boardId={boardId}
+          files={comment.files || []}
+          onUploadComplete={onFilesUploaded}
+          onFilesChange={(newFiles) => {
+            const currentFileIds = (comment.files || []).map(f => f.fileId);
+            const newFileIds = newFiles.map(f => f.fileId);
+            const removedFileIds = currentFileIds.filter(id => !newFileIds.includes(id));
+            removedFileIds.forEach(fileId => onFileRemove(fileId));
+          }}
+          onLinkFile={onFileLink}
+          onMoveFile={onFileMove}
+        />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,98 @@
+import { useState } from 'react';
+import { DEPENDENCY_TYPES } from '../../utils/dependencies';
+import './DependencyEditor.css';
+
+export default function DependencyEditor({ taskId, dependencies = [], tasks = [], onChange }) {
+  const [newType, setNewType] = useState('blocked_by');
+  const [newTaskId, setNewTaskId] = useState('');
+
+  // Tasks that can be linked (exclude the task itself)
+  const availableTasks = tasks.filter(t => String(t._id) !== String(taskId));
+
+  const getTaskLabel = (id) => {
+    const task = tasks.find(t => String(t._id) === String(id));
+    return task ? `[${task.taskType || 'Task'}] ${task.name}` : 'Unknown task';
+  };
+
+  const handleTypeChange = (index, type) => {
+    onChange(dependencies.map((dep, i) => i === index ? { ...dep, type } : dep));
+  };
+
+  const handleRemove = (index) => {
+    onChange(dependencies.filter((_, i) => i !== index));
+  };
+
+  const handleAdd = () => {
+    if (!newTaskId) return;
+    const exists = dependencies.some(dep => String(dep.taskId) === newTaskId && dep.type === newType);
+    if (!exists) {
+      onChange([...dependencies, { taskId: newTaskId, type: newType }]);
+    }
+    setNewTaskId('');
+  };
+
+  return (
+    <div className="dependency-editor">
+      {dependencies.length === 0 && (
+        <p className="dependency-editor-empty">No dependencies</p>
+      )}
+
+      {dependencies.map((dep, index) => (
+        <div key={`${dep.type}-${dep.taskId}`} className="dependency-row">
+          <select
+            value={dep.type}
+            onChange={(e) => handleTypeChange(index, e.target.value)}
+            className="dependency-type"
+          >
+            {DEPENDENCY_TYPES.map(type => (
+              <option key={type.value} value={type.value}>{type.label}</option>
+            ))}
+          </select>
+          <span className="dependency-task" title={getTaskLabel(dep.taskId)}>
+            {getTaskLabel(dep.taskId)}
+          </span>
+          <button
+            type="button"
+            className="dependency-remove"
+            onClick={() => handleRemove(index)}
+            title="Remove dependency"
+          >
+            &times;
+          </button>
+        </div>
+      ))}
+
+      <div className="dependency-row dependency-add">
+        <select
+          value={newType}
+          onChange={(e) => setNewType(e.target.value)}
+          className="dependency-type"
+        >
+          {DEPENDENCY_TYPES.map(type => (
+            <option key={type.value} value={type.value}>{type.label}</option>
+          ))}
+        </select>
+        <select
+          value={newTaskId}
+          onChange={(e) => setNewTaskId(e.target.value)}
+          className="dependency-task-select"
+        >
+          <option value="">Select a task...</option>
+          {availableTasks.map(t => (
+            <option key={t._id} value={t._id}>
+              [{t.taskType}] {t.name}
+            </option>
+          ))}
+        </select>
+        <button
+          type="button"
+          className="btn btn-small btn-secondary"
+          onClick={handleAdd}
+          disabled={!newTaskId}
+        >
+          Add
+        </button>
+      </div>
+    </div>
+  );
+}
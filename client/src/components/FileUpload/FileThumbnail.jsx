@@ -0,0 +1,20 @@
+import { useState } from 'react';
+import { fileApi } from '../../services/api';
+
+// Small preview of an image or video attachment from the thumbnail endpoint.
+// Without a thumbnail the fallback source is shown instead, or nothing at all.
+export default function FileThumbnail({ boardId, file, fallbackSrc, ...imgProps }) {
+  const [source, setSource] = useState('thumbnail'); // 'thumbnail' | 'fallback' | 'none'
+
+  if (source === 'none') return null;
+
+  return (
+    <img
+      src={source === 'thumbnail' ? fileApi.getThumbnailUrl(boardId, file.fileId) : fallbackSrc}
+      alt={file.originalName}
+      loading="lazy"
+      onError={() => setSource(source === 'thumbnail' && fallbackSrc ? 'fallback' : 'none')}
+      {...imgProps}
+    />
+  );
+}
@@ -1,28 +1,39 @@
 import { useState, useRef, useEffect, useCallback } from 'react';
 import { fileApi } from '../../services/api';
+import { CHUNKED_UPLOAD_THRESHOLD, uploadInChunks } from '../../utils/chunkedUpload';
+import { loadAttachmentQuotas, getSizeLimit, formatLimit, describeSizeLimits } from '../../utils/attachments';
+import FileThumbnail from './FileThumbnail';
+import ImageAnnotator from './ImageAnnotator';
 import './FileUpload.css';
 
-const MAX_FILE_SIZE = 100 * 1024 * 1024; // 100MB
-const MAX_VIDEO_FILE_SIZE = 250 * 1024 * 1024; // 250MB for videos
-const VIDEO_EXTENSIONS = ['.mp4', '.avi', '.mkv'];
-const MAX_FILES = 4;
+const VIDEO_EXTENSIONS = ['.mp4', '.avi', '.mkv']; // Played inline
 
 export default function FileUpload({
   boardId,
   files = [],
   onFilesChange,
   onUploadComplete,
+  onLinkFile, // (file, taskKey) => attach the file to another task too
+  onMoveFile, // (file) => move the file out of a comment onto its task
   disabled = false
 }) {
   const [isDragging, setIsDragging] = useState(false);
   const [uploading, setUploading] = useState(false);
+  const [progress, setProgress] = useState(0); // Percent of the selected files uploaded
   const [error, setError] = useState(null);
   const [playingAudioId, setPlayingAudioId] = useState(null);
   const [fullscreenMedia, setFullscreenMedia] = useState(null); // { type: 'image' | 'video', url, name }
+  const [annotatingFile, setAnnotatingFile] = useState(null);
   const fileInputRef = useRef(null);
   const audioRef = useRef(null);
+  const [quotas, setQuotas] = useState(null);
 
-  const remainingSlots = MAX_FILES - files.length;
+  // Until the quotas are loaded the server's checks are the only ones
+  const remainingSlots = quotas ? Math.max(quotas.maxFilesPerTask - files.length, 0) : Infinity;
+
+  useEffect(() => {
+    loadAttachmentQuotas().then(setQuotas).catch(() => {});
+  }, []);
 
   // Close fullscreen on ESC key
   const handleEscKey = useCallback((e) => {
@@ -48,21 +59,14 @@ export default function FileUpload({
     };
   }, []);
 
-  // Check if file is a video based on extension
-  const isVideoFile = (filename) => {
-    const ext = '.' + filename.split('.').pop().toLowerCase();
-    return VIDEO_EXTENSIONS.includes(ext);
-  };
-
   const validateFiles = (fileList) => {
     const validFiles = [];
     const errors = [];
 
     for (const file of fileList) {
-      const maxSize = isVideoFile(file.name) ? MAX_VIDEO_FILE_SIZE : MAX_FILE_SIZE;
-      const maxMB = maxSize / (1024 * 1024);
-      if (file.size > maxSize) {
-        errors.push(`"${file.name}" exceeds ${maxMB}MB limit`);
+      const maxSize = quotas ? getSizeLimit(quotas, file) : null;
+      if (maxSize !== null && file.size > maxSize) {
+        errors.push(`"${file.name}" exceeds ${formatLimit(maxSize)} limit`);
       } else {
         validFiles.push(file);
       }
@@ -70,7 +74,7 @@ export default function FileUpload({
 
     // Check if we'd exceed max files
     if (validFiles.length > remainingSlots) {
-      errors.push(`Can only add ${remainingSlots} more file(s) (max ${MAX_FILES})`);
+      errors.push(`Can only add ${remainingSlots} more file(s) (max ${quotas.maxFilesPerTask})`);
       validFiles.splice(remainingSlots);
     }
 
@@ -91,19 +95,46 @@ export default function FileUpload({
     if (validFiles.length === 0) return;
 
     setUploading(true);
+    setProgress(0);
     setError(null);
 
+    // Small files go in one request, large ones in resumable chunks
+    const smallFiles = validFiles.filter(file => file.size <= CHUNKED_UPLOAD_THRESHOLD);
+    const largeFiles = validFiles.filter(file => file.size > CHUNKED_UPLOAD_THRESHOLD);
+    const totalBytes = validFiles.reduce((sum, file) => sum + file.size, 0);
+    let finishedBytes = 0;
+    const reportProgress = (bytes) => {
+      setProgress(Math.min(100, Math.round(((finishedBytes + bytes) / Math.max(totalBytes, 1)) * 100)));
+    };
+
+    const uploadedFiles = [];
     try {
-      const response = await fileApi.upload(boardId, validFiles);
-      const uploadedFiles = response.data.data;
+      if (smallFiles.length > 0) {
+        const smallBytes = smallFiles.reduce((sum, file) => sum + file.size, 0);
+        const response = await fileApi.upload(boardId, smallFiles, (event) => {
+          if (event.total) reportProgress(smallBytes * (event.loaded / event.total));
+        });
+        uploadedFiles.push(...response.data.data);
+        finishedBytes += smallBytes;
+        // Files the server turned down (size, or a type the board doesn't take)
+        if (response.data.warnings) {
+          setError(response.data.warnings.join('. '));
+          setTimeout(() => setError(null), 5000);
+        }
+      }
 
-      if (onUploadComplete) {
-        onUploadComplete(uploadedFiles);
+      for (const file of largeFiles) {
+        uploadedFiles.push(await uploadInChunks(boardId, file, reportProgress));
+        finishedBytes += file.size;
       }
     } catch (err) {
       setError(err.response?.data?.error || 'Upload failed');
       setTimeout(() => setError(null), 5000);
     } finally {
+      // Files that made it are attached even if a later one failed
+      if (uploadedFiles.length > 0 && onUploadComplete) {
+        onUploadComplete(uploadedFiles);
+      }
       setUploading(false);
     }
   };
@@ -151,6 +182,26 @@ export default function FileUpload({
     }
   };
 
+  const handleLinkFile = async (file) => {
+    const taskKey = window.prompt(`Also attach "${file.originalName}" to task (key, e.g. WEB-12):`);
+    if (!taskKey?.trim()) return;
+    setError(null);
+    try {
+      await onLinkFile(file, taskKey.trim());
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    }
+  };
+
+  const handleMoveFile = async (file) => {
+    setError(null);
+    try {
+      await onMoveFile(file);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    }
+  };
+
   const formatFileSize = (bytes) => {
     if (bytes < 1024) return bytes + ' B';
     if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB';
@@ -170,7 +221,11 @@ export default function FileUpload({
   };
 
   // Check if file is a displayable image
+  // Quarantined uploads can't be downloaded, so they get no preview or player
+  const isQuarantined = (file) => file.scanStatus === 'infected';
+
   const isDisplayableImage = (file) => {
+    if (isQuarantined(file)) return false;
     const imageExtensions = ['.png', '.jpg', '.jpeg', '.gif', '.tga', '.bmp'];
     const fileName = (file.originalName || '').toLowerCase();
     return imageExtensions.some(ext => fileName.endsWith(ext));
@@ -178,6 +233,7 @@ export default function FileUpload({
 
   // Check if file is playable audio
   const isPlayableAudio = (file) => {
+    if (isQuarantined(file)) return false;
     const audioExtensions = ['.mp3', '.wav', '.ogg'];
     const fileName = (file.originalName || '').toLowerCase();
     return audioExtensions.some(ext => fileName.endsWith(ext));
@@ -185,6 +241,7 @@ export default function FileUpload({
 
   // Check if file is playable video
   const isPlayableVideo = (file) => {
+    if (isQuarantined(file)) return false;
     const fileName = (file.originalName || '').toLowerCase();
     return VIDEO_EXTENSIONS.some(ext => fileName.endsWith(ext));
   };
@@ -198,6 +255,66 @@ export default function FileUpload({
     });
   };
 
+  // Result of the server's malware scan, when it has one worth showing
+  const renderScanStatus = (file) => {
+    if (file.scanStatus === 'pending') {
+      return <span className="file-scan-status pending" title="Checking the file for malware">Scanning…</span>;
+    }
+    if (file.scanStatus === 'infected') {
+      return <span className="file-scan-status infected">Quarantined{file.threat ? `: ${file.threat}` : ''}</span>;
+    }
+    if (file.scanStatus === 'error') {
+      return <span className="file-scan-status error" title="The file could not be checked for malware">Scan failed</span>;
+    }
+    return null;
+  };
+
+  const renderFileActions = (file) => {
+    if (disabled) return null;
+    return (
+      <>
+        {onUploadComplete && isDisplayableImage(file) && (
+          <button
+            type="button"
+            className="file-action"
+            onClick={() => setAnnotatingFile(file)}
+            title="Annotate (saves a copy)"
+          >
+            &#x270E;
+          </button>
+        )}
+        {onMoveFile && (
+          <button
+            type="button"
+            className="file-action"
+            onClick={() => handleMoveFile(file)}
+            title="Move to the task's attachments"
+          >
+            &#x2191;
+          </button>
+        )}
+        {onLinkFile && (
+          <button
+            type="button"
+            className="file-action"
+            onClick={() => handleLinkFile(file)}
+            title="Attach to another task"
+          >
+            &#x1F517;
+          </button>
+        )}
+        <button
+          type="button"
+          className="file-delete"
+          onClick={() => handleDeleteFile(file.fileId)}
+          title="Remove file"
+        >
+          &times;
+        </button>
+      </>
+    );
+  };
+
   const getFileUrl = (fileId) => {
     return fileApi.getUrl(boardId, fileId);
   };
@@ -236,9 +353,10 @@ export default function FileUpload({
             <div key={file.fileId} className={`file-item ${isDisplayableImage(file) || isPlayableVideo(file) ? 'file-item-media' : ''}`}>
               {isDisplayableImage(file) ? (
                 <div className="file-thumbnail">
-                  <img
-                    src={getFileUrl(file.fileId)}
-                    alt={file.originalName}
+                  <FileThumbnail
+                    boardId={boardId}
+                    file={file}
+                    fallbackSrc={getFileUrl(file.fileId)}
                     style={{ width: 300, height: 'auto', cursor: 'pointer' }}
                     onClick={() => openFullscreen(file, 'image')}
                     title="Click to view fullscreen"
@@ -248,22 +366,16 @@ export default function FileUpload({
                       {file.originalName}
                     </span>
                     <span className="file-size">{formatFileSize(file.size)}</span>
-                    {!disabled && (
-                      <button
-                        type="button"
-                        className="file-delete"
-                        onClick={() => handleDeleteFile(file.fileId)}
-                        title="Remove file"
-                      >
-                        &times;
-                      </button>
-                    )}
+                    {renderScanStatus(file)}
+                    {renderFileActions(file)}
                   </div>
                 </div>
               ) : isPlayableVideo(file) ? (
                 <div className="file-video">
                   <video
                     src={getFileUrl(file.fileId)}
+                    poster={fileApi.getThumbnailUrl(boardId, file.fileId)}
+                    preload="none"
                     style={{ width: 300, height: 'auto' }}
                     controls
                   />
@@ -280,16 +392,8 @@ export default function FileUpload({
                       {file.originalName}
                     </span>
                     <span className="file-size">{formatFileSize(file.size)}</span>
-                    {!disabled && (
-                      <button
-                        type="button"
-                        className="file-delete"
-                        onClick={() => handleDeleteFile(file.fileId)}
-                        title="Remove file"
-                      >
-                        &times;
-                      </button>
-                    )}
+                    {renderScanStatus(file)}
+                    {renderFileActions(file)}
                   </div>
                 </div>
               ) : (
@@ -309,16 +413,8 @@ export default function FileUpload({
                     {file.originalName}
                   </span>
                   <span className="file-size">{formatFileSize(file.size)}</span>
-                  {!disabled && (
-                    <button
-                      type="button"
-                      className="file-delete"
-                      onClick={() => handleDeleteFile(file.fileId)}
-                      title="Remove file"
-                    >
-                      &times;
-                    </button>
-                  )}
+                  {renderScanStatus(file)}
+                  {renderFileActions(file)}
                 </>
               )}
             </div>
@@ -336,7 +432,12 @@ export default function FileUpload({
           onDrop={handleDrop}
         >
           {uploading ? (
-            <span className="upload-status">Uploading...</span>
+            <>
+              <span className="upload-status">Uploading... {progress}%</span>
+              <div className="upload-progress">
+                <div className="upload-progress-bar" style={{ width: `${progress}%` }} />
+              </div>
+            </>
           ) : (
             <>
               <span className="dropzone-text">
@@ -350,7 +451,11 @@ export default function FileUpload({
                 </button>
               </span>
               <span className="dropzone-hint">
-                Max 100MB (250MB for videos), {remainingSlots} slot{remainingSlots !== 1 ? 's' : ''} remaining
+                {quotas && (
+                  <>
+                    {describeSizeLimits(quotas)}, {remainingSlots} slot{remainingSlots !== 1 ? 's' : ''} remaining
+                  </>
+                )}
               </span>
             </>
           )}
@@ -368,6 +473,15 @@ export default function FileUpload({
       {error && <div className="file-error">{error}</div>}
 
       {/* Fullscreen modal */}
+      {annotatingFile && (
+        <ImageAnnotator
+          boardId={boardId}
+          file={annotatingFile}
+          onSave={(annotated) => handleUpload([annotated])}
+          onClose={() => setAnnotatingFile(null)}
+        />
+      )}
+
       {fullscreenMedia && (
         <div className="fullscreen-overlay" onClick={() => setFullscreenMedia(null)}>
           <button
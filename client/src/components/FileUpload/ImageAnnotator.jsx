@@ -0,0 +1,219 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { fileApi } from '../../services/api';
+
+const TOOLS = [
+  { id: 'arrow', label: 'Arrow' },
+  { id: 'box', label: 'Box' },
+  { id: 'blur', label: 'Blur' },
+  { id: 'redact', label: 'Redact' }
+];
+const COLOR = '#eb5a46';
+const MIN_SHAPE_SIZE = 4; // Smaller drags are taken as clicks and dropped
+
+// Coarse pixelation, so blurred text can't be read back
+const pixelate = (ctx, x, y, width, height) => {
+  const block = Math.max(8, Math.round(Math.max(width, height) / 24));
+  const small = document.createElement('canvas');
+  small.width = Math.max(1, Math.ceil(width / block));
+  small.height = Math.max(1, Math.ceil(height / block));
+  small.getContext('2d').drawImage(ctx.canvas, x, y, width, height, 0, 0, small.width, small.height);
+
+  ctx.save();
+  ctx.imageSmoothingEnabled = false;
+  ctx.drawImage(small, 0, 0, small.width, small.height, x, y, width, height);
+  ctx.restore();
+};
+
+const drawArrow = (ctx, { x1, y1, x2, y2 }, lineWidth) => {
+  const angle = Math.atan2(y2 - y1, x2 - x1);
+  const head = lineWidth * 5;
+  ctx.beginPath();
+  ctx.moveTo(x1, y1);
+  ctx.lineTo(x2, y2);
+  ctx.stroke();
+  ctx.beginPath();
+  ctx.moveTo(x2, y2);
+  ctx.lineTo(x2 - head * Math.cos(angle - Math.PI / 6), y2 - head * Math.sin(angle - Math.PI / 6));
+  ctx.lineTo(x2 - head * Math.cos(angle + Math.PI / 6), y2 - head * Math.sin(angle + Math.PI / 6));
+  ctx.closePath();
+  ctx.fill();
+};
+
+const drawShape = (ctx, shape, lineWidth) => {
+  const x = Math.min(shape.x1, shape.x2);
+  const y = Math.min(shape.y1, shape.y2);
+  const width = Math.abs(shape.x2 - shape.x1);
+  const height = Math.abs(shape.y2 - shape.y1);
+
+  ctx.strokeStyle = COLOR;
+  ctx.fillStyle = COLOR;
+  ctx.lineWidth = lineWidth;
+  if (shape.tool === 'arrow') {
+    drawArrow(ctx, shape, lineWidth);
+  } else if (shape.tool === 'box') {
+    ctx.strokeRect(x, y, width, height);
+  } else if (width >= 1 && height >= 1) {
+    if (shape.tool === 'blur') {
+      pixelate(ctx, x, y, width, height);
+    } else {
+      ctx.fillStyle = '#000';
+      ctx.fillRect(x, y, width, height);
+    }
+  }
+};
+
+// "login.png" -> "login-annotated.png" (always saved as PNG)
+const getAnnotatedName = (originalName) => {
+  const base = (originalName || 'image').replace(/\.[^.]+$/, '');
+  return `${base}-annotated.png`;
+};
+
+// Draw arrows and boxes on an image attachment, or blur/black out parts of it.
+// onSave gets the annotated copy as a new PNG file; the original is left as it is.
+export default function ImageAnnotator({ boardId, file, onSave, onClose }) {
+  const canvasRef = useRef(null);
+  const [image, setImage] = useState(null);
+  const [error, setError] = useState(null);
+  const [tool, setTool] = useState('arrow');
+  const [shapes, setShapes] = useState([]);
+  const [draft, setDraft] = useState(null); // Shape being dragged out
+  const [saving, setSaving] = useState(false);
+
+  // The image is loaded through the API (not an <img> pointing at it) so the canvas can be exported
+  useEffect(() => {
+    let objectUrl = null;
+    let cancelled = false;
+    fileApi.download(boardId, file.fileId)
+      .then(response => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(response.data);
+        const img = new Image();
+        img.onload = () => !cancelled && setImage(img);
+        img.onerror = () => !cancelled && setError('The image could not be opened');
+        img.src = objectUrl;
+      })
+      .catch(err => !cancelled && setError('Failed to load the image: ' + (err.response?.status || err.message)));
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [boardId, file.fileId]);
+
+  // Redraw the image with every shape (and the one being dragged)
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !image) return;
+    canvas.width = image.naturalWidth;
+    canvas.height = image.naturalHeight;
+    const ctx = canvas.getContext('2d');
+    const lineWidth = Math.max(2, Math.round(Math.max(canvas.width, canvas.height) / 300));
+    ctx.drawImage(image, 0, 0);
+    [...shapes, ...(draft ? [draft] : [])].forEach(shape => drawShape(ctx, shape, lineWidth));
+  }, [image, shapes, draft]);
+
+  const handleEscKey = useCallback((e) => {
+    if (e.key === 'Escape') onClose();
+  }, [onClose]);
+
+  useEffect(() => {
+    document.addEventListener('keydown', handleEscKey);
+    return () => document.removeEventListener('keydown', handleEscKey);
+  }, [handleEscKey]);
+
+  // Pointer position in image pixels (the canvas is scaled down to fit the screen)
+  const toImagePoint = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return {
+      x: Math.round((e.clientX - rect.left) * (canvasRef.current.width / rect.width)),
+      y: Math.round((e.clientY - rect.top) * (canvasRef.current.height / rect.height))
+    };
+  };
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    const { x, y } = toImagePoint(e);
+    setDraft({ tool, x1: x, y1: y, x2: x, y2: y });
+  };
+
+  const handlePointerMove = (e) => {
+    if (!draft) return;
+    const { x, y } = toImagePoint(e);
+    setDraft(prev => ({ ...prev, x2: x, y2: y }));
+  };
+
+  const handlePointerUp = () => {
+    if (!draft) return;
+    if (Math.abs(draft.x2 - draft.x1) >= MIN_SHAPE_SIZE || Math.abs(draft.y2 - draft.y1) >= MIN_SHAPE_SIZE) {
+      setShapes(prev => [...prev, draft]);
+    }
+    setDraft(null);
+  };
+
+  const handleSave = () => {
+    setSaving(true);
+    canvasRef.current.toBlob(async (blob) => {
+      try {
+        if (!blob) throw new Error('The image could not be exported');
+        await onSave(new File([blob], getAnnotatedName(file.originalName), { type: 'image/png' }));
+        onClose();
+      } catch (err) {
+        setError(err.response?.data?.error || err.message);
+        setSaving(false);
+      }
+    }, 'image/png');
+  };
+
+  return (
+    <div className="annotator-overlay">
+      <div className="annotator-toolbar">
+        <span className="annotator-title" title={file.originalName}>{file.originalName}</span>
+        {TOOLS.map(t => (
+          <button
+            key={t.id}
+            type="button"
+            className={`annotator-tool ${tool === t.id ? 'active' : ''}`}
+            onClick={() => setTool(t.id)}
+          >
+            {t.label}
+          </button>
+        ))}
+        <button
+          type="button"
+          className="annotator-tool"
+          onClick={() => setShapes(prev => prev.slice(0, -1))}
+          disabled={shapes.length === 0}
+        >
+          Undo
+        </button>
+        <span className="annotator-spacer" />
+        <button type="button" className="btn btn-secondary btn-small" onClick={onClose}>
+          Cancel
+        </button>
+        <button
+          type="button"
+          className="btn btn-primary btn-small"
+          onClick={handleSave}
+          disabled={!image || shapes.length === 0 || saving}
+          title="Attach the annotated image as a new file (the original is kept)"
+        >
+          {saving ? 'Saving...' : 'Save Copy'}
+        </button>
+      </div>
+      {error && <div className="file-error annotator-error">{error}</div>}
+      <div className="annotator-canvas-area">
+        {image ? (
+          <canvas
+            ref={canvasRef}
+            className="annotator-canvas"
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerCancel={() => setDraft(null)}
+          />
+        ) : (
+          !error && <span className="annotator-loading">Loading image...</span>
+        )}
+      </div>
+    </div>
+  );
+}
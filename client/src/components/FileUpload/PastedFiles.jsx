@@ -0,0 +1,26 @@
+import './FileUpload.css';
+
+// Screenshots pasted into a text box that are attached once it is saved
+export default function PastedFiles({ files, uploading, error, onRemove }) {
+  if (files.length === 0 && !uploading && !error) return null;
+
+  return (
+    <div className="pasted-files">
+      {files.map(file => (
+        <span key={file.fileId} className="pasted-file">
+          📎 {file.originalName}
+          <button
+            type="button"
+            className="file-delete"
+            onClick={() => onRemove(file.fileId)}
+            title="Don't attach"
+          >
+            &times;
+          </button>
+        </span>
+      ))}
+      {uploading && <span className="upload-status">Uploading screenshot...</span>}
+      {error && <div className="file-error">{error}</div>}
+    </div>
+  );
+}
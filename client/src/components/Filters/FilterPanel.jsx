@@ -1,13 +1,17 @@
 import { useApp } from '../../context/AppContext';
 import UserSelect from '../UserSelect/UserSelect';
+import SavedViews from '../SavedViews/SavedViews';
+import QueryInput from '../QueryInput/QueryInput';
+import { EMPTY_FILTERS, hasActiveFilters } from '../../utils/urlState';
 
 const TYPES = ['Task', 'Bug', 'Suggestion'];
 
 export default function FilterPanel() {
-  const { filters, setFilters, columns, boardUsers } = useApp();
+  const { filters, setFilters, columns, tasks, boardUsers, queryError } = useApp();
 
   // States are derived from column names
   const states = columns.map(col => col.name);
+  const labels = [...new Set(tasks.flatMap(task => task.labels || []))].sort();
 
   const handleStateToggle = (state) => {
     setFilters(prev => {
@@ -35,16 +39,13 @@ export default function FilterPanel() {
     setFilters(prev => ({ ...prev, search: e.target.value }));
   };
 
-  const clearFilters = () => {
-    setFilters({
-      state: [],
-      taskType: [],
-      assignedTo: '',
-      search: ''
-    });
+  const handleQueryChange = (query) => {
+    setFilters(prev => ({ ...prev, query }));
   };
 
-  const hasActiveFilters = filters.state.length > 0 || filters.taskType.length > 0 || filters.assignedTo || filters.search;
+  const clearFilters = () => {
+    setFilters(EMPTY_FILTERS);
+  };
 
   return (
     <div className="filter-panel">
@@ -59,6 +60,18 @@ export default function FilterPanel() {
         />
       </div>
 
+      <div className="filter-section">
+        <label>Query:</label>
+        <QueryInput
+          value={filters.query}
+          onChange={handleQueryChange}
+          error={queryError}
+          columns={columns}
+          boardUsers={boardUsers}
+          labels={labels}
+        />
+      </div>
+
       <div className="filter-section">
         <label>Type:</label>
         <div className="filter-types">
@@ -100,11 +113,13 @@ export default function FilterPanel() {
         />
       </div>
 
-      {hasActiveFilters && (
+      {hasActiveFilters(filters) && (
         <button className="btn btn-danger btn-small" onClick={clearFilters}>
           Reset Filters
         </button>
       )}
+
+      <SavedViews />
     </div>
   );
 }
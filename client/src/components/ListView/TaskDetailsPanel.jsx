@@ -1,7 +1,15 @@
 import { useState, useEffect, useMemo } from 'react';
 import { useApp } from '../../context/AppContext';
 import FileUpload from '../FileUpload/FileUpload';
+import PastedFiles from '../FileUpload/PastedFiles';
+import MarkdownEditor from '../Markdown/MarkdownEditor';
 import UserSelect from '../UserSelect/UserSelect';
+import TaskHistory from '../TaskHistory/TaskHistory';
+import CommentItem from '../CommentItem/CommentItem';
+import DependencyEditor from '../DependencyEditor/DependencyEditor';
+import MergeDialog from '../MergeDialog/MergeDialog';
+import { taskToForm, formDiffers, mergeTaskEdits, resolveConflicts } from '../../utils/taskMerge';
+import { getPastedImages, uploadPastedImages } from '../../utils/screenshots';
 
 const PRIORITIES = ['Low', 'Medium', 'High', 'Critical'];
 const TYPES = ['Task', 'Bug', 'Suggestion'];
@@ -16,11 +24,14 @@ export default function TaskDetailsPanel({ taskId }) {
     moveTask,
     deleteTask,
     addComment,
+    editComment,
     deleteComment,
     attachFilesToTask,
+    linkFileToTask,
     removeFileFromTask,
     attachFilesToComment,
     removeFileFromComment,
+    moveCommentFileToTask,
     user
   } = useApp();
   const canDeleteTasks = user?.permissions?.canDeleteTasks || false;
@@ -32,65 +43,99 @@ export default function TaskDetailsPanel({ taskId }) {
     description: '',
     columnId: '',
     assignedTo: '',
+    assigneeId: null,
     reportedBy: '',
     priority: 'Medium',
     taskType: 'Task',
-    dependsOn: ''
+    dependencies: []
   });
 
   const [newComment, setNewComment] = useState('');
-  const [commentAuthor, setCommentAuthor] = useState('');
+  // Screenshots pasted into the new comment, attached when it is saved
+  const [pastedCommentFiles, setPastedCommentFiles] = useState([]);
+  const [pasteUpload, setPasteUpload] = useState({ target: null, uploading: false, error: null }); // target: 'description' | 'comment'
+  const [activeTab, setActiveTab] = useState('comments');
   const [saving, setSaving] = useState(false);
-
-  // Get available tasks for dependency dropdown (exclude current task)
-  const availableDependencies = tasks.filter(t => t._id !== taskId);
+  // The task as it was when loaded into the form (its version is sent with the save)
+  const [baseTask, setBaseTask] = useState(null);
+  // Pending merge after a save conflicted with someone else's changes
+  const [merge, setMerge] = useState(null);
 
   // Track if form has unsaved changes
   const isDirty = useMemo(() => {
     if (!task) return false;
-    return (
-      formData.name !== (task.name || '') ||
-      formData.description !== (task.description || '') ||
-      formData.columnId !== (task.columnId || '') ||
-      formData.assignedTo !== (task.assignedTo || '') ||
-      formData.priority !== (task.priority || 'Medium') ||
-      formData.taskType !== (task.taskType || 'Task') ||
-      formData.dependsOn !== (task.dependsOn || '')
-    );
-  }, [formData, task]);
+    return formDiffers(formData, baseTask || task);
+  }, [formData, task, baseTask]);
 
+  // Load the task into the form, but keep unsaved edits when the task changes underneath them
+  // (saving then merges with the other changes)
   useEffect(() => {
-    if (task) {
-      setFormData({
-        name: task.name || '',
-        description: task.description || '',
-        columnId: task.columnId || '',
-        assignedTo: task.assignedTo || '',
-        reportedBy: task.reportedBy || '',
-        priority: task.priority || 'Medium',
-        taskType: task.taskType || 'Task',
-        dependsOn: task.dependsOn || ''
-      });
-    }
-  }, [task]);
+    if (!task || task === baseTask || (baseTask?._id === task._id && isDirty)) return;
+    setBaseTask(task);
+    setFormData(taskToForm(task));
+  }, [task, baseTask, isDirty]);
 
   const handleChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({ ...prev, [name]: value }));
   };
 
+  // Keep the user id when an assignee is picked from the list (typed names have no id)
+  const handleAssigneeChange = (e) => {
+    const assigneeId = e.user ? String(e.user.id) : null;
+    setFormData(prev => ({ ...prev, assignedTo: e.target.value, assigneeId }));
+  };
+
+  // Save the task fields, then move the task if its column changed. Returns the saved task.
+  const saveTaskEdits = async (data, version) => {
+    const updatedTask = await updateTask(task._id, data, version);
+    if (data.columnId !== updatedTask.columnId) {
+      return moveTask(task._id, data.columnId);
+    }
+    return updatedTask;
+  };
+
+  // Save edits based on a task version. If someone else saved in the meantime, their changes are merged in;
+  // fields both sides changed open the merge dialog (returns null in that case).
+  const saveWithMerge = async (data, base) => {
+    try {
+      const savedTask = await saveTaskEdits(data, base.__v);
+      setBaseTask(savedTask);
+      setFormData(taskToForm(savedTask));
+      return savedTask;
+    } catch (err) {
+      if (err.response?.status !== 409) throw err;
+      const savedTask = err.response.data.data;
+      const { merged, conflicts } = mergeTaskEdits(base, data, savedTask);
+      if (conflicts.length === 0) {
+        return saveWithMerge(merged, savedTask);
+      }
+      setMerge({ merged, conflicts, savedTask });
+      return null;
+    }
+  };
+
   const handleSave = async () => {
     if (!task || !formData.name.trim()) return;
 
     setSaving(true);
     try {
-      await updateTask(task._id, formData);
-      // If column changed, move the task
-      if (formData.columnId !== task.columnId) {
-        await moveTask(task._id, formData.columnId);
-      }
+      await saveWithMerge(formData, baseTask || task);
     } catch (err) {
-      alert('Error saving task: ' + err.message);
+      alert('Error saving task: ' + (err.response?.data?.error || err.message));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleResolveMerge = async (choices) => {
+    const { merged, conflicts, savedTask } = merge;
+    setMerge(null);
+    setSaving(true);
+    try {
+      await saveWithMerge(resolveConflicts(merged, conflicts, choices), savedTask);
+    } catch (err) {
+      alert('Error saving task: ' + (err.response?.data?.error || err.message));
     } finally {
       setSaving(false);
     }
@@ -98,7 +143,7 @@ export default function TaskDetailsPanel({ taskId }) {
 
   const handleDelete = async () => {
     if (!task) return;
-    if (window.confirm('Are you sure you want to delete this task?')) {
+    if (window.confirm('Move this task to the trash?')) {
       try {
         await deleteTask(task._id);
       } catch (err) {
@@ -111,9 +156,13 @@ export default function TaskDetailsPanel({ taskId }) {
     if (!task || !newComment.trim()) return;
 
     try {
-      await addComment(task._id, newComment.trim(), commentAuthor.trim() || 'Anonymous');
+      const updatedTask = await addComment(task._id, newComment.trim());
       setNewComment('');
-      setCommentAuthor('');
+      if (pastedCommentFiles.length > 0) {
+        const comment = updatedTask.comments[updatedTask.comments.length - 1];
+        await attachFilesToComment(task._id, comment._id, pastedCommentFiles);
+        setPastedCommentFiles([]);
+      }
     } catch (err) {
       alert('Error adding comment: ' + err.message);
     }
@@ -145,6 +194,26 @@ export default function TaskDetailsPanel({ taskId }) {
     }
   };
 
+  // Upload images pasted into a text box (screenshots), then hand them to onUploaded
+  const handleImagePaste = async (e, target, onUploaded) => {
+    const images = getPastedImages(e);
+    if (images.length === 0 || !currentBoard) return;
+
+    e.preventDefault();
+    setPasteUpload({ target, uploading: true, error: null });
+    try {
+      await onUploaded(await uploadPastedImages(currentBoard._id, images));
+      setPasteUpload({ target: null, uploading: false, error: null });
+    } catch (err) {
+      setPasteUpload({ target, uploading: false, error: 'Screenshot upload failed: ' + (err.response?.data?.error || err.message) });
+    }
+  };
+
+  const addPastedCommentFiles = (files) => setPastedCommentFiles(prev => [...prev, ...files]);
+
+  // Upload state and error of pastes into one text box
+  const getPasteStatus = (target) => (pasteUpload.target === target ? pasteUpload : { uploading: false, error: null });
+
   // File upload handlers for comments
   const handleCommentFilesUploaded = async (commentId, uploadedFiles) => {
     if (task) {
@@ -177,7 +246,7 @@ export default function TaskDetailsPanel({ taskId }) {
   return (
     <div className="task-details-panel">
       <div className="task-details-header">
-        <h3>Task Details</h3>
+        <h3>Task Details{task.key ? ` · ${task.key}` : ''}</h3>
         <div className="task-details-header-right">
           {saving && <span className="saving-indicator">Saving...</span>}
           {isDirty && (
@@ -203,13 +272,17 @@ export default function TaskDetailsPanel({ taskId }) {
 
           <div className="form-group">
             <label htmlFor="detail-description">Description</label>
-            <textarea
+            <MarkdownEditor
+              key={task._id}
+              initialMode={task.description ? 'preview' : 'write'}
               id="detail-description"
               name="description"
               value={formData.description}
               onChange={handleChange}
+              onPaste={(e) => handleImagePaste(e, 'description', handleTaskFilesUploaded)}
               rows={4}
             />
+            <PastedFiles files={[]} {...getPasteStatus('description')} />
           </div>
 
           <div className="form-row">
@@ -263,7 +336,7 @@ export default function TaskDetailsPanel({ taskId }) {
                 id="detail-assignedTo"
                 name="assignedTo"
                 value={formData.assignedTo}
-                onChange={handleChange}
+                onChange={handleAssigneeChange}
                 users={boardUsers}
                 placeholder="Select or type a name..."
               />
@@ -283,20 +356,13 @@ export default function TaskDetailsPanel({ taskId }) {
           </div>
 
           <div className="form-group">
-            <label htmlFor="detail-dependsOn">Depends On</label>
-            <select
-              id="detail-dependsOn"
-              name="dependsOn"
-              value={formData.dependsOn}
-              onChange={handleChange}
-            >
-              <option value="">None</option>
-              {availableDependencies.map(t => (
-                <option key={t._id} value={t._id}>
-                  [{t.taskType}] {t.name}
-                </option>
-              ))}
-            </select>
+            <label>Dependencies</label>
+            <DependencyEditor
+              taskId={task._id}
+              dependencies={formData.dependencies}
+              tasks={tasks}
+              onChange={(dependencies) => setFormData(prev => ({ ...prev, dependencies }))}
+            />
           </div>
 
           <div className="task-meta">
@@ -319,6 +385,7 @@ export default function TaskDetailsPanel({ taskId }) {
                   const removedFileIds = currentFileIds.filter(id => !newFileIds.includes(id));
                   removedFileIds.forEach(fileId => handleTaskFileRemove(fileId));
                 }}
+                onLinkFile={(file, taskKey) => linkFileToTask(taskKey, file)}
               />
             </div>
           )}
@@ -326,62 +393,69 @@ export default function TaskDetailsPanel({ taskId }) {
         </div>
 
         <div className="task-details-comments">
-          <h4>Comments ({task.comments?.length || 0})</h4>
-
-          <div className="comments-list">
-            {task.comments?.map(comment => (
-              <div key={comment._id} className="comment">
-                <div className="comment-header">
-                  <strong>{comment.author}</strong>
-                  <span className="comment-date">{formatDate(comment.createdAt)}</span>
-                  <button
-                    className="comment-delete"
-                    onClick={() => handleDeleteComment(comment._id)}
-                  >
-                    &times;
-                  </button>
-                </div>
-                <p>{comment.text}</p>
-                {currentBoard && (
-                  <FileUpload
-                    boardId={currentBoard._id}
-                    files={comment.files || []}
-                    onUploadComplete={(uploadedFiles) => handleCommentFilesUploaded(comment._id, uploadedFiles)}
-                    onFilesChange={(newFiles) => {
-                      const currentFileIds = (comment.files || []).map(f => f.fileId);
-                      const newFileIds = newFiles.map(f => f.fileId);
-                      const removedFileIds = currentFileIds.filter(id => !newFileIds.includes(id));
-                      removedFileIds.forEach(fileId => handleCommentFileRemove(comment._id, fileId));
-                    }}
-                  />
-                )}
-              </div>
-            ))}
-            {(!task.comments || task.comments.length === 0) && (
-              <p className="no-comments">No comments yet</p>
-            )}
-          </div>
-
-          <div className="add-comment">
-            <input
-              type="text"
-              placeholder="Your name (optional)"
-              value={commentAuthor}
-              onChange={(e) => setCommentAuthor(e.target.value)}
-            />
-            <textarea
-              placeholder="Add a comment..."
-              value={newComment}
-              onChange={(e) => setNewComment(e.target.value)}
-              rows={3}
-            />
+          <div className="task-tabs">
+            <button
+              type="button"
+              className={`task-tab ${activeTab === 'comments' ? 'active' : ''}`}
+              onClick={() => setActiveTab('comments')}
+            >
+              Comments ({task.comments?.length || 0})
+            </button>
             <button
-              className="btn btn-primary"
-              onClick={handleAddComment}
+              type="button"
+              className={`task-tab ${activeTab === 'history' ? 'active' : ''}`}
+              onClick={() => setActiveTab('history')}
             >
-              Add Comment
+              History
             </button>
           </div>
+
+          {activeTab === 'history' ? (
+            <TaskHistory task={task} />
+          ) : (
+            <>
+              <div className="comments-list">
+                {task.comments?.map(comment => (
+                  <CommentItem
+                    key={comment._id}
+                    comment={comment}
+                    boardId={currentBoard?._id}
+                    onSave={(text) => editComment(task._id, comment._id, text)}
+                    onDelete={() => handleDeleteComment(comment._id)}
+                    onFilesUploaded={(uploadedFiles) => handleCommentFilesUploaded(comment._id, uploadedFiles)}
+                    onFileRemove={(fileId) => handleCommentFileRemove(comment._id, fileId)}
+                    onFileLink={(file, taskKey) => linkFileToTask(taskKey, file)}
+                    onFileMove={(file) => moveCommentFileToTask(task._id, comment._id, file.fileId)}
+                  />
+                ))}
+                {(!task.comments || task.comments.length === 0) && (
+                  <p className="no-comments">No comments yet</p>
+                )}
+              </div>
+
+              <div className="add-comment">
+                <MarkdownEditor
+                  placeholder="Add a comment... (@ to mention someone, paste screenshots to attach them)"
+                  mentionUsers={boardUsers}
+                  value={newComment}
+                  onChange={(e) => setNewComment(e.target.value)}
+                  onPaste={(e) => handleImagePaste(e, 'comment', addPastedCommentFiles)}
+                  rows={3}
+                />
+                <PastedFiles
+                  files={pastedCommentFiles}
+                  {...getPasteStatus('comment')}
+                  onRemove={(fileId) => setPastedCommentFiles(prev => prev.filter(f => f.fileId !== fileId))}
+                />
+                <button
+                  className="btn btn-primary"
+                  onClick={handleAddComment}
+                >
+                  Add Comment
+                </button>
+              </div>
+            </>
+          )}
         </div>
 
         {canDeleteTasks && (
@@ -391,6 +465,16 @@ export default function TaskDetailsPanel({ taskId }) {
             </button>
           </div>
         )}
+
+        {merge && (
+          <MergeDialog
+            conflicts={merge.conflicts}
+            columns={columns}
+            tasks={tasks}
+            onResolve={handleResolveMerge}
+            onCancel={() => setMerge(null)}
+          />
+        )}
       </div>
     </div>
   );
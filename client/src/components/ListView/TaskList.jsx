@@ -1,5 +1,10 @@
-import { useState, useMemo } from 'react';
+import { useState, useMemo, useRef } from 'react';
 import { useApp } from '../../context/AppContext';
+import { buildDependencyGraph } from '../../utils/dependencies';
+import { isSelectionClick, applySelectionClick } from '../../utils/selection';
+import { getPreviewFile } from '../../utils/attachments';
+import { markdownToText } from '../../utils/markdown';
+import FileThumbnail from '../FileUpload/FileThumbnail';
 
 const priorityColors = {
   Low: '#4caf50',
@@ -17,10 +22,11 @@ const typeColors = {
 };
 
 export default function TaskList({ selectedTaskId, onSelectTask }) {
-  const { tasks, getFilteredTasks, columns } = useApp();
+  const { tasks, getFilteredTasks, columns, selectedTaskIds, setSelectedTaskIds } = useApp();
   const [expandedTasks, setExpandedTasks] = useState(new Set());
   const [sortColumn, setSortColumn] = useState('name');
   const [sortDirection, setSortDirection] = useState('asc');
+  const selectionAnchor = useRef(null); // Last task clicked, where Shift+click ranges start
 
   const filteredTasks = getFilteredTasks();
 
@@ -78,31 +84,47 @@ export default function TaskList({ selectedTaskId, onSelectTask }) {
     }
   };
 
-  // Build a map of parent ID -> children (tasks that depend on that parent)
+  // Dependency graph of the filtered tasks (a task can be blocked by several others)
+  const dependencyGraph = useMemo(() => buildDependencyGraph(filteredTasks), [filteredTasks]);
+
+  // Build a map of blocker ID -> children (tasks blocked by it)
+  // A task blocked by several tasks appears under each of them
   const childrenMap = useMemo(() => {
     const map = new Map();
     filteredTasks.forEach(task => {
-      if (task.dependsOn) {
-        const parentId = String(task.dependsOn);
-        if (!map.has(parentId)) {
-          map.set(parentId, []);
+      const blockerIds = dependencyGraph.getBlockers(task._id);
+      blockerIds.forEach(blockerId => {
+        if (!map.has(blockerId)) {
+          map.set(blockerId, []);
         }
-        map.get(parentId).push(task);
-      }
+        map.get(blockerId).push(task);
+      });
     });
     return map;
-  }, [filteredTasks]);
+  }, [filteredTasks, dependencyGraph]);
 
-  // Find root tasks (tasks with no parent, or parent not in filtered list), then sort
+  // Find root tasks (tasks not blocked by any task in the filtered list), then sort
   const rootTasks = useMemo(() => {
-    const filteredIds = new Set(filteredTasks.map(t => String(t._id)));
-    const roots = filteredTasks.filter(task => {
-      if (!task.dependsOn) return true;
-      // If parent is not in filtered list, treat as root
-      return !filteredIds.has(String(task.dependsOn));
+    const roots = filteredTasks.filter(task => dependencyGraph.getBlockers(task._id).length === 0);
+
+    // Tasks only reachable through a circular link (old data) are shown as roots too
+    const reachable = new Set();
+    const visit = (task) => {
+      const taskId = String(task._id);
+      if (reachable.has(taskId)) return;
+      reachable.add(taskId);
+      (childrenMap.get(taskId) || []).forEach(visit);
+    };
+    roots.forEach(visit);
+    filteredTasks.forEach(task => {
+      if (!reachable.has(String(task._id))) {
+        roots.push(task);
+        visit(task);
+      }
     });
+
     return sortTasks(roots);
-  }, [filteredTasks, sortColumn, sortDirection, columns]);
+  }, [filteredTasks, dependencyGraph, childrenMap, sortColumn, sortDirection, columns]);
 
   const toggleExpand = (taskId) => {
     setExpandedTasks(prev => {
@@ -116,24 +138,55 @@ export default function TaskList({ selectedTaskId, onSelectTask }) {
     });
   };
 
+  // Task ids in the order the rows are shown (expanded children included)
+  const getVisibleTaskIds = () => {
+    const ids = [];
+    const walk = (task, ancestors) => {
+      const taskId = String(task._id);
+      ids.push(taskId);
+      if (!expandedTasks.has(taskId)) return;
+      const branch = new Set(ancestors).add(taskId);
+      sortTasks((childrenMap.get(taskId) || []).filter(child => !branch.has(String(child._id))))
+        .forEach(child => walk(child, branch));
+    };
+    rootTasks.forEach(task => walk(task, new Set()));
+    return ids;
+  };
+
+  // Ctrl/Shift+click selects tasks for bulk actions, a plain click opens the task
+  const handleTaskClick = (e, task) => {
+    if (isSelectionClick(e)) {
+      e.preventDefault();
+      setSelectedTaskIds(applySelectionClick(selectedTaskIds, getVisibleTaskIds(), task._id, selectionAnchor.current, e));
+    } else {
+      onSelectTask(task._id);
+    }
+    selectionAnchor.current = task._id;
+  };
+
   const getSortIndicator = (column) => {
     if (sortColumn !== column) return '';
     return sortDirection === 'asc' ? ' ▲' : ' ▼';
   };
 
-  const renderTask = (task, depth = 0) => {
+  // ancestors holds the IDs on the current branch, guarding against circular links in old data
+  const renderTask = (task, depth = 0, ancestors = new Set()) => {
     const taskId = String(task._id);
-    const children = childrenMap.get(taskId) || [];
+    const branch = new Set(ancestors).add(taskId);
+    const children = (childrenMap.get(taskId) || []).filter(child => !branch.has(String(child._id)));
     const hasChildren = children.length > 0;
     const isExpanded = expandedTasks.has(taskId);
     const isSelected = selectedTaskId === task._id;
+    const isChecked = selectedTaskIds.includes(task._id);
+    const previewFile = getPreviewFile(task);
+    const description = markdownToText(task.description);
 
     return (
-      <div key={taskId} className="task-list-item-container">
+      <div key={[...ancestors, taskId].join('/')} className="task-list-item-container">
         <div
-          className={`task-list-item ${isSelected ? 'selected' : ''}`}
+          className={`task-list-item ${isSelected ? 'selected' : ''} ${isChecked ? 'multi-selected' : ''}`}
           style={{ paddingLeft: depth * 24 + 8 }}
-          onClick={() => onSelectTask(task._id)}
+          onClick={(e) => handleTaskClick(e, task)}
         >
           <div className="task-list-expand">
             {hasChildren ? (
@@ -158,7 +211,31 @@ export default function TaskList({ selectedTaskId, onSelectTask }) {
             {task.taskType?.[0] || 'T'}
           </span>
 
-          <span className="task-list-name">{task.name}</span>
+          {task.key && (
+            <span className="task-list-key">{task.key}</span>
+          )}
+
+          {previewFile && (
+            <FileThumbnail
+              key={previewFile.fileId}
+              className="task-list-thumbnail"
+              boardId={task.boardId}
+              file={previewFile}
+            />
+          )}
+
+          <span className="task-list-name" title={description || undefined}>
+            {task.name}
+            {description && <span className="task-list-description">{description}</span>}
+          </span>
+
+          {task.labels?.length > 0 && (
+            <span className="task-list-labels">
+              {task.labels.map(label => (
+                <span key={label} className="task-label">{label}</span>
+              ))}
+            </span>
+          )}
 
           <span className="task-list-state">{getColumnName(task.columnId)}</span>
 
@@ -176,7 +253,7 @@ export default function TaskList({ selectedTaskId, onSelectTask }) {
 
         {hasChildren && isExpanded && (
           <div className="task-list-children">
-            {sortTasks(children).map(child => renderTask(child, depth + 1))}
+            {sortTasks(children).map(child => renderTask(child, depth + 1, branch))}
           </div>
         )}
       </div>
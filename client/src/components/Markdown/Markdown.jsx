@@ -0,0 +1,10 @@
+import { useMemo } from 'react';
+import { renderMarkdown } from '../../utils/markdown';
+import 'highlight.js/styles/github.css';
+import './Markdown.css';
+
+// Task descriptions and comments, rendered from Markdown
+export default function Markdown({ text, className = '', ...props }) {
+  const html = useMemo(() => renderMarkdown(text), [text]);
+  return <div className={`markdown-body ${className}`} dangerouslySetInnerHTML={{ __html: html }} {...props} />;
+}
@@ -0,0 +1,47 @@
+import { useState } from 'react';
+import Markdown from './Markdown';
+import MentionTextarea from './MentionTextarea';
+import './Markdown.css';
+
+// A textarea for Markdown with a preview tab. Other props (id, name, rows, onPaste...) go to the textarea.
+// With mentionUsers, typing "@" suggests those users.
+export default function MarkdownEditor({ value, onChange, initialMode = 'write', mentionUsers, ...textareaProps }) {
+  const [mode, setMode] = useState(initialMode); // 'write' | 'preview'
+
+  return (
+    <div className="markdown-editor">
+      <div className="markdown-editor-tabs">
+        <button
+          type="button"
+          className={`markdown-editor-tab ${mode === 'write' ? 'active' : ''}`}
+          onClick={() => setMode('write')}
+        >
+          Write
+        </button>
+        <button
+          type="button"
+          className={`markdown-editor-tab ${mode === 'preview' ? 'active' : ''}`}
+          onClick={() => setMode('preview')}
+        >
+          Preview
+        </button>
+        <span className="markdown-editor-hint">Markdown supported</span>
+      </div>
+      {mode === 'write' ? (
+        mentionUsers ? (
+          <MentionTextarea users={mentionUsers} value={value} onChange={onChange} {...textareaProps} />
+        ) : (
+          <textarea value={value} onChange={onChange} {...textareaProps} />
+        )
+      ) : (
+        <div
+          className="markdown-editor-preview"
+          onDoubleClick={() => setMode('write')}
+          title="Double-click to edit"
+        >
+          {value.trim() ? <Markdown text={value} /> : <span className="markdown-editor-empty">Nothing to preview</span>}
+        </div>
+      )}
+    </div>
+  );
+}
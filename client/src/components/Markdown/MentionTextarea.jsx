@@ -0,0 +1,103 @@
+import { useState, useRef } from 'react';
+
+const MAX_SUGGESTIONS = 8;
+
+// The "@name" being typed just before the caret: { query, start } or null
+const getMentionQuery = (text, caret) => {
+  const match = /(^|[^\w@.])@([\w.+-]*)$/.exec(text.slice(0, caret));
+  return match ? { query: match[2], start: caret - match[2].length - 1 } : null;
+};
+
+// A textarea that suggests board users while an "@name" is typed and inserts "@username"
+export default function MentionTextarea({ users, value, onChange, onKeyDown, ...textareaProps }) {
+  const textareaRef = useRef(null);
+  const [mention, setMention] = useState(null);
+  const [activeIndex, setActiveIndex] = useState(0);
+
+  const query = mention?.query.toLowerCase();
+  const suggestions = mention
+    ? users
+      .filter(user => user.username && (
+        user.username.toLowerCase().includes(query) || user.name?.toLowerCase().includes(query)
+      ))
+      .slice(0, MAX_SUGGESTIONS)
+    : [];
+
+  const updateMention = (e) => {
+    setMention(getMentionQuery(e.target.value, e.target.selectionStart));
+    setActiveIndex(0);
+  };
+
+  const handleChange = (e) => {
+    onChange(e);
+    updateMention(e);
+  };
+
+  const insertMention = (user) => {
+    const before = value.substring(0, mention.start);
+    const after = value.substring(mention.start + 1 + mention.query.length);
+    const inserted = `@${user.username}${after.startsWith(' ') ? '' : ' '}`;
+    onChange({ target: { name: textareaProps.name, value: before + inserted + after } });
+    setMention(null);
+
+    // Put the caret after the mention once React has updated the text
+    const caret = before.length + inserted.length;
+    setTimeout(() => {
+      textareaRef.current?.focus();
+      textareaRef.current?.setSelectionRange(caret, caret);
+    }, 0);
+  };
+
+  const handleKeyDown = (e) => {
+    if (suggestions.length > 0) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        setActiveIndex((activeIndex + step + suggestions.length) % suggestions.length);
+        return;
+      }
+      if (e.key === 'Enter' || e.key === 'Tab') {
+        e.preventDefault();
+        insertMention(suggestions[Math.min(activeIndex, suggestions.length - 1)]);
+        return;
+      }
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        setMention(null);
+        return;
+      }
+    }
+    onKeyDown?.(e);
+  };
+
+  return (
+    <div className="mention-textarea">
+      <textarea
+        ref={textareaRef}
+        value={value}
+        onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        onClick={updateMention}
+        onBlur={() => setMention(null)}
+        {...textareaProps}
+      />
+      {suggestions.length > 0 && (
+        <div className="mention-suggestions">
+          {suggestions.map((user, index) => (
+            <div
+              key={user.id}
+              className={`mention-suggestion ${index === activeIndex ? 'active' : ''}`}
+              onMouseDown={(e) => {
+                e.preventDefault(); // Keep the focus in the textarea
+                insertMention(user);
+              }}
+            >
+              <span className="mention-suggestion-name">{user.name}</span>
+              <span className="mention-suggestion-username">@{user.username}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,79 @@
+import { useState } from 'react';
+import { getDependencyTypeLabel } from '../../utils/dependencies';
+import './MergeDialog.css';
+
+// Shown when saving a task conflicts with changes someone else saved in the meantime.
+// Each conflicting field can keep the user's value or take the saved one.
+export default function MergeDialog({ conflicts, columns = [], tasks = [], onResolve, onCancel }) {
+  const [choices, setChoices] = useState(() =>
+    Object.fromEntries(conflicts.map(c => [c.field, 'mine']))
+  );
+
+  const formatValue = (field, value) => {
+    if (field === 'columnId') {
+      return columns.find(col => col._id === value)?.name || value;
+    }
+    if (field === 'dependencies') {
+      if (!value?.length) return '(none)';
+      return value.map(dep => {
+        const other = tasks.find(t => t._id === String(dep.taskId));
+        return `${getDependencyTypeLabel(dep.type)} ${other?.key || other?.name || dep.taskId}`;
+      }).join(', ');
+    }
+    return value || '(empty)';
+  };
+
+  const setChoice = (field, choice) => {
+    setChoices(prev => ({ ...prev, [field]: choice }));
+  };
+
+  return (
+    <div className="modal-overlay merge-dialog-overlay" onClick={onCancel}>
+      <div className="modal-content merge-dialog" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Task Changed by Someone Else</h2>
+          <button className="modal-close" onClick={onCancel}>&times;</button>
+        </div>
+        <div className="merge-dialog-body">
+          <p className="merge-dialog-intro">
+            This task was saved by someone else while you were editing it. Their other changes have been
+            merged; choose which value to keep for each field you both changed.
+          </p>
+          {conflicts.map(conflict => (
+            <div key={conflict.field} className="merge-conflict">
+              <div className="merge-conflict-label">{conflict.label}</div>
+              <label className={`merge-option ${choices[conflict.field] === 'mine' ? 'selected' : ''}`}>
+                <input
+                  type="radio"
+                  name={`merge-${conflict.field}`}
+                  checked={choices[conflict.field] === 'mine'}
+                  onChange={() => setChoice(conflict.field, 'mine')}
+                />
+                <span className="merge-option-title">Your version</span>
+                <span className="merge-option-value">{formatValue(conflict.field, conflict.mine)}</span>
+              </label>
+              <label className={`merge-option ${choices[conflict.field] === 'theirs' ? 'selected' : ''}`}>
+                <input
+                  type="radio"
+                  name={`merge-${conflict.field}`}
+                  checked={choices[conflict.field] === 'theirs'}
+                  onChange={() => setChoice(conflict.field, 'theirs')}
+                />
+                <span className="merge-option-title">Saved version</span>
+                <span className="merge-option-value">{formatValue(conflict.field, conflict.theirs)}</span>
+              </label>
+            </div>
+          ))}
+          <div className="modal-footer">
+            <button type="button" className="btn btn-secondary" onClick={onCancel}>
+              Keep Editing
+            </button>
+            <button type="button" className="btn btn-primary" onClick={() => onResolve(choices)}>
+              Save Merged Task
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,36 @@
+import { useApp } from '../../context/AppContext';
+import './Presence.css';
+
+const MAX_SHOWN = 5;
+
+// Initials for a name ("Sam Lee" -> "SL")
+const getInitials = (name) => name
+  .split(/\s+/)
+  .filter(Boolean)
+  .slice(0, 2)
+  .map(part => part[0].toUpperCase())
+  .join('');
+
+// Shows who else is viewing the current board
+export default function Presence() {
+  const { presence, user } = useApp();
+
+  const others = presence.filter(p => (p.id && user?.id ? p.id !== user.id : p.email !== user?.email));
+  if (others.length === 0) return null;
+
+  const shown = others.slice(0, MAX_SHOWN);
+  const names = others.map(p => p.name).join(', ');
+
+  return (
+    <div className="presence" title={`Also viewing: ${names}`}>
+      {shown.map(p => (
+        <span key={p.id || p.email || p.name} className="presence-avatar">
+          {getInitials(p.name)}
+        </span>
+      ))}
+      {others.length > MAX_SHOWN && (
+        <span className="presence-avatar presence-more">+{others.length - MAX_SHOWN}</span>
+      )}
+    </div>
+  );
+}
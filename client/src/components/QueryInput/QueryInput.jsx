@@ -0,0 +1,115 @@
+import { useState, useRef, useEffect } from 'react';
+import { getQuerySuggestions } from '../../utils/taskQuery';
+import './QueryInput.css';
+
+export default function QueryInput({
+  value,
+  onChange,
+  error,
+  columns = [],
+  boardUsers = [],
+  labels = [],
+  placeholder = 'e.g. type:Bug priority>=High assignee:me updated:<7d'
+}) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [cursor, setCursor] = useState(0);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const wrapperRef = useRef(null);
+  const inputRef = useRef(null);
+
+  const suggestions = isOpen
+    ? getQuerySuggestions(value, cursor, { columns, boardUsers, labels })
+    : { items: [] };
+
+  // Close dropdown when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (wrapperRef.current && !wrapperRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const updateCursor = (e) => {
+    setCursor(e.target.selectionStart ?? e.target.value.length);
+    setActiveIndex(0);
+  };
+
+  const handleInputChange = (e) => {
+    onChange(e.target.value);
+    updateCursor(e);
+    setIsOpen(true);
+  };
+
+  const handleSelectSuggestion = (item) => {
+    const before = value.substring(0, suggestions.from) + item.insert;
+    const after = value.substring(suggestions.to);
+    // Field names end with ":" so the value can be typed straight away; values get a space after them
+    const separator = item.insert.endsWith(':') || after.startsWith(' ') ? '' : ' ';
+    const newValue = before + separator + after;
+    const newCursor = before.length + separator.length;
+
+    onChange(newValue);
+    setCursor(newCursor);
+    setActiveIndex(0);
+    requestAnimationFrame(() => {
+      inputRef.current?.focus();
+      inputRef.current?.setSelectionRange(newCursor, newCursor);
+    });
+  };
+
+  const handleKeyDown = (e) => {
+    const items = suggestions.items;
+    if (e.key === 'Escape') {
+      setIsOpen(false);
+    } else if (e.key === 'ArrowDown' && items.length > 0) {
+      e.preventDefault();
+      setActiveIndex(prev => (prev + 1) % items.length);
+    } else if (e.key === 'ArrowUp' && items.length > 0) {
+      e.preventDefault();
+      setActiveIndex(prev => (prev - 1 + items.length) % items.length);
+    } else if ((e.key === 'Enter' || e.key === 'Tab') && items.length > 0) {
+      e.preventDefault();
+      handleSelectSuggestion(items[Math.min(activeIndex, items.length - 1)]);
+    }
+  };
+
+  return (
+    <div className="query-input" ref={wrapperRef}>
+      <input
+        ref={inputRef}
+        type="text"
+        value={value}
+        onChange={handleInputChange}
+        onFocus={(e) => { updateCursor(e); setIsOpen(true); }}
+        onClick={updateCursor}
+        onKeyUp={(e) => ['ArrowLeft', 'ArrowRight', 'Home', 'End'].includes(e.key) && updateCursor(e)}
+        onKeyDown={handleKeyDown}
+        placeholder={placeholder}
+        className={`filter-search ${error ? 'query-input-invalid' : ''}`}
+        autoComplete="off"
+        spellCheck={false}
+      />
+      {suggestions.items.length > 0 && (
+        <div className="query-input-dropdown">
+          {suggestions.items.map((item, index) => (
+            <div
+              key={item.label}
+              className={`query-input-option ${index === activeIndex ? 'active' : ''}`}
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => handleSelectSuggestion(item)}
+            >
+              <span className="query-input-label">{item.label}</span>
+              {item.description && (
+                <span className="query-input-description">{item.description}</span>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+      {error && suggestions.items.length === 0 && <div className="query-input-error">{error}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,174 @@
+import { useState, useEffect } from 'react';
+import { useApp } from '../../context/AppContext';
+import { viewApi } from '../../services/api';
+import { EMPTY_FILTERS } from '../../utils/urlState';
+import './SavedViews.css';
+
+export default function SavedViews() {
+  const { currentBoard, filters, setFilters, viewMode, setViewMode, user } = useApp();
+  const [views, setViews] = useState([]);
+  const [selectedId, setSelectedId] = useState('');
+  const [showSaveForm, setShowSaveForm] = useState(false);
+  const [newViewName, setNewViewName] = useState('');
+  const [newViewShared, setNewViewShared] = useState(false);
+  const [linkCopied, setLinkCopied] = useState(false);
+
+  // Load the views for the current board
+  const boardId = currentBoard?._id;
+  useEffect(() => {
+    if (!boardId) return;
+    let cancelled = false;
+
+    viewApi.getAll(boardId)
+      .then(response => {
+        if (cancelled) return;
+        setViews(response.data.data);
+        setSelectedId('');
+      })
+      .catch(err => console.error('Error loading saved views:', err.message));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [boardId]);
+
+  const selectedView = views.find(v => v._id === selectedId);
+  const isOwner = (view) => Boolean(view && user?.id && view.ownerId === user.id);
+
+  const handleSelectView = (e) => {
+    const view = views.find(v => v._id === e.target.value);
+    setSelectedId(e.target.value);
+    if (!view) return;
+
+    setFilters({ ...EMPTY_FILTERS, ...view.filters });
+    if (view.viewMode) {
+      setViewMode(view.viewMode);
+    }
+  };
+
+  const handleSaveView = async () => {
+    if (!newViewName.trim()) return;
+
+    try {
+      const response = await viewApi.create(boardId, {
+        name: newViewName.trim(),
+        shared: newViewShared,
+        filters,
+        viewMode
+      });
+      const view = response.data.data;
+      setViews(prev => [...prev, view].sort((a, b) => a.name.localeCompare(b.name)));
+      setSelectedId(view._id);
+      setNewViewName('');
+      setNewViewShared(false);
+      setShowSaveForm(false);
+    } catch (err) {
+      alert('Error saving view: ' + (err.response?.data?.error || err.message));
+    }
+  };
+
+  const updateView = async (data) => {
+    try {
+      const response = await viewApi.update(boardId, selectedView._id, data);
+      const updatedView = response.data.data;
+      setViews(prev => prev.map(v => v._id === updatedView._id ? updatedView : v));
+    } catch (err) {
+      alert('Error updating view: ' + (err.response?.data?.error || err.message));
+    }
+  };
+
+  const handleDeleteView = async () => {
+    if (!window.confirm(`Delete the view "${selectedView.name}"?`)) return;
+
+    try {
+      await viewApi.delete(boardId, selectedView._id);
+      setViews(prev => prev.filter(v => v._id !== selectedView._id));
+      setSelectedId('');
+    } catch (err) {
+      alert('Error deleting view: ' + (err.response?.data?.error || err.message));
+    }
+  };
+
+  // The URL always reflects the current board, filters and view mode
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch {
+      window.prompt('Copy this link:', window.location.href);
+    }
+  };
+
+  if (!currentBoard) return null;
+
+  return (
+    <div className="filter-section saved-views">
+      <label>View:</label>
+      <select value={selectedId} onChange={handleSelectView} className="saved-views-select">
+        <option value="">Saved views...</option>
+        {views.map(view => (
+          <option key={view._id} value={view._id}>
+            {view.name}{!isOwner(view) ? ` (${view.ownerName || 'shared'})` : view.shared ? ' (shared)' : ''}
+          </option>
+        ))}
+      </select>
+
+      {isOwner(selectedView) && (
+        <>
+          <button
+            className="btn btn-secondary btn-small"
+            onClick={() => updateView({ filters, viewMode })}
+            title="Replace this view's filters with the current filters"
+          >
+            Update
+          </button>
+          <button
+            className="btn btn-secondary btn-small"
+            onClick={() => updateView({ shared: !selectedView.shared })}
+          >
+            {selectedView.shared ? 'Unshare' : 'Share'}
+          </button>
+          <button className="btn btn-danger btn-small" onClick={handleDeleteView}>
+            Delete
+          </button>
+        </>
+      )}
+
+      {showSaveForm ? (
+        <div className="saved-views-form">
+          <input
+            type="text"
+            placeholder="View name"
+            value={newViewName}
+            onChange={(e) => setNewViewName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleSaveView()}
+            autoFocus
+          />
+          <label className="saved-views-share">
+            <input
+              type="checkbox"
+              checked={newViewShared}
+              onChange={(e) => setNewViewShared(e.target.checked)}
+            />
+            Share with board
+          </label>
+          <button className="btn btn-primary btn-small" onClick={handleSaveView}>
+            Save
+          </button>
+          <button className="btn btn-secondary btn-small" onClick={() => setShowSaveForm(false)}>
+            Cancel
+          </button>
+        </div>
+      ) : (
+        <button className="btn btn-secondary btn-small" onClick={() => setShowSaveForm(true)}>
+          Save View
+        </button>
+      )}
+
+      <button className="btn btn-secondary btn-small" onClick={handleCopyLink}>
+        {linkCopied ? 'Link Copied' : 'Copy Link'}
+      </button>
+    </div>
+  );
+}
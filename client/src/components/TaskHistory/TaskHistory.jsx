@@ -0,0 +1,181 @@
+import { useState, useEffect } from 'react';
+import { useApp } from '../../context/AppContext';
+import { taskApi } from '../../services/api';
+import { getDependencyTypeLabel } from '../../utils/dependencies';
+import './TaskHistory.css';
+
+const FIELD_LABELS = {
+  name: 'name',
+  description: 'description',
+  assignedTo: 'assignee',
+  reportedBy: 'reporter',
+  priority: 'priority',
+  taskType: 'type',
+  dependencies: 'dependencies',
+  labels: 'labels',
+  state: 'state'
+};
+
+// Fields whose values are too long to show inline
+const LONG_TEXT_FIELDS = ['description'];
+
+export default function TaskHistory({ task }) {
+  const { tasks } = useApp();
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Reload history whenever the task changes
+  const taskId = task._id;
+  const taskUpdatedAt = task.updatedAt;
+  useEffect(() => {
+    let cancelled = false;
+
+    taskApi.getHistory(taskId)
+      .then(response => {
+        if (cancelled) return;
+        setHistory(response.data.data);
+        setError(null);
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.response?.data?.error || err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [taskId, taskUpdatedAt]);
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleString();
+  };
+
+  const getTaskName = (id) => {
+    const linkedTask = tasks.find(t => String(t._id) === String(id));
+    return linkedTask ? linkedTask.name : 'a deleted task';
+  };
+
+  const formatValue = (field, value) => {
+    if (value === null || value === undefined || value === '') return 'none';
+    if (field === 'dependencies') {
+      return value
+        .map(dep => `${getDependencyTypeLabel(dep.type).toLowerCase()} ${getTaskName(dep.taskId)}`)
+        .join(', ');
+    }
+    return String(value);
+  };
+
+  const formatFileNames = (files = []) => files.map(f => f.originalName).join(', ');
+
+  const renderChange = (change, index) => {
+    const label = FIELD_LABELS[change.field] || change.field;
+
+    if (LONG_TEXT_FIELDS.includes(change.field)) {
+      return (
+        <details key={index} className="history-change">
+          <summary>updated the {label}</summary>
+          <div className="history-diff">
+            <div className="history-diff-from">{formatValue(change.field, change.from)}</div>
+            <div className="history-diff-to">{formatValue(change.field, change.to)}</div>
+          </div>
+        </details>
+      );
+    }
+
+    return (
+      <div key={index} className="history-change">
+        changed the {label} from <span className="history-value">{formatValue(change.field, change.from)}</span>
+        {' '}to <span className="history-value">{formatValue(change.field, change.to)}</span>
+      </div>
+    );
+  };
+
+  const renderEvent = (event) => {
+    const details = event.details || {};
+    const target = details.commentId ? ' to a comment' : '';
+    const source = details.commentId ? ' from a comment' : '';
+
+    switch (event.type) {
+      case 'created':
+        return <div className="history-change">{details.imported ? 'imported' : 'created'} this task{details.columnName ? ` in ${details.columnName}` : ''}</div>;
+      case 'deleted':
+        return <div className="history-change">moved this task to the trash</div>;
+      case 'restored':
+        return <div className="history-change">restored this task from the trash{details.columnName ? ` to ${details.columnName}` : ''}</div>;
+      case 'updated':
+        return event.changes.map(renderChange);
+      case 'moved': {
+        const change = event.changes[0] || {};
+        return (
+          <div className="history-change">
+            moved this from <span className="history-value">{formatValue('state', change.from)}</span>
+            {' '}to <span className="history-value">{formatValue('state', change.to)}</span>
+          </div>
+        );
+      }
+      case 'file_added':
+        return <div className="history-change">attached {formatFileNames(details.files)}{target}</div>;
+      case 'file_removed':
+        return <div className="history-change">removed {formatFileNames(details.files)}{source}</div>;
+      case 'file_moved':
+        return <div className="history-change">moved {formatFileNames(details.files)} from a comment to the task</div>;
+      case 'comment_added':
+        return (
+          <div className="history-change">
+            commented <span className="history-quote">{details.text}</span>
+          </div>
+        );
+      case 'comment_edited': {
+        const change = event.changes[0] || {};
+        return (
+          <details className="history-change">
+            <summary>edited a comment by {details.author || 'Anonymous'}</summary>
+            <div className="history-diff">
+              <div className="history-diff-from">{change.from}</div>
+              <div className="history-diff-to">{change.to}</div>
+            </div>
+          </details>
+        );
+      }
+      case 'comment_deleted':
+        return (
+          <div className="history-change">
+            deleted a comment by {details.author || 'Anonymous'} <span className="history-quote">{details.text}</span>
+          </div>
+        );
+      default:
+        return <div className="history-change">{event.type}</div>;
+    }
+  };
+
+  if (loading) {
+    return <div className="task-history-empty">Loading history...</div>;
+  }
+
+  if (error) {
+    return <div className="task-history-empty">Error loading history: {error}</div>;
+  }
+
+  if (history.length === 0) {
+    return <div className="task-history-empty">No history yet</div>;
+  }
+
+  return (
+    <div className="task-history">
+      {history.map(event => (
+        <div key={event._id} className={`history-entry history-${event.type}`}>
+          <div className="history-entry-header">
+            <strong>{event.actor?.name || event.actor?.email || 'Unknown'}</strong>
+            <span className="history-date">{formatDate(event.createdAt)}</span>
+          </div>
+          <div className="history-entry-body">
+            {renderEvent(event)}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
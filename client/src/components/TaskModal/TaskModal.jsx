@@ -1,13 +1,22 @@
 import { useState, useEffect, useMemo } from 'react';
 import { useApp } from '../../context/AppContext';
 import FileUpload from '../FileUpload/FileUpload';
+import PastedFiles from '../FileUpload/PastedFiles';
+import MarkdownEditor from '../Markdown/MarkdownEditor';
 import UserSelect from '../UserSelect/UserSelect';
+import TaskHistory from '../TaskHistory/TaskHistory';
+import CommentItem from '../CommentItem/CommentItem';
+import DependencyEditor from '../DependencyEditor/DependencyEditor';
+import MergeDialog from '../MergeDialog/MergeDialog';
+import { taskToForm, formDiffers, mergeTaskEdits, resolveConflicts } from '../../utils/taskMerge';
+import { getPastedImages, uploadPastedImages } from '../../utils/screenshots';
 
 const PRIORITIES = ['Low', 'Medium', 'High', 'Critical'];
 const TYPES = ['Task', 'Bug', 'Suggestion'];
 
 // Cache key for localStorage
 const CACHE_ASSIGNED_TO = 'hicks_lastAssignedTo';
+const CACHE_ASSIGNEE_ID = 'hicks_lastAssigneeId';
 
 export default function TaskModal({ task: taskProp, onClose }) {
   const {
@@ -20,11 +29,14 @@ export default function TaskModal({ task: taskProp, onClose }) {
     moveTask,
     deleteTask,
     addComment,
+    editComment,
     deleteComment,
     attachFilesToTask,
+    linkFileToTask,
     removeFileFromTask,
     attachFilesToComment,
     removeFileFromComment,
+    moveCommentFileToTask,
     user
   } = useApp();
   const canDeleteTasks = user?.permissions?.canDeleteTasks || false;
@@ -37,62 +49,101 @@ export default function TaskModal({ task: taskProp, onClose }) {
     description: '',
     columnId: '',
     assignedTo: '',
+    assigneeId: null,
     reportedBy: '',
     priority: 'Medium',
     taskType: 'Task',
-    dependsOn: ''
+    dependencies: []
   });
 
-  // Get available tasks for dependency dropdown (exclude current task)
-  const availableDependencies = tasks.filter(t => t._id !== task?._id);
+  // The task as it was when loaded into the form (its version is sent with the save)
+  const [baseTask, setBaseTask] = useState(null);
+  // Pending merge after a save conflicted with someone else's changes
+  const [merge, setMerge] = useState(null);
 
   // Track if form has unsaved changes (only relevant for editing existing tasks)
   const isDirty = useMemo(() => {
     if (!task) return false; // New task - no dirty tracking needed
-    return (
-      formData.name !== (task.name || '') ||
-      formData.description !== (task.description || '') ||
-      formData.columnId !== (task.columnId || '') ||
-      formData.assignedTo !== (task.assignedTo || '') ||
-      formData.priority !== (task.priority || 'Medium') ||
-      formData.taskType !== (task.taskType || 'Task') ||
-      formData.dependsOn !== (task.dependsOn || '')
-    );
-  }, [formData, task]);
+    return formDiffers(formData, baseTask || task);
+  }, [formData, task, baseTask]);
 
   const [newComment, setNewComment] = useState('');
-  const [commentAuthor, setCommentAuthor] = useState('');
+  // Screenshots pasted into the new comment (or the description of a new task), attached when it is saved
+  const [pastedCommentFiles, setPastedCommentFiles] = useState([]);
+  const [pastedTaskFiles, setPastedTaskFiles] = useState([]);
+  const [pasteUpload, setPasteUpload] = useState({ target: null, uploading: false, error: null }); // target: 'description' | 'comment'
+  const [activeTab, setActiveTab] = useState('comments');
 
   useEffect(() => {
     if (task) {
-      // Editing existing task - use task values
-      setFormData({
-        name: task.name || '',
-        description: task.description || '',
-        columnId: task.columnId || '',
-        assignedTo: task.assignedTo || '',
-        reportedBy: task.reportedBy || '',
-        priority: task.priority || 'Medium',
-        taskType: task.taskType || 'Task',
-        dependsOn: task.dependsOn || ''
-      });
+      // Editing existing task - use task values, but keep unsaved edits when the task changes
+      // underneath them (saving then merges with the other changes)
+      if (task === baseTask || (baseTask?._id === task._id && isDirty)) return;
+      setBaseTask(task);
+      setFormData(taskToForm(task));
     } else if (columns.length > 0) {
-      // New task - use cached assignedTo, auto-fill reportedBy with logged-in user
+      // New task - use cached assignee, show the logged-in user as reporter (set by the server)
       const cachedAssignedTo = localStorage.getItem(CACHE_ASSIGNED_TO) || '';
+      const cachedAssigneeId = localStorage.getItem(CACHE_ASSIGNEE_ID) || null;
       setFormData(prev => ({
         ...prev,
         columnId: columns[0]._id,
         assignedTo: cachedAssignedTo,
+        assigneeId: cachedAssignedTo ? cachedAssigneeId : null,
         reportedBy: user?.name || user?.email || ''
       }));
     }
-  }, [task, columns, user]);
+  }, [task, baseTask, isDirty, columns, user]);
 
   const handleChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({ ...prev, [name]: value }));
   };
 
+  // Keep the user id when an assignee is picked from the list (typed names have no id)
+  const handleAssigneeChange = (e) => {
+    const assigneeId = e.user ? String(e.user.id) : null;
+    setFormData(prev => ({ ...prev, assignedTo: e.target.value, assigneeId }));
+  };
+
+  // Save the task fields, then move the task if its column changed. Returns the saved task.
+  const saveTaskEdits = async (data, version) => {
+    const updatedTask = await updateTask(task._id, data, version);
+    if (data.columnId !== updatedTask.columnId) {
+      return moveTask(task._id, data.columnId);
+    }
+    return updatedTask;
+  };
+
+  // Save edits based on a task version. If someone else saved in the meantime, their changes are merged in;
+  // fields both sides changed open the merge dialog (returns null in that case).
+  const saveWithMerge = async (data, base) => {
+    try {
+      return await saveTaskEdits(data, base.__v);
+    } catch (err) {
+      if (err.response?.status !== 409) throw err;
+      const savedTask = err.response.data.data;
+      const { merged, conflicts } = mergeTaskEdits(base, data, savedTask);
+      if (conflicts.length === 0) {
+        return saveWithMerge(merged, savedTask);
+      }
+      setMerge({ merged, conflicts, savedTask });
+      return null;
+    }
+  };
+
+  const handleResolveMerge = async (choices) => {
+    const { merged, conflicts, savedTask } = merge;
+    setMerge(null);
+    try {
+      if (await saveWithMerge(resolveConflicts(merged, conflicts, choices), savedTask)) {
+        onClose();
+      }
+    } catch (err) {
+      alert('Error saving task: ' + (err.response?.data?.error || err.message));
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
 
@@ -105,26 +156,30 @@ export default function TaskModal({ task: taskProp, onClose }) {
       // Cache assignedTo for next time
       if (formData.assignedTo) {
         localStorage.setItem(CACHE_ASSIGNED_TO, formData.assignedTo);
+        if (formData.assigneeId) {
+          localStorage.setItem(CACHE_ASSIGNEE_ID, formData.assigneeId);
+        } else {
+          localStorage.removeItem(CACHE_ASSIGNEE_ID);
+        }
       }
 
       if (task) {
-        // Update task fields
-        await updateTask(task._id, formData);
-        // If column changed, move the task (which also updates state)
-        if (formData.columnId !== task.columnId) {
-          await moveTask(task._id, formData.columnId);
-        }
+        // Update task fields and column (stays open if the merge dialog is shown)
+        if (!(await saveWithMerge(formData, baseTask || task))) return;
       } else {
-        await createTask(formData);
+        const newTask = await createTask(formData);
+        if (pastedTaskFiles.length > 0) {
+          await attachFilesToTask(newTask._id, pastedTaskFiles);
+        }
       }
       onClose();
     } catch (err) {
-      alert('Error saving task: ' + err.message);
+      alert('Error saving task: ' + (err.response?.data?.error || err.message));
     }
   };
 
   const handleDelete = async () => {
-    if (window.confirm('Are you sure you want to delete this task?')) {
+    if (window.confirm('Move this task to the trash?')) {
       try {
         await deleteTask(task._id);
         onClose();
@@ -138,9 +193,13 @@ export default function TaskModal({ task: taskProp, onClose }) {
     if (!newComment.trim()) return;
 
     try {
-      await addComment(task._id, newComment.trim(), commentAuthor.trim() || 'Anonymous');
+      const updatedTask = await addComment(task._id, newComment.trim());
       setNewComment('');
-      setCommentAuthor('');
+      if (pastedCommentFiles.length > 0) {
+        const comment = updatedTask.comments[updatedTask.comments.length - 1];
+        await attachFilesToComment(task._id, comment._id, pastedCommentFiles);
+        setPastedCommentFiles([]);
+      }
     } catch (err) {
       alert('Error adding comment: ' + err.message);
     }
@@ -171,6 +230,26 @@ export default function TaskModal({ task: taskProp, onClose }) {
     }
   };
 
+  // Upload images pasted into a text box (screenshots), then hand them to onUploaded
+  const handleImagePaste = async (e, target, onUploaded) => {
+    const images = getPastedImages(e);
+    if (images.length === 0 || !currentBoard) return;
+
+    e.preventDefault();
+    setPasteUpload({ target, uploading: true, error: null });
+    try {
+      await onUploaded(await uploadPastedImages(currentBoard._id, images));
+      setPasteUpload({ target: null, uploading: false, error: null });
+    } catch (err) {
+      setPasteUpload({ target, uploading: false, error: 'Screenshot upload failed: ' + (err.response?.data?.error || err.message) });
+    }
+  };
+
+  const addPastedCommentFiles = (files) => setPastedCommentFiles(prev => [...prev, ...files]);
+
+  // Upload state and error of pastes into one text box
+  const getPasteStatus = (target) => (pasteUpload.target === target ? pasteUpload : { uploading: false, error: null });
+
   // File upload handlers for comments
   const handleCommentFilesUploaded = async (commentId, uploadedFiles) => {
     if (task) {
@@ -188,7 +267,7 @@ export default function TaskModal({ task: taskProp, onClose }) {
     <div className="modal-overlay" onClick={onClose}>
       <div className="modal-content" onClick={(e) => e.stopPropagation()}>
         <div className="modal-header">
-          <h2>{task ? 'Edit Task' : 'New Task'}</h2>
+          <h2>{task ? `Edit Task${task.key ? ` ${task.key}` : ''}` : 'New Task'}</h2>
           <div className="modal-header-right">
             {task ? (
               isDirty && (
@@ -221,13 +300,21 @@ export default function TaskModal({ task: taskProp, onClose }) {
 
           <div className="form-group">
             <label htmlFor="description">Description</label>
-            <textarea
+            <MarkdownEditor
+              key={task?._id || 'new'}
+              initialMode={task?.description ? 'preview' : 'write'}
               id="description"
               name="description"
               value={formData.description}
               onChange={handleChange}
+              onPaste={(e) => handleImagePaste(e, 'description', task ? handleTaskFilesUploaded : (files) => setPastedTaskFiles(prev => [...prev, ...files]))}
               rows={4}
             />
+            <PastedFiles
+              files={pastedTaskFiles}
+              {...getPasteStatus('description')}
+              onRemove={(fileId) => setPastedTaskFiles(prev => prev.filter(f => f.fileId !== fileId))}
+            />
           </div>
 
           <div className="form-row">
@@ -281,7 +368,7 @@ export default function TaskModal({ task: taskProp, onClose }) {
                 id="assignedTo"
                 name="assignedTo"
                 value={formData.assignedTo}
-                onChange={handleChange}
+                onChange={handleAssigneeChange}
                 users={boardUsers}
                 placeholder="Select or type a name..."
               />
@@ -301,20 +388,13 @@ export default function TaskModal({ task: taskProp, onClose }) {
           </div>
 
           <div className="form-group">
-            <label htmlFor="dependsOn">Depends On</label>
-            <select
-              id="dependsOn"
-              name="dependsOn"
-              value={formData.dependsOn}
-              onChange={handleChange}
-            >
-              <option value="">None</option>
-              {availableDependencies.map(t => (
-                <option key={t._id} value={t._id}>
-                  [{t.taskType}] {t.name}
-                </option>
-              ))}
-            </select>
+            <label>Dependencies</label>
+            <DependencyEditor
+              taskId={task?._id}
+              dependencies={formData.dependencies}
+              tasks={tasks}
+              onChange={(dependencies) => setFormData(prev => ({ ...prev, dependencies }))}
+            />
           </div>
 
           {task && (
@@ -340,6 +420,7 @@ export default function TaskModal({ task: taskProp, onClose }) {
                   const removedFileIds = currentFileIds.filter(id => !newFileIds.includes(id));
                   removedFileIds.forEach(fileId => handleTaskFileRemove(fileId));
                 }}
+                onLinkFile={(file, taskKey) => linkFileToTask(taskKey, file)}
               />
             </div>
           )}
@@ -348,60 +429,67 @@ export default function TaskModal({ task: taskProp, onClose }) {
 
         {task && (
           <div className="comments-section">
-            <h3>Comments ({task.comments?.length || 0})</h3>
-
-            <div className="comments-list">
-              {task.comments?.map(comment => (
-                <div key={comment._id} className="comment">
-                  <div className="comment-header">
-                    <strong>{comment.author}</strong>
-                    <span className="comment-date">{formatDate(comment.createdAt)}</span>
-                    <button
-                      className="comment-delete"
-                      onClick={() => handleDeleteComment(comment._id)}
-                    >
-                      &times;
-                    </button>
-                  </div>
-                  <p>{comment.text}</p>
-                  {currentBoard && (
-                    <FileUpload
-                      boardId={currentBoard._id}
-                      files={comment.files || []}
-                      onUploadComplete={(uploadedFiles) => handleCommentFilesUploaded(comment._id, uploadedFiles)}
-                      onFilesChange={(newFiles) => {
-                        const currentFileIds = (comment.files || []).map(f => f.fileId);
-                        const newFileIds = newFiles.map(f => f.fileId);
-                        const removedFileIds = currentFileIds.filter(id => !newFileIds.includes(id));
-                        removedFileIds.forEach(fileId => handleCommentFileRemove(comment._id, fileId));
-                      }}
-                    />
-                  )}
-                </div>
-              ))}
-            </div>
-
-            <div className="add-comment">
-              <input
-                type="text"
-                placeholder="Your name (optional)"
-                value={commentAuthor}
-                onChange={(e) => setCommentAuthor(e.target.value)}
-              />
-              <textarea
-                placeholder="Add a comment..."
-                value={newComment}
-                onChange={(e) => setNewComment(e.target.value)}
-                rows={2}
-              />
+            <div className="task-tabs">
               <button
                 type="button"
-                className="btn btn-secondary"
-                onClick={handleAddComment}
+                className={`task-tab ${activeTab === 'comments' ? 'active' : ''}`}
+                onClick={() => setActiveTab('comments')}
               >
-                Add Comment
+                Comments ({task.comments?.length || 0})
+              </button>
+              <button
+                type="button"
+                className={`task-tab ${activeTab === 'history' ? 'active' : ''}`}
+                onClick={() => setActiveTab('history')}
+              >
+                History
               </button>
             </div>
+
+            {activeTab === 'history' ? (
+              <TaskHistory task={task} />
+            ) : (
+              <>
+                <div className="comments-list">
+                  {task.comments?.map(comment => (
+                    <CommentItem
+                      key={comment._id}
+                      comment={comment}
+                      boardId={currentBoard?._id}
+                      onSave={(text) => editComment(task._id, comment._id, text)}
+                      onDelete={() => handleDeleteComment(comment._id)}
+                      onFilesUploaded={(uploadedFiles) => handleCommentFilesUploaded(comment._id, uploadedFiles)}
+                      onFileRemove={(fileId) => handleCommentFileRemove(comment._id, fileId)}
+                      onFileLink={(file, taskKey) => linkFileToTask(taskKey, file)}
+                      onFileMove={(file) => moveCommentFileToTask(task._id, comment._id, file.fileId)}
+                    />
+                  ))}
+                </div>
+
+                <div className="add-comment">
+                  <MarkdownEditor
+                    placeholder="Add a comment... (@ to mention someone, paste screenshots to attach them)"
+                    mentionUsers={boardUsers}
+                    value={newComment}
+                    onChange={(e) => setNewComment(e.target.value)}
+                    onPaste={(e) => handleImagePaste(e, 'comment', addPastedCommentFiles)}
+                    rows={2}
+                  />
+                  <PastedFiles
+                    files={pastedCommentFiles}
+                    {...getPasteStatus('comment')}
+                    onRemove={(fileId) => setPastedCommentFiles(prev => prev.filter(f => f.fileId !== fileId))}
+                  />
+                  <button
+                    type="button"
+                    className="btn btn-secondary"
+                    onClick={handleAddComment}
+                  >
+                    Add Comment
+                  </button>
+                </div>
+              </>
+            )}
           </div>
         )}
 
@@ -412,6 +500,16 @@ export default function TaskModal({ task: taskProp, onClose }) {
             </button>
           </div>
         )}
+
+        {merge && (
+          <MergeDialog
+            conflicts={merge.conflicts}
+            columns={columns}
+            tasks={tasks}
+            onResolve={handleResolveMerge}
+            onCancel={() => setMerge(null)}
+          />
+        )}
       </div>
     </div>
   );
@@ -50,7 +50,7 @@ export default function UserSelect({
   const handleInputChange = (e) => {
     const newValue = e.target.value;
     setInputValue(newValue);
-    onChange({ target: { name, value: newValue } });
+    onChange({ target: { name, value: newValue }, user: null });
     setIsOpen(true);
   };
 
@@ -62,7 +62,7 @@ export default function UserSelect({
 
   const handleSelectUser = (user) => {
     setInputValue(user.name);
-    onChange({ target: { name, value: user.name } });
+    onChange({ target: { name, value: user.name }, user });
     setIsOpen(false);
     inputRef.current?.blur();
   };
@@ -1,44 +1,50 @@
-import { createContext, useContext, useState, useEffect, useCallback } from 'react';
-import { boardApi, columnApi, taskApi, fileApi } from '../services/api';
+import { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react';
+import { boardApi, columnApi, taskApi, fileApi, eventApi, CLIENT_ID } from '../services/api';
+import { buildDependencyGraph } from '../utils/dependencies';
+import { parseUrlState, buildUrlQuery, EMPTY_FILTERS } from '../utils/urlState';
+import { filtersToQuery } from '../utils/taskQuery';
 
 const AppContext = createContext();
 
-export function AppProvider({ children, user }) {
+// Realtime events that can change which tasks the filters match (this tab's own changes included)
+const QUERY_REFRESH_EVENTS = new Set([
+  'task:created', 'task:updated', 'task:moved', 'task:deleted',
+  'comment:added', 'comment:edited', 'comment:deleted',
+  'file:attached', 'file:removed', 'file:moved',
+  'column:deleted', 'board:repaired', 'board:imported'
+]);
+
+export function AppProvider({ children, user, viewMode, setViewMode }) {
   const [boards, setBoards] = useState([]);
   const [currentBoard, setCurrentBoard] = useState(null);
   const [columns, setColumns] = useState([]);
   const [tasks, setTasks] = useState([]);
   const [boardUsers, setBoardUsers] = useState([]);
+  const [presence, setPresence] = useState([]); // Users viewing the current board
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
-  // Filters
-  const [filters, setFilters] = useState({
-    state: [],
-    taskType: [],
-    assignedTo: '',
-    search: ''
-  });
+  // Filters (initially taken from the URL so shared links reproduce the same view)
+  const [filters, setFilters] = useState(() => ({ ...EMPTY_FILTERS, ...parseUrlState().filters }));
+
+  // Ids of the tasks matching the filters (evaluated on the server) and the last query error
+  const [queryMatches, setQueryMatches] = useState(null);
+  const [queryError, setQueryError] = useState(null);
+  const [queryRevision, setQueryRevision] = useState(0); // Bumped to re-run the query after task changes
+  const [selection, setSelection] = useState([]); // Task ids picked for bulk operations
 
-  // Fetch all boards (filtered by user permissions)
+  // Fetch all boards (the server only returns boards the user can access)
   const fetchBoards = useCallback(async () => {
     try {
       const response = await boardApi.getAll();
-      let boardList = response.data.data;
-
-      // Filter boards based on user permissions (admins see all)
-      if (!user.isAdmin) {
-        const allowedBoards = user.permissions?.allowedBoards || [];
-        boardList = boardList.filter(b => allowedBoards.includes(b._id));
-      }
-
+      const boardList = response.data.data;
       setBoards(boardList);
       return boardList;
     } catch (err) {
       setError(err.message);
       return [];
     }
-  }, [user]);
+  }, []);
 
   // Fetch single board with columns and tasks
   const fetchBoard = useCallback(async (boardId) => {
@@ -80,7 +86,9 @@ export function AppProvider({ children, user }) {
     const init = async () => {
       const boardList = await fetchBoards();
       if (boardList.length > 0) {
-        setCurrentBoard(boardList[0]);
+        // Open the board from the URL if the user can see it
+        const { boardId } = parseUrlState();
+        setCurrentBoard(boardList.find(b => b._id === boardId) || boardList[0]);
       }
       setLoading(false);
     };
@@ -97,10 +105,145 @@ export function AppProvider({ children, user }) {
     }
   }, [currentBoardId, fetchBoard, fetchBoardUsers]);
 
+  // Apply changes made by other people on the current board as they happen
+  useEffect(() => {
+    if (!currentBoardId) return;
+
+    const source = eventApi.subscribe(currentBoardId);
+    let disconnected = false;
+
+    // Replace the taskIds of changed columns with the server's copy
+    const applyColumns = (changedColumns = []) => {
+      if (changedColumns.length === 0) return;
+      setColumns(prev => prev.map(col => {
+        const changed = changedColumns.find(c => c._id === col._id);
+        return changed ? { ...col, taskIds: changed.taskIds } : col;
+      }));
+    };
+
+    const orderColumns = (columnOrder) => {
+      setColumns(prev => columnOrder.map(id => prev.find(c => c._id === id)).filter(Boolean));
+    };
+
+    const handlers = {
+      'task:created': ({ task, columns: changedColumns }) => {
+        setTasks(prev => (prev.some(t => t._id === task._id) ? prev : [task, ...prev]));
+        applyColumns(changedColumns);
+      },
+      'task:updated': ({ task }) => {
+        setTasks(prev => prev.map(t => t._id === task._id ? task : t));
+      },
+      'task:moved': ({ task, columns: changedColumns }) => {
+        setTasks(prev => prev.map(t => t._id === task._id ? task : t));
+        applyColumns(changedColumns);
+      },
+      'task:deleted': ({ taskId, columns: changedColumns }) => {
+        setTasks(prev => prev.filter(t => t._id !== taskId));
+        applyColumns(changedColumns);
+      },
+      'column:created': ({ column, columnOrder }) => {
+        setColumns(prev => (prev.some(c => c._id === column._id) ? prev : [...prev, column]));
+        orderColumns(columnOrder);
+      },
+      'column:updated': ({ column }) => {
+        setColumns(prev => prev.map(c => c._id === column._id ? column : c));
+      },
+      'column:deleted': ({ columnId, columns: changedColumns, movedTaskIds }) => {
+        setColumns(prev => prev.filter(c => c._id !== columnId));
+        applyColumns(changedColumns);
+        // Tasks of the deleted column were moved to Backlog
+        const backlog = changedColumns[0];
+        if (backlog && movedTaskIds.length > 0) {
+          setTasks(prev => prev.map(t => movedTaskIds.includes(t._id)
+            ? { ...t, columnId: backlog._id, state: backlog.name }
+            : t));
+        }
+      },
+      'column:reordered': ({ columnOrder }) => orderColumns(columnOrder),
+      'board:repaired': () => fetchBoard(currentBoardId),
+      'board:imported': () => fetchBoard(currentBoardId)
+    };
+    // Comment and file changes carry the whole task
+    ['comment:added', 'comment:edited', 'comment:deleted', 'file:attached', 'file:removed', 'file:moved']
+      .forEach(type => { handlers[type] = handlers['task:updated']; });
+
+    source.onmessage = (event) => {
+      const message = JSON.parse(event.data);
+      if (message.type === 'presence') {
+        setPresence(message.data.users);
+        return;
+      }
+      if (QUERY_REFRESH_EVENTS.has(message.type)) {
+        setQueryRevision(revision => revision + 1);
+      }
+      // Changes made in this tab have already been applied
+      if (message.originId === CLIENT_ID) return;
+      handlers[message.type]?.(message.data);
+    };
+
+    // EventSource reconnects by itself; reload the board afterwards in case events were missed
+    source.onerror = () => {
+      disconnected = true;
+    };
+    source.onopen = () => {
+      if (disconnected) {
+        disconnected = false;
+        fetchBoard(currentBoardId);
+        setQueryRevision(revision => revision + 1);
+      }
+    };
+
+    return () => {
+      source.close();
+      setPresence([]);
+    };
+  }, [currentBoardId, fetchBoard]);
+
+  // Keep the URL in sync with the board, filters and view mode
+  useEffect(() => {
+    if (!currentBoardId) return;
+    const query = buildUrlQuery({ boardId: currentBoardId, filters, viewMode });
+    if (query !== window.location.search) {
+      window.history.replaceState(null, '', `${window.location.pathname}${query}${window.location.hash}`);
+    }
+  }, [currentBoardId, filters, viewMode]);
+
+  // Evaluate the filters on the server (debounced while typing, re-run on realtime task changes).
+  // On a query error the previous matches are kept and the error is shown.
+  const filterQuery = filtersToQuery(filters);
+  useEffect(() => {
+    if (!currentBoardId) return;
+    let cancelled = false;
+
+    const timer = setTimeout(() => {
+      if (!filterQuery) {
+        setQueryMatches(null);
+        setQueryError(null);
+        return;
+      }
+
+      taskApi.getAll(currentBoardId, { q: filterQuery })
+        .then(response => {
+          if (cancelled) return;
+          setQueryMatches(new Set(response.data.data.map(task => task._id)));
+          setQueryError(null);
+        })
+        .catch(err => {
+          if (cancelled) return;
+          setQueryError(err.response?.data?.error || err.message);
+        });
+    }, filterQuery ? 300 : 0);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [currentBoardId, filterQuery, queryRevision]);
+
   // Board operations
-  const createBoard = async (name, description) => {
+  const createBoard = async (name, description, key) => {
     try {
-      const response = await boardApi.create({ name, description });
+      const response = await boardApi.create({ name, description, key });
       const newBoard = response.data.data.board;
       setBoards(prev => [newBoard, ...prev]);
       setCurrentBoard(newBoard);
@@ -118,6 +261,10 @@ export function AppProvider({ children, user }) {
       setBoards(prev => prev.map(b => b._id === id ? updatedBoard : b));
       if (currentBoard?._id === id) {
         setCurrentBoard(updatedBoard);
+        // Task keys follow the board key
+        if (updatedBoard.key !== currentBoard.key) {
+          setTasks(prev => prev.map(t => t.number ? { ...t, key: `${updatedBoard.key}-${t.number}` } : t));
+        }
       }
       return updatedBoard;
     } catch (err) {
@@ -140,6 +287,84 @@ export function AppProvider({ children, user }) {
     }
   };
 
+  // Check the board's columns and tasks for inconsistencies and fix them (returns { fixes })
+  const repairBoard = async (id) => {
+    try {
+      const response = await boardApi.repair(id);
+      const result = response.data.data;
+      if (result.fixes.length > 0 && currentBoard?._id === id) {
+        await fetchBoard(id);
+      }
+      return result;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  };
+
+  // Import tasks from a CSV or JSON file ({ format, content, mapping, dedupe, dryRun }); returns the row report
+  const importTasks = async (id, data) => {
+    try {
+      const response = await boardApi.importTasks(id, data);
+      const result = response.data.data;
+      if (result.tasks.length > 0 && currentBoard?._id === id) {
+        await fetchBoard(id);
+      }
+      return result;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  };
+
+  // Bring a deleted board back from the trash and list it again
+  const restoreBoard = async (id) => {
+    try {
+      const response = await boardApi.restore(id);
+      const board = response.data.data;
+      await fetchBoards();
+      if (!currentBoard) setCurrentBoard(board);
+      return board;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  };
+
+  // Bring a deleted task back from the trash into its column (or Backlog)
+  const restoreTask = async (boardId, taskId) => {
+    try {
+      const response = await boardApi.restoreTask(boardId, taskId);
+      const { task, column } = response.data.data;
+      if (currentBoard?._id === boardId) {
+        setTasks(prev => (prev.some(t => t._id === task._id) ? prev : [task, ...prev]));
+        setColumns(prev => prev.map(c => c._id === column._id ? { ...c, taskIds: column.taskIds } : c));
+      }
+      return task;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  };
+
+  // Bring a deleted column back from the trash (it is added at the end of the board)
+  const restoreColumn = async (boardId, columnId) => {
+    try {
+      const response = await boardApi.restoreColumn(boardId, columnId);
+      const { column, columnOrder } = response.data.data;
+      if (currentBoard?._id === boardId) {
+        setColumns(prev => {
+          const all = prev.some(c => c._id === column._id) ? prev : [...prev, column];
+          return columnOrder.map(id => all.find(c => c._id === id)).filter(Boolean);
+        });
+      }
+      return column;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  };
+
   // Column operations
   const createColumn = async (name) => {
     if (!currentBoard) return;
@@ -156,11 +381,18 @@ export function AppProvider({ children, user }) {
 
   const updateColumn = async (id, data) => {
     try {
-      const response = await columnApi.update(id, data);
+      // Replacing the task order only applies to the column version it was based on
+      const version = data.taskIds !== undefined ? columns.find(c => c._id === id)?.__v : undefined;
+      const response = await columnApi.update(id, data, version);
       const updatedColumn = response.data.data;
       setColumns(prev => prev.map(c => c._id === id ? updatedColumn : c));
       return updatedColumn;
     } catch (err) {
+      // On a conflict show the column as it is now saved
+      if (err.response?.status === 409) {
+        const currentColumn = err.response.data.data;
+        setColumns(prev => prev.map(c => c._id === id ? currentColumn : c));
+      }
       setError(err.message);
       throw err;
     }
@@ -222,14 +454,18 @@ export function AppProvider({ children, user }) {
     }
   };
 
-  const updateTask = async (id, data) => {
+  // Pass the task version the edits are based on to get a 409 (with the saved task) if it changed since
+  const updateTask = async (id, data, version) => {
     try {
-      const response = await taskApi.update(id, data);
+      const response = await taskApi.update(id, data, version);
       const updatedTask = response.data.data;
       setTasks(prev => prev.map(t => t._id === id ? updatedTask : t));
       return updatedTask;
     } catch (err) {
-      setError(err.message);
+      // Conflicts are resolved by the caller's merge dialog, so they aren't errors here
+      if (err.response?.status !== 409) {
+        setError(err.message);
+      }
       throw err;
     }
   };
@@ -317,9 +553,50 @@ export function AppProvider({ children, user }) {
     }
   };
 
-  const addComment = async (taskId, text, author) => {
+  // Apply one operation to several tasks ({ operation, columnId, assignedTo, assigneeId, priority, taskType, label }).
+  // The server changes all of them or none; returns the per-task results.
+  const bulkUpdateTasks = async (taskIds, operation, params = {}) => {
+    try {
+      const response = await taskApi.bulk(currentBoard._id, { taskIds, operation, ...params });
+      const { results, columns: changedColumns } = response.data.data;
+
+      if (operation === 'delete') {
+        const deletedIds = results.map(r => r.taskId);
+        setTasks(prev => prev.filter(t => !deletedIds.includes(t._id)));
+      } else {
+        const updated = new Map(results.filter(r => r.data).map(r => [r.taskId, r.data]));
+        setTasks(prev => prev.map(t => updated.get(t._id) || t));
+      }
+      if (changedColumns.length > 0) {
+        setColumns(prev => prev.map(col => {
+          const changed = changedColumns.find(c => c._id === col._id);
+          return changed ? { ...col, taskIds: changed.taskIds } : col;
+        }));
+      }
+      setSelection(prev => prev.filter(id => !results.some(r => r.status === 'deleted' && r.taskId === id)));
+
+      return results;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  };
+
+  const addComment = async (taskId, text) => {
+    try {
+      const response = await taskApi.addComment(taskId, { text });
+      const updatedTask = response.data.data;
+      setTasks(prev => prev.map(t => t._id === taskId ? updatedTask : t));
+      return updatedTask;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  };
+
+  const editComment = async (taskId, commentId, text) => {
     try {
-      const response = await taskApi.addComment(taskId, { text, author });
+      const response = await taskApi.editComment(taskId, commentId, { text });
       const updatedTask = response.data.data;
       setTasks(prev => prev.map(t => t._id === taskId ? updatedTask : t));
       return updatedTask;
@@ -354,6 +631,19 @@ export function AppProvider({ children, user }) {
     }
   };
 
+  // Attach a file that is already on the board to another task (by id or key)
+  const linkFileToTask = async (taskIdOrKey, file) => {
+    try {
+      const response = await fileApi.attachToTask(taskIdOrKey, [{ fileId: file.fileId }]);
+      const updatedTask = response.data.data;
+      setTasks(prev => prev.map(t => t._id === updatedTask._id ? updatedTask : t));
+      return updatedTask;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  };
+
   const removeFileFromTask = async (taskId, fileId) => {
     try {
       const response = await fileApi.removeFromTask(taskId, fileId);
@@ -390,21 +680,39 @@ export function AppProvider({ children, user }) {
     }
   };
 
-  // Sort tasks by dependency (parent tasks come before their dependents)
-  const sortTasksByDependency = useCallback((tasksToSort) => {
-    // Build a map of task ID to task for quick lookup
-    const taskMap = new Map(tasksToSort.map(t => [t._id, t]));
-
-    // Calculate depth for each task (how many levels of dependencies above it)
-    const getDepth = (task, visited = new Set()) => {
-      if (!task.dependsOn) return 0;
-      if (visited.has(task._id)) return 0; // Prevent circular dependencies
-      visited.add(task._id);
+  const moveCommentFileToTask = async (taskId, commentId, fileId) => {
+    try {
+      const response = await fileApi.moveCommentFileToTask(taskId, commentId, fileId);
+      const updatedTask = response.data.data;
+      setTasks(prev => prev.map(t => t._id === taskId ? updatedTask : t));
+      return updatedTask;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  };
 
-      const parent = taskMap.get(task.dependsOn);
-      if (!parent) return 0;
+  // Sort tasks by dependency (blocking tasks come before the tasks they block)
+  const sortTasksByDependency = useCallback((tasksToSort) => {
+    const graph = buildDependencyGraph(tasksToSort);
+    const depthCache = new Map();
+
+    // Calculate depth for each task (length of the longest chain of blockers above it)
+    const getDepth = (task, visiting = new Set()) => {
+      const taskId = String(task._id);
+      if (depthCache.has(taskId)) return depthCache.get(taskId);
+      if (visiting.has(taskId)) return 0; // Guard against circular links in old data
+      visiting.add(taskId);
+
+      const blockerDepths = graph.getBlockers(taskId).map(blockerId => {
+        const blocker = tasksToSort.find(t => String(t._id) === blockerId);
+        return blocker ? 1 + getDepth(blocker, visiting) : 0;
+      });
 
-      return 1 + getDepth(parent, visited);
+      visiting.delete(taskId);
+      const depth = Math.max(0, ...blockerDepths);
+      depthCache.set(taskId, depth);
+      return depth;
     };
 
     // Create array with depths
@@ -419,40 +727,21 @@ export function AppProvider({ children, user }) {
     return tasksWithDepth.map(item => item.task);
   }, []);
 
-  // Filter tasks
+  // Filter tasks by the server's matches (all tasks are shown until the first result arrives)
   const getFilteredTasks = useCallback(() => {
-    const filtered = tasks.filter(task => {
-      // State filter
-      if (filters.state.length > 0 && !filters.state.includes(task.state)) {
-        return false;
-      }
-
-      // Task type filter
-      if (filters.taskType.length > 0 && !filters.taskType.includes(task.taskType || 'Task')) {
-        return false;
-      }
-
-      // Assigned to filter
-      if (filters.assignedTo && !task.assignedTo?.toLowerCase().includes(filters.assignedTo.toLowerCase())) {
-        return false;
-      }
-
-      // Search filter
-      if (filters.search) {
-        const searchLower = filters.search.toLowerCase();
-        const nameMatch = task.name?.toLowerCase().includes(searchLower);
-        const descMatch = task.description?.toLowerCase().includes(searchLower);
-        if (!nameMatch && !descMatch) {
-          return false;
-        }
-      }
-
-      return true;
-    });
+    const filtered = filterQuery && queryMatches
+      ? tasks.filter(task => queryMatches.has(task._id))
+      : tasks;
 
     // Sort by dependency order
     return sortTasksByDependency(filtered);
-  }, [tasks, filters, sortTasksByDependency]);
+  }, [tasks, filterQuery, queryMatches, sortTasksByDependency]);
+
+  // Selected tasks that are still on the current board (the selection outlives board switches and deletes)
+  const selectedTaskIds = useMemo(
+    () => selection.filter(id => tasks.some(t => t._id === id)),
+    [selection, tasks]
+  );
 
   const value = {
     // State
@@ -464,11 +753,17 @@ export function AppProvider({ children, user }) {
     loading,
     error,
     filters,
+    queryError,
+    presence,
+    selectedTaskIds,
+    viewMode,
     user,
 
     // Setters
     setCurrentBoard,
     setFilters,
+    setSelectedTaskIds: setSelection,
+    setViewMode,
     setError,
 
     // Board operations
@@ -477,6 +772,11 @@ export function AppProvider({ children, user }) {
     createBoard,
     updateBoard,
     deleteBoard,
+    repairBoard,
+    importTasks,
+    restoreBoard,
+    restoreTask,
+    restoreColumn,
 
     // Column operations
     createColumn,
@@ -489,15 +789,19 @@ export function AppProvider({ children, user }) {
     updateTask,
     moveTask,
     deleteTask,
+    bulkUpdateTasks,
     addComment,
+    editComment,
     deleteComment,
     getFilteredTasks,
 
     // File operations
     attachFilesToTask,
+    linkFileToTask,
     removeFileFromTask,
     attachFilesToComment,
-    removeFileFromComment
+    removeFileFromComment,
+    moveCommentFileToTask
   };
 
   return (
@@ -2,14 +2,21 @@ import axios from 'axios';
 
 const API_BASE_URL = import.meta.env.VITE_API_URL || '/api';
 
+// Identifies this tab, so board events caused by its own requests can be skipped
+export const CLIENT_ID = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
 const api = axios.create({
   baseURL: API_BASE_URL,
   headers: {
-    'Content-Type': 'application/json'
+    'Content-Type': 'application/json',
+    'X-Client-Id': CLIENT_ID
   },
   withCredentials: true
 });
 
+// Request config for a conditional update (only applies if the document is still at this version)
+const ifMatch = (version) => (version !== undefined ? { headers: { 'If-Match': `"${version}"` } } : undefined);
+
 // Board API
 export const boardApi = {
   getAll: () => api.get('/boards'),
@@ -17,14 +24,22 @@ export const boardApi = {
   create: (data) => api.post('/boards', data),
   update: (id, data) => api.put(`/boards/${id}`, data),
   delete: (id) => api.delete(`/boards/${id}`),
-  getUsers: (id) => api.get(`/boards/${id}/users`)
+  getUsers: (id) => api.get(`/boards/${id}/users`),
+  repair: (id, dryRun = false) => api.post(`/boards/${id}/repair${dryRun ? '?dryRun=true' : ''}`),
+  getExportUrl: (id, format) => `${API_BASE_URL}/boards/${id}/export?format=${format}`,
+  importTasks: (id, data) => api.post(`/boards/${id}/import`, data),
+  getDeleted: () => api.get('/boards/trash'),
+  restore: (id) => api.post(`/boards/${id}/restore`),
+  getTrash: (id) => api.get(`/boards/${id}/trash`),
+  restoreTask: (id, taskId) => api.post(`/boards/${id}/trash/tasks/${taskId}/restore`),
+  restoreColumn: (id, columnId) => api.post(`/boards/${id}/trash/columns/${columnId}/restore`)
 };
 
 // Column API
 export const columnApi = {
   getAll: (boardId) => api.get(`/boards/${boardId}/columns`),
   create: (boardId, data) => api.post(`/boards/${boardId}/columns`, data),
-  update: (id, data) => api.put(`/columns/${id}`, data),
+  update: (id, data, version) => api.put(`/columns/${id}`, data, ifMatch(version)),
   delete: (id) => api.delete(`/columns/${id}`),
   reorder: (boardId, columnOrder) => api.put(`/boards/${boardId}/columns/reorder`, { columnOrder })
 };
@@ -36,16 +51,20 @@ export const taskApi = {
     if (filters.state) params.append('state', filters.state);
     if (filters.assignedTo) params.append('assignedTo', filters.assignedTo);
     if (filters.search) params.append('search', filters.search);
+    if (filters.q) params.append('q', filters.q);
     const queryString = params.toString();
     return api.get(`/boards/${boardId}/tasks${queryString ? `?${queryString}` : ''}`);
   },
   getOne: (id) => api.get(`/tasks/${id}`),
   create: (data) => api.post('/tasks', data),
-  update: (id, data) => api.put(`/tasks/${id}`, data),
+  update: (id, data, version) => api.put(`/tasks/${id}`, data, ifMatch(version)),
   move: (id, columnId, position) => api.put(`/tasks/${id}/move`, { columnId, position }),
   delete: (id) => api.delete(`/tasks/${id}`),
+  bulk: (boardId, data) => api.post(`/boards/${boardId}/tasks/bulk`, data),
   addComment: (id, data) => api.post(`/tasks/${id}/comments`, data),
-  deleteComment: (id, commentId) => api.delete(`/tasks/${id}/comments/${commentId}`)
+  editComment: (id, commentId, data) => api.put(`/tasks/${id}/comments/${commentId}`, data),
+  deleteComment: (id, commentId) => api.delete(`/tasks/${id}/comments/${commentId}`),
+  getHistory: (id) => api.get(`/tasks/${id}/history`)
 };
 
 // User API (admin only)
@@ -73,16 +92,57 @@ export const emailConfigApi = {
   test: (testRecipient) => api.post('/email-config/test', { testRecipient })
 };
 
+// Admin API (admin only)
+export const adminApi = {
+  getBoardBackupUrl: (boardId) => `${API_BASE_URL}/admin/boards/${boardId}/backup`,
+  restoreBoard: (file, { name, key } = {}) => {
+    const params = new URLSearchParams();
+    if (name) params.append('name', name);
+    if (key) params.append('key', key);
+    const queryString = params.toString();
+    return api.post(`/admin/boards/restore${queryString ? `?${queryString}` : ''}`, file, {
+      headers: { 'Content-Type': 'application/gzip' }
+    });
+  },
+  collectFiles: (dryRun = false) => api.post(`/admin/files/gc${dryRun ? '?dryRun=true' : ''}`),
+  updateAttachmentQuotas: (quotas) => api.put('/admin/attachment-quotas', quotas),
+  getStorageUsage: () => api.get('/admin/storage-usage')
+};
+
+// Saved Views API
+export const viewApi = {
+  getAll: (boardId) => api.get(`/boards/${boardId}/views`),
+  create: (boardId, data) => api.post(`/boards/${boardId}/views`, data),
+  update: (boardId, id, data) => api.put(`/boards/${boardId}/views/${id}`, data),
+  delete: (boardId, id) => api.delete(`/boards/${boardId}/views/${id}`)
+};
+
+// Board events (Server-Sent Events with task/column/comment/file changes and presence)
+export const eventApi = {
+  subscribe: (boardId) => new EventSource(`${API_BASE_URL}/boards/${boardId}/events`, { withCredentials: true })
+};
+
 // File API
 export const fileApi = {
   // Upload files to a board (returns file metadata)
-  upload: (boardId, files) => {
+  upload: (boardId, files, onUploadProgress) => {
     const formData = new FormData();
     files.forEach(file => formData.append('files', file));
     return api.post(`/boards/${boardId}/upload`, formData, {
-      headers: { 'Content-Type': 'multipart/form-data' }
+      headers: { 'Content-Type': 'multipart/form-data' },
+      onUploadProgress
     });
   },
+  // Chunked uploads for large files (see utils/chunkedUpload)
+  createUpload: (boardId, file) =>
+    api.post(`/boards/${boardId}/uploads`, { name: file.name, size: file.size }),
+  getUpload: (boardId, uploadId) => api.get(`/boards/${boardId}/uploads/${uploadId}`),
+  uploadChunk: (boardId, uploadId, offset, chunk, onUploadProgress) =>
+    api.patch(`/boards/${boardId}/uploads/${uploadId}`, chunk, {
+      headers: { 'Content-Type': 'application/offset+octet-stream', 'Upload-Offset': offset },
+      onUploadProgress
+    }),
+  finalizeUpload: (boardId, uploadId) => api.post(`/boards/${boardId}/uploads/${uploadId}/finalize`),
   // Attach uploaded files to a task
   attachToTask: (taskId, files) => api.post(`/tasks/${taskId}/files`, { files }),
   // Remove a file from a task
@@ -93,8 +153,17 @@ export const fileApi = {
   // Remove a file from a comment
   removeFromComment: (taskId, commentId, fileId) =>
     api.delete(`/tasks/${taskId}/comments/${commentId}/files/${fileId}`),
+  // Move a file from a comment to its task
+  moveCommentFileToTask: (taskId, commentId, fileId) =>
+    api.post(`/tasks/${taskId}/comments/${commentId}/files/${fileId}/move`),
+  // Get the attachment quotas (files per task, size limits by type)
+  getQuotas: () => api.get('/files/quotas'),
+  // Download a file's content (e.g. to edit an image)
+  download: (boardId, fileId) => api.get(`/boards/${boardId}/files/${fileId}`, { responseType: 'blob' }),
   // Get file URL
-  getUrl: (boardId, fileId) => `${API_BASE_URL}/boards/${boardId}/files/${fileId}`
+  getUrl: (boardId, fileId) => `${API_BASE_URL}/boards/${boardId}/files/${fileId}`,
+  // Get the URL of a file's thumbnail (images and video poster frames)
+  getThumbnailUrl: (boardId, fileId) => `${API_BASE_URL}/boards/${boardId}/files/${fileId}/thumbnail`
 };
 
 export default api;
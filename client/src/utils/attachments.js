@@ -0,0 +1,64 @@
+import { fileApi } from '../services/api';
+
+// Attachments the server makes thumbnails for: images, and poster frames of videos
+const THUMBNAIL_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.webp', '.avif', '.tif', '.tiff', '.mp4', '.avi', '.mkv'];
+
+export const hasThumbnail = (file) => {
+  const fileName = (file.originalName || '').toLowerCase();
+  return THUMBNAIL_EXTENSIONS.some(ext => fileName.endsWith(ext));
+};
+
+// The attachment previewed on a task's card and list row: its first image or video
+// (quarantined uploads have no thumbnail any more)
+export const getPreviewFile = (task) =>
+  (task.files || []).find(file => file.scanStatus !== 'infected' && hasThumbnail(file)) || null;
+
+// The attachment quotas set by an admin, fetched once (resetAttachmentQuotas after changing them)
+let quotasRequest = null;
+
+export const loadAttachmentQuotas = () => {
+  if (!quotasRequest) {
+    quotasRequest = fileApi.getQuotas()
+      .then(response => response.data.data)
+      .catch(err => {
+        quotasRequest = null;
+        throw err;
+      });
+  }
+  return quotasRequest;
+};
+
+export const resetAttachmentQuotas = () => {
+  quotasRequest = null;
+};
+
+// "250MB", "1.5GB"
+export const formatLimit = (bytes) => {
+  if (bytes >= 1024 * 1024 * 1024) return `${Number((bytes / (1024 * 1024 * 1024)).toFixed(1))}GB`;
+  if (bytes >= 1024 * 1024) return `${Number((bytes / (1024 * 1024)).toFixed(1))}MB`;
+  return `${Number((bytes / 1024).toFixed(1))}KB`;
+};
+
+// "image/*" matches every image type, "*/*" everything
+const matchesTypePattern = (type, pattern) => {
+  const [family, subtype] = pattern.split('/');
+  const [typeFamily, typeSubtype] = type.toLowerCase().split('/');
+  return (family === '*' || family === typeFamily) && (subtype === '*' || subtype === typeSubtype);
+};
+
+// The size limit for a file, by the type the browser reports (the server checks the real type),
+// or null if it has none
+export const getSizeLimit = (quotas, file) => {
+  const type = file.type || 'application/octet-stream';
+  return quotas.sizeLimits.find(limit => matchesTypePattern(type, limit.pattern))?.maxBytes ?? null;
+};
+
+// "Max 100MB (250MB for video/*)"
+export const describeSizeLimits = (quotas) => {
+  const general = quotas.sizeLimits.find(limit => limit.pattern === '*/*');
+  const specific = quotas.sizeLimits
+    .slice(0, general ? quotas.sizeLimits.indexOf(general) : undefined)
+    .map(limit => `${formatLimit(limit.maxBytes)} for ${limit.pattern}`);
+  const max = general ? `Max ${formatLimit(general.maxBytes)}` : 'No size limit';
+  return specific.length > 0 ? `${max} (${specific.join(', ')})` : max;
+};
@@ -0,0 +1,70 @@
+import { fileApi } from '../services/api';
+
+// Files larger than this are sent in chunks, so a dropped connection only costs the current chunk
+export const CHUNKED_UPLOAD_THRESHOLD = 10 * 1024 * 1024;
+
+const MAX_RETRIES = 5;
+const RETRY_DELAY = 1000; // ms, doubled after every failed attempt
+
+// Unfinished uploads are remembered per file, so picking the same file again (even after
+// a page reload) carries on where it stopped
+const getResumeKey = (boardId, file) => `hicks-upload:${boardId}:${file.name}:${file.size}:${file.lastModified}`;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// The unfinished upload of this file, or a new one
+async function openUpload(boardId, file) {
+  const resumeKey = getResumeKey(boardId, file);
+  const uploadId = localStorage.getItem(resumeKey);
+  if (uploadId) {
+    try {
+      const response = await fileApi.getUpload(boardId, uploadId);
+      return response.data.data;
+    } catch {
+      localStorage.removeItem(resumeKey); // Expired or cancelled
+    }
+  }
+
+  const response = await fileApi.createUpload(boardId, file);
+  localStorage.setItem(resumeKey, response.data.data.uploadId);
+  return response.data.data;
+}
+
+// Upload a file in chunks and resolve to its metadata (as returned by fileApi.upload).
+// onProgress(bytesSent) is called as data goes out. A failed chunk is retried from wherever
+// the server says the upload stands; errors that retrying can't fix are thrown.
+export async function uploadInChunks(boardId, file, onProgress) {
+  let upload = await openUpload(boardId, file);
+  let retries = 0;
+  let resync = false;
+
+  while (upload.offset < upload.size) {
+    try {
+      if (resync) {
+        upload = (await fileApi.getUpload(boardId, upload.uploadId)).data.data;
+        resync = false;
+      } else {
+        const offset = upload.offset;
+        const chunk = file.slice(offset, offset + upload.chunkSize);
+        const response = await fileApi.uploadChunk(boardId, upload.uploadId, offset, chunk,
+          (event) => onProgress?.(offset + event.loaded));
+        upload = response.data.data;
+        retries = 0;
+      }
+      onProgress?.(upload.offset);
+    } catch (err) {
+      // Client errors other than a chunk at the wrong offset won't go away by retrying
+      const status = err.response?.status;
+      if ((status >= 400 && status < 500 && status !== 409) || retries >= MAX_RETRIES) {
+        throw err;
+      }
+      await wait(RETRY_DELAY * 2 ** retries);
+      retries++;
+      resync = true;
+    }
+  }
+
+  const response = await fileApi.finalizeUpload(boardId, upload.uploadId);
+  localStorage.removeItem(getResumeKey(boardId, file));
+  return response.data.data;
+}
@@ -0,0 +1,62 @@
+// Dependency link types (must match the server's Task model)
+export const DEPENDENCY_TYPES = [
+  { value: 'blocked_by', label: 'Blocked by' },
+  { value: 'blocks', label: 'Blocks' },
+  { value: 'relates_to', label: 'Relates to' },
+  { value: 'duplicates', label: 'Duplicates' }
+];
+
+export const getDependencyTypeLabel = (type) =>
+  DEPENDENCY_TYPES.find(t => t.value === type)?.label || type;
+
+// Build lookup maps of blockers (tasks that must be done first) and dependents for every task.
+// A link can be declared on either task ("A blocks B" is the same as "B blocked by A").
+export function buildDependencyGraph(tasks) {
+  const blockers = new Map();
+  const dependents = new Map();
+  const taskIds = new Set(tasks.map(t => String(t._id)));
+
+  const addEdge = (blockerId, dependentId) => {
+    if (!taskIds.has(blockerId) || !taskIds.has(dependentId) || blockerId === dependentId) return;
+    if (!blockers.has(dependentId)) blockers.set(dependentId, new Set());
+    if (!dependents.has(blockerId)) dependents.set(blockerId, new Set());
+    blockers.get(dependentId).add(blockerId);
+    dependents.get(blockerId).add(dependentId);
+  };
+
+  tasks.forEach(task => {
+    const taskId = String(task._id);
+    (task.dependencies || []).forEach(dep => {
+      const otherId = String(dep.taskId);
+      if (dep.type === 'blocked_by') addEdge(otherId, taskId);
+      if (dep.type === 'blocks') addEdge(taskId, otherId);
+    });
+  });
+
+  return {
+    getBlockers: (taskId) => [...(blockers.get(String(taskId)) || [])],
+    getDependents: (taskId) => [...(dependents.get(String(taskId)) || [])]
+  };
+}
+
+// Compare two dependency lists (ignores order)
+export function sameDependencies(a = [], b = []) {
+  const serialize = (deps) => deps.map(d => `${d.type}:${d.taskId}`).sort().join(',');
+  return serialize(a) === serialize(b);
+}
+
+// Tasks that must be done before the given task
+export function getBlockingTasks(task, tasks) {
+  const taskId = String(task._id);
+  return tasks.filter(other => {
+    const otherId = String(other._id);
+    if (otherId === taskId) return false;
+    const blockedByOther = (task.dependencies || []).some(
+      dep => dep.type === 'blocked_by' && String(dep.taskId) === otherId
+    );
+    const otherBlocks = (other.dependencies || []).some(
+      dep => dep.type === 'blocks' && String(dep.taskId) === taskId
+    );
+    return blockedByOther || otherBlocks;
+  });
+}
@@ -0,0 +1,63 @@
+import { Marked } from 'marked';
+import { markedHighlight } from 'marked-highlight';
+import hljs from 'highlight.js/lib/common';
+import DOMPurify from 'dompurify';
+
+// "@username" mentions are highlighted (not after a word character, so email addresses don't count;
+// the server works out which users they are)
+const mentionExtension = {
+  name: 'mention',
+  level: 'inline',
+  start(src) {
+    const match = src.match(/(^|[^\w@.])@\w/);
+    return match ? match.index + match[1].length : undefined;
+  },
+  tokenizer(src, tokens) {
+    const match = /^@(\w[\w.+@-]*)/.exec(src);
+    const previous = tokens[tokens.length - 1];
+    if (!match || (previous?.type === 'text' && /[\w@.]$/.test(previous.raw))) return undefined;
+    const handle = match[1].replace(/\.+$/, '');
+    return { type: 'mention', raw: `@${handle}`, handle };
+  },
+  renderer(token) {
+    return `<span class="mention">@${token.handle}</span>`;
+  }
+};
+
+// GitHub flavoured Markdown (tables, checklists, fenced code, mentions) with highlighted code blocks
+const marked = new Marked(
+  markedHighlight({
+    emptyLangClass: 'hljs',
+    langPrefix: 'hljs language-',
+    highlight(code, lang) {
+      const language = hljs.getLanguage(lang) ? lang : 'plaintext';
+      return hljs.highlight(code, { language }).value;
+    }
+  }),
+  { gfm: true, breaks: true, extensions: [mentionExtension] }
+);
+
+// Links in task text open in a new tab
+DOMPurify.addHook('afterSanitizeAttributes', (node) => {
+  if (node.tagName === 'A') {
+    node.setAttribute('target', '_blank');
+    node.setAttribute('rel', 'noopener noreferrer');
+  }
+});
+
+// Markdown to HTML that is safe to insert (raw HTML in the text is sanitized)
+export const renderMarkdown = (text) => DOMPurify.sanitize(marked.parse(text || ''));
+
+// The text of Markdown without its markup, for one-line previews (cached, lists re-render often)
+const textCache = new Map();
+const MAX_CACHED_TEXTS = 500;
+
+export const markdownToText = (text) => {
+  if (!text) return '';
+  if (!textCache.has(text)) {
+    if (textCache.size >= MAX_CACHED_TEXTS) textCache.clear();
+    const doc = new DOMParser().parseFromString(renderMarkdown(text), 'text/html');
+    textCache.set(text, doc.body.textContent.replace(/\s+/g, ' ').trim());
+  }
+  return textCache.get(text);
+};
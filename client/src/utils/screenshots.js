@@ -0,0 +1,34 @@
+import { fileApi } from '../services/api';
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// "screenshot-2024-05-01-143012.png" (browsers name every pasted image "image.png")
+const getScreenshotName = (type, index) => {
+  const now = new Date();
+  const stamp = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}-` +
+    `${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
+  const ext = type.split('/')[1]?.replace('jpeg', 'jpg') || 'png';
+  return `screenshot-${stamp}${index > 0 ? `-${index + 1}` : ''}.${ext}`;
+};
+
+// Images on the clipboard of a paste event. Pastes that carry text too (e.g. a selection
+// copied from a web page) are left to the text box, so they give no images.
+export const getPastedImages = (event) => {
+  const clipboard = event.clipboardData;
+  if (!clipboard || Array.from(clipboard.types).includes('text/plain')) return [];
+
+  return Array.from(clipboard.items)
+    .filter(item => item.kind === 'file' && item.type.startsWith('image/'))
+    .map(item => item.getAsFile())
+    .filter(Boolean)
+    .map((file, index) => new File([file], getScreenshotName(file.type, index), { type: file.type }));
+};
+
+// Upload pasted images to a board. Returns the uploaded files' metadata, ready to attach.
+export const uploadPastedImages = async (boardId, images) => {
+  const response = await fileApi.upload(boardId, images);
+  if (response.data.data.length === 0) {
+    throw new Error(response.data.warnings?.join('. ') || 'Upload failed');
+  }
+  return response.data.data;
+};
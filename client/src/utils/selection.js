@@ -0,0 +1,22 @@
+// Multi-select with the mouse, as in file managers:
+//   Ctrl/Cmd+click toggles a task, Shift+click selects the range from the last clicked task.
+// orderedIds are the task ids in the order they are shown.
+
+// Whether a click should change the selection rather than open the task
+export const isSelectionClick = (event) => event.ctrlKey || event.metaKey || event.shiftKey;
+
+// The selection after a Ctrl/Shift click on taskId. anchorId is the task clicked before.
+export function applySelectionClick(selectedIds, orderedIds, taskId, anchorId, event) {
+  if (event.shiftKey && anchorId && orderedIds.includes(anchorId)) {
+    const from = orderedIds.indexOf(anchorId);
+    const to = orderedIds.indexOf(taskId);
+    const range = orderedIds.slice(Math.min(from, to), Math.max(from, to) + 1);
+    // Ctrl+Shift adds the range to the selection; Shift alone replaces it
+    const base = event.ctrlKey || event.metaKey ? selectedIds : [];
+    return [...new Set([...base, ...range])];
+  }
+
+  return selectedIds.includes(taskId)
+    ? selectedIds.filter(id => id !== taskId)
+    : [...selectedIds, taskId];
+}
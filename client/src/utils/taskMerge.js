@@ -0,0 +1,76 @@
+import { sameDependencies } from './dependencies';
+
+// Fields of the task edit form that are merged when a save conflicts with someone else's changes.
+// The assignee id always travels with the assignee name.
+export const MERGE_FIELDS = [
+  { field: 'name', label: 'Name' },
+  { field: 'description', label: 'Description' },
+  { field: 'columnId', label: 'State' },
+  { field: 'assignedTo', label: 'Assigned To', linked: ['assigneeId'] },
+  { field: 'priority', label: 'Priority' },
+  { field: 'taskType', label: 'Type' },
+  { field: 'dependencies', label: 'Dependencies', equals: sameDependencies }
+];
+
+// Form values for a task (same defaults as the edit forms)
+export function taskToForm(task) {
+  return {
+    name: task.name || '',
+    description: task.description || '',
+    columnId: task.columnId || '',
+    assignedTo: task.assignedTo || '',
+    assigneeId: task.assigneeId || null,
+    reportedBy: task.reportedBy || '',
+    priority: task.priority || 'Medium',
+    taskType: task.taskType || 'Task',
+    dependencies: task.dependencies || []
+  };
+}
+
+// Check whether the form differs from a task
+export function formDiffers(formData, task) {
+  const taskForm = taskToForm(task);
+  return MERGE_FIELDS.some(({ field, linked = [], equals }) => {
+    const same = equals ? equals(formData[field], taskForm[field]) : formData[field] === taskForm[field];
+    return !same || linked.some(l => formData[l] !== taskForm[l]);
+  });
+}
+
+// Three-way merge of the form (mine) with the server's task (theirs), based on the task the form was loaded from.
+// Fields changed on only one side are merged automatically; fields changed differently on both sides are conflicts.
+// Returns { merged, conflicts: [{ field, label, mine, theirs }] }; merged holds theirs for conflicting fields.
+export function mergeTaskEdits(baseTask, mine, theirsTask) {
+  const base = taskToForm(baseTask);
+  const theirs = taskToForm(theirsTask);
+  const merged = { ...mine };
+  const conflicts = [];
+
+  MERGE_FIELDS.forEach(({ field, label, linked = [], equals }) => {
+    const same = (a, b) => (equals ? equals(a[field], b[field]) : a[field] === b[field]) &&
+      linked.every(l => a[l] === b[l]);
+    const takeTheirs = () => {
+      merged[field] = theirs[field];
+      linked.forEach(l => { merged[l] = theirs[l]; });
+    };
+
+    if (same(mine, theirs) || same(theirs, base)) return; // Nothing to do, or only I changed it
+    takeTheirs();
+    if (!same(mine, base)) {
+      conflicts.push({ field, label, linked, mine: mine[field], theirs: theirs[field], mineLinked: linked.map(l => mine[l]) });
+    }
+  });
+
+  return { merged, conflicts };
+}
+
+// Apply the choices from the merge dialog ({ [field]: 'mine' | 'theirs' }) to a merge result
+export function resolveConflicts(merged, conflicts, choices) {
+  const resolved = { ...merged };
+  conflicts.forEach(conflict => {
+    if (choices[conflict.field] === 'mine') {
+      resolved[conflict.field] = conflict.mine;
+      conflict.linked.forEach((l, i) => { resolved[l] = conflict.mineLinked[i]; });
+    }
+  });
+  return resolved;
+}
@@ -0,0 +1,108 @@
+// Helpers for the task query language (parsed on the server, see server/services/taskQueryService.js), e.g.
+//   type:Bug priority>=High assignee:me updated:<7d has:files -state:Passed
+
+export const TASK_TYPES = ['Task', 'Bug', 'Suggestion'];
+export const PRIORITIES = ['Low', 'Medium', 'High', 'Critical'];
+
+// Fields offered by autocomplete (keep in sync with the server's FIELDS)
+export const QUERY_FIELDS = [
+  { name: 'type', description: 'Task type' },
+  { name: 'priority', description: 'Priority, supports >= and <=' },
+  { name: 'state', description: 'Column' },
+  { name: 'assignee', description: 'Assigned user, "me" or "none"' },
+  { name: 'reporter', description: 'Reporting user or "me"' },
+  { name: 'key', description: 'Task key' },
+  { name: 'label', description: 'Label' },
+  { name: 'has', description: 'files, comments, dependencies, assignee, description, labels' },
+  { name: 'created', description: 'Age like <7d or a date like >=2024-01-31' },
+  { name: 'updated', description: 'Age like <7d or a date like >=2024-01-31' }
+];
+
+const HAS_VALUES = ['files', 'comments', 'dependencies', 'assignee', 'description', 'labels'];
+const AGES = ['24h', '7d', '30d'];
+const MAX_SUGGESTIONS = 10;
+
+// Quote a value if it contains spaces, commas or quotes (inner quotes are dropped)
+export function quoteValue(value) {
+  const text = String(value).replace(/"/g, '');
+  return /[\s,]/.test(text) ? `"${text}"` : text;
+}
+
+// Combine the filter panel's filters and the free query into one query
+export function filtersToQuery(filters) {
+  const terms = [];
+  if (filters.state?.length) terms.push(`state:${filters.state.map(quoteValue).join(',')}`);
+  if (filters.taskType?.length) terms.push(`type:${filters.taskType.map(quoteValue).join(',')}`);
+  if (filters.assignedTo?.trim()) terms.push(`assignee:${quoteValue(filters.assignedTo.trim())}`);
+  // Search text is always quoted so it is never read as a field or a negation
+  if (filters.search?.trim()) terms.push(`"${filters.search.trim().replace(/"/g, '')}"`);
+  if (filters.query?.trim()) terms.push(filters.query.trim());
+  return terms.join(' ');
+}
+
+// Find the start of the term the cursor is in (terms are split on whitespace outside quotes)
+function findTermStart(text, cursor) {
+  let start = 0;
+  let inQuotes = false;
+  for (let i = 0; i < cursor; i++) {
+    if (text[i] === '"') {
+      inQuotes = !inQuotes;
+    } else if (/\s/.test(text[i]) && !inQuotes) {
+      start = i + 1;
+    }
+  }
+  return start;
+}
+
+// Values offered for a field ("updated:" offers "<7d", "updated<" offers "7d")
+function getFieldValues(field, operator, { columns = [], boardUsers = [], labels = [] }) {
+  switch (field) {
+    case 'type': return TASK_TYPES;
+    case 'priority': return PRIORITIES;
+    case 'state': return columns.map(col => col.name);
+    case 'assignee': return ['me', 'none', ...boardUsers.map(u => u.name)];
+    case 'reporter': return ['me', ...boardUsers.map(u => u.name)];
+    case 'label': return labels;
+    case 'has': return HAS_VALUES;
+    case 'created':
+    case 'updated': return operator === ':' ? AGES.flatMap(age => [`<${age}`, `>${age}`]) : AGES;
+    default: return [];
+  }
+}
+
+// Get autocomplete suggestions for the term at the cursor.
+// Returns { from, to, items: [{ label, description, insert }] }; replacing text[from..to] with insert applies one.
+export function getQuerySuggestions(text, cursor, context = {}) {
+  const from = findTermStart(text, cursor);
+  const term = text.substring(from, cursor);
+  const negation = term.startsWith('-') ? '-' : '';
+  const body = term.substring(negation.length);
+  const match = /^([a-zA-Z]+)(>=|<=|!=|:|=|>|<)(.*)$/s.exec(body);
+
+  // Still typing the field name
+  if (!match) {
+    if (body.startsWith('"')) return { from, to: cursor, items: [] };
+    const prefix = body.toLowerCase();
+    const items = QUERY_FIELDS
+      .filter(f => f.name.startsWith(prefix) && f.name !== prefix)
+      .map(f => ({ label: f.name, description: f.description, insert: `${negation}${f.name}:` }));
+    return { from, to: cursor, items };
+  }
+
+  // Typing a value: complete the last comma-separated value
+  const [, field, operator, rawValues] = match;
+  const lastComma = rawValues.lastIndexOf(',');
+  const previous = rawValues.substring(0, lastComma + 1);
+  const current = rawValues.substring(lastComma + 1).replace(/"/g, '').toLowerCase();
+  const chosen = previous.split(',').map(v => v.replace(/"/g, '').toLowerCase());
+
+  const items = getFieldValues(field.toLowerCase(), operator, context)
+    .filter(value => value.toLowerCase().includes(current) && !chosen.includes(value.toLowerCase()))
+    .slice(0, MAX_SUGGESTIONS)
+    .map(value => ({
+      label: value,
+      insert: `${negation}${field}${operator}${previous}${quoteValue(value)}`
+    }));
+
+  return { from, to: cursor, items };
+}
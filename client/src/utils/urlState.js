@@ -0,0 +1,64 @@
+// Sync the selected board, filters and view mode with the URL query string, e.g.
+//   ?board=<id>&view=list&state=Backlog,Next%20Up&type=Bug&assignee=Sam&q=login&query=priority%3E%3DHigh
+// List values are encoded one by one and joined with commas, so names may contain commas.
+
+export const EMPTY_FILTERS = {
+  state: [],
+  taskType: [],
+  assignedTo: '',
+  search: '',
+  query: ''
+};
+
+const VIEW_MODES = ['board', 'list'];
+
+const parseList = (value) => {
+  if (!value) return [];
+  return value.split(',').map(item => decodeURIComponent(item)).filter(Boolean);
+};
+
+const encodeList = (values) => values.map(value => encodeURIComponent(value)).join(',');
+
+// Read board id, filters and view mode from a query string (missing values are null/empty)
+export function parseUrlState(search = window.location.search) {
+  const raw = new Map();
+  search.replace(/^\?/, '').split('&').filter(Boolean).forEach(pair => {
+    const [key, ...rest] = pair.split('=');
+    // Keep list values encoded so commas inside names survive the split
+    raw.set(decodeURIComponent(key), rest.join('=').replace(/\+/g, ' '));
+  });
+
+  const get = (key) => (raw.has(key) ? decodeURIComponent(raw.get(key)) : '');
+  const viewMode = get('view');
+
+  return {
+    boardId: get('board') || null,
+    viewMode: VIEW_MODES.includes(viewMode) ? viewMode : null,
+    filters: {
+      state: parseList(raw.get('state')),
+      taskType: parseList(raw.get('type')),
+      assignedTo: get('assignee'),
+      search: get('q'),
+      query: get('query')
+    }
+  };
+}
+
+// Build a query string for the board, filters and view mode (empty values are left out)
+export function buildUrlQuery({ boardId, filters = EMPTY_FILTERS, viewMode }) {
+  const params = [];
+  if (boardId) params.push(`board=${encodeURIComponent(boardId)}`);
+  if (viewMode && viewMode !== 'board') params.push(`view=${viewMode}`);
+  if (filters.state?.length) params.push(`state=${encodeList(filters.state)}`);
+  if (filters.taskType?.length) params.push(`type=${encodeList(filters.taskType)}`);
+  if (filters.assignedTo) params.push(`assignee=${encodeURIComponent(filters.assignedTo)}`);
+  if (filters.search) params.push(`q=${encodeURIComponent(filters.search)}`);
+  if (filters.query) params.push(`query=${encodeURIComponent(filters.query)}`);
+  return params.length > 0 ? `?${params.join('&')}` : '';
+}
+
+// Check whether any filter is set
+export function hasActiveFilters(filters) {
+  return filters.state.length > 0 || filters.taskType.length > 0 || Boolean(filters.assignedTo) ||
+    Boolean(filters.search) || Boolean(filters.query);
+}
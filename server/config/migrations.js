@@ -0,0 +1,146 @@
+const Board = require('../models/Board');
+const Task = require('../models/Task');
+const Attachment = require('../models/Attachment');
+const { authentikFetch } = require('../services/authentikService');
+const { generateBoardKey, formatTaskKey } = require('../services/taskKeyService');
+const { syncTaskAttachments } = require('../services/attachmentService');
+
+// Convert the old single `dependsOn` field into a `blocked_by` dependency link
+async function migrateDependsOn() {
+  const legacyTasks = await Task.collection
+    .find({ dependsOn: { $exists: true } })
+    .project({ dependsOn: 1 })
+    .toArray();
+
+  for (const task of legacyTasks) {
+    const update = { $unset: { dependsOn: '' } };
+    if (task.dependsOn) {
+      update.$addToSet = { dependencies: { taskId: task.dependsOn, type: 'blocked_by' } };
+    }
+    await Task.collection.updateOne({ _id: task._id }, update);
+  }
+
+  if (legacyTasks.length > 0) {
+    console.log(`Migrated dependencies of ${legacyTasks.length} task(s)`);
+  }
+}
+
+// Link existing free-text assignee/reporter/comment author names to Authentik user ids.
+// Names that don't match exactly one user are left unlinked (id null).
+async function migrateUserIds() {
+  const legacyTasks = await Task.collection
+    .find({ $or: [{ assigneeId: { $exists: false } }, { createdBy: { $exists: false } }] })
+    .project({ assignedTo: 1, reportedBy: 1, comments: 1 })
+    .toArray();
+
+  if (legacyTasks.length === 0 || !process.env.AUTHENTIK_API_URL) return;
+
+  const data = await authentikFetch('/core/users/?page_size=500');
+  const findUser = (name) => {
+    if (!name) return null;
+    const matches = data.results.filter(u => u.name === name || u.username === name);
+    return matches.length === 1 ? matches[0] : null;
+  };
+  const toUserRef = (name) => {
+    const user = findUser(name);
+    return user ? { id: String(user.pk), email: user.email, name } : null;
+  };
+
+  for (const task of legacyTasks) {
+    const assignee = findUser(task.assignedTo);
+    const update = {
+      assigneeId: assignee ? String(assignee.pk) : null,
+      createdBy: toUserRef(task.reportedBy)
+    };
+    (task.comments || []).forEach((comment, index) => {
+      if (comment.createdBy === undefined) {
+        update[`comments.${index}.createdBy`] = toUserRef(comment.author);
+      }
+    });
+    await Task.collection.updateOne({ _id: task._id }, { $set: update });
+  }
+
+  console.log(`Linked users of ${legacyTasks.length} task(s)`);
+}
+
+// Give existing boards a key and number their tasks in creation order
+async function migrateTaskKeys() {
+  const boards = await Board.find();
+
+  for (const board of boards) {
+    if (!board.key) {
+      board.key = await generateBoardKey(board.name);
+      await board.save();
+    }
+
+    const unnumbered = await Task.find({ boardId: board._id, number: { $exists: false } })
+      .sort({ createdAt: 1 })
+      .select('_id');
+    if (unnumbered.length === 0) continue;
+
+    // Reserve a block of numbers for the unnumbered tasks
+    const updated = await Board.findByIdAndUpdate(
+      board._id,
+      { $inc: { taskSequence: unnumbered.length } },
+      { new: true }
+    );
+    let number = updated.taskSequence - unnumbered.length;
+
+    for (const task of unnumbered) {
+      number++;
+      await Task.collection.updateOne(
+        { _id: task._id },
+        { $set: { number, key: formatTaskKey(board.key, number) } }
+      );
+    }
+
+    console.log(`Assigned keys to ${unnumbered.length} task(s) on board ${board.key}`);
+  }
+}
+
+// Create the attachment records (with their references) for the files already attached to tasks
+// and comments, trashed tasks included. Runs while there are no attachment records yet.
+async function migrateAttachments() {
+  if (await Attachment.exists({})) return;
+
+  const cursor = Task.collection
+    .find({ $or: [{ 'files.0': { $exists: true } }, { 'comments.files.0': { $exists: true } }] })
+    .project({ boardId: 1, files: 1, 'comments._id': 1, 'comments.files': 1 });
+
+  let count = 0;
+  let batch = [];
+  for await (const task of cursor) {
+    batch.push(task);
+    if (batch.length === 100) {
+      await syncTaskAttachments(batch);
+      count += batch.length;
+      batch = [];
+    }
+  }
+  await syncTaskAttachments(batch);
+  count += batch.length;
+
+  if (count > 0) {
+    console.log(`Recorded the attachments of ${count} task(s)`);
+  }
+}
+
+// Data migrations, run in order on startup (each must be safe to run repeatedly)
+const MIGRATIONS = [
+  migrateDependsOn,
+  migrateUserIds,
+  migrateTaskKeys,
+  migrateAttachments
+];
+
+const runMigrations = async () => {
+  for (const migration of MIGRATIONS) {
+    try {
+      await migration();
+    } catch (error) {
+      console.error(`Migration ${migration.name} failed: ${error.message}`);
+    }
+  }
+};
+
+module.exports = runMigrations;
@@ -0,0 +1,41 @@
+const { isAdminGroup, getAuthentikUser } = require('../services/authentikService');
+
+// Resolve the logged-in user once per request and attach it as req.currentUser:
+//   { id, email, name, groups, isAdmin, attributes }
+// `id` is the Authentik user pk (as a string), or null if the user could not be looked up.
+const currentUser = async (req, res, next) => {
+  if (!req.oidc?.isAuthenticated()) {
+    req.currentUser = null;
+    return next();
+  }
+
+  try {
+    const oidcUser = req.oidc.user;
+    const authentikUser = await getAuthentikUser(oidcUser.email);
+    const groups = oidcUser.groups || [];
+
+    req.currentUser = {
+      id: authentikUser ? String(authentikUser.pk) : null,
+      email: oidcUser.email || '',
+      name: oidcUser.name || oidcUser.preferred_username || oidcUser.email || 'Unknown',
+      groups,
+      isAdmin: isAdminGroup(groups),
+      attributes: authentikUser?.attributes || {}
+    };
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Reference to the current user for storing on documents (tasks, comments, files)
+const getUserRef = (req) => {
+  const user = req.currentUser;
+  if (!user) return { id: null, email: '', name: 'Unknown' };
+  return { id: user.id, email: user.email, name: user.name };
+};
+
+module.exports = {
+  currentUser,
+  getUserRef
+};
@@ -0,0 +1,87 @@
+const Column = require('../models/Column');
+const { findTaskByIdOrKey } = require('../services/taskKeyService');
+
+// Resolve the current user's permissions from their Authentik attributes (once per request).
+// Admins (hicks-admins group) have every permission and can see every board.
+const getPermissions = (req) => {
+  if (req.permissions) return req.permissions;
+
+  const user = req.currentUser;
+  const isAdmin = user?.isAdmin || false;
+  const attributes = user?.attributes || {};
+
+  req.permissions = {
+    isAdmin,
+    canAdminBoards: isAdmin || attributes.hicks_can_admin_boards || false,
+    canDeleteTasks: isAdmin || attributes.hicks_can_delete_tasks || false,
+    canManageEmailRules: isAdmin || attributes.hicks_can_manage_email_rules || false,
+    allowedBoards: (attributes.hicks_allowed_boards || []).map(b => b.toString())
+  };
+  return req.permissions;
+};
+
+// Check if the current user can see a board
+const canAccessBoard = (req, boardId) => {
+  const permissions = getPermissions(req);
+  return permissions.isAdmin || permissions.allowedBoards.includes(boardId.toString());
+};
+
+const forbidden = (res, error) => res.status(403).json({ success: false, error });
+
+// Board id resolvers for authorizeBoard (return null when the document doesn't exist,
+// so the route itself can answer with its usual 404)
+const boardParam = (name) => (req) => req.params[name];
+
+const taskParam = (name) => async (req) => {
+  const task = await findTaskByIdOrKey(req.params[name]);
+  return task?.boardId || null;
+};
+
+const columnParam = (name) => async (req) => {
+  const column = await Column.findById(req.params[name]).select('boardId');
+  return column?.boardId || null;
+};
+
+const columnBody = (name) => async (req) => {
+  if (!req.body?.[name]) return null;
+  const column = await Column.findById(req.body[name]).select('boardId');
+  return column?.boardId || null;
+};
+
+// Middleware: require access to the board a request targets
+const authorizeBoard = (resolveBoardId) => async (req, res, next) => {
+  try {
+    const boardId = await resolveBoardId(req);
+    if (boardId && !canAccessBoard(req, boardId)) {
+      return forbidden(res, 'You do not have access to this board');
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const PERMISSION_ERRORS = {
+  canAdminBoards: 'Board admin permission required',
+  canDeleteTasks: 'Permission to delete tasks required',
+  canManageEmailRules: 'Permission to manage email rules required'
+};
+
+// Middleware: require one of the user's permission flags
+const requirePermission = (permission) => (req, res, next) => {
+  if (!getPermissions(req)[permission]) {
+    return forbidden(res, PERMISSION_ERRORS[permission] || 'Permission denied');
+  }
+  next();
+};
+
+module.exports = {
+  getPermissions,
+  canAccessBoard,
+  authorizeBoard,
+  requirePermission,
+  boardParam,
+  taskParam,
+  columnParam,
+  columnBody
+};
@@ -0,0 +1,34 @@
+// Optimistic concurrency for updates. Clients send the document version they edited
+// (its __v) in an If-Match header, e.g. If-Match: "3". Updates that carry a version only
+// apply if the document is still at that version; otherwise the server answers 409 with
+// the current document so the client can merge.
+
+// Read the expected version from If-Match ("3", W/"3" or 3). Returns null when not given.
+const getExpectedVersion = (req) => {
+  const header = req.get('If-Match');
+  if (!header || header.trim() === '*') return null;
+
+  const match = /^(?:W\/)?"?(\d+)"?$/.exec(header.trim());
+  return match ? Number(match[1]) : NaN;
+};
+
+// Check the If-Match header. Sends 400 for an unreadable header and returns false.
+const checkVersionHeader = (req, res) => {
+  if (Number.isNaN(getExpectedVersion(req))) {
+    res.status(400).json({ success: false, error: 'If-Match must be a document version, e.g. "3"' });
+    return false;
+  }
+  return true;
+};
+
+// Answer a failed precondition with the current document
+const sendConflict = (res, current, error) => {
+  res.set('ETag', `"${current.__v}"`);
+  res.status(409).json({ success: false, error, data: current });
+};
+
+module.exports = {
+  getExpectedVersion,
+  checkVersionHeader,
+  sendConflict
+};
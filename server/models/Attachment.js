@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+// The uploader (same shape as the user refs on tasks)
+const uploadedBySchema = new mongoose.Schema(
+  {
+    id: {
+      type: String,
+      default: null
+    },
+    email: {
+      type: String,
+      trim: true
+    },
+    name: {
+      type: String,
+      trim: true
+    }
+  },
+  {
+    _id: false
+  }
+);
+
+// A task or comment that a file is attached to (commentId null: the task itself)
+const referenceSchema = new mongoose.Schema(
+  {
+    taskId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task',
+      required: true
+    },
+    commentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    }
+  },
+  {
+    _id: false
+  }
+);
+
+// An uploaded file of a board. Tasks and comments keep a copy of its metadata in their files
+// lists; the references here count where the file is attached, and the stored file is only
+// removed when the last reference goes (see attachmentService).
+const attachmentSchema = new mongoose.Schema(
+  {
+    boardId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Board',
+      required: true
+    },
+    // GUID the file is stored under
+    fileId: {
+      type: String,
+      required: true
+    },
+    originalName: {
+      type: String,
+      required: true
+    },
+    // Detected from the content on upload
+    mimeType: {
+      type: String
+    },
+    size: {
+      type: Number,
+      default: 0
+    },
+    uploadedBy: {
+      type: uploadedBySchema,
+      default: null
+    },
+    references: {
+      type: [referenceSchema],
+      default: []
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+attachmentSchema.index({ boardId: 1, fileId: 1 }, { unique: true });
+attachmentSchema.index({ 'references.taskId': 1 });
+
+module.exports = mongoose.model('Attachment', attachmentSchema);
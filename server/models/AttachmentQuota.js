@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const { TYPE_PATTERN_MESSAGE, isTypePattern } = require('./fileTypePattern');
+
+const MB = 1024 * 1024;
+
+// Largest upload allowed for a type of file (image/png, video/*, */*)
+const sizeLimitSchema = new mongoose.Schema(
+  {
+    pattern: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+      validate: [isTypePattern, TYPE_PATTERN_MESSAGE]
+    },
+    maxBytes: {
+      type: Number,
+      required: true,
+      min: 1
+    }
+  },
+  {
+    _id: false
+  }
+);
+
+// AttachmentQuota holds the admin-configured limits for attachments, checked on upload and on
+// attach. Counts and sizes of a task include its comments' files. A byte limit of null means no limit.
+// Only one quota document should exist (singleton pattern)
+const AttachmentQuotaSchema = new mongoose.Schema({
+  maxFilesPerTask: {
+    type: Number,
+    required: true,
+    min: 1,
+    default: 20
+  },
+  maxBytesPerTask: {
+    type: Number,
+    min: 1,
+    default: 1024 * MB
+  },
+  maxBytesPerBoard: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  // The first pattern matching a file's type (found in its content) gives its size limit;
+  // files no pattern matches have no size limit
+  sizeLimits: {
+    type: [sizeLimitSchema],
+    default: () => [
+      { pattern: 'video/*', maxBytes: 250 * MB },
+      { pattern: '*/*', maxBytes: 100 * MB }
+    ]
+  },
+  // Last updated by (for audit)
+  lastUpdatedBy: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to get the singleton quotas (the defaults until an admin saves them)
+AttachmentQuotaSchema.statics.getConfig = async function() {
+  return (await this.findOne()) || new this();
+};
+
+// Static method to update or create the singleton quotas
+AttachmentQuotaSchema.statics.setConfig = async function(data, updatedBy) {
+  let config = await this.findOne();
+  if (config) {
+    Object.assign(config, data, { lastUpdatedBy: updatedBy });
+    await config.save();
+  } else {
+    config = await this.create({ ...data, lastUpdatedBy: updatedBy });
+  }
+  return config;
+};
+
+module.exports = mongoose.model('AttachmentQuota', AttachmentQuotaSchema);
@@ -1,4 +1,22 @@
 const mongoose = require('mongoose');
+const softDelete = require('./softDelete');
+const { TYPE_PATTERN_MESSAGE, isTypePattern } = require('./fileTypePattern');
+
+const typePatternList = {
+  type: [String],
+  default: [],
+  validate: [list => list.every(isTypePattern), TYPE_PATTERN_MESSAGE]
+};
+
+// Attachment types a board takes, checked against the type found in each upload's content.
+// An empty allow list allows everything that isn't blocked.
+const fileTypesSchema = new mongoose.Schema(
+  {
+    allowed: typePatternList,
+    denied: typePatternList
+  },
+  { _id: false }
+);
 
 const boardSchema = new mongoose.Schema(
   {
@@ -13,14 +31,34 @@ const boardSchema = new mongoose.Schema(
       trim: true,
       maxlength: [500, 'Description cannot exceed 500 characters']
     },
+    // Prefix for human-readable task keys (e.g. HBH for HBH-123)
+    key: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      unique: true,
+      sparse: true,
+      match: [/^[A-Z][A-Z0-9]{1,9}$/, 'Board key must be 2-10 letters or digits, starting with a letter']
+    },
+    // Last task number issued on this board (incremented atomically)
+    taskSequence: {
+      type: Number,
+      default: 0
+    },
     columnOrder: [{
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Column'
-    }]
+    }],
+    fileTypes: {
+      type: fileTypesSchema,
+      default: () => ({})
+    }
   },
   {
     timestamps: true
   }
 );
 
+boardSchema.plugin(softDelete);
+
 module.exports = mongoose.model('Board', boardSchema);
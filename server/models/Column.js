@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('./softDelete');
 
 const columnSchema = new mongoose.Schema(
   {
@@ -30,4 +31,6 @@ const columnSchema = new mongoose.Schema(
 // Index for faster queries by board
 columnSchema.index({ boardId: 1 });
 
+columnSchema.plugin(softDelete);
+
 module.exports = mongoose.model('Column', columnSchema);
@@ -37,10 +37,11 @@ const conditionsSchema = new mongoose.Schema(
 
 const emailConfigSchema = new mongoose.Schema(
   {
+    // 'mentioned' is the user @mentioned in a comment (for the mentioned trigger)
     recipientType: {
       type: String,
       required: true,
-      enum: ['assignee', 'reporter', 'specific'],
+      enum: ['assignee', 'reporter', 'specific', 'mentioned'],
       default: 'assignee'
     },
     specificUserId: {
@@ -76,7 +77,7 @@ const triggerSchema = new mongoose.Schema(
     type: {
       type: String,
       required: true,
-      enum: ['state_change', 'assignee_change', 'comment_added', 'comment_edited']
+      enum: ['state_change', 'assignee_change', 'comment_added', 'comment_edited', 'mentioned']
     }
   },
   { _id: false }
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// The filters saved with a view (same shape as the client's filter state)
+const viewFiltersSchema = new mongoose.Schema(
+  {
+    state: {
+      type: [String],
+      default: []
+    },
+    taskType: {
+      type: [String],
+      default: []
+    },
+    assignedTo: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    search: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    // Query language text, e.g. "type:Bug assignee:me"
+    query: {
+      type: String,
+      trim: true,
+      default: ''
+    }
+  },
+  { _id: false }
+);
+
+// A named set of filters on a board, private to its owner unless shared with the board
+const savedViewSchema = new mongoose.Schema(
+  {
+    boardId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Board',
+      required: true
+    },
+    name: {
+      type: String,
+      required: [true, 'View name is required'],
+      trim: true,
+      maxlength: [100, 'View name cannot exceed 100 characters']
+    },
+    // Authentik user pk of the owner
+    ownerId: {
+      type: String,
+      required: true
+    },
+    ownerName: {
+      type: String,
+      trim: true
+    },
+    shared: {
+      type: Boolean,
+      default: false
+    },
+    filters: {
+      type: viewFiltersSchema,
+      default: () => ({})
+    },
+    viewMode: {
+      type: String,
+      enum: ['board', 'list'],
+      default: 'board'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Index for listing a user's views and the shared views of a board
+savedViewSchema.index({ boardId: 1, ownerId: 1 });
+savedViewSchema.index({ boardId: 1, shared: 1 });
+
+module.exports = mongoose.model('SavedView', savedViewSchema);
@@ -1,4 +1,27 @@
 const mongoose = require('mongoose');
+const softDelete = require('./softDelete');
+
+// The authenticated user who created something (set by the server, never by the client)
+//   id - Authentik user pk (stable even if the user's name or email changes)
+const userRefSchema = new mongoose.Schema(
+  {
+    id: {
+      type: String,
+      default: null
+    },
+    email: {
+      type: String,
+      trim: true
+    },
+    name: {
+      type: String,
+      trim: true
+    }
+  },
+  {
+    _id: false
+  }
+);
 
 const fileSchema = new mongoose.Schema(
   {
@@ -15,6 +38,65 @@ const fileSchema = new mongoose.Schema(
     },
     size: {
       type: Number
+    },
+    uploadedBy: {
+      type: userRefSchema,
+      default: null
+    },
+    // Malware scan of the upload (null when scanning is off); infected files are quarantined
+    scanStatus: {
+      type: String,
+      enum: ['pending', 'clean', 'infected', 'error', null],
+      default: null
+    },
+    // Signature name reported for an infected file
+    threat: {
+      type: String,
+      default: null
+    }
+  },
+  {
+    _id: false
+  }
+);
+
+// A typed link from this task to another task on the same board
+//   blocks      - the other task cannot start until this task is done
+//   blocked_by  - this task cannot start until the other task is done
+//   relates_to  - informational link
+//   duplicates  - this task duplicates the other task
+const dependencySchema = new mongoose.Schema(
+  {
+    taskId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task',
+      required: true
+    },
+    type: {
+      type: String,
+      enum: ['blocks', 'blocked_by', 'relates_to', 'duplicates'],
+      default: 'blocked_by'
+    }
+  },
+  {
+    _id: false
+  }
+);
+
+// A previous version of a comment's text, kept when the comment is edited
+const commentRevisionSchema = new mongoose.Schema(
+  {
+    text: {
+      type: String,
+      required: true
+    },
+    editedAt: {
+      type: Date,
+      default: Date.now
+    },
+    editedBy: {
+      type: userRefSchema,
+      default: null
     }
   },
   {
@@ -29,15 +111,33 @@ const commentSchema = new mongoose.Schema(
       required: [true, 'Comment text is required'],
       trim: true
     },
+    // Display name of the author (copied from createdBy when the comment is posted)
     author: {
       type: String,
       trim: true,
       default: 'Anonymous'
     },
+    createdBy: {
+      type: userRefSchema,
+      default: null
+    },
     files: {
       type: [fileSchema],
-      default: [],
-      validate: [arr => arr.length <= 4, 'Maximum 4 files per comment']
+      default: []
+    },
+    // Board users @mentioned in the text (resolved by the server when it is posted or edited)
+    mentions: {
+      type: [userRefSchema],
+      default: []
+    },
+    editedAt: {
+      type: Date,
+      default: null
+    },
+    // Prior versions of the text, oldest first
+    revisions: {
+      type: [commentRevisionSchema],
+      default: []
     }
   },
   {
@@ -47,6 +147,14 @@ const commentSchema = new mongoose.Schema(
 
 const taskSchema = new mongoose.Schema(
   {
+    // Human-readable key (board key + number, e.g. HBH-123)
+    key: {
+      type: String,
+      trim: true
+    },
+    number: {
+      type: Number
+    },
     name: {
       type: String,
       required: [true, 'Task name is required'],
@@ -75,10 +183,20 @@ const taskSchema = new mongoose.Schema(
       type: String,
       trim: true
     },
+    // Authentik user pk of the assignee (null when assignedTo is free text)
+    assigneeId: {
+      type: String,
+      default: null
+    },
+    // Display name of the reporter (copied from createdBy when the task is created)
     reportedBy: {
       type: String,
       trim: true
     },
+    createdBy: {
+      type: userRefSchema,
+      default: null
+    },
     comments: [commentSchema],
     priority: {
       type: String,
@@ -90,15 +208,19 @@ const taskSchema = new mongoose.Schema(
       enum: ['Task', 'Bug', 'Suggestion'],
       default: 'Task'
     },
-    dependsOn: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'Task',
-      default: null
+    dependencies: {
+      type: [dependencySchema],
+      default: []
     },
+    // Free-form labels (e.g. "frontend", "release-2")
+    labels: {
+      type: [{ type: String, trim: true, maxlength: [50, 'Label cannot exceed 50 characters'] }],
+      default: []
+    },
+    // How many files and bytes a task may hold is set by the attachment quotas (checked on attach)
     files: {
       type: [fileSchema],
-      default: [],
-      validate: [arr => arr.length <= 4, 'Maximum 4 files per task']
+      default: []
     }
   },
   {
@@ -108,11 +230,17 @@ const taskSchema = new mongoose.Schema(
 
 // Indexes for faster queries
 taskSchema.index({ boardId: 1 });
+taskSchema.index({ key: 1 });
+taskSchema.index({ boardId: 1, number: 1 });
 taskSchema.index({ columnId: 1 });
 taskSchema.index({ state: 1 });
+taskSchema.index({ labels: 1 });
 taskSchema.index({ assignedTo: 1 });
+taskSchema.index({ assigneeId: 1 });
 taskSchema.index({ taskType: 1 });
-taskSchema.index({ dependsOn: 1 });
+taskSchema.index({ 'dependencies.taskId': 1 });
 taskSchema.index({ name: 'text', description: 'text' });
 
+taskSchema.plugin(softDelete);
+
 module.exports = mongoose.model('Task', taskSchema);
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+// A single field change (before/after values)
+const changeSchema = new mongoose.Schema(
+  {
+    field: {
+      type: String,
+      required: true
+    },
+    from: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+    to: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    }
+  },
+  { _id: false }
+);
+
+const actorSchema = new mongoose.Schema(
+  {
+    id: {
+      type: String,
+      default: null
+    },
+    email: {
+      type: String,
+      trim: true
+    },
+    name: {
+      type: String,
+      trim: true
+    }
+  },
+  { _id: false }
+);
+
+// TaskHistory stores one entry per change made to a task (audit trail)
+const taskHistorySchema = new mongoose.Schema(
+  {
+    taskId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task',
+      required: true
+    },
+    boardId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Board',
+      required: true
+    },
+    type: {
+      type: String,
+      required: true,
+      enum: [
+        'created',
+        'updated',
+        'moved',
+        'file_added',
+        'file_removed',
+        'file_moved',
+        'comment_added',
+        'comment_edited',
+        'comment_deleted',
+        'deleted',
+        'restored'
+      ]
+    },
+    actor: {
+      type: actorSchema,
+      default: () => ({})
+    },
+    changes: {
+      type: [changeSchema],
+      default: []
+    },
+    // Extra information for display (column names, file names, comment excerpt, ...)
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+// Index for fetching a task's timeline (newest first)
+taskHistorySchema.index({ taskId: 1, createdAt: -1 });
+taskHistorySchema.index({ boardId: 1 });
+
+module.exports = mongoose.model('TaskHistory', taskHistorySchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// A chunked upload in progress. The bytes received so far are staged on local disk
+// (see uploadSessionService) until the upload is finalized into attachment storage.
+const uploadSessionSchema = new mongoose.Schema(
+  {
+    boardId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Board',
+      required: true
+    },
+    // GUID the finished file is stored under
+    fileId: {
+      type: String,
+      required: true
+    },
+    originalName: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    // Detected from the content once the first chunk is in
+    mimeType: {
+      type: String,
+      default: 'application/octet-stream'
+    },
+    // Total size announced when the upload was created
+    size: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    // Bytes received so far
+    offset: {
+      type: Number,
+      default: 0
+    },
+    // Authentik user pk of the uploader; only they can continue the upload
+    createdBy: {
+      type: String,
+      default: null
+    },
+    // Pushed back with every chunk; abandoned uploads are removed after this
+    expiresAt: {
+      type: Date,
+      required: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+uploadSessionSchema.index({ expiresAt: 1 });
+
+module.exports = mongoose.model('UploadSession', uploadSessionSchema);
@@ -0,0 +1,10 @@
+// A MIME type, or a family of them (image/*, or */* for everything)
+const TYPE_PATTERN = /^(\*|[\w.+-]+)\/(\*|[\w.+-]+)$/;
+const TYPE_PATTERN_MESSAGE = 'File types must look like image/png or image/*';
+
+const isTypePattern = (pattern) => TYPE_PATTERN.test(pattern);
+
+module.exports = {
+  TYPE_PATTERN_MESSAGE,
+  isTypePattern
+};
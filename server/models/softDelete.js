@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Soft delete for boards, columns and tasks: deleting sets deletedAt and the document stays in
+// the trash until it is restored or purged (see services/trashService.js).
+//
+// Queries skip trashed documents unless their filter mentions deletedAt (e.g. the trash list)
+// or they are run with the withDeleted option: Board.exists({ key }).setOptions({ withDeleted: true })
+const QUERY_HOOKS = ['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'distinct', 'updateOne', 'updateMany'];
+
+const deletedBySchema = new mongoose.Schema(
+  {
+    id: {
+      type: String,
+      default: null
+    },
+    email: {
+      type: String,
+      trim: true
+    },
+    name: {
+      type: String,
+      trim: true
+    }
+  },
+  {
+    _id: false
+  }
+);
+
+function excludeDeleted() {
+  if (this.getOptions().withDeleted || 'deletedAt' in this.getFilter()) return;
+  this.where({ deletedAt: null });
+}
+
+function softDelete(schema) {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null
+    },
+    // The user who moved the document to the trash
+    deletedBy: {
+      type: deletedBySchema,
+      default: null
+    }
+  });
+
+  schema.index({ deletedAt: 1 });
+  schema.pre(QUERY_HOOKS, excludeDeleted);
+}
+
+module.exports = softDelete;
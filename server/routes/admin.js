@@ -0,0 +1,124 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Board = require('../models/Board');
+const { writeBoardBackup, restoreBoardBackup } = require('../services/boardBackupService');
+const { collectOrphanedFiles } = require('../services/fileGcService');
+const AttachmentQuota = require('../models/AttachmentQuota');
+const { formatQuotas, getStorageReport } = require('../services/attachmentQuotaService');
+const { getUserRef } = require('../middleware/currentUser');
+
+// @route   GET /api/admin/boards/:id/backup
+// @desc    Download a .tar.gz archive of a board: board, columns, tasks, email rules and uploaded files
+router.get('/boards/:id/backup', async (req, res, next) => {
+  try {
+    const board = mongoose.isValidObjectId(req.params.id) ? await Board.findById(req.params.id) : null;
+    if (!board) {
+      return res.status(404).json({ success: false, error: 'Board not found' });
+    }
+
+    const date = new Date().toISOString().substring(0, 10);
+    res.attachment(`${board.key || 'board'}-backup-${date}.tar.gz`);
+    res.type('application/gzip');
+    await writeBoardBackup(board._id, res);
+  } catch (error) {
+    // Once the archive has started the download can only be cut short
+    if (res.headersSent) {
+      console.error('Error writing board backup:', error);
+      res.destroy(error);
+      return;
+    }
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/boards/restore?name=&key=
+// @desc    Restore a board backup (the .tar.gz as the request body) as a new board with new ids.
+//          The name and task key prefix of the backup are kept unless given or already in use.
+router.post('/boards/restore', async (req, res, next) => {
+  try {
+    const key = req.query.key ? String(req.query.key).trim().toUpperCase() : undefined;
+    const name = req.query.name ? String(req.query.name).trim() : undefined;
+
+    const result = await restoreBoardBackup(req, { name, key });
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+
+    res.status(201).json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/files/gc
+// @desc    Remove uploaded files no task or comment refers to (older than the grace period)
+//          and report the space reclaimed (?dryRun=true only reports)
+router.post('/files/gc', async (req, res, next) => {
+  try {
+    const dryRun = req.query.dryRun === 'true' || req.body?.dryRun === true;
+
+    const result = await collectOrphanedFiles({ dryRun });
+
+    res.json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+// @route   PUT /api/admin/attachment-quotas
+// @desc    Update the attachment quotas ({ maxFilesPerTask, maxBytesPerTask, maxBytesPerBoard, sizeLimits });
+//          null byte quotas mean no limit
+router.put('/attachment-quotas', async (req, res, next) => {
+  try {
+    const { maxFilesPerTask, maxBytesPerTask, maxBytesPerBoard, sizeLimits } = req.body;
+
+    const updates = {};
+    if (maxFilesPerTask !== undefined) {
+      if (!isPositiveInteger(maxFilesPerTask)) {
+        return res.status(400).json({ success: false, error: 'maxFilesPerTask must be a positive whole number' });
+      }
+      updates.maxFilesPerTask = maxFilesPerTask;
+    }
+    for (const [field, value] of Object.entries({ maxBytesPerTask, maxBytesPerBoard })) {
+      if (value === undefined) continue;
+      if (value !== null && !isPositiveInteger(value)) {
+        return res.status(400).json({ success: false, error: `${field} must be a positive whole number of bytes or null` });
+      }
+      updates[field] = value;
+    }
+    if (sizeLimits !== undefined) {
+      const valid = Array.isArray(sizeLimits) && sizeLimits.every(limit =>
+        typeof limit?.pattern === 'string' && isPositiveInteger(limit.maxBytes));
+      if (!valid) {
+        return res.status(400).json({
+          success: false,
+          error: 'sizeLimits must be a list of { pattern, maxBytes } with maxBytes a positive whole number'
+        });
+      }
+      updates.sizeLimits = sizeLimits;
+    }
+
+    const quotas = await AttachmentQuota.setConfig(updates, getUserRef(req).email);
+
+    res.json({ success: true, data: formatQuotas(quotas) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/storage-usage
+// @desc    Get the attachment storage used by each board
+router.get('/storage-usage', async (req, res, next) => {
+  try {
+    const boards = await getStorageReport();
+
+    res.json({ success: true, data: boards });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -3,38 +3,44 @@ const router = express.Router();
 const Board = require('../models/Board');
 const Column = require('../models/Column');
 const Task = require('../models/Task');
-
-// Helper to make Authentik API requests
-async function authentikFetch(endpoint, options = {}) {
-  const apiUrl = process.env.AUTHENTIK_API_URL;
-  const apiToken = process.env.AUTHENTIK_API_TOKEN;
-
-  const response = await fetch(`${apiUrl}/api/v3${endpoint}`, {
-    ...options,
-    headers: {
-      'Authorization': `Bearer ${apiToken}`,
-      'Content-Type': 'application/json',
-      ...options.headers
-    }
-  });
-
-  if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`Authentik API error: ${response.status} - ${error}`);
-  }
-
-  return response.json();
-}
+const { recordTaskEvent } = require('../services/historyService');
+const { fetchBoardUsers } = require('../services/authentikService');
+const { BOARD_KEY_PATTERN, generateBoardKey, rekeyBoardTasks } = require('../services/taskKeyService');
+const { repairBoard } = require('../services/boardRepairService');
+const { exportBoard, exportToCsv, importTasks } = require('../services/boardTransferService');
+const { getRetentionDays, getPurgeDate } = require('../services/trashService');
+const { publish } = require('../services/realtimeService');
+const { getUserRef } = require('../middleware/currentUser');
+const { authorizeBoard, requirePermission, canAccessBoard, boardParam } = require('../middleware/permissions');
 
 // Default columns for new boards
 const DEFAULT_COLUMNS = ['Backlog', 'Next Up', 'Working On', 'Completed', 'In Testing', 'Passed'];
 
 // @route   GET /api/boards
-// @desc    Get all boards
+// @desc    Get all boards the user can access
 router.get('/', async (req, res, next) => {
   try {
     const boards = await Board.find().sort({ createdAt: -1 });
-    res.json({ success: true, data: boards });
+    res.json({ success: true, data: boards.filter(board => canAccessBoard(req, board._id)) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/boards/trash
+// @desc    Get deleted boards the user can access, newest first, with the date each will be purged
+router.get('/trash', requirePermission('canAdminBoards'), async (req, res, next) => {
+  try {
+    const boards = await Board.find({ deletedAt: { $ne: null } }).sort({ deletedAt: -1 });
+    res.json({
+      success: true,
+      data: {
+        retentionDays: getRetentionDays(),
+        boards: boards
+          .filter(board => canAccessBoard(req, board._id))
+          .map(board => ({ ...board.toObject(), purgeAt: getPurgeDate(board.deletedAt) }))
+      }
+    });
   } catch (error) {
     next(error);
   }
@@ -42,7 +48,7 @@ router.get('/', async (req, res, next) => {
 
 // @route   GET /api/boards/:id
 // @desc    Get single board with columns and tasks
-router.get('/:id', async (req, res, next) => {
+router.get('/:id', authorizeBoard(boardParam('id')), async (req, res, next) => {
   try {
     const board = await Board.findById(req.params.id);
 
@@ -76,7 +82,7 @@ router.get('/:id', async (req, res, next) => {
 
 // @route   GET /api/boards/:id/users
 // @desc    Get users who have access to this board (admins + users with board in allowedBoards)
-router.get('/:id/users', async (req, res, next) => {
+router.get('/:id/users', authorizeBoard(boardParam('id')), async (req, res, next) => {
   try {
     const boardId = req.params.id;
 
@@ -86,31 +92,8 @@ router.get('/:id/users', async (req, res, next) => {
       return res.status(404).json({ success: false, error: 'Board not found' });
     }
 
-    // Fetch all users from Authentik
-    const data = await authentikFetch('/core/users/?page_size=500');
-
-    // Filter to active users who can see this board
-    const boardIdStr = boardId.toString();
-    const usersWithAccess = data.results
-      .filter(user => {
-        if (!user.is_active) return false;
-
-        // Check if user is in hicks-admins group (admins see all boards)
-        const userGroups = user.groups_obj?.map(g => g.name.toLowerCase().replace(/\s+/g, '-')) || [];
-        const isAdmin = userGroups.includes('hicks-admins');
-
-        // Check if board is in user's allowedBoards (compare as strings)
-        const allowedBoards = user.attributes?.hicks_allowed_boards || [];
-        const hasAccess = allowedBoards.some(b => b.toString() === boardIdStr);
-
-        return isAdmin || hasAccess;
-      })
-      .map(user => ({
-        id: user.pk,
-        name: user.name || user.username,
-        username: user.username,
-        email: user.email
-      }));
+    // Fetch active users who can see this board from Authentik
+    const usersWithAccess = await fetchBoardUsers(boardId);
 
     res.json({ success: true, data: usersWithAccess });
   } catch (error) {
@@ -120,12 +103,25 @@ router.get('/:id/users', async (req, res, next) => {
 
 // @route   POST /api/boards
 // @desc    Create new board with default columns
-router.post('/', async (req, res, next) => {
+router.post('/', requirePermission('canAdminBoards'), async (req, res, next) => {
   try {
     const { name, description } = req.body;
 
+    // Use the requested task key prefix, or derive one from the board name
+    let key = req.body.key ? req.body.key.trim().toUpperCase() : null;
+    if (key) {
+      if (!BOARD_KEY_PATTERN.test(key)) {
+        return res.status(400).json({ success: false, error: 'Board key must be 2-10 letters or digits, starting with a letter' });
+      }
+      if (await Board.exists({ key }).setOptions({ withDeleted: true })) {
+        return res.status(400).json({ success: false, error: `Board key ${key} is already in use` });
+      }
+    } else {
+      key = await generateBoardKey(name);
+    }
+
     // Create the board
-    const board = await Board.create({ name, description });
+    const board = await Board.create({ name, description, key });
 
     // Create default columns
     const columnPromises = DEFAULT_COLUMNS.map((colName, index) =>
@@ -154,14 +150,37 @@ router.post('/', async (req, res, next) => {
 
 // @route   PUT /api/boards/:id
 // @desc    Update board
-router.put('/:id', async (req, res, next) => {
+router.put('/:id', authorizeBoard(boardParam('id')), requirePermission('canAdminBoards'), async (req, res, next) => {
   try {
-    const { name, description, columnOrder } = req.body;
+    const { name, description, columnOrder, fileTypes } = req.body;
 
     const updateData = {};
     if (name !== undefined) updateData.name = name;
     if (description !== undefined) updateData.description = description;
     if (columnOrder !== undefined) updateData.columnOrder = columnOrder;
+    if (fileTypes !== undefined) {
+      const toList = (list) => (Array.isArray(list) ? list : [])
+        .map(pattern => String(pattern).trim().toLowerCase())
+        .filter(Boolean);
+      updateData.fileTypes = { allowed: toList(fileTypes?.allowed), denied: toList(fileTypes?.denied) };
+    }
+
+    // Changing the key renames every task key on the board (old keys stop resolving)
+    const currentBoard = await Board.findById(req.params.id);
+    if (!currentBoard) {
+      return res.status(404).json({ success: false, error: 'Board not found' });
+    }
+    const key = req.body.key ? req.body.key.trim().toUpperCase() : null;
+    const keyChanged = key && key !== currentBoard.key;
+    if (keyChanged) {
+      if (!BOARD_KEY_PATTERN.test(key)) {
+        return res.status(400).json({ success: false, error: 'Board key must be 2-10 letters or digits, starting with a letter' });
+      }
+      if (await Board.exists({ key, _id: { $ne: currentBoard._id } }).setOptions({ withDeleted: true })) {
+        return res.status(400).json({ success: false, error: `Board key ${key} is already in use` });
+      }
+      updateData.key = key;
+    }
 
     const board = await Board.findByIdAndUpdate(
       req.params.id,
@@ -169,10 +188,123 @@ router.put('/:id', async (req, res, next) => {
       { new: true, runValidators: true }
     );
 
+    if (keyChanged) {
+      await rekeyBoardTasks(board._id, board.key);
+    }
+
+    res.json({ success: true, data: board });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/boards/:id/repair
+// @desc    Reconcile column task lists, task columns and task states (?dryRun=true only reports)
+router.post('/:id/repair', authorizeBoard(boardParam('id')), requirePermission('canAdminBoards'), async (req, res, next) => {
+  try {
+    const dryRun = req.query.dryRun === 'true' || req.body?.dryRun === true;
+
+    const result = await repairBoard(req.params.id, { dryRun });
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Board not found' });
+    }
+
+    if (!dryRun && result.fixes.length > 0) {
+      publish(req, req.params.id, 'board:repaired', { fixed: result.fixes.length });
+    }
+
+    res.json({ success: true, data: { dryRun, fixes: result.fixes } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/boards/:id/export
+// @desc    Download the board's tasks with comments, dependencies and file metadata (?format=csv|json)
+router.get('/:id/export', authorizeBoard(boardParam('id')), async (req, res, next) => {
+  try {
+    const format = req.query.format || 'json';
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({ success: false, error: 'Format must be csv or json' });
+    }
+
+    const exported = await exportBoard(req.params.id);
+    if (!exported) {
+      return res.status(404).json({ success: false, error: 'Board not found' });
+    }
+
+    const date = new Date().toISOString().substring(0, 10);
+    res.attachment(`${exported.board.key || 'board'}-${date}.${format}`);
+    if (format === 'csv') {
+      res.type('text/csv').send(exportToCsv(exported));
+    } else {
+      res.type('application/json').send(JSON.stringify(exported, null, 2));
+    }
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/boards/:id/import
+// @desc    Import tasks from CSV or JSON: { format, content, mapping?, dedupe?, dryRun? }.
+//          Without a mapping, columns are matched by name. The response reports every row.
+router.post('/:id/import', authorizeBoard(boardParam('id')), requirePermission('canAdminBoards'), async (req, res, next) => {
+  try {
+    const board = await Board.findById(req.params.id);
     if (!board) {
       return res.status(404).json({ success: false, error: 'Board not found' });
     }
 
+    // Assignees are matched to board users; the import still works if Authentik is unreachable
+    let boardUsers = [];
+    try {
+      boardUsers = await fetchBoardUsers(board._id);
+    } catch (error) {
+      console.error('Error fetching board users for import:', error);
+    }
+
+    const { format, content, mapping, dedupe, dryRun } = req.body;
+    const result = await importTasks(req, board._id, {
+      format,
+      content,
+      mapping,
+      dedupe,
+      dryRun: dryRun === true
+    }, { boardUsers });
+
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+
+    for (const task of result.tasks) {
+      await recordTaskEvent(req, task, 'created', {
+        details: { columnName: task.state, imported: true }
+      });
+    }
+    if (result.tasks.length > 0) {
+      publish(req, board._id, 'board:imported', { created: result.tasks.length });
+    }
+
+    res.json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/boards/:id/restore
+// @desc    Restore a deleted board with its columns and tasks
+router.post('/:id/restore', authorizeBoard(boardParam('id')), requirePermission('canAdminBoards'), async (req, res, next) => {
+  try {
+    const board = await Board.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+
+    if (!board) {
+      return res.status(404).json({ success: false, error: 'Board not found in the trash' });
+    }
+
+    board.deletedAt = null;
+    board.deletedBy = null;
+    await board.save();
+
     res.json({ success: true, data: board });
   } catch (error) {
     next(error);
@@ -180,8 +312,8 @@ router.put('/:id', async (req, res, next) => {
 });
 
 // @route   DELETE /api/boards/:id
-// @desc    Delete board and all its columns and tasks
-router.delete('/:id', async (req, res, next) => {
+// @desc    Move a board to the trash. Its columns, tasks and files are removed when it is purged.
+router.delete('/:id', authorizeBoard(boardParam('id')), requirePermission('canAdminBoards'), async (req, res, next) => {
   try {
     const board = await Board.findById(req.params.id);
 
@@ -189,14 +321,9 @@ router.delete('/:id', async (req, res, next) => {
       return res.status(404).json({ success: false, error: 'Board not found' });
     }
 
-    // Delete all tasks for this board
-    await Task.deleteMany({ boardId: board._id });
-
-    // Delete all columns for this board
-    await Column.deleteMany({ boardId: board._id });
-
-    // Delete the board
-    await board.deleteOne();
+    board.deletedAt = new Date();
+    board.deletedBy = getUserRef(req);
+    await board.save();
 
     res.json({ success: true, data: {} });
   } catch (error) {
@@ -3,6 +3,11 @@ const router = express.Router();
 const Column = require('../models/Column');
 const Board = require('../models/Board');
 const Task = require('../models/Task');
+const { getUserRef } = require('../middleware/currentUser');
+const { publish } = require('../services/realtimeService');
+const { runInTransaction } = require('../services/transactionService');
+const { getExpectedVersion, checkVersionHeader, sendConflict } = require('../middleware/preconditions');
+const { authorizeBoard, requirePermission, boardParam, columnParam } = require('../middleware/permissions');
 
 // Default columns that should always exist
 const DEFAULT_COLUMNS = ['Backlog', 'Next Up', 'Working On', 'Completed', 'In Testing', 'Passed'];
@@ -46,7 +51,7 @@ async function ensureDefaultColumns(board) {
 
 // @route   GET /api/boards/:boardId/columns
 // @desc    Get all columns for a board
-router.get('/boards/:boardId/columns', async (req, res, next) => {
+router.get('/boards/:boardId/columns', authorizeBoard(boardParam('boardId')), async (req, res, next) => {
   try {
     const board = await Board.findById(req.params.boardId);
 
@@ -70,7 +75,7 @@ router.get('/boards/:boardId/columns', async (req, res, next) => {
 
 // @route   POST /api/boards/:boardId/columns
 // @desc    Create a new column
-router.post('/boards/:boardId/columns', async (req, res, next) => {
+router.post('/boards/:boardId/columns', authorizeBoard(boardParam('boardId')), async (req, res, next) => {
   try {
     const { name } = req.body;
     const board = await Board.findById(req.params.boardId);
@@ -90,6 +95,8 @@ router.post('/boards/:boardId/columns', async (req, res, next) => {
     board.columnOrder.push(column._id);
     await board.save();
 
+    publish(req, board._id, 'column:created', { column, columnOrder: board.columnOrder });
+
     res.status(201).json({ success: true, data: column });
   } catch (error) {
     next(error);
@@ -97,25 +104,37 @@ router.post('/boards/:boardId/columns', async (req, res, next) => {
 });
 
 // @route   PUT /api/columns/:id
-// @desc    Update a column
-router.put('/columns/:id', async (req, res, next) => {
+// @desc    Update a column (with If-Match: "<__v>" the update only applies to that version, else 409)
+router.put('/columns/:id', authorizeBoard(columnParam('id')), async (req, res, next) => {
   try {
     const { name, taskIds } = req.body;
 
+    if (!checkVersionHeader(req, res)) return;
+    const expectedVersion = getExpectedVersion(req);
+
     const updateData = {};
     if (name !== undefined) updateData.name = name;
     if (taskIds !== undefined) updateData.taskIds = taskIds;
 
-    const column = await Column.findByIdAndUpdate(
-      req.params.id,
-      updateData,
+    const filter = { _id: req.params.id };
+    if (expectedVersion !== null) filter.__v = expectedVersion;
+
+    const column = await Column.findOneAndUpdate(
+      filter,
+      { ...updateData, $inc: { __v: 1 } },
       { new: true, runValidators: true }
     );
 
     if (!column) {
+      const latestColumn = await Column.findById(req.params.id);
+      if (latestColumn) {
+        return sendConflict(res, latestColumn, 'This column was changed by someone else');
+      }
       return res.status(404).json({ success: false, error: 'Column not found' });
     }
 
+    publish(req, column.boardId, 'column:updated', { column });
+
     res.json({ success: true, data: column });
   } catch (error) {
     next(error);
@@ -123,8 +142,8 @@ router.put('/columns/:id', async (req, res, next) => {
 });
 
 // @route   DELETE /api/columns/:id
-// @desc    Delete a column (only non-default columns)
-router.delete('/columns/:id', async (req, res, next) => {
+// @desc    Move a column to the board's trash (only non-default columns; its tasks go to Backlog)
+router.delete('/columns/:id', authorizeBoard(columnParam('id')), requirePermission('canDeleteTasks'), async (req, res, next) => {
   try {
     const column = await Column.findById(req.params.id);
 
@@ -139,32 +158,61 @@ router.delete('/columns/:id', async (req, res, next) => {
       });
     }
 
-    // Move tasks from this column to first default column (Backlog)
-    const backlogColumn = await Column.findOne({
-      boardId: column.boardId,
-      name: 'Backlog'
+    // Send the column's tasks to Backlog and trash the column in one transaction, so a failure
+    // can't leave tasks pointing at a deleted column
+    const { backlogColumn, movedTaskIds } = await runInTransaction(async (session) => {
+      const current = await Column.findById(column._id).session(session);
+      if (!current) return { backlogColumn: null, movedTaskIds: [] };
+
+      const backlog = await Column.findOne({
+        boardId: column.boardId,
+        name: 'Backlog'
+      }).session(session);
+
+      // Tasks of the column, in column order (tasks missing from taskIds go last)
+      const columnTasks = await Task.find({ columnId: column._id }, '_id').session(session);
+      const taskIds = [...new Set([
+        ...current.taskIds.map(String),
+        ...columnTasks.map(t => t._id.toString())
+      ])];
+
+      let updatedBacklog = null;
+      if (backlog && taskIds.length > 0) {
+        // Update tasks to point to backlog column
+        await Task.updateMany(
+          { columnId: column._id },
+          { columnId: backlog._id, state: backlog.name, $inc: { __v: 1 } },
+          { session }
+        );
+
+        // Add task IDs to backlog column
+        updatedBacklog = await Column.findByIdAndUpdate(
+          backlog._id,
+          { $push: { taskIds: { $each: taskIds } }, $inc: { __v: 1 } },
+          { new: true, session }
+        );
+      }
+
+      // Remove column from board's columnOrder
+      await Board.findByIdAndUpdate(column.boardId, {
+        $pull: { columnOrder: column._id }
+      }, { session });
+
+      // Move the column to the trash, empty
+      current.taskIds = [];
+      current.deletedAt = new Date();
+      current.deletedBy = getUserRef(req);
+      await current.save({ session });
+
+      return { backlogColumn: updatedBacklog, movedTaskIds: updatedBacklog ? taskIds : [] };
     });
 
-    if (backlogColumn && column.taskIds.length > 0) {
-      // Update tasks to point to backlog column
-      await Task.updateMany(
-        { columnId: column._id },
-        { columnId: backlogColumn._id, state: 'Backlog' }
-      );
-
-      // Add task IDs to backlog column
-      backlogColumn.taskIds.push(...column.taskIds);
-      await backlogColumn.save();
-    }
-
-    // Remove column from board's columnOrder
-    await Board.findByIdAndUpdate(column.boardId, {
-      $pull: { columnOrder: column._id }
+    publish(req, column.boardId, 'column:deleted', {
+      columnId: column._id,
+      columns: backlogColumn ? [backlogColumn] : [],
+      movedTaskIds
     });
 
-    // Delete the column
-    await column.deleteOne();
-
     res.json({ success: true, data: {} });
   } catch (error) {
     next(error);
@@ -172,11 +220,19 @@ router.delete('/columns/:id', async (req, res, next) => {
 });
 
 // @route   PUT /api/boards/:boardId/columns/reorder
-// @desc    Reorder columns
-router.put('/boards/:boardId/columns/reorder', async (req, res, next) => {
+// @desc    Reorder columns (the new order must list every column of the board exactly once)
+router.put('/boards/:boardId/columns/reorder', authorizeBoard(boardParam('boardId')), async (req, res, next) => {
   try {
     const { columnOrder } = req.body;
 
+    const columns = await Column.find({ boardId: req.params.boardId }, '_id');
+    const boardColumnIds = new Set(columns.map(c => c._id.toString()));
+    const orderIds = Array.isArray(columnOrder) ? columnOrder.map(String) : [];
+    if (orderIds.length !== boardColumnIds.size || new Set(orderIds).size !== orderIds.length ||
+        !orderIds.every(id => boardColumnIds.has(id))) {
+      return res.status(400).json({ success: false, error: 'Column order must list every column of the board once' });
+    }
+
     const board = await Board.findByIdAndUpdate(
       req.params.boardId,
       { columnOrder },
@@ -187,6 +243,8 @@ router.put('/boards/:boardId/columns/reorder', async (req, res, next) => {
       return res.status(404).json({ success: false, error: 'Board not found' });
     }
 
+    publish(req, board._id, 'column:reordered', { columnOrder: board.columnOrder });
+
     res.json({ success: true, data: board });
   } catch (error) {
     next(error);
@@ -2,10 +2,14 @@ const express = require('express');
 const router = express.Router();
 const EmailRule = require('../models/EmailRule');
 const Board = require('../models/Board');
+const { authorizeBoard, requirePermission, boardParam } = require('../middleware/permissions');
+
+// Email rules need access to the board and the email rule permission
+const authorizeRules = [authorizeBoard(boardParam('boardId')), requirePermission('canManageEmailRules')];
 
 // @route   GET /api/boards/:boardId/email-rules
 // @desc    Get all email rules for a board
-router.get('/boards/:boardId/email-rules', async (req, res, next) => {
+router.get('/boards/:boardId/email-rules', authorizeRules, async (req, res, next) => {
   try {
     const { boardId } = req.params;
 
@@ -24,7 +28,7 @@ router.get('/boards/:boardId/email-rules', async (req, res, next) => {
 
 // @route   GET /api/boards/:boardId/email-rules/:id
 // @desc    Get a single email rule
-router.get('/boards/:boardId/email-rules/:id', async (req, res, next) => {
+router.get('/boards/:boardId/email-rules/:id', authorizeRules, async (req, res, next) => {
   try {
     const rule = await EmailRule.findById(req.params.id);
 
@@ -44,7 +48,7 @@ router.get('/boards/:boardId/email-rules/:id', async (req, res, next) => {
 
 // @route   POST /api/boards/:boardId/email-rules
 // @desc    Create a new email rule
-router.post('/boards/:boardId/email-rules', async (req, res, next) => {
+router.post('/boards/:boardId/email-rules', authorizeRules, async (req, res, next) => {
   try {
     const { boardId } = req.params;
     const { name, enabled, trigger, conditions, email } = req.body;
@@ -90,7 +94,7 @@ router.post('/boards/:boardId/email-rules', async (req, res, next) => {
 
 // @route   PUT /api/boards/:boardId/email-rules/:id
 // @desc    Update an email rule
-router.put('/boards/:boardId/email-rules/:id', async (req, res, next) => {
+router.put('/boards/:boardId/email-rules/:id', authorizeRules, async (req, res, next) => {
   try {
     const { boardId, id } = req.params;
     const { name, enabled, trigger, conditions, email } = req.body;
@@ -141,7 +145,7 @@ router.put('/boards/:boardId/email-rules/:id', async (req, res, next) => {
 
 // @route   DELETE /api/boards/:boardId/email-rules/:id
 // @desc    Delete an email rule
-router.delete('/boards/:boardId/email-rules/:id', async (req, res, next) => {
+router.delete('/boards/:boardId/email-rules/:id', authorizeRules, async (req, res, next) => {
   try {
     const { boardId, id } = req.params;
 
@@ -163,7 +167,7 @@ router.delete('/boards/:boardId/email-rules/:id', async (req, res, next) => {
 
 // @route   POST /api/boards/:boardId/email-rules/:id/duplicate
 // @desc    Duplicate an email rule
-router.post('/boards/:boardId/email-rules/:id/duplicate', async (req, res, next) => {
+router.post('/boards/:boardId/email-rules/:id/duplicate', authorizeRules, async (req, res, next) => {
   try {
     const { boardId, id } = req.params;
 
@@ -201,7 +205,7 @@ router.post('/boards/:boardId/email-rules/:id/duplicate', async (req, res, next)
 
 // @route   PATCH /api/boards/:boardId/email-rules/:id/toggle
 // @desc    Toggle an email rule's enabled status
-router.patch('/boards/:boardId/email-rules/:id/toggle', async (req, res, next) => {
+router.patch('/boards/:boardId/email-rules/:id/toggle', authorizeRules, async (req, res, next) => {
   try {
     const { boardId, id } = req.params;
 
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Board = require('../models/Board');
+const { subscribe } = require('../services/realtimeService');
+const { authorizeBoard, boardParam } = require('../middleware/permissions');
+
+// @route   GET /api/boards/:boardId/events
+// @desc    Stream task, column, comment and file changes and presence for a board (Server-Sent Events)
+router.get('/boards/:boardId/events', authorizeBoard(boardParam('boardId')), async (req, res, next) => {
+  try {
+    const { boardId } = req.params;
+    if (!mongoose.isValidObjectId(boardId) || !await Board.exists({ _id: boardId })) {
+      return res.status(404).json({ success: false, error: 'Board not found' });
+    }
+
+    subscribe(boardId, req, res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
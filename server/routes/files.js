@@ -2,135 +2,176 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const path = require('path');
+const { Transform } = require('stream');
 const fs = require('fs');
+const { pipeline } = require('stream/promises');
 const { v4: uuidv4 } = require('uuid');
-const checkDiskSpace = require('check-disk-space').default;
-const Task = require('../models/Task');
+const Board = require('../models/Board');
+const UploadSession = require('../models/UploadSession');
+const { FILE_ID_PATTERN, getStorage } = require('../services/storage');
+const { queueThumbnails, getThumbnail } = require('../services/thumbnailService');
+const { sniffFileType, detectFileType, checkFileType, isRiskyType } = require('../services/fileTypeService');
+const { queueScan, getScanStatus, recordFinishedScans } = require('../services/fileScanService');
+const {
+  formatLimit,
+  getQuotas,
+  getLargestSizeLimit,
+  checkFileSize,
+  checkBoardQuota,
+  checkTaskQuota,
+  formatQuotas
+} = require('../services/attachmentQuotaService');
+const {
+  ChunkError,
+  getStagingPath,
+  getExpiryDate,
+  createStagingFile,
+  readStagedHead,
+  appendChunk,
+  removeSession
+} = require('../services/uploadSessionService');
+const {
+  AttachmentError,
+  createAttachments,
+  toFileEntry,
+  findAttachments,
+  linkAttachments,
+  unlinkAttachment,
+  moveAttachment
+} = require('../services/attachmentService');
+const { findTaskByIdOrKey } = require('../services/taskKeyService');
+const { recordTaskEvent } = require('../services/historyService');
+const { publish } = require('../services/realtimeService');
+const { getUserRef } = require('../middleware/currentUser');
+const { authorizeBoard, boardParam, taskParam } = require('../middleware/permissions');
 
-const MAX_FILE_SIZE = 100 * 1024 * 1024; // 100MB for regular files
-const MAX_VIDEO_FILE_SIZE = 250 * 1024 * 1024; // 250MB for video files
-const VIDEO_EXTENSIONS = ['.mp4', '.avi', '.mkv'];
-const MAX_FILES_PER_UPLOAD = 4;
 const MIN_FREE_SPACE_PERCENT = 5; // Reject uploads if less than 5% free
-const UPLOAD_DIR = path.join(__dirname, '..', 'Uploaded_Images');
-
-// Check if file is a video based on extension
-const isVideoFile = (filename) => {
-  const ext = path.extname(filename).toLowerCase();
-  return VIDEO_EXTENSIONS.includes(ext);
+const CHUNK_SIZE = 5 * 1024 * 1024; // Chunk size suggested to clients for chunked uploads
+const MAX_CHUNK_SIZE = 10 * 1024 * 1024;
+
+// Error message if the storage is too full for uploads (backends without a fixed size report null)
+const getFreeSpaceError = async () => {
+  const freePercent = await getStorage().getFreeSpacePercent();
+  if (freePercent === null || freePercent >= MIN_FREE_SPACE_PERCENT) return null;
+  return `Insufficient disk space. Only ${freePercent.toFixed(1)}% free (minimum ${MIN_FREE_SPACE_PERCENT}% required). Please contact an administrator.`;
 };
 
-// Ensure upload directory exists
-if (!fs.existsSync(UPLOAD_DIR)) {
-  fs.mkdirSync(UPLOAD_DIR, { recursive: true });
-}
-
-// Configure multer storage
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const boardId = req.params.boardId;
-    const boardDir = path.join(UPLOAD_DIR, boardId);
+// Multer storage engine that hands uploads to the configured storage backend
+const storage = {
+  _handleFile: (req, file, cb) => {
+    // Generate GUID for filename, preserve extension
+    const filename = uuidv4() + path.extname(file.originalname);
+    let size = 0;
 
-    // Create board directory if it doesn't exist
-    if (!fs.existsSync(boardDir)) {
-      fs.mkdirSync(boardDir, { recursive: true });
-    }
+    const counter = new Transform({
+      transform(chunk, encoding, done) {
+        size += chunk.length;
+        done(null, chunk);
+      }
+    });
+    pipeline(file.stream, counter).catch(() => {}); // Upload errors surface through save()
 
-    cb(null, boardDir);
+    getStorage().save(req.params.boardId, filename, counter, { contentType: file.mimetype })
+      .then(() => cb(null, { filename, size }), cb);
   },
-  filename: (req, file, cb) => {
-    // Generate GUID for filename, preserve extension
-    const ext = path.extname(file.originalname);
-    const guid = uuidv4();
-    cb(null, guid + ext);
+  _removeFile: (req, file, cb) => {
+    getStorage().remove(req.params.boardId, file.filename).then(() => cb(null), cb);
   }
-});
+};
 
-// File filter - check file size based on type
+// File filter - everything is accepted here
 const fileFilter = (req, file, cb) => {
-  // We'll check size limits after upload since multer doesn't give us size here
+  // Sizes and types are checked after upload (see validateUploadedFiles): multer doesn't give us
+  // the size here, and the browser's mimetype can't be trusted
   cb(null, true);
 };
 
-const upload = multer({
+// The limits follow the attachment quotas, so the upload middleware is made per request
+const createUpload = (quotas) => multer({
   storage,
   fileFilter,
   limits: {
-    fileSize: MAX_VIDEO_FILE_SIZE, // Use higher limit, validate per-file after
-    files: MAX_FILES_PER_UPLOAD
+    fileSize: getLargestSizeLimit(quotas), // Use the highest limit, validate per-file after
+    files: quotas.maxFilesPerTask
   }
 });
 
-// Validate file sizes after upload (videos get 250MB, others get 100MB)
-const validateUploadedFiles = (files) => {
+// Validate files after upload: the type found in the content against the board's allowed/blocked
+// types, its size against the size limit of that type, and the board's storage quota.
+// Valid files get detectedType.
+const validateUploadedFiles = async (board, files, quotas) => {
+  const boardId = board._id.toString();
   const errors = [];
   const validFiles = [];
+  let acceptedBytes = 0;
 
   for (const file of files) {
-    const maxSize = isVideoFile(file.originalname) ? MAX_VIDEO_FILE_SIZE : MAX_FILE_SIZE;
-    if (file.size > maxSize) {
-      // Delete the oversized file
-      fs.unlinkSync(file.path);
-      const maxMB = maxSize / (1024 * 1024);
-      errors.push(`"${file.originalname}" exceeds ${maxMB}MB limit`);
+    const detectedType = await detectFileType(boardId, file.filename, file.size, file.originalname);
+    const error = checkFileType(detectedType, board.fileTypes) ||
+      checkFileSize(quotas, detectedType, file.size) ||
+      await checkBoardQuota(quotas, boardId, acceptedBytes + file.size);
+
+    if (error) {
+      // Delete the rejected file
+      await getStorage().remove(boardId, file.filename);
+      errors.push(`"${file.originalname}" was rejected: ${error}`);
     } else {
-      validFiles.push(file);
+      validFiles.push({ ...file, detectedType });
+      acceptedBytes += file.size;
     }
   }
 
   return { validFiles, errors };
 };
 
-// Custom error handler for multer
-const handleMulterError = (err, req, res, next) => {
-  if (err instanceof multer.MulterError) {
-    if (err.code === 'LIMIT_FILE_SIZE') {
-      return res.status(400).json({
-        success: false,
-        error: `File too large. Maximum size is 100MB.`,
-        field: err.field
-      });
-    }
-    if (err.code === 'LIMIT_FILE_COUNT') {
-      return res.status(400).json({
-        success: false,
-        error: `Too many files. Maximum is ${MAX_FILES_PER_UPLOAD} files.`
-      });
-    }
-    return res.status(400).json({ success: false, error: err.message });
-  }
-  next(err);
+// Uploads are scanned for malware and get thumbnails in the background
+const processUploadedFiles = (boardId, filenames) => {
+  filenames.forEach(filename => queueScan(boardId, filename));
+  queueThumbnails(boardId, filenames);
 };
 
+// @route   GET /api/files/quotas
+// @desc    Get the attachment quotas (so clients can check files before uploading them)
+router.get('/files/quotas', async (req, res, next) => {
+  try {
+    const quotas = await getQuotas();
+
+    res.json({ success: true, data: formatQuotas(quotas) });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @route   POST /api/boards/:boardId/upload
 // @desc    Upload files for a board (task or comment)
-router.post('/boards/:boardId/upload', async (req, res, next) => {
+router.post('/boards/:boardId/upload', authorizeBoard(boardParam('boardId')), async (req, res, next) => {
   try {
-    // Check disk space before uploading
-    const diskSpace = await checkDiskSpace(UPLOAD_DIR);
-    const freePercent = (diskSpace.free / diskSpace.size) * 100;
+    const board = await Board.findById(req.params.boardId, 'fileTypes');
+    if (!board) {
+      return res.status(404).json({ success: false, error: 'Board not found' });
+    }
+    const quotas = await getQuotas();
 
-    if (freePercent < MIN_FREE_SPACE_PERCENT) {
-      return res.status(507).json({
-        success: false,
-        error: `Insufficient disk space. Only ${freePercent.toFixed(1)}% free (minimum ${MIN_FREE_SPACE_PERCENT}% required). Please contact an administrator.`
-      });
+    // Check disk space before uploading
+    const freeSpaceError = await getFreeSpaceError();
+    if (freeSpaceError) {
+      return res.status(507).json({ success: false, error: freeSpaceError });
     }
 
     // Proceed with upload
-    upload.array('files', MAX_FILES_PER_UPLOAD)(req, res, (err) => {
+    createUpload(quotas).array('files', quotas.maxFilesPerTask)(req, res, async (err) => {
       if (err instanceof multer.MulterError) {
         if (err.code === 'LIMIT_FILE_SIZE') {
           return res.status(400).json({
             success: false,
-            error: `File "${err.field}" exceeds 100MB limit`,
+            error: `File "${err.field}" exceeds the ${formatLimit(getLargestSizeLimit(quotas))} upload limit`,
             oversizedFile: err.field
           });
         }
         if (err.code === 'LIMIT_FILE_COUNT') {
           return res.status(400).json({
             success: false,
-            error: `Too many files. Maximum is ${MAX_FILES_PER_UPLOAD} files.`
+            error: `Too many files. Maximum is ${quotas.maxFilesPerTask} files.`
           });
         }
         return res.status(400).json({ success: false, error: err.message });
@@ -139,19 +180,24 @@ router.post('/boards/:boardId/upload', async (req, res, next) => {
         return next(err);
       }
 
-      // Validate file sizes (videos get 250MB, others get 100MB)
-      const { validFiles, errors } = validateUploadedFiles(req.files);
+      // Validate file sizes and types
+      let validFiles, errors;
+      try {
+        ({ validFiles, errors } = await validateUploadedFiles(board, req.files, quotas));
+      } catch (error) {
+        return next(error);
+      }
 
       // Process valid uploaded files
       const uploadedFiles = validFiles.map(file => ({
         fileId: path.basename(file.filename, path.extname(file.filename)),
         originalName: file.originalname,
-        mimeType: file.mimetype,
+        mimeType: file.detectedType,
         size: file.size,
         filename: file.filename
       }));
 
-      // Return with any size validation errors
+      // Return with any validation errors
       if (errors.length > 0 && validFiles.length === 0) {
         return res.status(400).json({
           success: false,
@@ -159,56 +205,307 @@ router.post('/boards/:boardId/upload', async (req, res, next) => {
         });
       }
 
+      try {
+        await createAttachments(req.params.boardId, uploadedFiles, getUserRef(req));
+      } catch (error) {
+        return next(error);
+      }
+
       res.json({
         success: true,
         data: uploadedFiles,
         warnings: errors.length > 0 ? errors : undefined
       });
+
+      processUploadedFiles(req.params.boardId, validFiles.map(file => file.filename));
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Chunked uploads: large files are sent in pieces so a dropped connection only costs one chunk.
+// The client creates an upload, PATCHes chunks in order (Upload-Offset says where each one starts;
+// GET tells where to resume) and finalizes it, which returns the same file metadata as /upload.
+
+const formatSession = (session) => ({
+  uploadId: session._id,
+  originalName: session.originalName,
+  size: session.size,
+  offset: session.offset,
+  chunkSize: CHUNK_SIZE,
+  maxChunkSize: MAX_CHUNK_SIZE,
+  expiresAt: session.expiresAt
+});
+
+// Sniff a staged upload and check it against the board's allowed/blocked types, the size limit
+// of its type and the board's storage quota.
+// Returns the error message, or null (session.mimeType is set either way).
+const checkStagedFile = async (session) => {
+  const board = await Board.findById(session.boardId, 'fileTypes');
+  const quotas = await getQuotas();
+  session.mimeType = sniffFileType(await readStagedHead(session), session.originalName);
+  const error = checkFileType(session.mimeType, board?.fileTypes) ||
+    checkFileSize(quotas, session.mimeType, session.size) ||
+    await checkBoardQuota(quotas, session.boardId, session.size);
+  return error && `"${session.originalName}" was rejected: ${error}`;
+};
+
+// Middleware: a chunked upload belongs to the user who started it, so the user must be known
+const requireUserId = (req, res, next) => {
+  if (!req.currentUser?.id) {
+    return res.status(403).json({ success: false, error: 'Your account could not be identified' });
+  }
+  next();
+};
+
+// An upload of the board started by the current user (never found without a user id)
+const findSession = async (req) => {
+  const userId = getUserRef(req).id;
+  if (!userId) return null;
+  const session = await UploadSession.findOne({ _id: req.params.uploadId, boardId: req.params.boardId });
+  return session && session.createdBy === userId ? session : null;
+};
+
+// @route   POST /api/boards/:boardId/uploads
+// @desc    Start a chunked upload ({ name, size })
+router.post('/boards/:boardId/uploads', authorizeBoard(boardParam('boardId')), requireUserId, async (req, res, next) => {
+  try {
+    const { name, size } = req.body;
+
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ success: false, error: 'File name is required' });
+    }
+    if (!Number.isInteger(size) || size <= 0) {
+      return res.status(400).json({ success: false, error: 'File size must be a positive number of bytes' });
+    }
+
+    // The size limit of the file's type is checked once the first chunk shows the type
+    const quotas = await getQuotas();
+    const maxSize = getLargestSizeLimit(quotas);
+    const quotaError = size > maxSize
+      ? `exceeds the ${formatLimit(maxSize)} upload limit`
+      : await checkBoardQuota(quotas, req.params.boardId, size);
+    if (quotaError) {
+      return res.status(400).json({ success: false, error: `"${name}" was rejected: ${quotaError}` });
+    }
+
+    const freeSpaceError = await getFreeSpaceError();
+    if (freeSpaceError) {
+      return res.status(507).json({ success: false, error: freeSpaceError });
+    }
+
+    const session = await UploadSession.create({
+      boardId: req.params.boardId,
+      fileId: uuidv4(),
+      originalName: name.trim(),
+      size,
+      createdBy: getUserRef(req).id,
+      expiresAt: getExpiryDate()
+    });
+    await createStagingFile(session);
+
+    res.status(201).json({ success: true, data: formatSession(session) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/boards/:boardId/uploads/:uploadId
+// @desc    Get how much of a chunked upload has been received (where to resume)
+router.get('/boards/:boardId/uploads/:uploadId', authorizeBoard(boardParam('boardId')), requireUserId, async (req, res, next) => {
+  try {
+    const session = await findSession(req);
+    if (!session) {
+      return res.status(404).json({ success: false, error: 'Upload not found' });
+    }
+
+    res.json({ success: true, data: formatSession(session) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PATCH /api/boards/:boardId/uploads/:uploadId
+// @desc    Append a chunk (body: application/offset+octet-stream, Upload-Offset header: where it starts)
+router.patch('/boards/:boardId/uploads/:uploadId', authorizeBoard(boardParam('boardId')), requireUserId, async (req, res, next) => {
+  let session;
+  try {
+    if (!req.is('application/offset+octet-stream')) {
+      return res.status(415).json({ success: false, error: 'Chunks must be sent as application/offset+octet-stream' });
+    }
+
+    const offset = Number(req.get('Upload-Offset'));
+    if (!Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({ success: false, error: 'Upload-Offset header is required' });
+    }
+    if (Number(req.get('Content-Length')) > MAX_CHUNK_SIZE) {
+      return res.status(400).json({ success: false, error: `Chunks can be at most ${MAX_CHUNK_SIZE / (1024 * 1024)}MB` });
+    }
+
+    session = await findSession(req);
+    if (!session) {
+      return res.status(404).json({ success: false, error: 'Upload not found' });
+    }
+
+    session = await appendChunk(session, offset, req, MAX_CHUNK_SIZE);
+
+    // The type is known from the first chunk, so a file the board doesn't take is stopped early
+    if (offset === 0) {
+      const fileError = await checkStagedFile(session);
+      if (fileError) {
+        await removeSession(session);
+        return res.status(400).json({ success: false, error: fileError });
+      }
+      await session.save();
+    }
+
+    res.json({ success: true, data: formatSession(session) });
+  } catch (error) {
+    if (error instanceof ChunkError) {
+      // The rest of a rejected chunk is not read, so the connection can't be reused
+      res.set('Connection', 'close');
+      return res.status(error.statusCode).json({ success: false, error: error.message, offset: session?.offset });
+    }
+    // The client went away mid-chunk; it resumes from the last complete chunk
+    if (req.socket?.destroyed) return;
+    next(error);
+  }
+});
+
+// @route   POST /api/boards/:boardId/uploads/:uploadId/finalize
+// @desc    Store a completely received upload as an attachment file
+router.post('/boards/:boardId/uploads/:uploadId/finalize', authorizeBoard(boardParam('boardId')), requireUserId, async (req, res, next) => {
+  try {
+    const { boardId } = req.params;
+
+    const session = await findSession(req);
+    if (!session) {
+      return res.status(404).json({ success: false, error: 'Upload not found' });
+    }
+    if (session.offset !== session.size) {
+      return res.status(409).json({
+        success: false,
+        error: `Upload is incomplete (${session.offset} of ${session.size} bytes received)`,
+        offset: session.offset
+      });
+    }
+
+    const fileError = await checkStagedFile(session);
+    if (fileError) {
+      await removeSession(session);
+      return res.status(400).json({ success: false, error: fileError });
+    }
+
+    const filename = session.fileId + path.extname(session.originalName);
+    await getStorage().save(boardId, filename, fs.createReadStream(getStagingPath(session)), {
+      contentType: session.mimeType
     });
+    await removeSession(session);
+
+    const uploadedFile = {
+      fileId: session.fileId,
+      originalName: session.originalName,
+      mimeType: session.mimeType,
+      size: session.size,
+      filename
+    };
+    await createAttachments(boardId, [uploadedFile], getUserRef(req));
+
+    res.json({ success: true, data: uploadedFile });
+
+    processUploadedFiles(boardId, [filename]);
   } catch (error) {
     next(error);
   }
 });
 
+// @route   DELETE /api/boards/:boardId/uploads/:uploadId
+// @desc    Cancel a chunked upload
+router.delete('/boards/:boardId/uploads/:uploadId', authorizeBoard(boardParam('boardId')), requireUserId, async (req, res, next) => {
+  try {
+    const session = await findSession(req);
+    if (!session) {
+      return res.status(404).json({ success: false, error: 'Upload not found' });
+    }
+
+    await removeSession(session);
+    res.json({ success: true, data: {} });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// The attachments named in an attach request body ({ files: [{ fileId }] }; other metadata sent
+// along is ignored, it comes from the upload). Returns an error message for a bad body.
+const getRequestedFileIds = (body) => {
+  const files = body?.files;
+  if (!Array.isArray(files) || files.length === 0 || files.some(f => typeof f?.fileId !== 'string')) {
+    return { error: 'files must be a list of { fileId }' };
+  }
+  return { fileIds: [...new Set(files.map(f => f.fileId))] };
+};
+
+// Files list entries for attachments, with the state of their malware scan
+const toAttachedFiles = async (boardId, attachments) => {
+  const entries = [];
+  for (const attachment of attachments) {
+    entries.push({ ...toFileEntry(attachment), ...await getScanStatus(boardId, attachment.fileId) });
+  }
+  return entries;
+};
+
 // @route   POST /api/tasks/:taskId/files
-// @desc    Add uploaded files to a task
-router.post('/tasks/:taskId/files', async (req, res, next) => {
+// @desc    Attach uploaded files of the board to a task (by id or key); a file can be attached
+//          to several tasks and comments
+router.post('/tasks/:taskId/files', authorizeBoard(taskParam('taskId')), async (req, res, next) => {
   try {
-    const { files } = req.body;
+    const { fileIds, error } = getRequestedFileIds(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
 
-    const task = await Task.findById(req.params.taskId);
+    const task = await findTaskByIdOrKey(req.params.taskId);
     if (!task) {
       return res.status(404).json({ success: false, error: 'Task not found' });
     }
+    if (fileIds.some(fileId => task.files.some(f => f.fileId === fileId))) {
+      return res.status(400).json({ success: false, error: 'The file is already attached to this task' });
+    }
 
-    // Check if adding these files would exceed the limit
-    if (task.files.length + files.length > 4) {
-      return res.status(400).json({
-        success: false,
-        error: `Cannot add ${files.length} files. Task already has ${task.files.length} files (max 4).`
-      });
+    const boardId = task.boardId.toString();
+    const attachments = await findAttachments(boardId, fileIds);
+
+    // Check if adding these files would exceed the task's quota
+    const quotaError = checkTaskQuota(await getQuotas(), task, attachments);
+    if (quotaError) {
+      return res.status(400).json({ success: false, error: quotaError });
     }
 
     // Add files to task
-    task.files.push(...files.map(f => ({
-      fileId: f.fileId,
-      originalName: f.originalName,
-      mimeType: f.mimeType,
-      size: f.size
-    })));
-
+    task.files.push(...await toAttachedFiles(boardId, attachments));
     await task.save();
+    await linkAttachments(boardId, fileIds, { taskId: task._id });
+    await recordFinishedScans(boardId, fileIds);
+
+    await recordTaskEvent(req, task, 'file_added', {
+      details: { files: attachments.map(f => ({ fileId: f.fileId, originalName: f.originalName })) }
+    });
+    publish(req, task.boardId, 'file:attached', { task });
     res.json({ success: true, data: task });
   } catch (error) {
+    if (error instanceof AttachmentError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
     next(error);
   }
 });
 
 // @route   DELETE /api/tasks/:taskId/files/:fileId
-// @desc    Remove a file from a task
-router.delete('/tasks/:taskId/files/:fileId', async (req, res, next) => {
+// @desc    Remove a file from a task (the file is deleted once nothing else refers to it)
+router.delete('/tasks/:taskId/files/:fileId', authorizeBoard(taskParam('taskId')), async (req, res, next) => {
   try {
-    const task = await Task.findById(req.params.taskId);
+    const task = await findTaskByIdOrKey(req.params.taskId);
     if (!task) {
       return res.status(404).json({ success: false, error: 'Task not found' });
     }
@@ -226,13 +523,12 @@ router.delete('/tasks/:taskId/files/:fileId', async (req, res, next) => {
     task.files.splice(fileIndex, 1);
     await task.save();
 
-    // Delete physical file
-    const boardDir = path.join(UPLOAD_DIR, boardId);
-    const files = fs.readdirSync(boardDir);
-    const physicalFile = files.find(f => f.startsWith(req.params.fileId));
-    if (physicalFile) {
-      fs.unlinkSync(path.join(boardDir, physicalFile));
-    }
+    await recordTaskEvent(req, task, 'file_removed', {
+      details: { files: [{ fileId: file.fileId, originalName: file.originalName }] }
+    });
+    publish(req, task.boardId, 'file:removed', { task });
+
+    await unlinkAttachment(boardId, file.fileId, { taskId: task._id });
 
     res.json({ success: true, data: task });
   } catch (error) {
@@ -241,12 +537,15 @@ router.delete('/tasks/:taskId/files/:fileId', async (req, res, next) => {
 });
 
 // @route   POST /api/tasks/:taskId/comments/:commentId/files
-// @desc    Add uploaded files to a comment
-router.post('/tasks/:taskId/comments/:commentId/files', async (req, res, next) => {
+// @desc    Attach uploaded files of the board to a comment
+router.post('/tasks/:taskId/comments/:commentId/files', authorizeBoard(taskParam('taskId')), async (req, res, next) => {
   try {
-    const { files } = req.body;
+    const { fileIds, error } = getRequestedFileIds(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
 
-    const task = await Task.findById(req.params.taskId);
+    const task = await findTaskByIdOrKey(req.params.taskId);
     if (!task) {
       return res.status(404).json({ success: false, error: 'Task not found' });
     }
@@ -255,35 +554,46 @@ router.post('/tasks/:taskId/comments/:commentId/files', async (req, res, next) =
     if (!comment) {
       return res.status(404).json({ success: false, error: 'Comment not found' });
     }
+    if (fileIds.some(fileId => comment.files.some(f => f.fileId === fileId))) {
+      return res.status(400).json({ success: false, error: 'The file is already attached to this comment' });
+    }
 
-    // Check if adding these files would exceed the limit
-    if (comment.files.length + files.length > 4) {
-      return res.status(400).json({
-        success: false,
-        error: `Cannot add ${files.length} files. Comment already has ${comment.files.length} files (max 4).`
-      });
+    const boardId = task.boardId.toString();
+    const attachments = await findAttachments(boardId, fileIds);
+
+    // Check if adding these files would exceed the task's quota
+    const quotaError = checkTaskQuota(await getQuotas(), task, attachments);
+    if (quotaError) {
+      return res.status(400).json({ success: false, error: quotaError });
     }
 
     // Add files to comment
-    comment.files.push(...files.map(f => ({
-      fileId: f.fileId,
-      originalName: f.originalName,
-      mimeType: f.mimeType,
-      size: f.size
-    })));
-
+    comment.files.push(...await toAttachedFiles(boardId, attachments));
     await task.save();
+    await linkAttachments(boardId, fileIds, { taskId: task._id, commentId: comment._id });
+    await recordFinishedScans(boardId, fileIds);
+
+    await recordTaskEvent(req, task, 'file_added', {
+      details: {
+        commentId: comment._id.toString(),
+        files: attachments.map(f => ({ fileId: f.fileId, originalName: f.originalName }))
+      }
+    });
+    publish(req, task.boardId, 'file:attached', { task });
     res.json({ success: true, data: task });
   } catch (error) {
+    if (error instanceof AttachmentError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
     next(error);
   }
 });
 
 // @route   DELETE /api/tasks/:taskId/comments/:commentId/files/:fileId
-// @desc    Remove a file from a comment
-router.delete('/tasks/:taskId/comments/:commentId/files/:fileId', async (req, res, next) => {
+// @desc    Remove a file from a comment (the file is deleted once nothing else refers to it)
+router.delete('/tasks/:taskId/comments/:commentId/files/:fileId', authorizeBoard(taskParam('taskId')), async (req, res, next) => {
   try {
-    const task = await Task.findById(req.params.taskId);
+    const task = await findTaskByIdOrKey(req.params.taskId);
     if (!task) {
       return res.status(404).json({ success: false, error: 'Task not found' });
     }
@@ -298,19 +608,22 @@ router.delete('/tasks/:taskId/comments/:commentId/files/:fileId', async (req, re
       return res.status(404).json({ success: false, error: 'File not found' });
     }
 
+    const file = comment.files[fileIndex];
     const boardId = task.boardId.toString();
 
     // Remove from comment
     comment.files.splice(fileIndex, 1);
     await task.save();
 
-    // Delete physical file
-    const boardDir = path.join(UPLOAD_DIR, boardId);
-    const files = fs.readdirSync(boardDir);
-    const physicalFile = files.find(f => f.startsWith(req.params.fileId));
-    if (physicalFile) {
-      fs.unlinkSync(path.join(boardDir, physicalFile));
-    }
+    await recordTaskEvent(req, task, 'file_removed', {
+      details: {
+        commentId: comment._id.toString(),
+        files: [{ fileId: file.fileId, originalName: file.originalName }]
+      }
+    });
+    publish(req, task.boardId, 'file:removed', { task });
+
+    await unlinkAttachment(boardId, file.fileId, { taskId: task._id, commentId: comment._id });
 
     res.json({ success: true, data: task });
   } catch (error) {
@@ -318,28 +631,155 @@ router.delete('/tasks/:taskId/comments/:commentId/files/:fileId', async (req, re
   }
 });
 
-// @route   GET /api/boards/:boardId/files/:fileId
-// @desc    Get/download a file
-router.get('/boards/:boardId/files/:fileId', async (req, res, next) => {
+// @route   POST /api/tasks/:taskId/comments/:commentId/files/:fileId/move
+// @desc    Move a file from a comment to the task's own attachments
+router.post('/tasks/:taskId/comments/:commentId/files/:fileId/move', authorizeBoard(taskParam('taskId')), async (req, res, next) => {
   try {
-    const boardDir = path.join(UPLOAD_DIR, req.params.boardId);
+    const task = await findTaskByIdOrKey(req.params.taskId);
+    if (!task) {
+      return res.status(404).json({ success: false, error: 'Task not found' });
+    }
+
+    const comment = task.comments.id(req.params.commentId);
+    if (!comment) {
+      return res.status(404).json({ success: false, error: 'Comment not found' });
+    }
 
-    if (!fs.existsSync(boardDir)) {
-      return res.status(404).json({ success: false, error: 'Board directory not found' });
+    const fileIndex = comment.files.findIndex(f => f.fileId === req.params.fileId);
+    if (fileIndex === -1) {
+      return res.status(404).json({ success: false, error: 'File not found' });
     }
 
+    const file = comment.files[fileIndex].toObject();
+    const boardId = task.boardId.toString();
+
+    // The task keeps a single entry if the file was attached to it already
+    comment.files.splice(fileIndex, 1);
+    if (!task.files.some(f => f.fileId === file.fileId)) {
+      task.files.push(file);
+    }
+    await task.save();
+    await moveAttachment(boardId, file.fileId, { taskId: task._id, commentId: comment._id }, { taskId: task._id });
+
+    await recordTaskEvent(req, task, 'file_moved', {
+      details: {
+        commentId: comment._id.toString(),
+        files: [{ fileId: file.fileId, originalName: file.originalName }]
+      }
+    });
+    publish(req, task.boardId, 'file:moved', { task });
+
+    res.json({ success: true, data: task });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Send a stored file, or redirect to a signed URL when the storage backend provides one
+// (cacheControl only applies to files sent by the app, signed URLs expire).
+// Byte ranges are served so media players can seek without downloading the whole file.
+// Types a browser would run as a page (HTML, SVG, ...) are always downloaded, and browsers are
+// told not to second-guess the type, so an upload can't run scripts on our origin.
+const sendStoredFile = async (req, res, boardId, name, info, { cacheControl } = {}) => {
+  const storage = getStorage();
+  res.type(path.extname(name) || 'application/octet-stream');
+  const download = isRiskyType(res.get('Content-Type'));
+
+  const signedUrl = await storage.getSignedUrl(boardId, name, {
+    contentType: res.get('Content-Type'),
+    disposition: download ? 'attachment' : undefined
+  });
+  if (signedUrl) {
+    return res.redirect(signedUrl);
+  }
+
+  res.set('X-Content-Type-Options', 'nosniff');
+  if (download) {
+    res.attachment(name);
+  }
+
+  if (cacheControl) {
+    res.set('Cache-Control', cacheControl);
+  }
+  const lastModified = info.modifiedAt.toUTCString();
+  res.set('Last-Modified', lastModified);
+  res.set('Accept-Ranges', 'bytes');
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  // If-Range: only serve the range if the file is still the version the client has part of.
+  // Malformed ranges and requests for several ranges get the whole file.
+  const ifRange = req.get('If-Range');
+  const ranges = req.get('Range') && (!ifRange || ifRange === lastModified)
+    ? req.range(info.size, { combine: true })
+    : undefined;
+
+  if (ranges === -1) {
+    res.set('Content-Range', `bytes */${info.size}`);
+    return res.status(416).end();
+  }
+
+  if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+    const { start, end } = ranges[0];
+    res.status(206);
+    res.set('Content-Range', `bytes ${start}-${end}/${info.size}`);
+    res.set('Content-Length', end - start + 1);
+    await pipeline(await storage.open(boardId, name, { start, end }), res);
+    return;
+  }
+
+  res.set('Content-Length', info.size);
+  await pipeline(await storage.open(boardId, name), res);
+};
+
+// Once a file has started the download can only be cut short
+const handleSendError = (error, res, next) => {
+  if (res.headersSent) {
+    res.destroy(error);
+    return;
+  }
+  next(error);
+};
+
+// @route   GET /api/boards/:boardId/files/:fileId
+// @desc    Get/download a file (redirects to a signed URL when the storage backend provides one)
+router.get('/boards/:boardId/files/:fileId', authorizeBoard(boardParam('boardId')), async (req, res, next) => {
+  try {
+    const { boardId, fileId } = req.params;
+    const storage = getStorage();
+
     // Find file by GUID (fileId is the GUID without extension)
-    const files = fs.readdirSync(boardDir);
-    const file = files.find(f => f.startsWith(req.params.fileId));
+    const file = FILE_ID_PATTERN.test(fileId) ? await storage.find(boardId, fileId) : null;
+    const info = file && await storage.stat(boardId, file);
 
-    if (!file) {
+    if (!info) {
       return res.status(404).json({ success: false, error: 'File not found' });
     }
 
-    const filePath = path.join(boardDir, file);
-    res.sendFile(filePath);
+    await sendStoredFile(req, res, boardId, file, info);
   } catch (error) {
-    next(error);
+    handleSendError(error, res, next);
+  }
+});
+
+// @route   GET /api/boards/:boardId/files/:fileId/thumbnail
+// @desc    Get a small JPEG preview of an image, or a poster frame of a video (made on first request if missing)
+router.get('/boards/:boardId/files/:fileId/thumbnail', authorizeBoard(boardParam('boardId')), async (req, res, next) => {
+  try {
+    const { boardId, fileId } = req.params;
+
+    const thumbnail = FILE_ID_PATTERN.test(fileId) ? await getThumbnail(boardId, fileId) : null;
+    const info = thumbnail && await getStorage().stat(boardId, thumbnail);
+
+    if (!info) {
+      return res.status(404).json({ success: false, error: 'No thumbnail for this file' });
+    }
+
+    // A file's thumbnail never changes, so browsers may keep it for a day
+    await sendStoredFile(req, res, boardId, thumbnail, info, { cacheControl: 'private, max-age=86400' });
+  } catch (error) {
+    handleSendError(error, res, next);
   }
 });
 
@@ -1,19 +1,47 @@
 const express = require('express');
 const router = express.Router();
-const path = require('path');
-const fs = require('fs');
+const mongoose = require('mongoose');
 const Task = require('../models/Task');
 const Column = require('../models/Column');
 const Board = require('../models/Board');
-const { processEmailRules } = require('../services/emailService');
+const { processEmailRules, notifyMentions } = require('../services/emailService');
+const { normalizeDependencies, validateDependencies, removeDependencyLinks } = require('../services/dependencyService');
+const { diffTaskFields, excerpt, recordTaskEvent, getTaskHistory } = require('../services/historyService');
+const { fetchBoardUsers } = require('../services/authentikService');
+const { getUserRef } = require('../middleware/currentUser');
+const { nextTaskKey, findTaskByIdOrKey } = require('../services/taskKeyService');
+const { parseTaskQuery } = require('../services/taskQueryService');
+const { publish } = require('../services/realtimeService');
+const { runInTransaction } = require('../services/transactionService');
+const { releaseAttachments } = require('../services/attachmentService');
+const { resolveMentions, getAddedMentions } = require('../services/mentionService');
+const { getExpectedVersion, checkVersionHeader, sendConflict } = require('../middleware/preconditions');
+const { authorizeBoard, requirePermission, getPermissions, boardParam, taskParam, columnBody } = require('../middleware/permissions');
+
+// Helper to resolve the assignee's Authentik id. The id is only kept if it belongs to a user who can
+// see the board; the stored name always comes from Authentik when the user is found.
+const resolveAssignee = async (boardId, assignedTo, assigneeId) => {
+  if (!assignedTo || !assigneeId) {
+    return { assignedTo, assigneeId: null };
+  }
 
-const UPLOAD_DIR = path.join(__dirname, '..', 'Uploaded_Images');
+  try {
+    const boardUsers = await fetchBoardUsers(boardId);
+    const user = boardUsers.find(u => String(u.id) === String(assigneeId));
+    return user
+      ? { assignedTo: user.name, assigneeId: String(user.id) }
+      : { assignedTo, assigneeId: null };
+  } catch (error) {
+    console.error('Error resolving assignee:', error);
+    return { assignedTo, assigneeId: null };
+  }
+};
 
 // @route   GET /api/boards/:boardId/tasks
-// @desc    Get all tasks for a board (with optional filters)
-router.get('/boards/:boardId/tasks', async (req, res, next) => {
+// @desc    Get all tasks for a board (with optional filters and a query, e.g. ?q=type:Bug assignee:me)
+router.get('/boards/:boardId/tasks', authorizeBoard(boardParam('boardId')), async (req, res, next) => {
   try {
-    const { state, assignedTo, search, taskType } = req.query;
+    const { state, assignedTo, search, taskType, q } = req.query;
 
     // Build query
     const query = { boardId: req.params.boardId };
@@ -35,14 +63,29 @@ router.get('/boards/:boardId/tasks', async (req, res, next) => {
       query.assignedTo = { $regex: assignedTo, $options: 'i' };
     }
 
-    // Text search in name and description
+    // Text search in key, name and description
     if (search) {
       query.$or = [
+        { key: { $regex: search, $options: 'i' } },
         { name: { $regex: search, $options: 'i' } },
         { description: { $regex: search, $options: 'i' } }
       ];
     }
 
+    // Filter by query language (see taskQueryService)
+    if (q) {
+      const { filter, error } = parseTaskQuery(q, {
+        userId: req.currentUser?.id,
+        userName: req.currentUser?.name
+      });
+      if (error) {
+        return res.status(400).json({ success: false, error });
+      }
+      if (Object.keys(filter).length > 0) {
+        query.$and = [filter];
+      }
+    }
+
     const tasks = await Task.find(query).sort({ createdAt: -1 });
 
     res.json({ success: true, data: tasks });
@@ -52,10 +95,10 @@ router.get('/boards/:boardId/tasks', async (req, res, next) => {
 });
 
 // @route   GET /api/tasks/:id
-// @desc    Get single task
-router.get('/tasks/:id', async (req, res, next) => {
+// @desc    Get single task by id or key (e.g. HBH-123)
+router.get('/tasks/:id', authorizeBoard(taskParam('id')), async (req, res, next) => {
   try {
-    const task = await Task.findById(req.params.id);
+    const task = await findTaskByIdOrKey(req.params.id);
 
     if (!task) {
       return res.status(404).json({ success: false, error: 'Task not found' });
@@ -67,11 +110,29 @@ router.get('/tasks/:id', async (req, res, next) => {
   }
 });
 
+// @route   GET /api/tasks/:id/history
+// @desc    Get the change history of a task (newest first)
+router.get('/tasks/:id/history', authorizeBoard(taskParam('id')), async (req, res, next) => {
+  try {
+    const task = await findTaskByIdOrKey(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({ success: false, error: 'Task not found' });
+    }
+
+    const history = await getTaskHistory(task._id);
+
+    res.json({ success: true, data: history });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @route   POST /api/tasks
 // @desc    Create a new task
-router.post('/tasks', async (req, res, next) => {
+router.post('/tasks', authorizeBoard(columnBody('columnId')), async (req, res, next) => {
   try {
-    const { name, description, boardId, columnId, state, assignedTo, reportedBy, priority, taskType, dependsOn } = req.body;
+    const { name, description, columnId, state, priority, taskType } = req.body;
 
     // Verify column exists
     const column = await Column.findById(columnId);
@@ -79,22 +140,55 @@ router.post('/tasks', async (req, res, next) => {
       return res.status(404).json({ success: false, error: 'Column not found' });
     }
 
+    // The task always belongs to its column's board (board access was checked for that board)
+    const boardId = column.boardId;
+
+    // Validate dependency links (no self links, same board, no cycles)
+    const { dependencies, error: dependencyError } = normalizeDependencies(req.body.dependencies);
+    if (dependencyError) {
+      return res.status(400).json({ success: false, error: dependencyError });
+    }
+    const taskId = new mongoose.Types.ObjectId();
+    const cycleError = await validateDependencies(taskId, boardId, dependencies);
+    if (cycleError) {
+      return res.status(400).json({ success: false, error: cycleError });
+    }
+
+    const assignee = await resolveAssignee(boardId, req.body.assignedTo, req.body.assigneeId);
+    const taskKey = await nextTaskKey(boardId);
+
+    // The reporter is always the logged-in user
+    const createdBy = getUserRef(req);
+
     const task = await Task.create({
+      _id: taskId,
+      key: taskKey?.key,
+      number: taskKey?.number,
       name,
       description,
       boardId,
       columnId,
       state: column.name, // State is always derived from column name
-      assignedTo,
-      reportedBy,
+      assignedTo: assignee.assignedTo,
+      assigneeId: assignee.assigneeId,
+      reportedBy: createdBy.name,
+      createdBy,
       priority,
       taskType: taskType || 'Task',
-      dependsOn: dependsOn || null
+      dependencies
     });
 
-    // Add task to column's taskIds
-    column.taskIds.push(task._id);
-    await column.save();
+    // Add task to column's taskIds (atomic, so concurrent changes to the column are kept)
+    const updatedColumn = await Column.findByIdAndUpdate(
+      columnId,
+      { $push: { taskIds: task._id }, $inc: { __v: 1 } },
+      { new: true }
+    );
+
+    await recordTaskEvent(req, task, 'created', {
+      details: { columnName: column.name }
+    });
+    publish(req, boardId, 'task:created', { task, columns: [updatedColumn] });
 
     res.status(201).json({ success: true, data: task });
   } catch (error) {
@@ -103,41 +197,84 @@ router.post('/tasks', async (req, res, next) => {
 });
 
 // @route   PUT /api/tasks/:id
-// @desc    Update a task
-router.put('/tasks/:id', async (req, res, next) => {
+// @desc    Update a task (with If-Match: "<__v>" the update only applies to that version, else 409)
+router.put('/tasks/:id', authorizeBoard(taskParam('id')), async (req, res, next) => {
   try {
-    const { name, description, state, assignedTo, reportedBy, priority, taskType, dependsOn } = req.body;
+    const { name, description, state, priority, taskType } = req.body;
+
+    if (!checkVersionHeader(req, res)) return;
+    const expectedVersion = getExpectedVersion(req);
 
     // Get current task to detect changes
-    const currentTask = await Task.findById(req.params.id);
+    const currentTask = await findTaskByIdOrKey(req.params.id);
     if (!currentTask) {
       return res.status(404).json({ success: false, error: 'Task not found' });
     }
 
+    if (expectedVersion !== null && currentTask.__v !== expectedVersion) {
+      return sendConflict(res, currentTask, 'This task was changed by someone else');
+    }
+
     const previousAssignee = currentTask.assignedTo;
 
     const updateData = {};
     if (name !== undefined) updateData.name = name;
     if (description !== undefined) updateData.description = description;
     if (state !== undefined) updateData.state = state;
-    if (assignedTo !== undefined) updateData.assignedTo = assignedTo;
-    if (reportedBy !== undefined) updateData.reportedBy = reportedBy;
     if (priority !== undefined) updateData.priority = priority;
     if (taskType !== undefined) updateData.taskType = taskType;
-    if (dependsOn !== undefined) updateData.dependsOn = dependsOn || null;
 
-    const task = await Task.findByIdAndUpdate(
-      req.params.id,
-      updateData,
+    // Re-resolve the assignee id whenever the assignee is set (the reporter is fixed at creation)
+    if (req.body.assignedTo !== undefined) {
+      const assignee = await resolveAssignee(currentTask.boardId, req.body.assignedTo, req.body.assigneeId);
+      updateData.assignedTo = assignee.assignedTo;
+      updateData.assigneeId = assignee.assigneeId;
+    }
+
+    // Validate dependency links (no self links, same board, no cycles)
+    if (req.body.dependencies !== undefined) {
+      const { dependencies, error: dependencyError } = normalizeDependencies(req.body.dependencies);
+      if (dependencyError) {
+        return res.status(400).json({ success: false, error: dependencyError });
+      }
+      const cycleError = await validateDependencies(currentTask._id, currentTask.boardId, dependencies);
+      if (cycleError) {
+        return res.status(400).json({ success: false, error: cycleError });
+      }
+      updateData.dependencies = dependencies;
+    }
+
+    // Every update bumps the version; the version check is repeated atomically
+    const filter = { _id: currentTask._id };
+    if (expectedVersion !== null) filter.__v = expectedVersion;
+
+    const task = await Task.findOneAndUpdate(
+      filter,
+      { ...updateData, $inc: { __v: 1 } },
       { new: true, runValidators: true }
     );
 
+    if (!task) {
+      const latestTask = await Task.findById(currentTask._id);
+      if (!latestTask) {
+        return res.status(404).json({ success: false, error: 'Task not found' });
+      }
+      return sendConflict(res, latestTask, 'This task was changed by someone else');
+    }
+
+    // Record changed fields in the task history
+    const changes = diffTaskFields(currentTask, task);
+    if (changes.length > 0) {
+      await recordTaskEvent(req, task, 'updated', { changes });
+    }
+    publish(req, task.boardId, 'task:updated', { task });
+
     // Check for assignee change and trigger email rules
-    if (assignedTo !== undefined && assignedTo !== previousAssignee) {
+    if (updateData.assignedTo !== undefined && updateData.assignedTo !== previousAssignee) {
       const board = await Board.findById(task.boardId);
       processEmailRules('assignee_change', task, {
         previousAssignee,
-        newAssignee: assignedTo
+        newAssignee: task.assignedTo
       }, board).catch(err => console.error('Email rule error:', err));
     }
 
@@ -149,12 +286,12 @@ router.put('/tasks/:id', async (req, res, next) => {
 
 // @route   PUT /api/tasks/:id/move
 // @desc    Move task to a different column
-router.put('/tasks/:id/move', async (req, res, next) => {
+router.put('/tasks/:id/move', authorizeBoard(taskParam('id')), async (req, res, next) => {
   try {
     const { columnId, position } = req.body;
 
-    const task = await Task.findById(req.params.id);
-    if (!task) {
+    const existingTask = await findTaskByIdOrKey(req.params.id);
+    if (!existingTask) {
       return res.status(404).json({ success: false, error: 'Task not found' });
     }
 
@@ -163,34 +300,66 @@ router.put('/tasks/:id/move', async (req, res, next) => {
       return res.status(404).json({ success: false, error: 'Column not found' });
     }
 
-    const oldColumnId = task.columnId;
-    const fromState = task.state;
+    // Tasks can only move between columns of their own board
+    if (newColumn.boardId.toString() !== existingTask.boardId.toString()) {
+      return res.status(400).json({ success: false, error: 'Column belongs to a different board' });
+    }
 
-    // Remove task from old column
-    if (oldColumnId.toString() !== columnId.toString()) {
-      await Column.findByIdAndUpdate(oldColumnId, {
-        $pull: { taskIds: task._id }
-      });
-    } else {
-      // Same column, just reordering - remove from current position
-      newColumn.taskIds = newColumn.taskIds.filter(
-        id => id.toString() !== task._id.toString()
+    // Take the task out of every column listing it, insert it at the new position and update the task,
+    // all in one transaction. The task is read inside it so a retry after a concurrent move starts from
+    // where that move left it.
+    const result = await runInTransaction(async (session) => {
+      const task = await Task.findById(existingTask._id).session(session);
+      if (!task) return null;
+
+      const oldColumnId = task.columnId;
+      const fromState = task.state;
+
+      const listedIn = await Column.find({ boardId: task.boardId, taskIds: task._id }, '_id').session(session);
+      await Column.updateMany(
+        { _id: { $in: listedIn.map(c => c._id) } },
+        { $pull: { taskIds: task._id }, $inc: { __v: 1 } },
+        { session }
       );
-    }
 
-    // Add task to new column at specified position
-    if (position !== undefined && position >= 0) {
-      newColumn.taskIds.splice(position, 0, task._id);
-    } else {
-      newColumn.taskIds.push(task._id);
+      const insert = { $each: [task._id] };
+      if (position !== undefined && position >= 0) {
+        insert.$position = position;
+      }
+      await Column.updateOne(
+        { _id: newColumn._id },
+        { $push: { taskIds: insert }, $inc: { __v: 1 } },
+        { session }
+      );
+
+      // Update task's columnId and state
+      task.columnId = newColumn._id;
+      task.state = newColumn.name;
+      task.increment(); // Moving changes the task's state, so open edits of it become stale
+      await task.save({ session });
+
+      const changedColumns = await Column.find({
+        _id: { $in: [...listedIn.map(c => c._id), newColumn._id] }
+      }).session(session);
+
+      return { task, oldColumnId, fromState, changedColumns };
+    });
+
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Task not found' });
     }
-    await newColumn.save();
 
-    // Update task's columnId and state
-    task.columnId = columnId;
-    const toState = newColumn.name;
-    task.state = toState;
-    await task.save();
+    const { task, oldColumnId, fromState, changedColumns } = result;
+    const toState = task.state;
+    publish(req, task.boardId, 'task:moved', { task, columns: changedColumns });
+
+    // Record column changes in the task history (reordering within a column is not recorded)
+    if (oldColumnId.toString() !== columnId.toString()) {
+      await recordTaskEvent(req, task, 'moved', {
+        changes: [{ field: 'state', from: fromState, to: toState }],
+        details: { fromColumnId: oldColumnId.toString(), toColumnId: columnId.toString() }
+      });
+    }
 
     // Trigger email rules for state change (only if state actually changed)
     if (fromState !== toState) {
@@ -207,59 +376,254 @@ router.put('/tasks/:id/move', async (req, res, next) => {
   }
 });
 
-// Helper to delete a file from the upload directory
-const deleteUploadedFile = (boardId, fileId) => {
+// @route   DELETE /api/tasks/:id
+// @desc    Move a task to the board's trash (its files and history are kept until it is purged)
+router.delete('/tasks/:id', authorizeBoard(taskParam('id')), requirePermission('canDeleteTasks'), async (req, res, next) => {
   try {
-    const boardDir = path.join(UPLOAD_DIR, boardId.toString());
-    if (!fs.existsSync(boardDir)) return;
+    const task = await findTaskByIdOrKey(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({ success: false, error: 'Task not found' });
+    }
+
+    // Remove task from column's taskIds
+    const column = await Column.findByIdAndUpdate(
+      task.columnId,
+      { $pull: { taskIds: task._id }, $inc: { __v: 1 } },
+      { new: true }
+    );
+
+    task.deletedAt = new Date();
+    task.deletedBy = getUserRef(req);
+    task.increment();
+    await task.save();
+
+    // Links to it from other tasks are removed (they are not brought back by a restore)
+    await removeDependencyLinks([task._id]);
+    await recordTaskEvent(req, task, 'deleted');
+
+    publish(req, task.boardId, 'task:deleted', {
+      taskId: task._id,
+      columns: column ? [column] : []
+    });
+
+    res.json({ success: true, data: {} });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    const files = fs.readdirSync(boardDir);
-    const physicalFile = files.find(f => f.startsWith(fileId));
-    if (physicalFile) {
-      fs.unlinkSync(path.join(boardDir, physicalFile));
+// Bulk operations and the parameters each one needs
+const BULK_OPERATIONS = ['move', 'assign', 'priority', 'type', 'delete', 'add_label', 'remove_label'];
+const MAX_BULK_TASKS = 500;
+
+// Helper to validate a bulk request's operation parameters. Returns { error } or the resolved parameters.
+const resolveBulkParams = async (req, boardId) => {
+  const { operation } = req.body;
+
+  switch (operation) {
+    case 'move': {
+      const column = mongoose.isValidObjectId(req.body.columnId) ? await Column.findById(req.body.columnId) : null;
+      if (!column || column.boardId.toString() !== boardId) {
+        return { error: 'Column not found on this board' };
+      }
+      return { column };
+    }
+    case 'assign':
+      return { assignee: await resolveAssignee(boardId, req.body.assignedTo || '', req.body.assigneeId) };
+    case 'priority':
+      if (!Task.schema.path('priority').enumValues.includes(req.body.priority)) {
+        return { error: 'Invalid priority' };
+      }
+      return { priority: req.body.priority };
+    case 'type':
+      if (!Task.schema.path('taskType').enumValues.includes(req.body.taskType)) {
+        return { error: 'Invalid task type' };
+      }
+      return { taskType: req.body.taskType };
+    case 'add_label':
+    case 'remove_label': {
+      const label = typeof req.body.label === 'string' ? req.body.label.trim() : '';
+      if (!label || label.length > 50) {
+        return { error: 'Label must be 1-50 characters' };
+      }
+      return { label };
     }
-  } catch (err) {
-    console.error(`Error deleting file ${fileId}:`, err.message);
+    default:
+      return {};
   }
 };
 
-// @route   DELETE /api/tasks/:id
-// @desc    Delete a task
-router.delete('/tasks/:id', async (req, res, next) => {
+// @route   POST /api/boards/:boardId/tasks/bulk
+// @desc    Apply one operation to many tasks: move (columnId), assign (assignedTo, assigneeId),
+//          priority, type (taskType), delete, add_label/remove_label (label).
+//          All tasks change in one transaction, or none do; the response has a result per task.
+router.post('/boards/:boardId/tasks/bulk', authorizeBoard(boardParam('boardId')), async (req, res, next) => {
   try {
-    const task = await Task.findById(req.params.id);
+    const { operation } = req.body;
+    const boardId = req.params.boardId;
+    const taskIds = Array.isArray(req.body.taskIds) ? [...new Set(req.body.taskIds.map(String))] : [];
 
-    if (!task) {
-      return res.status(404).json({ success: false, error: 'Task not found' });
+    if (!BULK_OPERATIONS.includes(operation)) {
+      return res.status(400).json({ success: false, error: `Operation must be one of: ${BULK_OPERATIONS.join(', ')}` });
+    }
+    if (taskIds.length === 0 || taskIds.length > MAX_BULK_TASKS) {
+      return res.status(400).json({ success: false, error: `Select between 1 and ${MAX_BULK_TASKS} tasks` });
+    }
+    if (operation === 'delete' && !getPermissions(req).canDeleteTasks) {
+      return res.status(403).json({ success: false, error: 'You do not have permission to delete tasks' });
     }
 
-    // Remove task from column's taskIds
-    await Column.findByIdAndUpdate(task.columnId, {
-      $pull: { taskIds: task._id }
-    });
+    const params = await resolveBulkParams(req, boardId);
+    if (params.error) {
+      return res.status(400).json({ success: false, error: params.error });
+    }
 
-    // Delete all files attached to the task
-    if (task.files && task.files.length > 0) {
-      task.files.forEach(file => {
-        deleteUploadedFile(task.boardId, file.fileId);
+    // Every task must exist on this board, otherwise nothing is changed
+    const validIds = taskIds.filter(id => mongoose.isValidObjectId(id));
+    const found = await Task.find({ _id: { $in: validIds }, boardId }, '_id key');
+    const foundById = new Map(found.map(t => [t._id.toString(), t]));
+    const missing = taskIds.filter(id => !foundById.has(id));
+    if (missing.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `${missing.length} task(s) were not found on this board; no tasks were changed`,
+        data: {
+          results: taskIds.map(id => (foundById.has(id)
+            ? { taskId: id, key: foundById.get(id).key, status: 'skipped' }
+            : { taskId: id, status: 'error', error: 'Task not found on this board' }))
+        }
       });
     }
 
-    // Delete all files attached to comments
-    if (task.comments && task.comments.length > 0) {
-      task.comments.forEach(comment => {
-        if (comment.files && comment.files.length > 0) {
-          comment.files.forEach(file => {
-            deleteUploadedFile(task.boardId, file.fileId);
+    const outcome = await runInTransaction(async (session) => {
+      const before = await Task.find({ _id: { $in: taskIds }, boardId }).session(session);
+      if (before.length !== taskIds.length) return null; // Deleted while the request was running
+      const ids = before.map(t => t._id);
+
+      if (operation === 'delete') {
+        const columns = await Column.find({ boardId, taskIds: { $in: ids } }).session(session);
+        await Column.updateMany(
+          { _id: { $in: columns.map(c => c._id) } },
+          { $pull: { taskIds: { $in: ids } }, $inc: { __v: 1 } },
+          { session }
+        );
+        await Task.updateMany(
+          { _id: { $in: ids } },
+          { deletedAt: new Date(), deletedBy: getUserRef(req), $inc: { __v: 1 } },
+          { session }
+        );
+        const changedColumns = await Column.find({ _id: { $in: columns.map(c => c._id) } }).session(session);
+        return { before, after: [], changedColumns };
+      }
+
+      let update;
+      let changedColumns = [];
+      switch (operation) {
+        case 'move': {
+          // Take the tasks out of every column, then append them to the target column in the given order
+          const columns = await Column.find({ boardId, taskIds: { $in: ids } }, '_id').session(session);
+          await Column.updateMany(
+            { _id: { $in: columns.map(c => c._id) } },
+            { $pull: { taskIds: { $in: ids } }, $inc: { __v: 1 } },
+            { session }
+          );
+          const orderedIds = taskIds.map(id => new mongoose.Types.ObjectId(id));
+          await Column.updateOne(
+            { _id: params.column._id },
+            { $push: { taskIds: { $each: orderedIds } }, $inc: { __v: 1 } },
+            { session }
+          );
+          changedColumns = await Column.find({
+            _id: { $in: [...columns.map(c => c._id), params.column._id] }
+          }).session(session);
+          update = { columnId: params.column._id, state: params.column.name };
+          break;
+        }
+        case 'assign':
+          update = params.assignee;
+          break;
+        case 'priority':
+          update = { priority: params.priority };
+          break;
+        case 'type':
+          update = { taskType: params.taskType };
+          break;
+        case 'add_label':
+          update = { $addToSet: { labels: params.label } };
+          break;
+        default:
+          update = { $pull: { labels: params.label } };
+      }
+
+      await Task.updateMany(
+        { _id: { $in: ids } },
+        { ...update, $inc: { __v: 1 } },
+        { session, runValidators: true }
+      );
+      const after = await Task.find({ _id: { $in: ids } }).session(session);
+      return { before, after, changedColumns };
+    });
+
+    if (!outcome) {
+      return res.status(409).json({ success: false, error: 'Some tasks were deleted while the operation ran; no tasks were changed' });
+    }
+
+    const { before, after, changedColumns } = outcome;
+    const afterById = new Map(after.map(t => [t._id.toString(), t]));
+    const board = operation === 'assign' || operation === 'move' ? await Board.findById(boardId) : null;
+    const results = [];
+
+    // History, email rules and live updates per task (after the transaction has committed)
+    for (const previous of before) {
+      const taskId = previous._id.toString();
+
+      if (operation === 'delete') {
+        await recordTaskEvent(req, previous, 'deleted');
+        publish(req, boardId, 'task:deleted', { taskId: previous._id, columns: changedColumns });
+        results.push({ taskId, key: previous.key, status: 'deleted' });
+        continue;
+      }
+
+      const task = afterById.get(taskId);
+      if (operation === 'move') {
+        const moved = !previous.columnId.equals(task.columnId);
+        if (moved) {
+          await recordTaskEvent(req, task, 'moved', {
+            changes: [{ field: 'state', from: previous.state, to: task.state }],
+            details: { fromColumnId: previous.columnId.toString(), toColumnId: task.columnId.toString() }
           });
         }
-      });
+        if (previous.state !== task.state) {
+          processEmailRules('state_change', task, {
+            fromState: previous.state,
+            toState: task.state
+          }, board).catch(err => console.error('Email rule error:', err));
+        }
+        publish(req, boardId, 'task:moved', { task, columns: changedColumns });
+        results.push({ taskId, key: task.key, status: moved ? 'updated' : 'unchanged', data: task });
+        continue;
+      }
+
+      const changes = diffTaskFields(previous, task);
+      if (changes.length > 0) {
+        await recordTaskEvent(req, task, 'updated', { changes });
+        publish(req, boardId, 'task:updated', { task });
+      }
+      if (operation === 'assign' && (previous.assignedTo || '') !== (task.assignedTo || '')) {
+        processEmailRules('assignee_change', task, {
+          previousAssignee: previous.assignedTo,
+          newAssignee: task.assignedTo
+        }, board).catch(err => console.error('Email rule error:', err));
+      }
+      results.push({ taskId, key: task.key, status: changes.length > 0 ? 'updated' : 'unchanged', data: task });
     }
 
-    // Delete the task
-    await task.deleteOne();
+    if (operation === 'delete') {
+      await removeDependencyLinks(before.map(t => t._id));
+    }
 
-    res.json({ success: true, data: {} });
+    res.json({ success: true, data: { results, columns: changedColumns } });
   } catch (error) {
     next(error);
   }
@@ -267,24 +631,35 @@ router.delete('/tasks/:id', async (req, res, next) => {
 
 // @route   POST /api/tasks/:id/comments
 // @desc    Add a comment to a task
-router.post('/tasks/:id/comments', async (req, res, next) => {
+router.post('/tasks/:id/comments', authorizeBoard(taskParam('id')), async (req, res, next) => {
   try {
-    const { text, author } = req.body;
+    const { text } = req.body;
 
-    const task = await Task.findById(req.params.id);
+    const task = await findTaskByIdOrKey(req.params.id);
     if (!task) {
       return res.status(404).json({ success: false, error: 'Task not found' });
     }
 
-    task.comments.push({ text, author });
+    // The author is always the logged-in user
+    const createdBy = getUserRef(req);
+    const mentions = await resolveMentions(task.boardId, text);
+    task.comments.push({ text, author: createdBy.name, createdBy, mentions });
     await task.save();
 
+    const comment = task.comments[task.comments.length - 1];
+    await recordTaskEvent(req, task, 'comment_added', {
+      details: { commentId: comment._id.toString(), author: comment.author, text: excerpt(comment.text) }
+    });
+    publish(req, task.boardId, 'comment:added', { task, commentId: comment._id });
+
     // Trigger email rules for comment added
     const board = await Board.findById(task.boardId);
     processEmailRules('comment_added', task, {
       commentText: text,
-      commentAuthor: author
+      commentAuthor: createdBy.name
     }, board).catch(err => console.error('Email rule error:', err));
+    notifyMentions(task, comment.text, mentions, createdBy, board)
+      .catch(err => console.error('Mention notification error:', err));
 
     res.status(201).json({ success: true, data: task });
   } catch (error) {
@@ -292,11 +667,79 @@ router.post('/tasks/:id/comments', async (req, res, next) => {
   }
 });
 
+// Helper to check if the logged-in user wrote a comment
+const isCommentAuthor = (comment, user) => {
+  return Boolean(user?.id && comment.createdBy?.id && comment.createdBy.id === user.id);
+};
+
+// @route   PUT /api/tasks/:id/comments/:commentId
+// @desc    Edit a comment's text (previous text is kept as a revision)
+router.put('/tasks/:id/comments/:commentId', authorizeBoard(taskParam('id')), async (req, res, next) => {
+  try {
+    const text = typeof req.body.text === 'string' ? req.body.text.trim() : '';
+    if (!text) {
+      return res.status(400).json({ success: false, error: 'Comment text is required' });
+    }
+
+    const task = await findTaskByIdOrKey(req.params.id);
+    if (!task) {
+      return res.status(404).json({ success: false, error: 'Task not found' });
+    }
+
+    const comment = task.comments.id(req.params.commentId);
+    if (!comment) {
+      return res.status(404).json({ success: false, error: 'Comment not found' });
+    }
+
+    if (!isCommentAuthor(comment, req.currentUser) && !getPermissions(req).isAdmin) {
+      return res.status(403).json({ success: false, error: 'Only the comment author or an admin can edit this comment' });
+    }
+
+    const previousText = comment.text;
+    if (previousText === text) {
+      return res.json({ success: true, data: task });
+    }
+
+    comment.revisions.push({
+      text: previousText,
+      editedAt: new Date(),
+      editedBy: getUserRef(req)
+    });
+    // Only users who weren't mentioned before are notified about the edit
+    const mentions = await resolveMentions(task.boardId, text);
+    const addedMentions = getAddedMentions(comment.mentions, mentions);
+    comment.text = text;
+    comment.mentions = mentions;
+    comment.editedAt = new Date();
+    await task.save();
+
+    await recordTaskEvent(req, task, 'comment_edited', {
+      changes: [{ field: 'comment', from: excerpt(previousText), to: excerpt(text) }],
+      details: { commentId: comment._id.toString(), author: comment.author }
+    });
+    publish(req, task.boardId, 'comment:edited', { task, commentId: comment._id });
+
+    // Trigger email rules for comment edited
+    const board = await Board.findById(task.boardId);
+    processEmailRules('comment_edited', task, {
+      commentText: text,
+      commentAuthor: comment.author,
+      previousCommentText: previousText
+    }, board).catch(err => console.error('Email rule error:', err));
+    notifyMentions(task, text, addedMentions, comment.createdBy, board)
+      .catch(err => console.error('Mention notification error:', err));
+
+    res.json({ success: true, data: task });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @route   DELETE /api/tasks/:id/comments/:commentId
 // @desc    Delete a comment from a task
-router.delete('/tasks/:id/comments/:commentId', async (req, res, next) => {
+router.delete('/tasks/:id/comments/:commentId', authorizeBoard(taskParam('id')), async (req, res, next) => {
   try {
-    const task = await Task.findById(req.params.id);
+    const task = await findTaskByIdOrKey(req.params.id);
     if (!task) {
       return res.status(404).json({ success: false, error: 'Task not found' });
     }
@@ -306,11 +749,9 @@ router.delete('/tasks/:id/comments/:commentId', async (req, res, next) => {
       comment => comment._id.toString() === req.params.commentId
     );
 
-    // Delete comment's files from disk
-    if (commentToDelete && commentToDelete.files && commentToDelete.files.length > 0) {
-      commentToDelete.files.forEach(file => {
-        deleteUploadedFile(task.boardId, file.fileId);
-      });
+    // Comments can be deleted by their author or by users who can delete tasks
+    if (commentToDelete && !isCommentAuthor(commentToDelete, req.currentUser) && !getPermissions(req).canDeleteTasks) {
+      return res.status(403).json({ success: false, error: 'Only the comment author or users who can delete tasks can delete this comment' });
     }
 
     task.comments = task.comments.filter(
@@ -318,6 +759,22 @@ router.delete('/tasks/:id/comments/:commentId', async (req, res, next) => {
     );
     await task.save();
 
+    // Delete the comment's files unless they are attached elsewhere too
+    if (commentToDelete) {
+      await releaseAttachments(task.boardId, { taskId: task._id, commentId: commentToDelete._id });
+    }
+
+    if (commentToDelete) {
+      await recordTaskEvent(req, task, 'comment_deleted', {
+        details: {
+          commentId: req.params.commentId,
+          author: commentToDelete.author,
+          text: excerpt(commentToDelete.text)
+        }
+      });
+    }
+    publish(req, task.boardId, 'comment:deleted', { task, commentId: req.params.commentId });
+
     res.json({ success: true, data: task });
   } catch (error) {
     next(error);
@@ -0,0 +1,139 @@
+const express = require('express');
+const router = express.Router();
+const Board = require('../models/Board');
+const Column = require('../models/Column');
+const Task = require('../models/Task');
+const { recordTaskEvent } = require('../services/historyService');
+const { getRetentionDays, getPurgeDate } = require('../services/trashService');
+const { publish } = require('../services/realtimeService');
+const { runInTransaction } = require('../services/transactionService');
+const { authorizeBoard, requirePermission, boardParam } = require('../middleware/permissions');
+
+const inTrash = { $ne: null };
+
+// @route   GET /api/boards/:boardId/trash
+// @desc    Get the board's deleted tasks and columns, newest first, with the date each will be purged
+router.get('/boards/:boardId/trash', authorizeBoard(boardParam('boardId')), async (req, res, next) => {
+  try {
+    const boardId = req.params.boardId;
+
+    if (!(await Board.exists({ _id: boardId }))) {
+      return res.status(404).json({ success: false, error: 'Board not found' });
+    }
+
+    const [tasks, columns] = await Promise.all([
+      Task.find({ boardId, deletedAt: inTrash }, 'key name state taskType priority deletedAt deletedBy').sort({ deletedAt: -1 }),
+      Column.find({ boardId, deletedAt: inTrash }, 'name deletedAt deletedBy').sort({ deletedAt: -1 })
+    ]);
+
+    const withPurgeDate = (doc) => ({ ...doc.toObject(), purgeAt: getPurgeDate(doc.deletedAt) });
+
+    res.json({
+      success: true,
+      data: {
+        retentionDays: getRetentionDays(),
+        tasks: tasks.map(withPurgeDate),
+        columns: columns.map(withPurgeDate)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/boards/:boardId/trash/tasks/:taskId/restore
+// @desc    Restore a deleted task to its column (or to Backlog if the column is gone)
+router.post('/boards/:boardId/trash/tasks/:taskId/restore', authorizeBoard(boardParam('boardId')), requirePermission('canDeleteTasks'), async (req, res, next) => {
+  try {
+    const { boardId, taskId } = req.params;
+
+    if (!(await Board.exists({ _id: boardId }))) {
+      return res.status(404).json({ success: false, error: 'Board not found' });
+    }
+
+    const result = await runInTransaction(async (session) => {
+      const task = await Task.findOne({ _id: taskId, boardId, deletedAt: inTrash }).session(session);
+      if (!task) return null;
+
+      const column = await Column.findOne({ _id: task.columnId, boardId }).session(session) ||
+        await Column.findOne({ boardId, name: 'Backlog' }).session(session);
+      if (!column) return { error: 'The board has no Backlog column to restore the task to' };
+
+      // Links to tasks that are still in the trash (or were purged) are dropped
+      const linked = await Task.find({ _id: { $in: task.dependencies.map(dep => dep.taskId) } }, '_id').session(session);
+      const linkedIds = new Set(linked.map(t => t._id.toString()));
+      task.dependencies = task.dependencies.filter(dep => linkedIds.has(dep.taskId.toString()));
+
+      task.columnId = column._id;
+      task.state = column.name;
+      task.deletedAt = null;
+      task.deletedBy = null;
+      task.increment();
+      await task.save({ session });
+
+      const updatedColumn = await Column.findByIdAndUpdate(
+        column._id,
+        { $push: { taskIds: task._id }, $inc: { __v: 1 } },
+        { new: true, session }
+      );
+
+      return { task, column: updatedColumn };
+    });
+
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Task not found in the trash' });
+    }
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+
+    const { task, column } = result;
+    await recordTaskEvent(req, task, 'restored', { details: { columnName: column.name } });
+    publish(req, boardId, 'task:created', { task, columns: [column] });
+
+    res.json({ success: true, data: { task, column } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/boards/:boardId/trash/columns/:columnId/restore
+// @desc    Restore a deleted column at the end of the board (its tasks stay in Backlog)
+router.post('/boards/:boardId/trash/columns/:columnId/restore', authorizeBoard(boardParam('boardId')), requirePermission('canDeleteTasks'), async (req, res, next) => {
+  try {
+    const { boardId, columnId } = req.params;
+
+    if (!(await Board.exists({ _id: boardId }))) {
+      return res.status(404).json({ success: false, error: 'Board not found' });
+    }
+
+    const result = await runInTransaction(async (session) => {
+      const column = await Column.findOne({ _id: columnId, boardId, deletedAt: inTrash }).session(session);
+      if (!column) return null;
+
+      column.deletedAt = null;
+      column.deletedBy = null;
+      await column.save({ session });
+
+      const board = await Board.findByIdAndUpdate(
+        boardId,
+        { $addToSet: { columnOrder: column._id } },
+        { new: true, session }
+      );
+
+      return { column, columnOrder: board.columnOrder };
+    });
+
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Column not found in the trash' });
+    }
+
+    publish(req, boardId, 'column:created', result);
+
+    res.json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,27 +1,7 @@
 const express = require('express');
 const router = express.Router();
-
-// Helper to make Authentik API requests
-async function authentikFetch(endpoint, options = {}) {
-  const apiUrl = process.env.AUTHENTIK_API_URL;
-  const apiToken = process.env.AUTHENTIK_API_TOKEN;
-
-  const response = await fetch(`${apiUrl}/api/v3${endpoint}`, {
-    ...options,
-    headers: {
-      'Authorization': `Bearer ${apiToken}`,
-      'Content-Type': 'application/json',
-      ...options.headers
-    }
-  });
-
-  if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`Authentik API error: ${response.status} - ${error}`);
-  }
-
-  return response.json();
-}
+const { authentikFetch, clearUserCache } = require('../services/authentikService');
+const { closeRevokedConnections } = require('../services/realtimeService');
 
 // Get all users
 router.get('/', async (req, res, next) => {
@@ -82,6 +62,11 @@ router.put('/:id/permissions', async (req, res, next) => {
         attributes: updatedAttributes
       })
     });
+    clearUserCache();
+    // Stop live updates from boards the user just lost access to
+    if (allowedBoards !== undefined) {
+      closeRevokedConnections(id, updatedAttributes.hicks_allowed_boards || []);
+    }
 
     res.json({
       success: true,
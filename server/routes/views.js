@@ -0,0 +1,108 @@
+const express = require('express');
+const router = express.Router();
+const SavedView = require('../models/SavedView');
+const { authorizeBoard, boardParam } = require('../middleware/permissions');
+
+const VIEW_MODES = ['board', 'list'];
+
+// Helper to build the filters to store from a request body (unknown keys are dropped)
+const pickFilters = (filters = {}) => ({
+  state: Array.isArray(filters.state) ? filters.state.map(String) : [],
+  taskType: Array.isArray(filters.taskType) ? filters.taskType.map(String) : [],
+  assignedTo: typeof filters.assignedTo === 'string' ? filters.assignedTo : '',
+  search: typeof filters.search === 'string' ? filters.search : '',
+  query: typeof filters.query === 'string' ? filters.query : ''
+});
+
+// Helper to find a view on a board and check that the current user owns it
+const findOwnedView = async (req, res) => {
+  const view = await SavedView.findOne({ _id: req.params.id, boardId: req.params.boardId });
+  if (!view) {
+    res.status(404).json({ success: false, error: 'View not found' });
+    return null;
+  }
+  if (view.ownerId !== req.currentUser?.id) {
+    res.status(403).json({ success: false, error: 'Only the owner can change this view' });
+    return null;
+  }
+  return view;
+};
+
+// @route   GET /api/boards/:boardId/views
+// @desc    Get the user's own views and views shared on the board
+router.get('/boards/:boardId/views', authorizeBoard(boardParam('boardId')), async (req, res, next) => {
+  try {
+    const userId = req.currentUser?.id;
+    const query = userId
+      ? { boardId: req.params.boardId, $or: [{ ownerId: userId }, { shared: true }] }
+      : { boardId: req.params.boardId, shared: true };
+
+    const views = await SavedView.find(query).sort({ name: 1 });
+    res.json({ success: true, data: views });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/boards/:boardId/views
+// @desc    Save the current filters as a named view
+router.post('/boards/:boardId/views', authorizeBoard(boardParam('boardId')), async (req, res, next) => {
+  try {
+    const { name, shared, filters, viewMode } = req.body;
+
+    if (!req.currentUser?.id) {
+      return res.status(403).json({ success: false, error: 'Your account could not be identified' });
+    }
+
+    const view = await SavedView.create({
+      boardId: req.params.boardId,
+      name,
+      ownerId: req.currentUser.id,
+      ownerName: req.currentUser.name,
+      shared: Boolean(shared),
+      filters: pickFilters(filters),
+      viewMode: VIEW_MODES.includes(viewMode) ? viewMode : 'board'
+    });
+
+    res.status(201).json({ success: true, data: view });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/boards/:boardId/views/:id
+// @desc    Update a view (rename, share/unshare or replace its filters)
+router.put('/boards/:boardId/views/:id', authorizeBoard(boardParam('boardId')), async (req, res, next) => {
+  try {
+    const { name, shared, filters, viewMode } = req.body;
+
+    const view = await findOwnedView(req, res);
+    if (!view) return;
+
+    if (name !== undefined) view.name = name;
+    if (shared !== undefined) view.shared = Boolean(shared);
+    if (filters !== undefined) view.filters = pickFilters(filters);
+    if (viewMode !== undefined && VIEW_MODES.includes(viewMode)) view.viewMode = viewMode;
+
+    await view.save();
+    res.json({ success: true, data: view });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/boards/:boardId/views/:id
+// @desc    Delete a view
+router.delete('/boards/:boardId/views/:id', authorizeBoard(boardParam('boardId')), async (req, res, next) => {
+  try {
+    const view = await findOwnedView(req, res);
+    if (!view) return;
+
+    await view.deleteOne();
+    res.json({ success: true, data: {} });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
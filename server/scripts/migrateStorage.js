@@ -0,0 +1,91 @@
+// Copy every uploaded file from one storage backend to another, e.g. before switching STORAGE_DRIVER:
+//
+//   node scripts/migrateStorage.js --from local --to s3 [--delete] [--dry-run]
+//
+// Both backends are configured from .env as usual. Files already in the target with the same size are
+// skipped, so an interrupted run can simply be repeated. --delete removes each file from the source
+// once its copy has been checked.
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const { createStorage, STORAGE_DRIVERS } = require('../services/storage');
+
+const usage = `Usage: node scripts/migrateStorage.js --from <${STORAGE_DRIVERS.join('|')}> --to <${STORAGE_DRIVERS.join('|')}> [--delete] [--dry-run]`;
+
+function parseArgs(args) {
+  const options = { delete: false, dryRun: false };
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--from':
+        options.from = args[++i];
+        break;
+      case '--to':
+        options.to = args[++i];
+        break;
+      case '--delete':
+        options.delete = true;
+        break;
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      default:
+        return null;
+    }
+  }
+  return options.from && options.to && options.from !== options.to ? options : null;
+}
+
+async function migrate({ from, to, delete: deleteSource, dryRun }) {
+  const source = createStorage(from);
+  const target = createStorage(to);
+  const counts = { copied: 0, skipped: 0, failed: 0, bytes: 0 };
+
+  for await (const file of source.list()) {
+    const label = `${file.boardId}/${file.name}`;
+    try {
+      const existing = await target.stat(file.boardId, file.name);
+      if (existing?.size === file.size) {
+        counts.skipped++;
+      } else if (dryRun) {
+        console.log(`Would copy ${label} (${file.size} bytes)`);
+        counts.copied++;
+        counts.bytes += file.size;
+        continue;
+      } else {
+        await target.save(file.boardId, file.name, await source.open(file.boardId, file.name));
+        const copy = await target.stat(file.boardId, file.name);
+        if (copy?.size !== file.size) {
+          throw new Error(`copy has ${copy?.size ?? 0} of ${file.size} bytes`);
+        }
+        console.log(`Copied ${label}`);
+        counts.copied++;
+        counts.bytes += file.size;
+      }
+
+      if (deleteSource && !dryRun) {
+        await source.remove(file.boardId, file.name);
+      }
+    } catch (error) {
+      console.error(`Failed ${label}: ${error.message}`);
+      counts.failed++;
+    }
+  }
+
+  return counts;
+}
+
+const options = parseArgs(process.argv.slice(2));
+if (!options) {
+  console.error(usage);
+  process.exit(1);
+}
+
+migrate(options)
+  .then(({ copied, skipped, failed, bytes }) => {
+    const verb = options.dryRun ? 'would be copied' : 'copied';
+    console.log(`${copied} file(s) ${verb} (${(bytes / (1024 * 1024)).toFixed(1)} MB), ${skipped} already there, ${failed} failed`);
+    process.exit(failed > 0 ? 1 : 0);
+  })
+  .catch(error => {
+    console.error(`Migration failed: ${error.message}`);
+    process.exit(1);
+  });
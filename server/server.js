@@ -5,7 +5,14 @@ const { auth } = require('express-openid-connect');
 require('dotenv').config();
 
 const connectDB = require('./config/db');
+const runMigrations = require('./config/migrations');
 const errorHandler = require('./middleware/errorHandler');
+const { currentUser } = require('./middleware/currentUser');
+const { getPermissions } = require('./middleware/permissions');
+const { scheduleTrashPurge } = require('./services/trashService');
+const { scheduleFileGc } = require('./services/fileGcService');
+const { scheduleUploadSessionCleanup } = require('./services/uploadSessionService');
+const { resumePendingScans } = require('./services/fileScanService');
 
 // Route files
 const boardRoutes = require('./routes/boards');
@@ -15,13 +22,24 @@ const userRoutes = require('./routes/users');
 const fileRoutes = require('./routes/files');
 const emailRuleRoutes = require('./routes/emailRules');
 const emailConfigRoutes = require('./routes/emailConfig');
-
-// Connect to database
-connectDB();
+const viewRoutes = require('./routes/views');
+const eventRoutes = require('./routes/events');
+const adminRoutes = require('./routes/admin');
+const trashRoutes = require('./routes/trash');
+
+// Connect to database, bring older documents up to date, then start the background cleanups
+// (expired trash, orphaned uploads, abandoned chunked uploads) and finish interrupted malware scans
+connectDB().then(runMigrations).then(() => {
+  scheduleTrashPurge();
+  scheduleFileGc();
+  scheduleUploadSessionCleanup();
+  resumePendingScans().catch(err => console.error('Error resuming upload scans:', err));
+});
 
 const app = express();
 
-// Body parser
+// Body parser (board imports carry whole files, so they get a larger limit)
+app.use('/api/boards/:id/import', express.json({ limit: '10mb' }));
 app.use(express.json());
 
 // Enable CORS
@@ -30,8 +48,8 @@ app.use(cors({
     ? false
     : ['http://localhost:5173', 'http://127.0.0.1:5173'],
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Client-Id', 'If-Match', 'Upload-Offset']
 }));
 
 // Authentik OIDC authentication
@@ -78,52 +96,31 @@ if (process.env.NODE_ENV !== 'production') {
   });
 }
 
-// Helper to fetch user from Authentik API
-async function getAuthentikUser(email) {
-  try {
-    const response = await fetch(
-      `${process.env.AUTHENTIK_API_URL}/api/v3/core/users/?search=${encodeURIComponent(email)}`,
-      {
-        headers: {
-          'Authorization': `Bearer ${process.env.AUTHENTIK_API_TOKEN}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
-    if (!response.ok) return null;
-    const data = await response.json();
-    return data.results?.find(u => u.email === email) || null;
-  } catch (error) {
-    console.error('Error fetching Authentik user:', error);
-    return null;
-  }
-}
+// Resolve the logged-in user (Authentik id, admin flag, attributes) for API requests
+app.use('/api', currentUser);
 
 // User info endpoint
-app.get('/api/me', async (req, res) => {
+app.get('/api/me', (req, res) => {
   if (!req.oidc.isAuthenticated()) {
     return res.json({ authenticated: false });
   }
 
-  const groups = req.oidc.user.groups || [];
-  const isAdmin = groups.some(g => g.toLowerCase().replace(/\s+/g, '-') === 'hicks-admins');
-
-  // Fetch user attributes from Authentik for permissions
-  const authentikUser = await getAuthentikUser(req.oidc.user.email);
-  const attributes = authentikUser?.attributes || {};
+  const { id, email, name, groups, isAdmin } = req.currentUser;
+  const { canAdminBoards, canDeleteTasks, canManageEmailRules, allowedBoards } = getPermissions(req);
 
   res.json({
     authenticated: true,
     user: {
-      email: req.oidc.user.email,
-      name: req.oidc.user.name || req.oidc.user.preferred_username,
-      groups: groups,
-      isAdmin: isAdmin,
+      id,
+      email,
+      name,
+      groups,
+      isAdmin,
       permissions: {
-        canAdminBoards: isAdmin || attributes.hicks_can_admin_boards || false,
-        canDeleteTasks: isAdmin || attributes.hicks_can_delete_tasks || false,
-        canManageEmailRules: isAdmin || attributes.hicks_can_manage_email_rules || false,
-        allowedBoards: attributes.hicks_allowed_boards || []
+        canAdminBoards,
+        canDeleteTasks,
+        canManageEmailRules,
+        allowedBoards
       }
     }
   });
@@ -142,9 +139,7 @@ const requireAdmin = (req, res, next) => {
   if (!req.oidc.isAuthenticated()) {
     return res.status(401).json({ error: 'Authentication required' });
   }
-  const groups = req.oidc.user.groups || [];
-  const isAdmin = groups.some(g => g.toLowerCase().replace(/\s+/g, '-') === 'hicks-admins');
-  if (!isAdmin) {
+  if (!req.currentUser?.isAdmin) {
     return res.status(403).json({ error: 'Admin access required' });
   }
   next();
@@ -162,7 +157,11 @@ app.use('/api', requireApiAuth, taskRoutes);
 app.use('/api/users', requireAdmin, userRoutes);
 app.use('/api', requireApiAuth, fileRoutes);
 app.use('/api', requireApiAuth, emailRuleRoutes);
+app.use('/api', requireApiAuth, viewRoutes);
+app.use('/api', requireApiAuth, eventRoutes);
+app.use('/api', requireApiAuth, trashRoutes);
 app.use('/api/email-config', requireAdmin, emailConfigRoutes);
+app.use('/api/admin', requireAdmin, adminRoutes);
 
 // Serve static assets in production
 if (process.env.NODE_ENV === 'production') {
@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+const AttachmentQuota = require('../models/AttachmentQuota');
+const Board = require('../models/Board');
+const Attachment = require('../models/Attachment');
+const { getStorage } = require('./storage');
+const { matchesTypePattern } = require('./fileTypeService');
+
+const MB = 1024 * 1024;
+
+// The configured quotas (the defaults until an admin saves them)
+const getQuotas = () => AttachmentQuota.getConfig();
+
+// The quota settings as sent to clients
+const formatQuotas = (quotas) => ({
+  maxFilesPerTask: quotas.maxFilesPerTask,
+  maxBytesPerTask: quotas.maxBytesPerTask,
+  maxBytesPerBoard: quotas.maxBytesPerBoard,
+  sizeLimits: quotas.sizeLimits.map(({ pattern, maxBytes }) => ({ pattern, maxBytes })),
+  lastUpdatedBy: quotas.lastUpdatedBy,
+  updatedAt: quotas.updatedAt
+});
+
+// "250MB", "1.5GB"
+const formatLimit = (bytes) => {
+  if (bytes >= 1024 * MB) return `${Number((bytes / (1024 * MB)).toFixed(1))}GB`;
+  if (bytes >= MB) return `${Number((bytes / MB).toFixed(1))}MB`;
+  return `${Number((bytes / 1024).toFixed(1))}KB`;
+};
+
+// The size limit for a type of file, or null if it has none
+function getSizeLimit(quotas, type) {
+  return quotas.sizeLimits.find(limit => matchesTypePattern(type, limit.pattern))?.maxBytes ?? null;
+}
+
+// The largest file any size limit allows (Infinity if some types have no limit), for checks
+// made before the type is known
+function getLargestSizeLimit(quotas) {
+  const coversEverything = quotas.sizeLimits.some(limit => limit.pattern === '*/*');
+  const largest = Math.max(...quotas.sizeLimits.map(limit => limit.maxBytes));
+  return coversEverything ? largest : Infinity;
+}
+
+// Why a file is too large for its type, or null if it isn't
+function checkFileSize(quotas, type, size) {
+  const maxBytes = getSizeLimit(quotas, type);
+  if (maxBytes !== null && size > maxBytes) {
+    return `exceeds the ${formatLimit(maxBytes)} limit for ${type} files`;
+  }
+  return null;
+}
+
+// Attachment count and bytes per board. Every upload counts, attached or not, once each
+// however many tasks it is attached to.
+async function aggregateUsage(filter = {}) {
+  const rows = await Attachment.aggregate([
+    { $match: filter },
+    { $group: { _id: '$boardId', files: { $sum: 1 }, bytes: { $sum: '$size' } } }
+  ]);
+  return new Map(rows.map(row => [row._id.toString(), { files: row.files, bytes: row.bytes }]));
+}
+
+// { files, bytes } uploaded to a board
+async function getBoardUsage(boardId) {
+  const usage = await aggregateUsage({ boardId: new mongoose.Types.ObjectId(String(boardId)) });
+  return usage.get(String(boardId)) || { files: 0, bytes: 0 };
+}
+
+// Why adding bytes would take a board over its quota, or null if it wouldn't
+async function checkBoardQuota(quotas, boardId, addedBytes) {
+  if (quotas.maxBytesPerBoard === null) return null;
+  const { bytes } = await getBoardUsage(boardId);
+  if (bytes + addedBytes > quotas.maxBytesPerBoard) {
+    return `the board's attachments would exceed its ${formatLimit(quotas.maxBytesPerBoard)} quota`;
+  }
+  return null;
+}
+
+// Why files can't be attached to a task (or one of its comments), or null if they can.
+// files: [{ size }] being added. The board's quota was checked when they were uploaded.
+function checkTaskQuota(quotas, task, files) {
+  const attached = [...task.files, ...task.comments.flatMap(comment => comment.files)];
+  if (attached.length + files.length > quotas.maxFilesPerTask) {
+    return `A task can have at most ${quotas.maxFilesPerTask} attachments (it has ${attached.length})`;
+  }
+  if (quotas.maxBytesPerTask !== null) {
+    const bytes = [...attached, ...files].reduce((sum, file) => sum + (file.size || 0), 0);
+    if (bytes > quotas.maxBytesPerTask) {
+      return `A task's attachments can total at most ${formatLimit(quotas.maxBytesPerTask)}`;
+    }
+  }
+  return null;
+}
+
+// Storage used by every board: its attachments and what the storage holds for the board,
+// which also counts thumbnails and quarantined files.
+// Returns [{ boardId, name, key, deleted, files, bytes, storedFiles, storedBytes }], largest first.
+async function getStorageReport() {
+  const boards = await Board.find({}, 'name key deletedAt').setOptions({ withDeleted: true });
+  const usage = await aggregateUsage();
+
+  const stored = new Map();
+  for await (const file of getStorage().list()) {
+    const entry = stored.get(file.boardId) || { storedFiles: 0, storedBytes: 0 };
+    entry.storedFiles++;
+    entry.storedBytes += file.size;
+    stored.set(file.boardId, entry);
+  }
+
+  return boards
+    .map(board => {
+      const boardId = board._id.toString();
+      return {
+        boardId,
+        name: board.name,
+        key: board.key,
+        deleted: Boolean(board.deletedAt),
+        ...(usage.get(boardId) || { files: 0, bytes: 0 }),
+        ...(stored.get(boardId) || { storedFiles: 0, storedBytes: 0 })
+      };
+    })
+    .sort((a, b) => b.storedBytes - a.storedBytes);
+}
+
+module.exports = {
+  formatLimit,
+  getQuotas,
+  formatQuotas,
+  getSizeLimit,
+  getLargestSizeLimit,
+  checkFileSize,
+  getBoardUsage,
+  checkBoardQuota,
+  checkTaskQuota,
+  getStorageReport
+};
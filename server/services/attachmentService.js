@@ -0,0 +1,130 @@
+const Attachment = require('../models/Attachment');
+const { deleteUploadedFile } = require('./storage');
+
+// Uploads become Attachment documents; attaching a file to a task or comment adds a reference to
+// it (the same file can be attached in several places), and the stored file is only deleted when
+// its last reference is removed.
+
+class AttachmentError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'AttachmentError';
+    this.statusCode = statusCode;
+  }
+}
+
+// { taskId } for a task's own files, { taskId, commentId } for a comment's
+const toReference = ({ taskId, commentId = null }) => ({ taskId, commentId });
+
+// Record stored uploads ({ fileId, originalName, mimeType, size }) as unattached attachments
+async function createAttachments(boardId, files, uploadedBy) {
+  await Attachment.insertMany(files.map(file => ({
+    boardId,
+    fileId: file.fileId,
+    originalName: file.originalName,
+    mimeType: file.mimeType,
+    size: file.size,
+    uploadedBy
+  })));
+}
+
+// The entry for a task's or comment's files list
+const toFileEntry = (attachment) => ({
+  fileId: attachment.fileId,
+  originalName: attachment.originalName,
+  mimeType: attachment.mimeType,
+  size: attachment.size,
+  uploadedBy: attachment.uploadedBy
+});
+
+// A board's attachments by file id, in the order asked for.
+// Throws an AttachmentError if one of them doesn't exist on the board.
+async function findAttachments(boardId, fileIds) {
+  const attachments = await Attachment.find({ boardId, fileId: { $in: fileIds } });
+  return fileIds.map(fileId => {
+    const attachment = attachments.find(a => a.fileId === fileId);
+    if (!attachment) throw new AttachmentError(`File ${fileId} was not found on this board`, 404);
+    return attachment;
+  });
+}
+
+async function linkAttachments(boardId, fileIds, reference) {
+  await Attachment.updateMany(
+    { boardId, fileId: { $in: fileIds } },
+    { $addToSet: { references: toReference(reference) } }
+  );
+}
+
+// Delete an attachment and its stored file once nothing refers to it any more.
+// Returns true if it was deleted.
+async function removeIfUnreferenced(boardId, fileId) {
+  const removed = await Attachment.findOneAndDelete({ boardId, fileId, references: { $size: 0 } });
+  if (removed) {
+    await deleteUploadedFile(boardId, fileId);
+  }
+  return Boolean(removed);
+}
+
+// Remove one reference to a file (deleting the file if it was the last one)
+async function unlinkAttachment(boardId, fileId, reference) {
+  await Attachment.updateOne({ boardId, fileId }, { $pull: { references: toReference(reference) } });
+  return removeIfUnreferenced(boardId, fileId);
+}
+
+// Point a reference somewhere else, e.g. from a comment to its task
+async function moveAttachment(boardId, fileId, from, to) {
+  await Attachment.updateOne({ boardId, fileId }, { $addToSet: { references: toReference(to) } });
+  await Attachment.updateOne({ boardId, fileId }, { $pull: { references: toReference(from) } });
+}
+
+// Remove every reference of a task, or of one of its comments, when it is removed for good
+// (files nothing else refers to are deleted)
+async function releaseAttachments(boardId, { taskId, commentId }) {
+  const reference = commentId ? { taskId, commentId } : { taskId };
+  const attachments = await Attachment.find({ boardId, references: { $elemMatch: reference } }, 'fileId');
+  if (attachments.length === 0) return;
+
+  await Attachment.updateMany({ boardId, references: { $elemMatch: reference } }, { $pull: { references: reference } });
+  for (const attachment of attachments) {
+    await removeIfUnreferenced(boardId, attachment.fileId);
+  }
+}
+
+// Create the attachments (and references) for the files lists of tasks that were written
+// without going through the file routes: existing data and restored boards
+async function syncTaskAttachments(tasks) {
+  const operations = tasks.flatMap(task => [
+    ...(task.files || []).map(file => [file, null]),
+    ...(task.comments || []).flatMap(comment => (comment.files || []).map(file => [file, comment._id]))
+  ].map(([file, commentId]) => ({
+    updateOne: {
+      filter: { boardId: task.boardId, fileId: file.fileId },
+      update: {
+        $setOnInsert: {
+          originalName: file.originalName,
+          mimeType: file.mimeType,
+          size: file.size || 0,
+          uploadedBy: file.uploadedBy || null
+        },
+        $addToSet: { references: toReference({ taskId: task._id, commentId }) }
+      },
+      upsert: true
+    }
+  })));
+
+  if (operations.length > 0) {
+    await Attachment.bulkWrite(operations, { ordered: false });
+  }
+}
+
+module.exports = {
+  AttachmentError,
+  createAttachments,
+  toFileEntry,
+  findAttachments,
+  linkAttachments,
+  unlinkAttachment,
+  moveAttachment,
+  releaseAttachments,
+  syncTaskAttachments
+};
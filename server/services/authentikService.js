@@ -0,0 +1,89 @@
+// How long looked-up Authentik users are cached (attributes/permissions change rarely)
+const USER_CACHE_TTL_MS = 60 * 1000;
+
+const userCache = new Map();
+
+// Helper to make Authentik API requests
+async function authentikFetch(endpoint, options = {}) {
+  const apiUrl = process.env.AUTHENTIK_API_URL;
+  const apiToken = process.env.AUTHENTIK_API_TOKEN;
+
+  const response = await fetch(`${apiUrl}/api/v3${endpoint}`, {
+    ...options,
+    headers: {
+      'Authorization': `Bearer ${apiToken}`,
+      'Content-Type': 'application/json',
+      ...options.headers
+    }
+  });
+
+  if (!response.ok) {
+    const error = await response.text();
+    throw new Error(`Authentik API error: ${response.status} - ${error}`);
+  }
+
+  return response.json();
+}
+
+// Check if a list of group names includes the hicks-admins group
+function isAdminGroup(groups = []) {
+  return groups.some(g => g.toLowerCase().replace(/\s+/g, '-') === 'hicks-admins');
+}
+
+// Fetch a user from Authentik by email (cached briefly, null if not found or on error)
+async function getAuthentikUser(email) {
+  if (!email) return null;
+
+  const cached = userCache.get(email);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.user;
+  }
+
+  try {
+    const data = await authentikFetch(`/core/users/?search=${encodeURIComponent(email)}`);
+    const user = data.results?.find(u => u.email === email) || null;
+    userCache.set(email, { user, expiresAt: Date.now() + USER_CACHE_TTL_MS });
+    return user;
+  } catch (error) {
+    console.error('Error fetching Authentik user:', error);
+    return null;
+  }
+}
+
+// Forget cached users (after their attributes are changed)
+function clearUserCache() {
+  userCache.clear();
+}
+
+// Fetch active users who can see a board (admins see all boards)
+async function fetchBoardUsers(boardId) {
+  const data = await authentikFetch('/core/users/?page_size=500');
+  const boardIdStr = boardId.toString();
+
+  return data.results
+    .filter(user => {
+      if (!user.is_active) return false;
+
+      const isAdmin = isAdminGroup(user.groups_obj?.map(g => g.name) || []);
+
+      // Check if board is in user's allowedBoards (compare as strings)
+      const allowedBoards = user.attributes?.hicks_allowed_boards || [];
+      const hasAccess = allowedBoards.some(b => b.toString() === boardIdStr);
+
+      return isAdmin || hasAccess;
+    })
+    .map(user => ({
+      id: user.pk,
+      name: user.name || user.username,
+      username: user.username,
+      email: user.email
+    }));
+}
+
+module.exports = {
+  authentikFetch,
+  isAdminGroup,
+  getAuthentikUser,
+  clearUserCache,
+  fetchBoardUsers
+};
@@ -0,0 +1,272 @@
+const zlib = require('zlib');
+const mongoose = require('mongoose');
+const { Readable, Writable, PassThrough } = require('stream');
+const { pipeline } = require('stream/promises');
+const Board = require('../models/Board');
+const Column = require('../models/Column');
+const Task = require('../models/Task');
+const EmailRule = require('../models/EmailRule');
+const { TYPE_PATTERN_MESSAGE, isTypePattern } = require('../models/fileTypePattern');
+const { tarEntries, extractTar } = require('./tarService');
+const { BOARD_KEY_PATTERN, formatTaskKey, generateBoardKey } = require('./taskKeyService');
+const { runInTransaction } = require('./transactionService');
+const { getStorage } = require('./storage');
+const { syncTaskAttachments } = require('./attachmentService');
+
+// Archive layout: manifest.json with the documents, files/<fileId> for each attachment
+const BACKUP_FORMAT = 'hicks-board-backup';
+const BACKUP_VERSION = 1;
+const MANIFEST_NAME = 'manifest.json';
+const FILES_PREFIX = 'files/';
+const MAX_MANIFEST_SIZE = 200 * 1024 * 1024;
+
+// Attachment names are GUIDs with an extension; anything else in an archive is ignored
+const FILE_NAME_PATTERN = /^[\w-]+(\.[\w-]+)?$/;
+
+// A backup that can't be restored (answered with 400)
+class RestoreError extends Error {}
+
+const toObject = (doc) => doc.toObject({ depopulate: true, versionKey: false });
+
+// Write a .tar.gz backup of a board (board, columns, tasks, email rules and its uploaded files)
+// to a writable stream. Returns false if the board doesn't exist.
+async function writeBoardBackup(boardId, output) {
+  const board = await Board.findById(boardId);
+  if (!board) return false;
+
+  const [columns, tasks, emailRules] = await Promise.all([
+    Column.find({ boardId }),
+    Task.find({ boardId }),
+    EmailRule.find({ boardId })
+  ]);
+
+  const storage = getStorage();
+  const files = [];
+  for await (const file of storage.list(board._id.toString())) {
+    if (FILE_NAME_PATTERN.test(file.name)) files.push(file);
+  }
+
+  const manifest = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: new Date().toISOString(),
+    board: toObject(board),
+    columns: columns.map(toObject),
+    tasks: tasks.map(toObject),
+    emailRules: emailRules.map(toObject),
+    files: files.map(file => file.name)
+  };
+
+  const entries = [
+    { name: MANIFEST_NAME, data: Buffer.from(JSON.stringify(manifest)) },
+    ...files.map(file => ({
+      name: FILES_PREFIX + file.name,
+      size: file.size,
+      mtime: file.modifiedAt,
+      open: () => storage.open(file.boardId, file.name)
+    }))
+  ];
+
+  await pipeline(Readable.from(tarEntries(entries)), zlib.createGzip(), output);
+  return true;
+}
+
+// Check the parts of the manifest the restore relies on. Returns an error message or null.
+function validateManifest(manifest) {
+  if (manifest?.format !== BACKUP_FORMAT) return 'This is not a board backup';
+  if (manifest.version > BACKUP_VERSION) return `Backup version ${manifest.version} is newer than this server supports`;
+  if (!manifest.board || !Array.isArray(manifest.columns) || !Array.isArray(manifest.tasks)) {
+    return 'The backup is missing the board, its columns or its tasks';
+  }
+  // Upload type lists (backups made before boards had them have none)
+  const { fileTypes } = manifest.board;
+  if (fileTypes !== undefined && fileTypes !== null) {
+    const isPatternList = (list) => list === undefined || (Array.isArray(list) && list.every(isTypePattern));
+    if (typeof fileTypes !== 'object' || !isPatternList(fileTypes.allowed) || !isPatternList(fileTypes.denied)) {
+      return `The board's upload types are invalid: ${TYPE_PATTERN_MESSAGE}`;
+    }
+  }
+  return null;
+}
+
+// Give every document a new id, keeping the references between them
+function remapManifest(manifest, newBoardId) {
+  const ids = new Map([[String(manifest.board._id), newBoardId]]);
+  const newId = (oldId) => {
+    const key = String(oldId);
+    if (!ids.has(key)) ids.set(key, new mongoose.Types.ObjectId());
+    return ids.get(key);
+  };
+  manifest.columns.forEach(col => newId(col._id));
+  manifest.tasks.forEach(task => newId(task._id));
+
+  // References to documents that are not in the backup are dropped
+  const mapped = (oldId) => ids.get(String(oldId)) || null;
+
+  const columns = manifest.columns.map(col => ({
+    ...col,
+    _id: mapped(col._id),
+    boardId: newBoardId,
+    taskIds: (col.taskIds || []).map(mapped).filter(Boolean)
+  }));
+
+  const tasks = manifest.tasks.map(task => ({
+    ...task,
+    _id: mapped(task._id),
+    boardId: newBoardId,
+    columnId: mapped(task.columnId),
+    dependencies: (task.dependencies || [])
+      .map(dep => ({ ...dep, taskId: mapped(dep.taskId) }))
+      .filter(dep => dep.taskId)
+  }));
+
+  const emailRules = (manifest.emailRules || []).map(({ _id, ...rule }) => ({
+    ...rule,
+    boardId: newBoardId
+  }));
+
+  const columnOrder = (manifest.board.columnOrder || []).map(mapped).filter(Boolean);
+
+  return { columns, tasks, emailRules, columnOrder };
+}
+
+// A name that isn't used by another board ("Bugs", "Bugs (restored)", "Bugs (restored 2)", ...)
+async function uniqueBoardName(name) {
+  const base = (name || 'Restored board').substring(0, 85);
+  if (!(await Board.exists({ name: base }))) return base;
+
+  let candidate = `${base} (restored)`;
+  for (let n = 2; await Board.exists({ name: candidate }); n++) {
+    candidate = `${base} (restored ${n})`;
+  }
+  return candidate;
+}
+
+// Restore a .tar.gz board backup from a readable stream as a new board.
+//   options: { name?, key? } override the board's name and task key prefix
+// The board keeps its key when it is free, otherwise a new one is picked and the task keys follow it.
+// Returns { board, columns, warnings } or { error }.
+async function restoreBoardBackup(input, { name, key } = {}) {
+  const boardId = new mongoose.Types.ObjectId();
+  const storage = getStorage();
+  const warnings = [];
+  const uploads = []; // { output, saved } for each attachment being written to storage
+  let manifestChunks = null;
+
+  if (key && !BOARD_KEY_PATTERN.test(key)) {
+    return { error: 'Board key must be 2-10 letters or digits, starting with a letter' };
+  }
+  if (key && await Board.exists({ key }).setOptions({ withDeleted: true })) {
+    return { error: `Board key ${key} is already in use` };
+  }
+
+  try {
+    // Errors on the input (e.g. an aborted upload) surface while the archive is read
+    const unzipped = zlib.createGunzip();
+    pipeline(input, unzipped).catch(() => {});
+
+    // Attachments go straight to the new board's storage; the manifest is kept in memory
+    await extractTar(unzipped, async (entryName, size) => {
+      if (entryName === MANIFEST_NAME) {
+        if (size > MAX_MANIFEST_SIZE) throw new RestoreError('The backup manifest is too large');
+        manifestChunks = [];
+        return new Writable({
+          write(chunk, encoding, callback) {
+            manifestChunks.push(chunk);
+            callback();
+          }
+        });
+      }
+      const fileName = entryName.startsWith(FILES_PREFIX) ? entryName.substring(FILES_PREFIX.length) : null;
+      if (!fileName || !FILE_NAME_PATTERN.test(fileName)) {
+        warnings.push(`Skipped unexpected archive entry ${entryName}`);
+        return null;
+      }
+      const output = new PassThrough();
+      const saved = storage.save(boardId.toString(), fileName, output);
+      saved.catch(error => output.destroy(error)); // Stops the extraction; awaited below otherwise
+      uploads.push({ output, saved });
+      return output;
+    });
+    await Promise.all(uploads.map(upload => upload.saved));
+
+    if (!manifestChunks) {
+      throw new RestoreError('The backup has no manifest');
+    }
+
+    let manifest;
+    try {
+      manifest = JSON.parse(Buffer.concat(manifestChunks).toString('utf8'));
+    } catch {
+      throw new RestoreError('The backup manifest is not valid JSON');
+    }
+    const manifestError = validateManifest(manifest);
+    if (manifestError) {
+      throw new RestoreError(manifestError);
+    }
+
+    // Attachments referenced by tasks but missing from the archive
+    const restoredFiles = [];
+    for await (const file of storage.list(boardId.toString())) {
+      restoredFiles.push(file.name);
+    }
+    const fileIds = manifest.tasks.flatMap(task => [
+      ...(task.files || []),
+      ...(task.comments || []).flatMap(comment => comment.files || [])
+    ]).map(file => file.fileId);
+    const missing = fileIds.filter(fileId => !restoredFiles.some(fileName => fileName.startsWith(fileId)));
+    if (missing.length > 0) {
+      warnings.push(`${missing.length} attachment(s) were not in the backup`);
+    }
+
+    const { columns, tasks, emailRules, columnOrder } = remapManifest(manifest, boardId);
+
+    // Keep the board key (and so the task keys) unless it is taken on this server
+    let boardKey = key || manifest.board.key;
+    if (!key && (!boardKey || await Board.exists({ key: boardKey }).setOptions({ withDeleted: true }))) {
+      boardKey = await generateBoardKey(manifest.board.name);
+      if (manifest.board.key) {
+        warnings.push(`Board key ${manifest.board.key} is in use here, so task keys now start with ${boardKey}-`);
+      }
+    }
+    tasks.forEach(task => {
+      if (task.number) task.key = formatTaskKey(boardKey, task.number);
+    });
+
+    const boardName = name || await uniqueBoardName(manifest.board.name);
+
+    const board = await runInTransaction(async (session) => {
+      const [created] = await Board.create([{
+        _id: boardId,
+        name: boardName,
+        description: manifest.board.description,
+        key: boardKey,
+        taskSequence: manifest.board.taskSequence || 0,
+        columnOrder,
+        fileTypes: manifest.board.fileTypes || undefined
+      }], { session });
+
+      await Column.insertMany(columns, { session });
+      await Task.insertMany(tasks, { session });
+      await EmailRule.insertMany(emailRules, { session });
+      return created;
+    });
+    await syncTaskAttachments(tasks);
+
+    return { board, columns: await Column.find({ boardId }), warnings };
+  } catch (error) {
+    uploads.forEach(upload => upload.output.destroy());
+    await Promise.allSettled(uploads.map(upload => upload.saved));
+    await storage.removeBoard(boardId.toString());
+    if (error instanceof RestoreError) return { error: error.message };
+    if (error.code === 'Z_DATA_ERROR' || /archive/i.test(error.message)) {
+      return { error: `The backup could not be read: ${error.message}` };
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  writeBoardBackup,
+  restoreBoardBackup
+};
@@ -0,0 +1,123 @@
+const Board = require('../models/Board');
+const Column = require('../models/Column');
+const Task = require('../models/Task');
+const { runInTransaction } = require('./transactionService');
+
+// Check that a board's columns and tasks agree with each other and fix what doesn't:
+//   - every column is in the board's columnOrder exactly once
+//   - every task points at a column of the board (else the column listing it, else Backlog)
+//   - every task is listed in its column's taskIds exactly once and in no other column
+//   - every task's state is its column's name
+// Task.columnId is trusted over Column.taskIds when they disagree.
+// Returns { fixes: [{ type, message, taskId?, columnId? }] }; with dryRun nothing is written.
+async function repairBoard(boardId, { dryRun = false } = {}) {
+  return runInTransaction(async (session) => {
+    const fixes = [];
+    const board = await Board.findById(boardId).session(session);
+    if (!board) return null;
+
+    const columns = await Column.find({ boardId }).session(session);
+    const tasks = await Task.find({ boardId }, '_id key name columnId state createdAt').session(session);
+    if (columns.length === 0) return { fixes };
+
+    const columnsById = new Map(columns.map(c => [c._id.toString(), c]));
+    const tasksById = new Map(tasks.map(t => [t._id.toString(), t]));
+    const label = (task) => task.key || `"${task.name}"`;
+
+    // Column order: drop unknown/duplicate ids, append columns that are missing
+    const order = [...new Set(board.columnOrder.map(String))].filter(id => columnsById.has(id));
+    columns.forEach(col => {
+      if (!order.includes(col._id.toString())) order.push(col._id.toString());
+    });
+    if (order.join() !== board.columnOrder.map(String).join()) {
+      fixes.push({ type: 'column_order', message: 'Rebuilt the board\'s column order' });
+      board.columnOrder = order;
+    }
+
+    const backlog = columns.find(c => c.name === 'Backlog') || columnsById.get(order[0]);
+
+    // Which column each task belongs in
+    const listedIn = new Map(); // taskId -> first column listing it
+    order.forEach(id => {
+      columnsById.get(id).taskIds.forEach(taskId => {
+        if (!listedIn.has(taskId.toString())) listedIn.set(taskId.toString(), columnsById.get(id));
+      });
+    });
+
+    const taskUpdates = [];
+    tasks.forEach(task => {
+      const taskId = task._id.toString();
+      let column = columnsById.get(task.columnId?.toString());
+
+      if (!column) {
+        column = listedIn.get(taskId) || backlog;
+        fixes.push({
+          type: 'task_column',
+          taskId,
+          columnId: column._id,
+          message: `Moved ${label(task)} from a missing column to "${column.name}"`
+        });
+      }
+
+      const update = {};
+      if (!column._id.equals(task.columnId)) update.columnId = column._id;
+      if (task.state !== column.name) {
+        fixes.push({
+          type: 'task_state',
+          taskId,
+          columnId: column._id,
+          message: `Changed the state of ${label(task)} from "${task.state}" to "${column.name}"`
+        });
+        update.state = column.name;
+      }
+      if (Object.keys(update).length > 0) {
+        taskUpdates.push({ updateOne: { filter: { _id: task._id }, update: { ...update, $inc: { __v: 1 } } } });
+      }
+      task.columnId = column._id;
+    });
+
+    // Column task lists: keep the existing order of the column's own tasks, then append missing ones
+    const columnUpdates = [];
+    order.forEach(id => {
+      const column = columnsById.get(id);
+      const kept = [];
+      column.taskIds.forEach(taskId => {
+        const key = taskId.toString();
+        const task = tasksById.get(key);
+        if (!task) {
+          fixes.push({ type: 'column_task_removed', taskId: key, columnId: column._id, message: `Removed a deleted task from "${column.name}"` });
+        } else if (!task.columnId.equals(column._id)) {
+          fixes.push({ type: 'column_task_removed', taskId: key, columnId: column._id, message: `Removed ${label(task)} from "${column.name}" (it belongs to another column)` });
+        } else if (kept.includes(key)) {
+          fixes.push({ type: 'column_task_removed', taskId: key, columnId: column._id, message: `Removed a duplicate of ${label(task)} from "${column.name}"` });
+        } else {
+          kept.push(key);
+        }
+      });
+
+      tasks
+        .filter(task => task.columnId.equals(column._id) && !kept.includes(task._id.toString()))
+        .sort((a, b) => a.createdAt - b.createdAt)
+        .forEach(task => {
+          fixes.push({ type: 'column_task_added', taskId: task._id.toString(), columnId: column._id, message: `Added ${label(task)} to "${column.name}"` });
+          kept.push(task._id.toString());
+        });
+
+      if (kept.join() !== column.taskIds.map(String).join()) {
+        columnUpdates.push({ updateOne: { filter: { _id: column._id }, update: { taskIds: kept, $inc: { __v: 1 } } } });
+      }
+    });
+
+    if (!dryRun) {
+      if (board.isModified('columnOrder')) await board.save({ session });
+      if (taskUpdates.length > 0) await Task.bulkWrite(taskUpdates, { session });
+      if (columnUpdates.length > 0) await Column.bulkWrite(columnUpdates, { session });
+    }
+
+    return { fixes };
+  });
+}
+
+module.exports = {
+  repairBoard
+};
@@ -0,0 +1,534 @@
+const mongoose = require('mongoose');
+const Board = require('../models/Board');
+const Column = require('../models/Column');
+const Task = require('../models/Task');
+const { DEPENDENCY_TYPES, addEdges, findCycle } = require('./dependencyService');
+const { formatTaskKey } = require('./taskKeyService');
+const { runInTransaction } = require('./transactionService');
+const { getUserRef } = require('../middleware/currentUser');
+
+const MAX_IMPORT_ROWS = 2000;
+
+// Columns of the CSV export, in order. Import understands the same names.
+const CSV_COLUMNS = [
+  { header: 'Key', field: 'key' },
+  { header: 'Name', field: 'name' },
+  { header: 'Description', field: 'description' },
+  { header: 'State', field: 'state' },
+  { header: 'Type', field: 'type' },
+  { header: 'Priority', field: 'priority' },
+  { header: 'Assignee', field: 'assignee' },
+  { header: 'Reporter', field: 'reporter' },
+  { header: 'Labels', field: 'labels' },
+  { header: 'Dependencies', field: 'dependencies' },
+  { header: 'Comments', field: 'comments' },
+  { header: 'Files', field: 'files' },
+  { header: 'Created', field: 'created' },
+  { header: 'Updated', field: 'updated' }
+];
+
+// Task fields an import column can be mapped to
+const IMPORT_FIELDS = ['key', 'name', 'description', 'state', 'type', 'priority', 'assignee', 'reporter', 'labels', 'dependencies', 'comments', 'created'];
+
+// Other trackers' names for the import fields (compared lowercased, without spaces, dashes or underscores)
+const FIELD_ALIASES = {
+  key: ['key', 'id', 'issuekey', 'ticket', 'number'],
+  name: ['name', 'title', 'summary', 'subject'],
+  description: ['description', 'details', 'body'],
+  state: ['state', 'status', 'column'],
+  type: ['type', 'tasktype', 'issuetype', 'kind'],
+  priority: ['priority', 'severity'],
+  assignee: ['assignee', 'assignedto', 'owner'],
+  reporter: ['reporter', 'reportedby', 'author', 'creator'],
+  labels: ['labels', 'label', 'tags'],
+  dependencies: ['dependencies', 'links', 'blockedby'],
+  comments: ['comments'],
+  created: ['created', 'createdat', 'createddate']
+};
+
+// How to find tasks that already exist: by key, by name, by either, or not at all
+const DEDUPE_MODES = ['key_or_name', 'key', 'name', 'none'];
+
+// Separator for list cells (labels, dependencies, files) and between comments in CSV
+const LIST_SEPARATOR = '; ';
+const COMMENT_SEPARATOR = '\n---\n';
+
+// Spreadsheets run cells starting with these characters as formulas; such cells are exported
+// with a leading apostrophe, which import removes again
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCsvCell = (value) => {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+function toCsv(rows) {
+  return rows.map(row => row.map(escapeCsvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// Parse CSV text (RFC 4180: quoted cells may contain commas, quotes and line breaks) into rows of cells
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"' && cell === '') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Skip blank lines
+  return rows.filter(r => r.some(c => c.trim() !== ''));
+}
+
+const unescapeFormula = (text) => (/^'[=+\-@\t\r]/.test(text) ? text.substring(1) : text);
+
+const formatDate = (date) => (date ? new Date(date).toISOString() : '');
+
+// A board's tasks as plain objects (dependencies refer to task keys, files are metadata only)
+async function exportBoard(boardId) {
+  const board = await Board.findById(boardId);
+  if (!board) return null;
+
+  const columns = await Column.find({ boardId });
+  const columnNames = board.columnOrder
+    .map(id => columns.find(c => c._id.equals(id))?.name)
+    .filter(Boolean);
+  const tasks = await Task.find({ boardId }).sort({ number: 1, createdAt: 1 });
+  const keysById = new Map(tasks.map(t => [t._id.toString(), t.key || t.name]));
+
+  return {
+    board: {
+      name: board.name,
+      key: board.key,
+      description: board.description || '',
+      columns: columnNames,
+      exportedAt: new Date().toISOString()
+    },
+    tasks: tasks.map(task => ({
+      key: task.key || '',
+      name: task.name,
+      description: task.description || '',
+      state: task.state,
+      type: task.taskType,
+      priority: task.priority,
+      assignee: task.assignedTo || '',
+      reporter: task.reportedBy || '',
+      labels: task.labels,
+      dependencies: task.dependencies
+        .filter(dep => keysById.has(dep.taskId.toString()))
+        .map(dep => ({ type: dep.type, key: keysById.get(dep.taskId.toString()) })),
+      comments: task.comments.map(comment => ({
+        author: comment.author,
+        text: comment.text,
+        createdAt: formatDate(comment.createdAt),
+        editedAt: formatDate(comment.editedAt) || null,
+        files: comment.files.map(file => ({ name: file.originalName, mimeType: file.mimeType, size: file.size }))
+      })),
+      files: task.files.map(file => ({
+        name: file.originalName,
+        mimeType: file.mimeType,
+        size: file.size,
+        uploadedBy: file.uploadedBy?.name || null
+      })),
+      created: formatDate(task.createdAt),
+      updated: formatDate(task.updatedAt)
+    }))
+  };
+}
+
+// The export as CSV, one row per task
+function exportToCsv(exported) {
+  const cells = {
+    labels: (task) => task.labels.join(LIST_SEPARATOR),
+    dependencies: (task) => task.dependencies.map(dep => `${dep.type}:${dep.key}`).join(LIST_SEPARATOR),
+    comments: (task) => task.comments
+      .map(comment => `${comment.author} (${comment.createdAt}): ${comment.text}`)
+      .join(COMMENT_SEPARATOR),
+    files: (task) => task.files.map(file => `${file.name} (${file.size} bytes)`).join(LIST_SEPARATOR)
+  };
+
+  return toCsv([
+    CSV_COLUMNS.map(c => c.header),
+    ...exported.tasks.map(task => CSV_COLUMNS.map(({ field }) => (cells[field] ? cells[field](task) : task[field])))
+  ]);
+}
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[\s_-]+/g, '');
+
+// Guess which task field each source column holds
+function suggestMapping(headers) {
+  const mapping = {};
+  const used = new Set();
+  headers.forEach(header => {
+    const normalized = normalizeHeader(header);
+    const field = IMPORT_FIELDS.find(f => !used.has(f) && FIELD_ALIASES[f].includes(normalized));
+    mapping[header] = field || '';
+    if (field) used.add(field);
+  });
+  return mapping;
+}
+
+// Read the uploaded content into { headers, rows: [{ rowNumber, values: { header: value } }] } or { error }.
+// JSON may be an export from this app ({ tasks: [...] }) or an array of objects.
+function readImportRows(format, content) {
+  if (format === 'csv') {
+    if (typeof content !== 'string') return { error: 'CSV content must be text' };
+    const [headerRow, ...dataRows] = parseCsv(content);
+    if (!headerRow) return { error: 'The file is empty' };
+
+    const headers = headerRow.map(h => h.trim());
+    return {
+      headers,
+      rows: dataRows.map((cells, i) => ({
+        rowNumber: i + 2, // Spreadsheet row (the header is row 1)
+        values: Object.fromEntries(headers.map((h, col) => [h, unescapeFormula(cells[col] ?? '')]))
+      }))
+    };
+  }
+
+  if (format === 'json') {
+    let data = content;
+    if (typeof content === 'string') {
+      try {
+        data = JSON.parse(content);
+      } catch (error) {
+        return { error: `Invalid JSON: ${error.message}` };
+      }
+    }
+    const items = Array.isArray(data) ? data : data?.tasks;
+    if (!Array.isArray(items)) return { error: 'JSON must be an array of tasks or an object with a "tasks" array' };
+    if (items.some(item => !item || typeof item !== 'object' || Array.isArray(item))) {
+      return { error: 'Every task in the JSON must be an object' };
+    }
+
+    const headers = [...new Set(items.flatMap(item => Object.keys(item)))];
+    return {
+      headers,
+      rows: items.map((values, i) => ({ rowNumber: i + 1, values }))
+    };
+  }
+
+  return { error: 'Format must be csv or json' };
+}
+
+// Lists come as arrays (JSON) or separated text (CSV)
+const toList = (value) => {
+  if (Array.isArray(value)) return value;
+  if (value === undefined || value === null || value === '') return [];
+  return String(value).split(/[;\n]/);
+};
+
+const toText = (value) => (value === undefined || value === null ? '' : String(value).trim());
+
+const findIgnoreCase = (list, value) => list.find(item => item.toLowerCase() === value.toLowerCase());
+
+const parseDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+};
+
+// Dependencies: [{ type, key }] or "blocked_by:ABC-1; ABC-2" (links without a type are blocked_by)
+const parseDependencies = (value) => toList(value).map(dep => {
+  if (dep && typeof dep === 'object') return { type: dep.type || 'blocked_by', key: toText(dep.key) };
+  const text = toText(dep);
+  const match = /^([a-z_]+)\s*:\s*(.+)$/.exec(text);
+  return match ? { type: match[1], key: match[2].trim() } : { type: 'blocked_by', key: text };
+}).filter(dep => dep.key);
+
+// Comments: [{ author, text, createdAt }] or "Author (date): text" blocks separated by "---" lines
+const parseComments = (value) => {
+  const items = Array.isArray(value) ? value : toText(value).split(/\r?\n-{3,}\r?\n/);
+  return items.map(item => {
+    if (item && typeof item === 'object') {
+      return { author: toText(item.author) || 'Anonymous', text: toText(item.text), createdAt: parseDate(item.createdAt) };
+    }
+    const match = /^([^\n(]+?) \(([^)]+)\):\s*([\s\S]*)$/.exec(toText(item));
+    return match
+      ? { author: match[1].trim(), text: match[3].trim(), createdAt: parseDate(match[2]) }
+      : { author: 'Anonymous', text: toText(item), createdAt: null };
+  }).filter(comment => comment.text);
+};
+
+// Turn one source row into task fields, with the problems found.
+// Returns { fields, errors, warnings }.
+function mapRow(values, mapping, { columns, boardUsers }) {
+  const get = (field) => {
+    const header = Object.keys(mapping).find(h => mapping[h] === field);
+    return header === undefined ? undefined : values[header];
+  };
+  const errors = [];
+  const warnings = [];
+
+  const name = toText(get('name'));
+  if (!name) errors.push('Name is required');
+  if (name.length > 200) errors.push('Name cannot exceed 200 characters');
+
+  let column = columns.find(c => c.name.toLowerCase() === toText(get('state')).toLowerCase());
+  if (!column) {
+    column = columns.find(c => c.name === 'Backlog') || columns[0];
+    if (toText(get('state'))) warnings.push(`Unknown state "${toText(get('state'))}", using ${column.name}`);
+  }
+
+  let priority = findIgnoreCase(Task.schema.path('priority').enumValues, toText(get('priority')));
+  if (!priority) {
+    if (toText(get('priority'))) warnings.push(`Unknown priority "${toText(get('priority'))}", using Medium`);
+    priority = 'Medium';
+  }
+
+  let taskType = findIgnoreCase(Task.schema.path('taskType').enumValues, toText(get('type')));
+  if (!taskType) {
+    if (toText(get('type'))) warnings.push(`Unknown type "${toText(get('type'))}", using Task`);
+    taskType = 'Task';
+  }
+
+  // Assignees are linked to board users by name, username or email; others are kept as text
+  const assignedTo = toText(get('assignee'));
+  const assigneeText = assignedTo.toLowerCase();
+  const assignee = assignedTo
+    ? boardUsers.find(u => [u.name, u.username, u.email].some(v => v && v.toLowerCase() === assigneeText))
+    : null;
+  if (assignedTo && !assignee) warnings.push(`"${assignedTo}" is not a user of this board; kept as text`);
+
+  const labels = [...new Set(toList(get('labels')).map(toText).filter(Boolean))];
+  if (labels.some(label => label.length > 50)) errors.push('Labels cannot exceed 50 characters');
+
+  const dependencies = parseDependencies(get('dependencies'));
+  dependencies
+    .filter(dep => !DEPENDENCY_TYPES.includes(dep.type))
+    .forEach(dep => errors.push(`Invalid dependency type "${dep.type}" for ${dep.key}`));
+
+  const createdText = toText(get('created'));
+  const createdAt = parseDate(createdText);
+  if (createdText && !createdAt) warnings.push(`Unreadable created date "${createdText}"`);
+
+  return {
+    errors,
+    warnings,
+    fields: {
+      sourceKey: toText(get('key')),
+      name,
+      description: toText(get('description')),
+      column,
+      priority,
+      taskType,
+      assignedTo: assignee ? assignee.name : assignedTo,
+      assigneeId: assignee ? String(assignee.id) : null,
+      reportedBy: toText(get('reporter')),
+      labels,
+      dependencies,
+      comments: parseComments(get('comments')),
+      createdAt
+    }
+  };
+}
+
+// The task document for an import row
+function buildImportedTask(fields, { boardId, key, number, createdBy }) {
+  return {
+    _id: fields._id,
+    key,
+    number,
+    name: fields.name,
+    description: fields.description,
+    boardId,
+    columnId: fields.column._id,
+    state: fields.column.name,
+    assignedTo: fields.assignedTo,
+    assigneeId: fields.assigneeId,
+    reportedBy: fields.reportedBy || createdBy.name,
+    createdBy,
+    priority: fields.priority,
+    taskType: fields.taskType,
+    labels: fields.labels,
+    dependencies: fields.links,
+    comments: fields.comments.map(comment => ({
+      text: comment.text,
+      author: comment.author,
+      ...(comment.createdAt && { createdAt: comment.createdAt })
+    })),
+    ...(fields.createdAt && { createdAt: fields.createdAt })
+  };
+}
+
+// Import tasks into a board.
+//   options: { format: 'csv' | 'json', content, mapping?: { sourceColumn: field }, dedupe?, dryRun? }
+// Rows with errors and duplicates of existing tasks (or of earlier rows) are skipped; the other rows
+// are created together. Returns { error } or
+//   { headers, sample, mapping, dryRun, summary, results: [{ row, status, name, key, sourceKey, duplicateOf, warnings, errors }], tasks, columns }
+// where status is 'create' (dry run), 'created', 'duplicate' or 'error'.
+async function importTasks(req, boardId, { format, content, mapping, dedupe = 'key_or_name', dryRun = false }, { boardUsers = [] } = {}) {
+  if (!DEDUPE_MODES.includes(dedupe)) {
+    return { error: `dedupe must be one of: ${DEDUPE_MODES.join(', ')}` };
+  }
+
+  const parsed = readImportRows(format, content);
+  if (parsed.error) return parsed;
+  if (parsed.rows.length === 0) return { error: 'The file has no tasks' };
+  if (parsed.rows.length > MAX_IMPORT_ROWS) return { error: `Import at most ${MAX_IMPORT_ROWS} tasks at a time` };
+
+  // Mapped columns must exist in the file and each field can only be mapped once
+  const effectiveMapping = mapping && typeof mapping === 'object' ? { ...mapping } : suggestMapping(parsed.headers);
+  for (const [header, field] of Object.entries(effectiveMapping)) {
+    if (!field) continue;
+    if (!parsed.headers.includes(header)) return { error: `Column "${header}" is not in the file` };
+    if (!IMPORT_FIELDS.includes(field)) return { error: `Unknown field "${field}" for column "${header}"` };
+  }
+  const mappedFields = Object.values(effectiveMapping).filter(Boolean);
+  if (new Set(mappedFields).size !== mappedFields.length) {
+    return { error: 'Each field can only be mapped from one column' };
+  }
+  if (!mappedFields.includes('name')) {
+    return { error: 'Map a column to the task name' };
+  }
+
+  const board = await Board.findById(boardId);
+  const columns = await Column.find({ boardId });
+  const existing = await Task.find({ boardId }, '_id key name dependencies');
+  const existingByKey = new Map(existing.filter(t => t.key).map(t => [t.key.toUpperCase(), t]));
+  const existingByName = new Map(existing.map(t => [t.name.toLowerCase(), t]));
+
+  // Map rows and find duplicates
+  const seenKeys = new Map();
+  const seenNames = new Map();
+  const rows = parsed.rows.map(({ rowNumber, values }) => {
+    const { fields, errors, warnings } = mapRow(values, effectiveMapping, { columns, boardUsers });
+    const result = { row: rowNumber, name: fields.name, sourceKey: fields.sourceKey || null, warnings, errors };
+
+    if (errors.length > 0) return { result: { ...result, status: 'error' } };
+
+    const byKey = dedupe === 'key' || dedupe === 'key_or_name';
+    const byName = dedupe === 'name' || dedupe === 'key_or_name';
+    const keyUpper = fields.sourceKey.toUpperCase();
+    const nameLower = fields.name.toLowerCase();
+    const duplicate = (byKey && keyUpper && (existingByKey.get(keyUpper)?.key || seenKeys.get(keyUpper))) ||
+      (byName && (existingByName.get(nameLower)?.key || existingByName.get(nameLower)?.name || seenNames.get(nameLower)));
+    if (duplicate) return { result: { ...result, status: 'duplicate', duplicateOf: duplicate } };
+
+    const label = fields.sourceKey || `row ${rowNumber}`;
+    if (keyUpper) seenKeys.set(keyUpper, label);
+    seenNames.set(nameLower, label);
+    return { fields, result: { ...result, status: dryRun ? 'create' : 'created' } };
+  });
+
+  const toCreate = rows.filter(r => r.fields);
+  toCreate.forEach(r => { r.fields._id = new mongoose.Types.ObjectId(); });
+
+  // Resolve dependency keys against the imported rows first, then the board's tasks.
+  // Links that would make a cycle are dropped.
+  const importedByKey = new Map(toCreate.filter(r => r.fields.sourceKey).map(r => [r.fields.sourceKey.toUpperCase(), r.fields._id]));
+  const graph = new Map();
+  existing.forEach(task => addEdges(graph, task._id.toString(), task.dependencies));
+  toCreate.forEach(({ fields, result }) => {
+    const links = [];
+    fields.dependencies.forEach(dep => {
+      const taskId = importedByKey.get(dep.key.toUpperCase()) || existingByKey.get(dep.key.toUpperCase())?._id;
+      if (!taskId) {
+        result.warnings.push(`Dependency ${dep.key} was not found and was skipped`);
+        return;
+      }
+      if (taskId.equals(fields._id) || links.some(l => l.taskId.equals(taskId) && l.type === dep.type)) return;
+
+      const link = { taskId, type: dep.type };
+      addEdges(graph, fields._id.toString(), [link]);
+      if (findCycle(graph, fields._id.toString())) {
+        const [from, to] = dep.type === 'blocks' ? [fields._id, taskId] : [taskId, fields._id];
+        if (['blocks', 'blocked_by'].includes(dep.type)) graph.get(from.toString()).delete(to.toString());
+        result.warnings.push(`Dependency ${dep.key} would create a cycle and was skipped`);
+        return;
+      }
+      links.push(link);
+    });
+    fields.links = links;
+  });
+
+  const results = rows.map(r => r.result);
+  const summary = {
+    total: results.length,
+    created: toCreate.length,
+    duplicates: results.filter(r => r.status === 'duplicate').length,
+    errors: results.filter(r => r.status === 'error').length
+  };
+  // The first row's values, to help with the column mapping
+  const sample = Object.fromEntries(parsed.headers.map(header => {
+    const value = parsed.rows[0].values[header];
+    const text = typeof value === 'object' && value !== null ? JSON.stringify(value) : toText(value);
+    return [header, text.length > 80 ? text.substring(0, 80) + '...' : text];
+  }));
+  const response = { headers: parsed.headers, sample, mapping: effectiveMapping, dryRun, summary, results };
+
+  if (dryRun || toCreate.length === 0) {
+    return { ...response, tasks: [], columns: [] };
+  }
+
+  const createdBy = getUserRef(req);
+  const changedColumnIds = [...new Set(toCreate.map(r => r.fields.column._id.toString()))];
+
+  // Reserve a block of task numbers, then create all tasks and add them to their columns
+  const { tasks, changedColumns } = await runInTransaction(async (session) => {
+    const updatedBoard = await Board.findByIdAndUpdate(
+      boardId,
+      { $inc: { taskSequence: toCreate.length } },
+      { new: true, session }
+    );
+    const firstNumber = updatedBoard.taskSequence - toCreate.length + 1;
+
+    const docs = toCreate.map(({ fields, result }, i) => {
+      result.key = formatTaskKey(board.key, firstNumber + i);
+      return buildImportedTask(fields, { boardId, key: result.key, number: firstNumber + i, createdBy });
+    });
+    const created = await Task.insertMany(docs, { session });
+
+    await Column.bulkWrite(changedColumnIds.map(columnId => ({
+      updateOne: {
+        filter: { _id: columnId },
+        update: {
+          $push: { taskIds: { $each: toCreate.filter(r => r.fields.column._id.equals(columnId)).map(r => r.fields._id) } },
+          $inc: { __v: 1 }
+        }
+      }
+    })), { session });
+
+    return { tasks: created, changedColumns: await Column.find({ _id: { $in: changedColumnIds } }).session(session) };
+  });
+
+  return { ...response, tasks, columns: changedColumns };
+}
+
+module.exports = {
+  CSV_COLUMNS,
+  IMPORT_FIELDS,
+  DEDUPE_MODES,
+  exportBoard,
+  exportToCsv,
+  importTasks
+};
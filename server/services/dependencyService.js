@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+
+const DEPENDENCY_TYPES = ['blocks', 'blocked_by', 'relates_to', 'duplicates'];
+
+// Clean up a dependency list from a request body
+// Returns { dependencies } or { error }
+function normalizeDependencies(input) {
+  if (input === undefined || input === null) {
+    return { dependencies: [] };
+  }
+  if (!Array.isArray(input)) {
+    return { error: 'Dependencies must be an array' };
+  }
+
+  const dependencies = [];
+  const seen = new Set();
+
+  for (const dep of input) {
+    const taskId = dep?.taskId?.toString();
+    const type = dep?.type || 'blocked_by';
+
+    if (!taskId || !mongoose.Types.ObjectId.isValid(taskId)) {
+      return { error: 'Invalid dependency task ID' };
+    }
+    if (!DEPENDENCY_TYPES.includes(type)) {
+      return { error: `Invalid dependency type "${type}"` };
+    }
+
+    // Skip exact duplicates
+    const key = `${type}:${taskId}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    dependencies.push({ taskId, type });
+  }
+
+  return { dependencies };
+}
+
+// Add the ordering edges (prerequisite -> dependent) for a task's links to the graph
+// Only blocks/blocked_by links impose an order; relates_to/duplicates are informational
+function addEdges(graph, taskId, dependencies) {
+  const addEdge = (from, to) => {
+    if (!graph.has(from)) graph.set(from, new Set());
+    graph.get(from).add(to);
+  };
+
+  for (const dep of dependencies) {
+    const otherId = dep.taskId.toString();
+    if (dep.type === 'blocked_by') {
+      addEdge(otherId, taskId);
+    } else if (dep.type === 'blocks') {
+      addEdge(taskId, otherId);
+    }
+  }
+}
+
+// Find a path from startId back to itself, returns the list of task IDs or null
+function findCycle(graph, startId) {
+  const visited = new Set();
+
+  const visit = (id, path) => {
+    for (const next of graph.get(id) || []) {
+      if (next === startId) return [...path, next];
+      if (visited.has(next)) continue;
+      visited.add(next);
+      const cycle = visit(next, [...path, next]);
+      if (cycle) return cycle;
+    }
+    return null;
+  };
+
+  return visit(startId, [startId]);
+}
+
+// Validate a task's dependency list against the rest of its board
+// Returns an error message, or null if the dependencies are valid
+async function validateDependencies(taskId, boardId, dependencies) {
+  const taskIdStr = taskId.toString();
+
+  if (dependencies.some(dep => dep.taskId.toString() === taskIdStr)) {
+    return 'A task cannot depend on itself';
+  }
+
+  const boardTasks = await Task.find({ boardId }).select('name dependencies');
+  const taskNames = new Map(boardTasks.map(t => [t._id.toString(), t.name]));
+
+  const missing = dependencies.find(dep => !taskNames.has(dep.taskId.toString()));
+  if (missing) {
+    return 'Dependencies must refer to tasks on the same board';
+  }
+
+  // Build the ordering graph with the proposed links replacing the task's current ones
+  const graph = new Map();
+  for (const boardTask of boardTasks) {
+    const id = boardTask._id.toString();
+    if (id !== taskIdStr) {
+      addEdges(graph, id, boardTask.dependencies);
+    }
+  }
+  addEdges(graph, taskIdStr, dependencies);
+
+  const cycle = findCycle(graph, taskIdStr);
+  if (cycle) {
+    const names = cycle.map(id => taskNames.get(id) || 'this task');
+    return `Dependency cycle detected: ${names.join(' → ')}`;
+  }
+
+  return null;
+}
+
+// Remove all links pointing at deleted tasks
+async function removeDependencyLinks(taskIds) {
+  return Task.updateMany(
+    { 'dependencies.taskId': { $in: taskIds } },
+    { $pull: { dependencies: { taskId: { $in: taskIds } } } }
+  );
+}
+
+module.exports = {
+  DEPENDENCY_TYPES,
+  addEdges,
+  findCycle,
+  normalizeDependencies,
+  validateDependencies,
+  removeDependencyLinks
+};
@@ -3,6 +3,8 @@ const nodemailer = require('nodemailer');
 const EmailConfig = require('../models/EmailConfig');
 const EmailRule = require('../models/EmailRule');
 const Column = require('../models/Column');
+const { fetchBoardUsers } = require('./authentikService');
+const { renderMarkdown } = require('./markdownService');
 
 // Helper to create Gmail API client with service account
 async function getGmailClient(config) {
@@ -86,6 +88,7 @@ function evaluateConditions(conditions, context) {
 // Process template variables in subject/body
 function processTemplate(template, context) {
   return template
+    .replace(/\{task\.key\}/g, context.taskKey || '')
     .replace(/\{task\.name\}/g, context.taskName || '')
     .replace(/\{task\.description\}/g, context.taskDescription || '')
     .replace(/\{task\.priority\}/g, context.priority || '')
@@ -98,6 +101,8 @@ function processTemplate(template, context) {
     .replace(/\{task\.previousAssignee\}/g, context.previousAssignee || '')
     .replace(/\{comment\.text\}/g, context.commentText || '')
     .replace(/\{comment\.author\}/g, context.commentAuthor || '')
+    .replace(/\{comment\.previousText\}/g, context.previousCommentText || '')
+    .replace(/\{mention\.user\}/g, context.mentionedUser || '')
     .replace(/\{board\.name\}/g, context.boardName || '');
 }
 
@@ -105,67 +110,31 @@ function processTemplate(template, context) {
 async function getRecipientEmail(emailConfig, context, boardUsers) {
   switch (emailConfig.recipientType) {
     case 'assignee':
-      // Find user by name in boardUsers
-      const assigneeUser = boardUsers.find(u =>
-        u.name === context.assignee || u.username === context.assignee
-      );
+      // Find user by Authentik id in boardUsers
+      const assigneeUser = context.assigneeId
+        ? boardUsers.find(u => String(u.id) === context.assigneeId)
+        : null;
       return assigneeUser?.email || null;
 
     case 'reporter':
-      const reporterUser = boardUsers.find(u =>
-        u.name === context.reporter || u.username === context.reporter
-      );
+      const reporterUser = context.reporterId
+        ? boardUsers.find(u => String(u.id) === context.reporterId)
+        : null;
       return reporterUser?.email || null;
 
     case 'specific':
       return emailConfig.specificEmail || null;
 
+    case 'mentioned':
+      return context.mentionedEmail || null;
+
     default:
       return null;
   }
 }
 
-// Fetch board users from Authentik
-async function fetchBoardUsers(boardId) {
-  try {
-    const apiUrl = process.env.AUTHENTIK_API_URL;
-    const apiToken = process.env.AUTHENTIK_API_TOKEN;
-
-    const response = await fetch(`${apiUrl}/api/v3/core/users/?page_size=500`, {
-      headers: {
-        'Authorization': `Bearer ${apiToken}`,
-        'Content-Type': 'application/json'
-      }
-    });
-
-    if (!response.ok) return [];
-
-    const data = await response.json();
-    const boardIdStr = boardId.toString();
-
-    return data.results
-      .filter(user => {
-        if (!user.is_active) return false;
-        const userGroups = user.groups_obj?.map(g => g.name.toLowerCase().replace(/\s+/g, '-')) || [];
-        const isAdmin = userGroups.includes('hicks-admins');
-        const allowedBoards = user.attributes?.hicks_allowed_boards || [];
-        const hasAccess = allowedBoards.some(b => b.toString() === boardIdStr);
-        return isAdmin || hasAccess;
-      })
-      .map(user => ({
-        id: user.pk,
-        name: user.name || user.username,
-        username: user.username,
-        email: user.email
-      }));
-  } catch (error) {
-    console.error('Error fetching board users:', error);
-    return [];
-  }
-}
-
-// Send a single email
-async function sendEmail(to, subject, htmlBody) {
+// Send a single email (the plain text part is the HTML without its tags unless given)
+async function sendEmail(to, subject, htmlBody, textBody = htmlBody.replace(/<[^>]*>/g, '')) {
   const config = await EmailConfig.getConfig();
 
   if (!config || !config.enabled) {
@@ -173,8 +142,6 @@ async function sendEmail(to, subject, htmlBody) {
     return false;
   }
 
-  const textBody = htmlBody.replace(/<[^>]*>/g, '');
-
   try {
     if (config.method === 'oauth2') {
       // OAuth2 method (Google Workspace with Service Account)
@@ -215,38 +182,58 @@ async function sendEmail(to, subject, htmlBody) {
   }
 }
 
-// Main function: Process email rules for a trigger event
-async function processEmailRules(triggerType, task, context, board) {
+// Wrap a Markdown body in the HTML layout of notification emails
+const buildEmailHtml = (bodyText, footer) => `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          ${renderMarkdown(bodyText)}
+          <hr style="border: none; border-top: 1px solid #eee; margin: 20px 0;">
+          <p style="color: #666; font-size: 12px;">
+            ${footer}
+          </p>
+        </div>
+      `;
+
+// Main function: Process email rules for a trigger event.
+// ruleFilter narrows the rules further (e.g. by recipient type). Returns the addresses an email was sent to.
+async function processEmailRules(triggerType, task, context, board, ruleFilter = {}) {
+  const sentTo = [];
   try {
     // Check if email is configured and enabled
     const emailConfig = await EmailConfig.getConfig();
     if (!emailConfig || !emailConfig.enabled) {
-      return;
+      return sentTo;
     }
 
     // Get all enabled rules for this board and trigger type
     const rules = await EmailRule.find({
       boardId: task.boardId,
       enabled: true,
-      'trigger.type': triggerType
+      'trigger.type': triggerType,
+      ...ruleFilter
     });
 
     if (rules.length === 0) {
-      return;
+      return sentTo;
     }
 
     // Get board users for recipient lookup
-    const boardUsers = await fetchBoardUsers(task.boardId);
+    const boardUsers = await fetchBoardUsers(task.boardId).catch(error => {
+      console.error('Error fetching board users:', error);
+      return [];
+    });
 
     // Build context for rule evaluation
     const evalContext = {
       // Task fields
+      taskKey: task.key || '',
       taskName: task.name,
       taskDescription: task.description || '',
       priority: task.priority || 'Medium',
       taskType: task.taskType || 'Task',
       assignee: task.assignedTo || '',
+      assigneeId: task.assigneeId || null,
       reporter: task.reportedBy || '',
+      reporterId: task.createdBy?.id || null,
       // State change fields
       fromState: context.fromState || '',
       toState: context.toState || task.state || '',
@@ -256,6 +243,10 @@ async function processEmailRules(triggerType, task, context, board) {
       // Comment fields
       commentText: context.commentText || '',
       commentAuthor: context.commentAuthor || '',
+      previousCommentText: context.previousCommentText || '',
+      // Mention fields
+      mentionedUser: context.mentionedUser || '',
+      mentionedEmail: context.mentionedEmail || '',
       // Board
       boardName: board?.name || ''
     };
@@ -276,27 +267,63 @@ async function processEmailRules(triggerType, task, context, board) {
       const subject = processTemplate(rule.email.subject, evalContext);
       const bodyText = processTemplate(rule.email.body, evalContext);
 
-      // Convert body to HTML (preserve line breaks)
-      const htmlBody = `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          ${bodyText.split('\n').map(line => `<p style="margin: 8px 0;">${line || '&nbsp;'}</p>`).join('')}
-          <hr style="border: none; border-top: 1px solid #eee; margin: 20px 0;">
-          <p style="color: #666; font-size: 12px;">
-            This email was sent automatically by Hicks Bug Hunt based on the rule: "${rule.name}"
-          </p>
-        </div>
-      `;
+      // The body (template and the task text in it) is Markdown; the plain text part keeps it as written
+      const footer = `This email was sent automatically by Hicks Bug Hunt based on the rule: "${rule.name}"`;
+      const htmlBody = buildEmailHtml(bodyText, footer);
 
       // Send the email
-      await sendEmail(recipientEmail, subject, htmlBody);
+      if (await sendEmail(recipientEmail, subject, htmlBody, `${bodyText}\n\n${footer}`)) {
+        sentTo.push(recipientEmail);
+      }
     }
   } catch (error) {
     console.error('Error processing email rules:', error);
   }
+  return sentTo;
+}
+
+// Tell users they were @mentioned in a comment: through the board's "mentioned" rules, or with
+// a default email when no rule wrote to them. The author isn't told about mentioning themselves.
+// Rules with a fixed recipient (assignee, reporter, specific user) send once per comment;
+// only rules for the mentioned user send once per mention.
+//   mentions: user refs ({ id, email, name }); author: the comment author's user ref
+async function notifyMentions(task, commentText, mentions, author, board) {
+  const emailConfig = await EmailConfig.getConfig();
+  if (!emailConfig || !emailConfig.enabled) {
+    return;
+  }
+
+  const notified = mentions.filter(user => user.email && !(author?.id && user.id === author.id));
+  if (notified.length === 0) return;
+
+  const context = { commentText, commentAuthor: author?.name || '' };
+  const sentTo = await processEmailRules('mentioned', task, {
+    ...context,
+    mentionedUser: notified.map(user => user.name).join(', ')
+  }, board, { 'email.recipientType': { $ne: 'mentioned' } });
+
+  const quoted = commentText.split('\n').map(line => `> ${line}`).join('\n');
+  const taskTitle = `${task.key ? `${task.key} ` : ''}${task.name}`;
+
+  for (const user of notified) {
+    const sentToUser = await processEmailRules('mentioned', task, {
+      ...context,
+      mentionedUser: user.name,
+      mentionedEmail: user.email
+    }, board, { 'email.recipientType': 'mentioned' });
+    if (sentTo.includes(user.email) || sentToUser.includes(user.email)) continue;
+
+    const subject = `${author?.name || 'Someone'} mentioned you on ${taskTitle}`;
+    const bodyText = `**${author?.name || 'Someone'}** mentioned you in a comment on **${taskTitle}**` +
+      `${board?.name ? ` (${board.name})` : ''}:\n\n${quoted}`;
+    const footer = 'This email was sent automatically by Hicks Bug Hunt because you were mentioned.';
+    await sendEmail(user.email, subject, buildEmailHtml(bodyText, footer), `${bodyText}\n\n${footer}`);
+  }
 }
 
 // Export functions for use in routes
 module.exports = {
   processEmailRules,
+  notifyMentions,
   sendEmail
 };
@@ -0,0 +1,86 @@
+const Attachment = require('../models/Attachment');
+const { getStorage, getFileId } = require('./storage');
+
+// Uploads are written before they are attached to a task or comment, so a file is only
+// removed once it has been unreferenced for longer than the grace period
+const DEFAULT_GRACE_PERIOD_HOURS = 24;
+const GC_INTERVAL = 6 * 60 * 60 * 1000; // Sweep every 6 hours
+const BATCH_SIZE = 500; // Stored files looked up per query
+
+const getGracePeriodHours = () => {
+  const hours = Number(process.env.UPLOAD_GC_GRACE_HOURS);
+  return Number.isFinite(hours) && hours >= 0 ? hours : DEFAULT_GRACE_PERIOD_HOURS;
+};
+
+// Which of a batch of stored files are attached to a task or comment, as "boardId/fileId" keys.
+// The attachment references count tasks in the trash too (their files go when the trash is purged).
+async function getReferencedKeys(files) {
+  const fileIds = [...new Set(files.map(file => getFileId(file.name)))];
+  const attachments = await Attachment.find(
+    { fileId: { $in: fileIds }, 'references.0': { $exists: true } },
+    'boardId fileId'
+  ).lean();
+  return new Set(attachments.map(attachment => `${attachment.boardId}/${attachment.fileId}`));
+}
+
+// Remove uploaded files that no task or comment refers to and that are older than the grace period.
+// With dryRun nothing is deleted, only reported.
+// Returns { dryRun, gracePeriodHours, scanned, files: [{ boardId, name, size, modifiedAt }], reclaimedBytes }.
+async function collectOrphanedFiles({ dryRun = false, now = new Date() } = {}) {
+  const gracePeriodHours = getGracePeriodHours();
+  const cutoff = now.getTime() - gracePeriodHours * 60 * 60 * 1000;
+  const result = { dryRun, gracePeriodHours, scanned: 0, files: [], reclaimedBytes: 0 };
+
+  const storage = getStorage();
+
+  const sweep = async (files) => {
+    const referenced = await getReferencedKeys(files);
+    for (const file of files) {
+      if (referenced.has(`${file.boardId}/${getFileId(file.name)}`) || file.modifiedAt.getTime() > cutoff) continue;
+
+      if (!dryRun) {
+        try {
+          await storage.remove(file.boardId, file.name);
+          await Attachment.deleteOne({ boardId: file.boardId, fileId: getFileId(file.name), references: { $size: 0 } });
+        } catch (err) {
+          console.error(`Error deleting orphaned file ${file.boardId}/${file.name}:`, err.message);
+          continue;
+        }
+      }
+      result.files.push(file);
+      result.reclaimedBytes += file.size;
+    }
+  };
+
+  let batch = [];
+  for await (const file of storage.list()) {
+    result.scanned++;
+    batch.push(file);
+    if (batch.length === BATCH_SIZE) {
+      await sweep(batch);
+      batch = [];
+    }
+  }
+  if (batch.length > 0) await sweep(batch);
+
+  return result;
+}
+
+// Sweep orphaned uploads now and then every 6 hours
+function scheduleFileGc() {
+  const run = () => collectOrphanedFiles()
+    .then(({ files, reclaimedBytes }) => {
+      if (files.length > 0) {
+        console.log(`Removed ${files.length} orphaned upload(s), reclaimed ${(reclaimedBytes / (1024 * 1024)).toFixed(1)} MB`);
+      }
+    })
+    .catch(err => console.error('Upload cleanup error:', err));
+
+  run();
+  setInterval(run, GC_INTERVAL).unref();
+}
+
+module.exports = {
+  collectOrphanedFiles,
+  scheduleFileGc
+};
@@ -0,0 +1,148 @@
+const Task = require('../models/Task');
+const { getStorage, getThumbnailName, getQuarantineName, getFileId } = require('./storage');
+const { getScanner } = require('./scanning');
+const { publish } = require('./realtimeService');
+
+// Uploads are scanned in the background, one at a time. The result is recorded on the task and
+// comment files the upload is attached to (scanStatus: pending, clean, infected or error);
+// infected uploads are quarantined so they can't be downloaded any more.
+const RESULT_LIFETIME = 24 * 60 * 60 * 1000; // Results are kept this long for uploads not attached yet
+
+let queue = Promise.resolve();
+const pending = new Map(); // "<boardId>/<fileId>" -> running scan
+const results = new Map(); // "<boardId>/<fileId>" -> { scanStatus, threat, finishedAt }
+
+const scanKey = (boardId, fileId) => `${boardId}/${fileId}`;
+
+// Move a flagged upload aside, where no download route finds it (its thumbnail is removed)
+async function quarantine(boardId, name) {
+  const storage = getStorage();
+  const fileId = getFileId(name);
+  await storage.save(boardId, getQuarantineName(fileId), await storage.open(boardId, name), {
+    contentType: 'application/octet-stream'
+  });
+  await storage.remove(boardId, name);
+  await storage.remove(boardId, getThumbnailName(fileId));
+}
+
+// Record a scan result on every task and comment file with this id, and update open boards
+async function markAttachedFiles(boardId, fileId, { scanStatus, threat }) {
+  const options = { arrayFilters: [{ 'file.fileId': fileId }], withDeleted: true };
+  await Task.updateMany(
+    { boardId, 'files.fileId': fileId },
+    { $set: { 'files.$[file].scanStatus': scanStatus, 'files.$[file].threat': threat } },
+    options
+  );
+  await Task.updateMany(
+    { boardId, 'comments.files.fileId': fileId },
+    { $set: { 'comments.$[].files.$[file].scanStatus': scanStatus, 'comments.$[].files.$[file].threat': threat } },
+    options
+  );
+
+  const tasks = await Task.find({ boardId, $or: [{ 'files.fileId': fileId }, { 'comments.files.fileId': fileId }] });
+  tasks.forEach(task => publish(null, boardId, 'task:updated', { task }));
+}
+
+const rememberResult = (key, result) => {
+  const now = Date.now();
+  for (const [oldKey, { finishedAt }] of results) {
+    if (now - finishedAt < RESULT_LIFETIME) break; // Oldest first
+    results.delete(oldKey);
+  }
+  results.set(key, { ...result, finishedAt: now });
+};
+
+async function scanFile(boardId, name) {
+  const storage = getStorage();
+  let result;
+  try {
+    const { infected, threat } = await getScanner().scan(await storage.open(boardId, name));
+    if (infected) {
+      await quarantine(boardId, name);
+      console.warn(`Quarantined upload ${boardId}/${name}: ${threat}`);
+      result = { scanStatus: 'infected', threat };
+    } else {
+      result = { scanStatus: 'clean', threat: null };
+    }
+  } catch (error) {
+    console.error(`Error scanning upload ${boardId}/${name}:`, error.message);
+    result = { scanStatus: 'error', threat: null };
+  }
+
+  const fileId = getFileId(name);
+  rememberResult(scanKey(boardId, fileId), result);
+  await markAttachedFiles(boardId, fileId, result);
+}
+
+// Scan a stored upload in the background (does nothing when scanning is off)
+function queueScan(boardId, name) {
+  const key = scanKey(boardId, getFileId(name));
+  if (!getScanner() || pending.has(key)) return;
+
+  const run = queue
+    .then(() => scanFile(boardId, name))
+    .catch(error => console.error(`Error recording scan of ${key}:`, error.message))
+    .finally(() => pending.delete(key));
+
+  pending.set(key, run);
+  queue = run;
+}
+
+// The scan fields for a file being attached: { scanStatus, threat }.
+// scanStatus is null when scanning is off; an upload without a known result is scanned (again).
+async function getScanStatus(boardId, fileId) {
+  const storage = getStorage();
+  const key = scanKey(boardId, fileId);
+
+  if (await storage.stat(boardId, getQuarantineName(fileId))) {
+    return { scanStatus: 'infected', threat: results.get(key)?.threat || null };
+  }
+  if (!getScanner()) return { scanStatus: null, threat: null };
+  if (pending.has(key)) return { scanStatus: 'pending', threat: null };
+  if (results.has(key)) {
+    const { scanStatus, threat } = results.get(key);
+    return { scanStatus, threat };
+  }
+
+  const name = await storage.find(boardId, fileId);
+  if (!name) return { scanStatus: null, threat: null };
+  queueScan(boardId, name);
+  return { scanStatus: 'pending', threat: null };
+}
+
+// After files were attached: record scans that finished while the request was running
+async function recordFinishedScans(boardId, fileIds) {
+  for (const fileId of fileIds) {
+    const key = scanKey(boardId, fileId);
+    if (results.has(key) && !pending.has(key)) {
+      await markAttachedFiles(boardId, fileId, results.get(key));
+    }
+  }
+}
+
+// Scans still pending when the server stopped are run again
+async function resumePendingScans() {
+  if (!getScanner()) return;
+
+  const tasks = await Task.find(
+    { $or: [{ 'files.scanStatus': 'pending' }, { 'comments.files.scanStatus': 'pending' }] },
+    'boardId files comments.files'
+  ).setOptions({ withDeleted: true });
+
+  const storage = getStorage();
+  for (const task of tasks) {
+    const boardId = task.boardId.toString();
+    const files = [...task.files, ...task.comments.flatMap(comment => comment.files)];
+    for (const file of files.filter(f => f.scanStatus === 'pending')) {
+      const name = await storage.find(boardId, file.fileId);
+      if (name) queueScan(boardId, name);
+    }
+  }
+}
+
+module.exports = {
+  queueScan,
+  getScanStatus,
+  recordFinishedScans,
+  resumePendingScans
+};
@@ -0,0 +1,172 @@
+const path = require('path');
+const { getStorage } = require('./storage');
+
+// Enough of a file to recognise its type
+const HEAD_SIZE = 4096;
+
+// Types that a browser would run as a page (scripts included) if opened from our origin.
+// They are always downloaded, never shown inline.
+const RISKY_TYPES = [
+  'text/html',
+  'application/xhtml+xml',
+  'image/svg+xml',
+  'text/xml',
+  'application/xml',
+  'text/javascript',
+  'application/javascript'
+];
+
+// Binary signatures: [offset, bytes, type]
+const SIGNATURES = [
+  [0, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a], 'image/png'],
+  [0, [0xff, 0xd8, 0xff], 'image/jpeg'],
+  [0, [0x47, 0x49, 0x46, 0x38], 'image/gif'],
+  [0, [0x42, 0x4d], 'image/bmp'],
+  [0, [0x49, 0x49, 0x2a, 0x00], 'image/tiff'],
+  [0, [0x4d, 0x4d, 0x00, 0x2a], 'image/tiff'],
+  [0, [0x00, 0x00, 0x01, 0x00], 'image/x-icon'],
+  [0, [0x1a, 0x45, 0xdf, 0xa3], 'video/x-matroska'],
+  [0, [0x4f, 0x67, 0x67, 0x53], 'audio/ogg'],
+  [0, [0x66, 0x4c, 0x61, 0x43], 'audio/flac'],
+  [0, [0x49, 0x44, 0x33], 'audio/mpeg'],
+  [0, [0x25, 0x50, 0x44, 0x46, 0x2d], 'application/pdf'],
+  [0, [0x50, 0x4b, 0x03, 0x04], 'application/zip'],
+  [0, [0x50, 0x4b, 0x05, 0x06], 'application/zip'],
+  [0, [0x1f, 0x8b], 'application/gzip'],
+  [0, [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c], 'application/x-7z-compressed'],
+  [0, [0x52, 0x61, 0x72, 0x21, 0x1a, 0x07], 'application/vnd.rar'],
+  [0, [0x4d, 0x5a], 'application/x-msdownload'],
+  [0, [0x7f, 0x45, 0x4c, 0x46], 'application/x-executable'],
+  [0, [0xcf, 0xfa, 0xed, 0xfe], 'application/x-mach-binary'],
+  [0, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1], 'application/x-ole-storage'],
+  [257, [0x75, 0x73, 0x74, 0x61, 0x72], 'application/x-tar']
+];
+
+// RIFF containers: the format is named at offset 8
+const RIFF_TYPES = { 'WEBP': 'image/webp', 'AVI ': 'video/x-msvideo', 'WAVE': 'audio/wav' };
+
+// ISO media (MP4 and friends): the brand follows "ftyp" at offset 4
+const FTYP_TYPES = {
+  avif: 'image/avif',
+  avis: 'image/avif',
+  heic: 'image/heic',
+  heix: 'image/heic',
+  mif1: 'image/heic',
+  'qt  ': 'video/quicktime',
+  'M4A ': 'audio/mp4'
+};
+
+// Containers whose contents are told apart by the file extension
+const ZIP_EXTENSIONS = {
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  '.odt': 'application/vnd.oasis.opendocument.text',
+  '.ods': 'application/vnd.oasis.opendocument.spreadsheet',
+  '.odp': 'application/vnd.oasis.opendocument.presentation',
+  '.epub': 'application/epub+zip',
+  '.jar': 'application/java-archive',
+  '.apk': 'application/vnd.android.package-archive'
+};
+const OLE_EXTENSIONS = {
+  '.doc': 'application/msword',
+  '.xls': 'application/vnd.ms-excel',
+  '.ppt': 'application/vnd.ms-powerpoint',
+  '.msi': 'application/x-msi'
+};
+// Plain text that is safe to label more precisely (markup and scripts are never relabelled)
+const TEXT_EXTENSIONS = {
+  '.csv': 'text/csv',
+  '.json': 'application/json',
+  '.md': 'text/markdown',
+  '.yaml': 'application/yaml',
+  '.yml': 'application/yaml'
+};
+
+const startsWith = (buffer, offset, bytes) =>
+  buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte);
+
+// Text sniffing: markup is recognised by its first tag, anything else without
+// control characters is plain text
+function sniffText(buffer) {
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+  if (/[\x00-\x08\x0e-\x1a\x1c-\x1f]/.test(text)) return null;
+
+  const start = text.trimStart().slice(0, 1024).toLowerCase();
+  if (/^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!doctype svg[^>]*>\s*)?<svg[\s>]/.test(start)) return 'image/svg+xml';
+  if (/^(<!--[\s\S]*?-->\s*)*<(!doctype html|html|head|body|script|iframe|meta|title|style|div|a|img|p|table)[\s>]/.test(start)) {
+    return 'text/html';
+  }
+  if (start.startsWith('<?xml')) return 'application/xml';
+  return 'text/plain';
+}
+
+// The type of a file from its first bytes, refined by the extension where the content alone
+// can't tell (Office documents are ZIP or OLE files). The browser's claim is never used.
+function sniffFileType(head, filename = '') {
+  const ext = path.extname(filename).toLowerCase();
+
+  const match = SIGNATURES.find(([offset, bytes]) => startsWith(head, offset, bytes));
+  if (match) {
+    const type = match[2];
+    if (type === 'application/zip') return ZIP_EXTENSIONS[ext] || type;
+    if (type === 'application/x-ole-storage') return OLE_EXTENSIONS[ext] || type;
+    if (type === 'video/x-matroska' && ext === '.webm') return 'video/webm';
+    return type;
+  }
+
+  const tag = (offset) => head.toString('latin1', offset, offset + 4);
+  if (tag(0) === 'RIFF' && RIFF_TYPES[tag(8)]) return RIFF_TYPES[tag(8)];
+  if (tag(4) === 'ftyp') return FTYP_TYPES[tag(8)] || 'video/mp4';
+  // MPEG audio frames start with 11 set bits
+  if (head.length >= 2 && head[0] === 0xff && (head[1] & 0xe0) === 0xe0) return 'audio/mpeg';
+
+  const text = head.length > 0 ? sniffText(head) : 'text/plain';
+  if (text === 'text/plain') return TEXT_EXTENSIONS[ext] || text;
+  return text || 'application/octet-stream';
+}
+
+// The first bytes of a stored file
+async function readFileHead(boardId, name, size) {
+  if (size === 0) return Buffer.alloc(0);
+  const input = await getStorage().open(boardId, name, { start: 0, end: Math.min(size, HEAD_SIZE) - 1 });
+  const chunks = [];
+  for await (const chunk of input) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+// Sniff a stored upload
+async function detectFileType(boardId, name, size, originalName) {
+  return sniffFileType(await readFileHead(boardId, name, size), originalName);
+}
+
+// "image/*" matches every image type, "*/*" everything
+const matchesTypePattern = (type, pattern) => {
+  const [family, subtype] = pattern.toLowerCase().split('/');
+  const [typeFamily, typeSubtype] = type.toLowerCase().split('/');
+  return (family === '*' || family === typeFamily) && (subtype === '*' || subtype === typeSubtype);
+};
+
+// Why a board doesn't accept a file of this type, or null if it does.
+// fileTypes: { allowed, denied } lists of type patterns; an empty allow list allows everything.
+function checkFileType(type, fileTypes = {}) {
+  const { allowed = [], denied = [] } = fileTypes;
+  if (denied.some(pattern => matchesTypePattern(type, pattern))) {
+    return `files of type ${type} are blocked on this board`;
+  }
+  if (allowed.length > 0 && !allowed.some(pattern => matchesTypePattern(type, pattern))) {
+    return `files of type ${type} are not allowed on this board`;
+  }
+  return null;
+}
+
+const isRiskyType = (type) => RISKY_TYPES.includes(String(type).split(';')[0].trim().toLowerCase());
+
+module.exports = {
+  HEAD_SIZE,
+  sniffFileType,
+  detectFileType,
+  matchesTypePattern,
+  checkFileType,
+  isRiskyType
+};
@@ -0,0 +1,79 @@
+const TaskHistory = require('../models/TaskHistory');
+const { getUserRef } = require('../middleware/currentUser');
+
+// Task fields whose changes are recorded by PUT /api/tasks/:id
+const TRACKED_FIELDS = ['name', 'description', 'assignedTo', 'reportedBy', 'priority', 'taskType', 'dependencies', 'labels'];
+
+// Maximum length of comment text stored in history details
+const COMMENT_EXCERPT_LENGTH = 200;
+
+// Normalize a field value for comparison and storage (ObjectIds become strings, empty becomes null)
+function normalizeValue(field, value) {
+  if (field === 'dependencies') {
+    const links = (value || []).map(dep => ({ taskId: dep.taskId.toString(), type: dep.type }));
+    return links.length > 0 ? links : null;
+  }
+  if (field === 'labels') {
+    return value?.length > 0 ? value.join(', ') : null;
+  }
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'object' && value.toString) return value.toString();
+  return value;
+}
+
+// Compare tracked fields of a task before and after an update
+function diffTaskFields(before, after) {
+  const changes = [];
+
+  for (const field of TRACKED_FIELDS) {
+    const from = normalizeValue(field, before[field]);
+    const to = normalizeValue(field, after[field]);
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field, from, to });
+    }
+  }
+
+  return changes;
+}
+
+// Shorten comment text for history details
+function excerpt(text) {
+  if (!text) return '';
+  return text.length > COMMENT_EXCERPT_LENGTH
+    ? text.substring(0, COMMENT_EXCERPT_LENGTH) + '...'
+    : text;
+}
+
+// Record a history event for a task (errors are logged, never thrown)
+async function recordTaskEvent(req, task, type, { changes = [], details = {} } = {}) {
+  try {
+    await TaskHistory.create({
+      taskId: task._id,
+      boardId: task.boardId,
+      type,
+      actor: getUserRef(req),
+      changes,
+      details
+    });
+  } catch (error) {
+    console.error('Error recording task history:', error);
+  }
+}
+
+// Get all history events for a task, newest first
+async function getTaskHistory(taskId) {
+  return TaskHistory.find({ taskId }).sort({ createdAt: -1 });
+}
+
+// Remove history for deleted tasks
+async function deleteTaskHistory(filter) {
+  return TaskHistory.deleteMany(filter);
+}
+
+module.exports = {
+  diffTaskFields,
+  excerpt,
+  recordTaskEvent,
+  getTaskHistory,
+  deleteTaskHistory
+};
@@ -0,0 +1,48 @@
+const { Marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+
+// Markdown (GitHub flavoured: tables, checklists, fenced code) to HTML for emails.
+// Email clients drop form controls and stylesheets, so checklist boxes become characters
+// and the styling is inlined.
+const marked = new Marked({
+  gfm: true,
+  breaks: true,
+  renderer: {
+    checkbox({ checked }) {
+      return checked ? '&#9745; ' : '&#9744; ';
+    }
+  }
+});
+
+const EMAIL_STYLES = {
+  p: 'margin: 8px 0;',
+  pre: 'background: #f4f5f7; border-radius: 4px; padding: 8px 12px; overflow-x: auto;',
+  code: 'font-family: Consolas, Menlo, monospace; font-size: 13px; background: #f4f5f7;',
+  blockquote: 'margin: 8px 0; padding-left: 12px; border-left: 3px solid #dfe1e6; color: #5e6c84;',
+  table: 'border-collapse: collapse; margin: 8px 0;',
+  th: 'border: 1px solid #dfe1e6; padding: 4px 8px; background: #f4f5f7; text-align: left;',
+  td: 'border: 1px solid #dfe1e6; padding: 4px 8px;'
+};
+
+const withStyle = (tagName, attribs) => ({ tagName, attribs: { ...attribs, style: EMAIL_STYLES[tagName] } });
+
+const SANITIZE_OPTIONS = {
+  allowedTags: sanitizeHtml.defaults.allowedTags.concat(['del', 's', 'img']),
+  allowedAttributes: {
+    a: ['href', 'title'],
+    img: ['src', 'alt', 'title'],
+    ...Object.fromEntries(Object.keys(EMAIL_STYLES).map(tag => [tag, ['style']]))
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  // Replaces any style given in the Markdown itself
+  transformTags: Object.fromEntries(Object.keys(EMAIL_STYLES).map(tag => [tag, withStyle]))
+};
+
+// Render Markdown to sanitized HTML (raw HTML in the text is filtered, scripts never survive)
+function renderMarkdown(text) {
+  return sanitizeHtml(marked.parse(text || ''), SANITIZE_OPTIONS);
+}
+
+module.exports = {
+  renderMarkdown
+};
@@ -0,0 +1,40 @@
+const { fetchBoardUsers } = require('./authentikService');
+
+// "@username" in comment text. Not preceded by a word character, so email addresses don't count;
+// the name may itself contain "@" and dots (a trailing dot ends the sentence, not the name).
+const MENTION_PATTERN = /(^|[^\w@.])@(\w[\w.+@-]*)/g;
+
+// The usernames mentioned in a text, lowercased, each once
+function extractMentionHandles(text) {
+  const handles = new Set();
+  for (const match of (text || '').matchAll(MENTION_PATTERN)) {
+    handles.add(match[2].replace(/\.+$/, '').toLowerCase());
+  }
+  return [...handles];
+}
+
+// The board's users mentioned in a text, as user refs ({ id, email, name }).
+// Names that aren't a user of the board are left as plain text.
+async function resolveMentions(boardId, text) {
+  const handles = extractMentionHandles(text);
+  if (handles.length === 0) return [];
+
+  const users = await fetchBoardUsers(boardId).catch(error => {
+    console.error('Error fetching board users for mentions:', error.message);
+    return [];
+  });
+
+  return users
+    .filter(user => user.username && handles.includes(user.username.toLowerCase()))
+    .map(user => ({ id: String(user.id), email: user.email, name: user.name }));
+}
+
+// Mentions in current that weren't in previous (after a comment is edited)
+const getAddedMentions = (previous, current) =>
+  current.filter(user => !previous.some(p => p.id === user.id));
+
+module.exports = {
+  extractMentionHandles,
+  resolveMentions,
+  getAddedMentions
+};
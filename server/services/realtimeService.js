@@ -0,0 +1,117 @@
+// Pushes board changes to connected clients over Server-Sent Events.
+// Each open board in a browser tab holds one connection; events are JSON messages
+// { type, originId, data } where originId is the X-Client-Id of the tab that made the change
+// (so that tab can skip changes it already applied).
+
+const HEARTBEAT_INTERVAL = 25 * 1000;
+
+// boardId -> Map(connectionId -> { res, user, isAdmin, close })
+const boardConnections = new Map();
+let nextConnectionId = 1;
+
+// Write one message to a connection
+const send = (res, message) => {
+  res.write(`data: ${JSON.stringify(message)}\n\n`);
+};
+
+// Users currently viewing a board (one entry per user, however many tabs they have open)
+function getPresence(boardId) {
+  const connections = boardConnections.get(boardId.toString());
+  if (!connections) return [];
+
+  const users = new Map();
+  for (const { user } of connections.values()) {
+    const key = user.id || user.email || user.name;
+    if (!users.has(key)) users.set(key, user);
+  }
+  return [...users.values()];
+}
+
+// Send a message to every connection on a board
+function broadcast(boardId, message) {
+  const connections = boardConnections.get(boardId.toString());
+  if (!connections) return;
+
+  for (const { res } of connections.values()) {
+    send(res, message);
+  }
+}
+
+const broadcastPresence = (boardId) => {
+  broadcast(boardId, { type: 'presence', data: { users: getPresence(boardId) } });
+};
+
+// Open an event stream for a board (the request must already be authorized for the board)
+function subscribe(boardId, req, res) {
+  const key = boardId.toString();
+  const connectionId = nextConnectionId++;
+  const { id, name, email } = req.currentUser || {};
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 5000\n\n');
+
+  // Comments keep proxies from closing idle connections
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+
+  // Runs when the client goes away or the server ends the stream (whichever comes first)
+  const close = () => {
+    clearInterval(heartbeat);
+    const connections = boardConnections.get(key);
+    if (!connections?.delete(connectionId)) return;
+
+    if (connections.size === 0) {
+      boardConnections.delete(key);
+    } else {
+      broadcastPresence(key);
+    }
+  };
+
+  if (!boardConnections.has(key)) {
+    boardConnections.set(key, new Map());
+  }
+  boardConnections.get(key).set(connectionId, {
+    res,
+    user: { id: id || null, name: name || email || 'Unknown', email: email || null },
+    isAdmin: Boolean(req.currentUser?.isAdmin),
+    close
+  });
+  broadcastPresence(key);
+
+  req.on('close', close);
+}
+
+// End a user's streams on boards they may no longer see (after their allowed boards changed).
+// Admins see every board, so theirs stay open; a browser that reconnects is authorized again.
+function closeRevokedConnections(userId, allowedBoards) {
+  const allowed = new Set(allowedBoards.map(boardId => boardId.toString()));
+  for (const [key, connections] of boardConnections) {
+    if (allowed.has(key)) continue;
+    for (const connection of [...connections.values()]) {
+      if (connection.isAdmin || connection.user.id !== String(userId)) continue;
+      connection.res.end();
+      connection.close();
+    }
+  }
+}
+
+// Publish a change on a board. The request identifies the tab that made the change.
+function publish(req, boardId, type, data) {
+  if (!boardId) return;
+  broadcast(boardId, {
+    type,
+    originId: req?.get('X-Client-Id') || null,
+    data
+  });
+}
+
+module.exports = {
+  subscribe,
+  closeRevokedConnections,
+  publish,
+  getPresence
+};
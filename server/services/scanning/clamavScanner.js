@@ -0,0 +1,57 @@
+const net = require('net');
+const { once } = require('events');
+
+// Reply to INSTREAM: "stream: OK" or "stream: <signature> FOUND" (anything else is an error,
+// e.g. "INSTREAM size limit exceeded. ERROR" when the file is over clamd's StreamMaxLength)
+function parseReply(reply) {
+  const match = /^stream: (.+) FOUND$/.exec(reply);
+  if (match) return { infected: true, threat: match[1] };
+  if (reply === 'stream: OK') return { infected: false, threat: null };
+  throw new Error(`ClamAV: ${reply || 'no reply'}`);
+}
+
+// Scans with a clamd daemon over TCP, streaming the file with the INSTREAM command
+function createClamavScanner({ host = '127.0.0.1', port = 3310, timeout = 60000 }) {
+  return {
+    name: 'clamav',
+
+    async scan(input) {
+      const socket = net.connect({ host, port });
+      socket.setTimeout(timeout, () => socket.destroy(new Error('ClamAV did not answer in time')));
+
+      // clamd may answer (and hang up) before the whole file is sent, so its reply wins over write errors
+      const reply = new Promise((resolve, reject) => {
+        const chunks = [];
+        const text = () => Buffer.concat(chunks).toString().replace(/\0/g, '').trim();
+        socket.on('data', chunk => chunks.push(chunk));
+        socket.on('error', error => (chunks.length > 0 ? resolve(text()) : reject(error)));
+        socket.on('close', () => resolve(text()));
+      });
+      reply.catch(() => {}); // Awaited below
+
+      try {
+        await Promise.race([once(socket, 'connect'), reply]);
+        socket.write('zINSTREAM\0');
+        for await (const chunk of input) {
+          if (socket.destroyed) break;
+          const length = Buffer.alloc(4);
+          length.writeUInt32BE(chunk.length);
+          socket.write(length);
+          if (!socket.write(chunk)) {
+            await Promise.race([once(socket, 'drain'), reply]);
+          }
+        }
+        if (!socket.destroyed) socket.end(Buffer.alloc(4)); // A zero-length chunk ends the stream
+      } catch (error) {
+        socket.destroy();
+        input.destroy?.();
+        throw error;
+      }
+
+      input.destroy?.();
+      return parseReply(await reply);
+    }
+  };
+}
+
+module.exports = createClamavScanner;
@@ -0,0 +1,36 @@
+const createClamavScanner = require('./clamavScanner');
+
+const SCANNERS = ['none', 'clamav'];
+
+// Malware scanners for uploads. A scanner offers
+//   scan(readable) -> { infected, threat }   (throws if the file could not be scanned)
+//
+// Configured with UPLOAD_SCANNER (none by default); see .env.example for the ClamAV settings.
+// Returns null when scanning is off.
+function createScanner(driver = process.env.UPLOAD_SCANNER || 'none') {
+  switch (driver) {
+    case 'none':
+      return null;
+    case 'clamav':
+      return createClamavScanner({
+        host: process.env.CLAMAV_HOST || '127.0.0.1',
+        port: Number(process.env.CLAMAV_PORT) || 3310,
+        timeout: Number(process.env.CLAMAV_TIMEOUT) || 60000
+      });
+    default:
+      throw new Error(`Unknown upload scanner "${driver}" (expected ${SCANNERS.join(' or ')})`);
+  }
+}
+
+// The configured scanner, created on first use
+let scanner;
+const getScanner = () => {
+  if (scanner === undefined) scanner = createScanner();
+  return scanner;
+};
+
+module.exports = {
+  SCANNERS,
+  createScanner,
+  getScanner
+};
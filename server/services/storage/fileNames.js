@@ -0,0 +1,42 @@
+const path = require('path');
+
+// Stored files are named <fileId><extension> (a GUID plus the original file's extension)
+const FILE_ID_PATTERN = /^[\w-]+$/;
+
+// Files derived from an upload are stored next to it. Their names can't clash with an original's,
+// which has at most one extension:
+//   <fileId>.thumb.jpg        - thumbnail or video poster
+//   <fileId>.quarantined.bin  - the upload itself, moved aside after a malware scan flagged it
+const THUMBNAIL_SUFFIX = '.thumb.jpg';
+const QUARANTINE_SUFFIX = '.quarantined.bin';
+const DERIVED_SUFFIXES = [THUMBNAIL_SUFFIX, QUARANTINE_SUFFIX];
+
+const getThumbnailName = (fileId) => `${fileId}${THUMBNAIL_SUFFIX}`;
+const getQuarantineName = (fileId) => `${fileId}${QUARANTINE_SUFFIX}`;
+const isDerivedName = (name) => DERIVED_SUFFIXES.some(suffix => name.endsWith(suffix));
+
+// The id of the upload a stored file belongs to (derived files belong to their original)
+const getFileId = (name) => {
+  const suffix = DERIVED_SUFFIXES.find(derived => name.endsWith(derived));
+  return suffix ? name.slice(0, -suffix.length) : path.basename(name, path.extname(name));
+};
+
+// Board ids and stored names become paths and object keys, so nothing that could leave the folder is allowed
+const isSafeName = (name) => typeof name === 'string' && /^[\w-][^/\\]*$/.test(name);
+
+const matchesFileId = (name, fileId) => !isDerivedName(name) && (name === fileId || name.startsWith(`${fileId}.`));
+
+const checkNames = (boardId, name) => {
+  if (!isSafeName(String(boardId)) || (name !== undefined && !isSafeName(name))) {
+    throw new Error(`Invalid file location: ${name === undefined ? boardId : `${boardId}/${name}`}`);
+  }
+};
+
+module.exports = {
+  FILE_ID_PATTERN,
+  getThumbnailName,
+  getQuarantineName,
+  getFileId,
+  matchesFileId,
+  checkNames
+};
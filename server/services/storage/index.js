@@ -0,0 +1,69 @@
+const path = require('path');
+const createLocalStorage = require('./localStorage');
+const createS3Storage = require('./s3Storage');
+const { FILE_ID_PATTERN, getThumbnailName, getQuarantineName, getFileId } = require('./fileNames');
+
+const UPLOAD_DIR = path.join(__dirname, '..', '..', 'Uploaded_Images');
+const STORAGE_DRIVERS = ['local', 's3'];
+
+// Attachment storage backends. Every driver stores files as <boardId>/<name> and offers:
+//   save(boardId, name, readable, { contentType })   find(boardId, fileId) -> name | null
+//   stat(boardId, name) -> { size, modifiedAt } | null open(boardId, name, range?) -> readable
+//   remove(boardId, name)   removeBoard(boardId)     list(boardId?) -> async iterable of files
+//   getSignedUrl(boardId, name, { contentType, disposition }) -> url | null (null: serve through the app)
+//   getFreeSpacePercent() -> number | null
+//
+// Configured with STORAGE_DRIVER (local by default); see .env.example for the S3 settings.
+function createStorage(driver = process.env.STORAGE_DRIVER || 'local') {
+  switch (driver) {
+    case 'local':
+      return createLocalStorage({ root: UPLOAD_DIR });
+    case 's3':
+      return createS3Storage({
+        bucket: process.env.S3_BUCKET,
+        prefix: process.env.S3_PREFIX || '',
+        region: process.env.S3_REGION || 'us-east-1',
+        endpoint: process.env.S3_ENDPOINT || undefined,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+        credentials: process.env.S3_ACCESS_KEY_ID
+          ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+          : undefined,
+        signedUrls: process.env.S3_SIGNED_URLS !== 'false',
+        signedUrlTtl: Number(process.env.S3_SIGNED_URL_TTL) || 300
+      });
+    default:
+      throw new Error(`Unknown storage driver "${driver}" (expected ${STORAGE_DRIVERS.join(' or ')})`);
+  }
+}
+
+// The configured backend, created on first use
+let storage = null;
+const getStorage = () => {
+  if (!storage) storage = createStorage();
+  return storage;
+};
+
+// Delete an uploaded file by its id, with its thumbnail or quarantined copy (errors are logged, never thrown)
+const deleteUploadedFile = async (boardId, fileId) => {
+  try {
+    const name = await getStorage().find(boardId.toString(), fileId);
+    if (name) {
+      await getStorage().remove(boardId.toString(), name);
+    }
+    await getStorage().remove(boardId.toString(), getThumbnailName(fileId));
+    await getStorage().remove(boardId.toString(), getQuarantineName(fileId));
+  } catch (err) {
+    console.error(`Error deleting file ${fileId}:`, err.message);
+  }
+};
+
+module.exports = {
+  FILE_ID_PATTERN,
+  STORAGE_DRIVERS,
+  getThumbnailName,
+  getQuarantineName,
+  getFileId,
+  createStorage,
+  getStorage,
+  deleteUploadedFile
+};
@@ -0,0 +1,85 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const checkDiskSpace = require('check-disk-space').default;
+const { matchesFileId, checkNames } = require('./fileNames');
+
+// Files on local disk: <root>/<boardId>/<name>
+function createLocalStorage({ root }) {
+  fs.mkdirSync(root, { recursive: true });
+
+  const boardDir = (boardId) => {
+    checkNames(boardId);
+    return path.join(root, String(boardId));
+  };
+  const filePath = (boardId, name) => {
+    checkNames(boardId, name);
+    return path.join(root, String(boardId), name);
+  };
+
+  const ignoreMissing = (error) => {
+    if (error.code !== 'ENOENT') throw error;
+    return null;
+  };
+
+  return {
+    name: 'local',
+
+    async save(boardId, name, input) {
+      await fs.promises.mkdir(boardDir(boardId), { recursive: true });
+      await pipeline(input, fs.createWriteStream(filePath(boardId, name)));
+    },
+
+    async find(boardId, fileId) {
+      const names = await fs.promises.readdir(boardDir(boardId)).catch(ignoreMissing);
+      return names?.find(name => matchesFileId(name, fileId)) || null;
+    },
+
+    async stat(boardId, name) {
+      const stat = await fs.promises.stat(filePath(boardId, name)).catch(ignoreMissing);
+      return stat?.isFile() ? { size: stat.size, modifiedAt: stat.mtime } : null;
+    },
+
+    // range: { start, end } (inclusive byte offsets), or undefined for the whole file
+    async open(boardId, name, range) {
+      return fs.createReadStream(filePath(boardId, name), range);
+    },
+
+    async remove(boardId, name) {
+      await fs.promises.unlink(filePath(boardId, name)).catch(ignoreMissing);
+    },
+
+    async removeBoard(boardId) {
+      await fs.promises.rm(boardDir(boardId), { recursive: true, force: true });
+    },
+
+    // Yield { boardId, name, size, modifiedAt } for every file, or for one board's files
+    async *list(boardId) {
+      const boardIds = boardId
+        ? [String(boardId)]
+        : (await fs.promises.readdir(root, { withFileTypes: true }))
+          .filter(entry => entry.isDirectory())
+          .map(entry => entry.name);
+
+      for (const id of boardIds) {
+        const entries = await fs.promises.readdir(boardDir(id), { withFileTypes: true }).catch(ignoreMissing) || [];
+        for (const entry of entries.filter(e => e.isFile())) {
+          const stat = await fs.promises.stat(path.join(root, id, entry.name)).catch(ignoreMissing);
+          if (stat) yield { boardId: id, name: entry.name, size: stat.size, modifiedAt: stat.mtime };
+        }
+      }
+    },
+
+    // Files are always served by the app
+    async getSignedUrl() {
+      return null;
+    },
+
+    async getFreeSpacePercent() {
+      const diskSpace = await checkDiskSpace(root);
+      return (diskSpace.free / diskSpace.size) * 100;
+    }
+  };
+}
+
+module.exports = createLocalStorage;
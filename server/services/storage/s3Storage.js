@@ -0,0 +1,135 @@
+const {
+  S3Client,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const { matchesFileId, checkNames } = require('./fileNames');
+
+const isNotFound = (error) => error.name === 'NotFound' || error.name === 'NoSuchKey' ||
+  error.$metadata?.httpStatusCode === 404;
+
+// Files in an S3-compatible bucket (AWS S3, MinIO, ...): <prefix><boardId>/<name>
+//   signedUrls    - send browsers to a short-lived signed URL instead of streaming through the app
+//   signedUrlTtl  - lifetime of a signed URL in seconds
+function createS3Storage({ bucket, prefix = '', signedUrls = true, signedUrlTtl = 300, ...clientConfig }) {
+  if (!bucket) {
+    throw new Error('S3 storage needs a bucket (S3_BUCKET)');
+  }
+
+  const client = new S3Client(clientConfig);
+
+  const boardPrefix = (boardId) => {
+    checkNames(boardId);
+    return `${prefix}${boardId}/`;
+  };
+  const objectKey = (boardId, name) => {
+    checkNames(boardId, name);
+    return `${prefix}${boardId}/${name}`;
+  };
+
+  // Yield every object under a key prefix
+  async function* listObjects(keyPrefix) {
+    let ContinuationToken;
+    do {
+      const page = await client.send(new ListObjectsV2Command({ Bucket: bucket, Prefix: keyPrefix, ContinuationToken }));
+      yield* page.Contents || [];
+      ContinuationToken = page.NextContinuationToken;
+    } while (ContinuationToken);
+  }
+
+  return {
+    name: 's3',
+
+    async save(boardId, name, input, { contentType } = {}) {
+      const upload = new Upload({
+        client,
+        params: { Bucket: bucket, Key: objectKey(boardId, name), Body: input, ContentType: contentType }
+      });
+      await upload.done();
+    },
+
+    async find(boardId, fileId) {
+      const keyPrefix = boardPrefix(boardId);
+      for await (const object of listObjects(`${keyPrefix}${fileId}`)) {
+        const name = object.Key.substring(keyPrefix.length);
+        if (matchesFileId(name, fileId)) return name;
+      }
+      return null;
+    },
+
+    async stat(boardId, name) {
+      try {
+        const head = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: objectKey(boardId, name) }));
+        return { size: head.ContentLength, modifiedAt: head.LastModified };
+      } catch (error) {
+        if (isNotFound(error)) return null;
+        throw error;
+      }
+    },
+
+    // range: { start, end } (inclusive byte offsets), or undefined for the whole object
+    async open(boardId, name, range) {
+      const object = await client.send(new GetObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(boardId, name),
+        Range: range ? `bytes=${range.start}-${range.end}` : undefined
+      }));
+      return object.Body;
+    },
+
+    async remove(boardId, name) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(boardId, name) }));
+    },
+
+    async removeBoard(boardId) {
+      let keys = [];
+      const deleteKeys = () => client.send(new DeleteObjectsCommand({
+        Bucket: bucket,
+        Delete: { Objects: keys.map(Key => ({ Key })), Quiet: true }
+      }));
+
+      for await (const object of listObjects(boardPrefix(boardId))) {
+        keys.push(object.Key);
+        if (keys.length === 1000) { // DeleteObjects takes at most 1000 keys
+          await deleteKeys();
+          keys = [];
+        }
+      }
+      if (keys.length > 0) await deleteKeys();
+    },
+
+    // Yield { boardId, name, size, modifiedAt } for every file, or for one board's files
+    async *list(boardId) {
+      for await (const object of listObjects(boardId ? boardPrefix(boardId) : prefix)) {
+        const parts = object.Key.substring(prefix.length).split('/');
+        if (parts.length === 2 && parts[0] && parts[1]) {
+          yield { boardId: parts[0], name: parts[1], size: object.Size, modifiedAt: object.LastModified };
+        }
+      }
+    },
+
+    // disposition: 'attachment' makes browsers download the file instead of showing it
+    async getSignedUrl(boardId, name, { contentType, disposition } = {}) {
+      if (!signedUrls) return null;
+      const command = new GetObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(boardId, name),
+        ResponseContentType: contentType,
+        ResponseContentDisposition: disposition
+      });
+      return getSignedUrl(client, command, { expiresIn: signedUrlTtl });
+    },
+
+    // Buckets have no fixed size
+    async getFreeSpacePercent() {
+      return null;
+    }
+  };
+}
+
+module.exports = createS3Storage;
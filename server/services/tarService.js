@@ -0,0 +1,148 @@
+const { once } = require('events');
+const { finished } = require('stream/promises');
+
+// Minimal ustar (tar) writer and reader for board backups. Only regular files are written;
+// when reading, other entry types (directories, pax headers, links) are skipped.
+
+const BLOCK_SIZE = 512;
+const END_OF_ARCHIVE = Buffer.alloc(BLOCK_SIZE * 2);
+
+// Write a number as a zero-padded octal field
+const writeOctal = (header, value, offset, length) => {
+  header.write(value.toString(8).padStart(length - 1, '0') + '\0', offset, length, 'ascii');
+};
+
+const padding = (size) => Buffer.alloc((BLOCK_SIZE - (size % BLOCK_SIZE)) % BLOCK_SIZE);
+
+function createHeader(name, size, mtime = new Date()) {
+  const nameBytes = Buffer.from(name, 'utf8');
+  if (nameBytes.length > 100) {
+    throw new Error(`Archive entry name is too long: ${name}`);
+  }
+
+  const header = Buffer.alloc(BLOCK_SIZE);
+  nameBytes.copy(header, 0);
+  writeOctal(header, 0o644, 100, 8); // mode
+  writeOctal(header, 0, 108, 8); // uid
+  writeOctal(header, 0, 116, 8); // gid
+  writeOctal(header, size, 124, 12);
+  writeOctal(header, Math.floor(mtime.getTime() / 1000), 136, 12);
+  header.write('        ', 148, 8, 'ascii'); // checksum is computed with this field as spaces
+  header.write('0', 156, 1, 'ascii'); // regular file
+  header.write('ustar\0', 257, 6, 'ascii');
+  header.write('00', 263, 2, 'ascii');
+
+  let checksum = 0;
+  for (const byte of header) checksum += byte;
+  header.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148, 8, 'ascii');
+
+  return header;
+}
+
+// Yield the tar archive of entries [{ name, data: Buffer } | { name, size, mtime, open }] chunk by chunk.
+// open() resolves to a readable stream of the entry, so files are streamed instead of held in memory.
+async function* tarEntries(entries) {
+  for (const entry of entries) {
+    if (entry.data) {
+      yield createHeader(entry.name, entry.data.length);
+      yield entry.data;
+      yield padding(entry.data.length);
+    } else {
+      yield createHeader(entry.name, entry.size, entry.mtime);
+      let written = 0;
+      for await (const chunk of await entry.open()) {
+        written += chunk.length;
+        yield chunk;
+      }
+      if (written !== entry.size) {
+        throw new Error(`${entry.name} changed while it was being archived`);
+      }
+      yield padding(entry.size);
+    }
+  }
+  yield END_OF_ARCHIVE;
+}
+
+const readString = (buffer, offset, length) => {
+  const field = buffer.subarray(offset, offset + length);
+  const end = field.indexOf(0);
+  return field.subarray(0, end === -1 ? length : end).toString('utf8');
+};
+
+const readOctal = (buffer, offset, length) => parseInt(readString(buffer, offset, length).trim() || '0', 8);
+
+const closedError = (output) => output.errored || new Error('The archive entry could not be written');
+
+// Wait until a writable accepts more data; fails if it is closed first (e.g. its destination failed)
+async function waitForDrain(output) {
+  const controller = new AbortController();
+  try {
+    await Promise.race([
+      once(output, 'drain', { signal: controller.signal }),
+      once(output, 'close', { signal: controller.signal }).then(() => {
+        throw closedError(output);
+      })
+    ]);
+  } finally {
+    controller.abort();
+  }
+}
+
+// Read a tar archive from a stream. For each regular file, onEntry(name, size) returns a writable
+// stream for its contents, or null to skip it. Resolves once the end of the archive is reached.
+async function extractTar(input, onEntry) {
+  let buffered = Buffer.alloc(0);
+  let entry = null; // { remaining, pad, output } of the entry being read
+
+  for await (const chunk of input) {
+    buffered = buffered.length > 0 ? Buffer.concat([buffered, chunk]) : chunk;
+
+    while (true) {
+      if (entry) {
+        // Entry contents, then the padding to the next block
+        const take = Math.min(entry.remaining + entry.pad, buffered.length);
+        const data = buffered.subarray(0, Math.min(take, entry.remaining));
+        if (entry.output?.destroyed) throw closedError(entry.output);
+        if (data.length > 0 && entry.output && !entry.output.write(data)) {
+          await waitForDrain(entry.output);
+        }
+        entry.pad -= take - data.length;
+        entry.remaining -= data.length;
+        buffered = buffered.subarray(take);
+        if (entry.remaining > 0 || entry.pad > 0) break;
+
+        if (entry.output) {
+          entry.output.end();
+          await finished(entry.output, { readable: false });
+        }
+        entry = null;
+        continue;
+      }
+
+      if (buffered.length < BLOCK_SIZE) break;
+      const header = buffered.subarray(0, BLOCK_SIZE);
+      buffered = buffered.subarray(BLOCK_SIZE);
+
+      if (header.every(byte => byte === 0)) return; // End of archive
+
+      const prefix = readString(header, 345, 155);
+      const name = prefix ? `${prefix}/${readString(header, 0, 100)}` : readString(header, 0, 100);
+      const size = readOctal(header, 124, 12);
+      const type = String.fromCharCode(header[156]);
+      const isFile = type === '0' || type === '\0';
+
+      entry = {
+        remaining: size,
+        pad: padding(size).length,
+        output: isFile ? await onEntry(name, size) : null
+      };
+    }
+  }
+
+  throw new Error('The archive is incomplete');
+}
+
+module.exports = {
+  tarEntries,
+  extractTar
+};
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const Board = require('../models/Board');
+const Task = require('../models/Task');
+
+// Task keys look like HBH-123 (board key, dash, task number)
+const TASK_KEY_PATTERN = /^([A-Z][A-Z0-9]{1,9})-(\d+)$/i;
+const BOARD_KEY_PATTERN = /^[A-Z][A-Z0-9]{1,9}$/;
+
+// Build the key for a task number on a board
+function formatTaskKey(boardKey, number) {
+  return `${boardKey}-${number}`;
+}
+
+// Suggest a board key from its name: initials of each word ("Hicks Bug Hunt" -> HBH),
+// or the first letters of a single word ("Website" -> WEB)
+function suggestBoardKey(name) {
+  const words = (name || '').toUpperCase().match(/[A-Z0-9]+/g) || [];
+  let key = words.length > 1
+    ? words.map(w => w[0]).join('')
+    : (words[0] || '').substring(0, 3);
+
+  key = key.replace(/^[0-9]+/, '').substring(0, 10);
+  return key.length >= 2 ? key : 'BRD';
+}
+
+// Pick an unused board key, adding a number if the suggestion is taken (HBH, HBH2, HBH3, ...)
+async function generateBoardKey(name) {
+  const base = suggestBoardKey(name);
+  let key = base;
+  let counter = 2;
+
+  // Keys of boards in the trash stay reserved until they are purged
+  while (await Board.exists({ key }).setOptions({ withDeleted: true })) {
+    const suffix = String(counter++);
+    key = base.substring(0, 10 - suffix.length) + suffix;
+  }
+
+  return key;
+}
+
+// Reserve the next task number for a board (atomic, safe with concurrent creates)
+async function nextTaskKey(boardId) {
+  const board = await Board.findByIdAndUpdate(
+    boardId,
+    { $inc: { taskSequence: 1 } },
+    { new: true }
+  );
+  if (!board) return null;
+
+  return {
+    number: board.taskSequence,
+    key: formatTaskKey(board.key, board.taskSequence)
+  };
+}
+
+// Rewrite the keys of a board's tasks (including those in the trash) after the board key changed
+async function rekeyBoardTasks(boardId, boardKey) {
+  await Task.updateMany(
+    { boardId, number: { $exists: true } },
+    [{ $set: { key: { $concat: [boardKey, '-', { $toString: '$number' }] } } }],
+    { updatePipeline: true, withDeleted: true }
+  );
+}
+
+// Find a task by ObjectId or by key (e.g. HBH-123)
+async function findTaskByIdOrKey(idOrKey) {
+  if (mongoose.isValidObjectId(idOrKey) && !TASK_KEY_PATTERN.test(idOrKey)) {
+    return Task.findById(idOrKey);
+  }
+
+  const match = TASK_KEY_PATTERN.exec(idOrKey || '');
+  if (!match) return null;
+
+  const board = await Board.findOne({ key: match[1].toUpperCase() }).select('_id');
+  if (!board) return null;
+
+  return Task.findOne({ boardId: board._id, number: Number(match[2]) });
+}
+
+module.exports = {
+  BOARD_KEY_PATTERN,
+  formatTaskKey,
+  generateBoardKey,
+  nextTaskKey,
+  rekeyBoardTasks,
+  findTaskByIdOrKey
+};
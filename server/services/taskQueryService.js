@@ -0,0 +1,301 @@
+// Task filter query language, e.g.
+//   type:Bug priority>=High assignee:me updated:<7d has:files -state:Passed "login page"
+//
+// A query is a list of terms separated by spaces; all terms must match.
+//   field:value[,value...]   match any of the values ("=" works like ":")
+//   field!=value             does not match
+//   field>=value, <, <=, >   comparisons (priority, created, updated); field:>=value also works
+//   -term                    negates a term
+//   word or "quoted text"    text search in key, name and description
+// Values containing spaces are quoted: assignee:"Sam Lee"
+
+const TASK_TYPES = ['Task', 'Bug', 'Suggestion'];
+const PRIORITIES = ['Low', 'Medium', 'High', 'Critical'];
+const HAS_VALUES = ['files', 'comments', 'dependencies', 'labels', 'assignee', 'description'];
+const DURATION_UNITS = { h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+const COMPARISON_OPERATORS = ['>', '>=', '<', '<='];
+const TERM_PATTERN = /^([a-zA-Z]+)(>=|<=|!=|:|=|>|<)(.*)$/s;
+const INNER_OPERATOR_PATTERN = /^(>=|<=|>|<)(.*)$/s;
+
+// Escape text for use inside a regular expression
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const exactMatch = (value) => new RegExp(`^${escapeRegex(value)}$`, 'i');
+const containsMatch = (value) => new RegExp(escapeRegex(value), 'i');
+
+// Error thrown while parsing; the message is shown to the user
+class QueryError extends Error {}
+
+// Split a query into terms on whitespace outside of double quotes
+function tokenize(text) {
+  const tokens = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (const char of text) {
+    if (char === '"') {
+      inQuotes = !inQuotes;
+      current += char;
+    } else if (/\s/.test(char) && !inQuotes) {
+      if (current) tokens.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new QueryError('Missing closing quote');
+  }
+  if (current) tokens.push(current);
+  return tokens;
+}
+
+// Split a value list on commas outside of quotes and remove the quotes
+function splitValues(raw) {
+  const values = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (const char of raw) {
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (char === ',' && !inQuotes) {
+      values.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  values.push(current);
+
+  return values.map(v => v.trim()).filter(Boolean);
+}
+
+// Match a value against a fixed list (case-insensitive), returning the canonical spelling
+function pickAllowed(field, value, allowed) {
+  const match = allowed.find(a => a.toLowerCase() === value.toLowerCase());
+  if (!match) {
+    throw new QueryError(`Unknown ${field} "${value}". Expected one of: ${allowed.join(', ')}`);
+  }
+  return match;
+}
+
+// Convert "7d", "12h", "2w" (age) or "2024-01-31" (date) into a date
+function parseDateValue(field, value) {
+  const duration = /^(\d+)([hdw])$/i.exec(value);
+  if (duration) {
+    return { date: new Date(Date.now() - Number(duration[1]) * DURATION_UNITS[duration[2].toLowerCase()]), relative: true };
+  }
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const date = new Date(`${value}T00:00:00`);
+    if (!isNaN(date.getTime())) return { date, relative: false };
+  }
+
+  throw new QueryError(`Invalid ${field} value "${value}". Use an age like 7d, 12h, 2w or a date like 2024-01-31`);
+}
+
+// Build the condition for created:/updated:
+//   relative ages compare the age ("updated:<7d" = updated less than 7 days ago)
+//   dates compare the date ("updated:>=2024-01-31" = updated on or after that day)
+function dateCondition(field, path, operator, value) {
+  const { date, relative } = parseDateValue(field, value);
+
+  if (operator === ':' || operator === '=') {
+    if (relative) return { [path]: { $gte: date } };
+    const nextDay = new Date(date.getTime() + DURATION_UNITS.d);
+    return { [path]: { $gte: date, $lt: nextDay } };
+  }
+
+  // An age "< 7d" means a date after now - 7d, so age comparisons are flipped
+  if (relative) {
+    const flipped = { '>': '$lt', '>=': '$lte', '<': '$gt', '<=': '$gte' };
+    return { [path]: { [flipped[operator]]: date } };
+  }
+
+  // A date covers the whole day, so "> day" starts at the next day and "<= day" ends there
+  const nextDay = new Date(date.getTime() + DURATION_UNITS.d);
+  switch (operator) {
+    case '>': return { [path]: { $gte: nextDay } };
+    case '>=': return { [path]: { $gte: date } };
+    case '<': return { [path]: { $lt: date } };
+    default: return { [path]: { $lt: nextDay } };
+  }
+}
+
+// Build the condition for priority comparisons (priority>=High)
+function priorityCondition(operator, value) {
+  const index = PRIORITIES.indexOf(pickAllowed('priority', value, PRIORITIES));
+  const matches = PRIORITIES.filter((p, i) => {
+    switch (operator) {
+      case '>': return i > index;
+      case '>=': return i >= index;
+      case '<': return i < index;
+      case '<=': return i <= index;
+      default: return i === index;
+    }
+  });
+  return { priority: { $in: matches } };
+}
+
+// Person fields accept "me", "none" or a (partial) name
+function personCondition(values, { nameField, idField, userId, userName }) {
+  const conditions = values.map(value => {
+    const lower = value.toLowerCase();
+    if (lower === 'me') {
+      return userId ? { [idField]: userId } : { [nameField]: exactMatch(userName || '') };
+    }
+    if (lower === 'none') {
+      return { [nameField]: { $in: [null, ''] } };
+    }
+    return { [nameField]: containsMatch(value) };
+  });
+  return conditions.length === 1 ? conditions[0] : { $or: conditions };
+}
+
+const hasCondition = (value) => {
+  switch (pickAllowed('has', value, HAS_VALUES)) {
+    case 'files': return { 'files.0': { $exists: true } };
+    case 'comments': return { 'comments.0': { $exists: true } };
+    case 'dependencies': return { 'dependencies.0': { $exists: true } };
+    case 'labels': return { 'labels.0': { $exists: true } };
+    case 'assignee': return { assignedTo: { $nin: [null, ''] } };
+    default: return { description: { $nin: [null, ''] } };
+  }
+};
+
+const textCondition = (text) => ({
+  $or: [
+    { key: containsMatch(text) },
+    { name: containsMatch(text) },
+    { description: containsMatch(text) }
+  ]
+});
+
+// Field definitions: which operators they accept and how to build their condition
+const FIELDS = {
+  type: {
+    build: (values) => ({ taskType: { $in: values.map(v => pickAllowed('type', v, TASK_TYPES)) } })
+  },
+  priority: {
+    comparable: true,
+    build: (values, operator) => (COMPARISON_OPERATORS.includes(operator)
+      ? priorityCondition(operator, values[0])
+      : { priority: { $in: values.map(v => pickAllowed('priority', v, PRIORITIES)) } })
+  },
+  state: {
+    build: (values) => ({ state: { $in: values.map(exactMatch) } })
+  },
+  assignee: {
+    build: (values, operator, context) => personCondition(values, {
+      nameField: 'assignedTo', idField: 'assigneeId', ...context
+    })
+  },
+  reporter: {
+    build: (values, operator, context) => personCondition(values, {
+      nameField: 'reportedBy', idField: 'createdBy.id', ...context
+    })
+  },
+  key: {
+    build: (values) => ({ key: { $in: values.map(exactMatch) } })
+  },
+  label: {
+    build: (values) => ({ labels: { $in: values.map(exactMatch) } })
+  },
+  has: {
+    build: (values) => (values.length === 1
+      ? hasCondition(values[0])
+      : { $or: values.map(hasCondition) })
+  },
+  created: {
+    comparable: true,
+    build: (values, operator) => dateCondition('created', 'createdAt', operator, values[0])
+  },
+  updated: {
+    comparable: true,
+    build: (values, operator) => dateCondition('updated', 'updatedAt', operator, values[0])
+  }
+};
+
+// Parse one term into a Mongo condition
+function parseTerm(token, context) {
+  let negate = false;
+  let term = token;
+  if (term.startsWith('-') && term.length > 1) {
+    negate = true;
+    term = term.substring(1);
+  }
+
+  let condition;
+  const match = TERM_PATTERN.exec(term);
+
+  if (!match || term.startsWith('"')) {
+    const text = splitValues(term).join(' ');
+    if (!text) return null;
+    condition = textCondition(text);
+  } else {
+    const fieldName = match[1].toLowerCase();
+    let operator = match[2];
+    const field = FIELDS[fieldName];
+
+    if (!field) {
+      throw new QueryError(`Unknown field "${match[1]}". Available fields: ${Object.keys(FIELDS).join(', ')}`);
+    }
+
+    let rawValue = match[3];
+
+    // "updated:<7d" is the same as "updated<7d"
+    const inner = operator === ':' ? INNER_OPERATOR_PATTERN.exec(rawValue) : null;
+    if (inner) {
+      operator = inner[1];
+      rawValue = inner[2];
+    }
+
+    const values = splitValues(rawValue);
+    if (values.length === 0) {
+      throw new QueryError(`Missing value for "${fieldName}"`);
+    }
+
+    if (operator === '!=') {
+      negate = !negate;
+      operator = ':';
+    }
+    if (COMPARISON_OPERATORS.includes(operator)) {
+      if (!field.comparable) {
+        throw new QueryError(`"${fieldName}" does not support ${operator}`);
+      }
+      if (values.length > 1) {
+        throw new QueryError(`"${fieldName}${operator}" takes a single value`);
+      }
+    }
+
+    condition = field.build(values, operator, context);
+  }
+
+  return negate ? { $nor: [condition] } : condition;
+}
+
+// Parse a query into a Mongo filter.
+// Returns { filter } or { error } (context: { userId, userName } for "me")
+function parseTaskQuery(text, context = {}) {
+  try {
+    const conditions = tokenize(text || '')
+      .map(token => parseTerm(token, context))
+      .filter(Boolean);
+
+    if (conditions.length === 0) return { filter: {} };
+    return { filter: conditions.length === 1 ? conditions[0] : { $and: conditions } };
+  } catch (error) {
+    if (error instanceof QueryError) {
+      return { error: error.message };
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  escapeRegex,
+  parseTaskQuery
+};
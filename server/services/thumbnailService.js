@@ -0,0 +1,156 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const sharp = require('sharp');
+const { getStorage, getThumbnailName, getFileId } = require('./storage');
+
+const THUMBNAIL_SIZE = 320; // Longest side in pixels
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.webp', '.avif', '.tif', '.tiff'];
+const VIDEO_EXTENSIONS = ['.mp4', '.avi', '.mkv'];
+const POSTER_OFFSETS = ['1', '0']; // Seconds into the video; the start is used for clips shorter than a second
+
+const getKind = (name) => {
+  const ext = path.extname(name).toLowerCase();
+  if (IMAGE_EXTENSIONS.includes(ext)) return 'image';
+  if (VIDEO_EXTENSIONS.includes(ext)) return 'video';
+  return null;
+};
+
+// Scale an image stream down to a JPEG thumbnail (transparency becomes white)
+async function renderImage(input) {
+  const resize = sharp({ failOn: 'none' })
+    .rotate()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .flatten({ background: '#ffffff' })
+    .jpeg({ quality: 75 });
+
+  const [thumbnail] = await Promise.all([resize.toBuffer(), pipeline(input, resize)]);
+  return thumbnail;
+}
+
+// Grab one frame with ffmpeg (FFMPEG_PATH, or ffmpeg on the PATH) as a JPEG.
+// Resolves to null if the video has no frame at that offset.
+function runFfmpeg(file, offset) {
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn(process.env.FFMPEG_PATH || 'ffmpeg', [
+      '-v', 'error',
+      '-ss', offset,
+      '-i', file,
+      '-frames:v', '1',
+      '-vf', `scale=${THUMBNAIL_SIZE}:${THUMBNAIL_SIZE}:force_original_aspect_ratio=decrease`,
+      '-f', 'image2',
+      '-c:v', 'mjpeg',
+      '-q:v', '5',
+      'pipe:1'
+    ], { stdio: ['ignore', 'pipe', 'pipe'] });
+
+    const output = [];
+    let errors = '';
+    ffmpeg.stdout.on('data', chunk => output.push(chunk));
+    ffmpeg.stderr.on('data', chunk => { errors += chunk; });
+    ffmpeg.on('error', reject);
+    ffmpeg.on('close', code => {
+      if (code !== 0) {
+        reject(new Error(`ffmpeg exited with code ${code}: ${errors.trim()}`));
+      } else {
+        resolve(output.length > 0 ? Buffer.concat(output) : null);
+      }
+    });
+  });
+}
+
+// ffmpeg needs to seek in the video, so it is copied to a temporary file first
+async function renderVideoPoster(input) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'hicks-poster-'));
+  try {
+    const file = path.join(dir, 'video');
+    await pipeline(input, fs.createWriteStream(file));
+    for (const offset of POSTER_OFFSETS) {
+      const poster = await runFfmpeg(file, offset);
+      if (poster) return poster;
+    }
+    return null;
+  } finally {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  }
+}
+
+// Thumbnails are rendered one at a time; requests for one that is already queued share its result
+let queue = Promise.resolve();
+const pending = new Map();
+// Files that could not be rendered are not retried until the server restarts
+const failed = new Set();
+let ffmpegMissing = false;
+
+async function renderThumbnail(boardId, name) {
+  const kind = getKind(name);
+  if (kind === 'video' && ffmpegMissing) return false;
+
+  const storage = getStorage();
+  const input = await storage.open(boardId, name);
+  let thumbnail;
+  try {
+    thumbnail = kind === 'image' ? await renderImage(input) : await renderVideoPoster(input);
+  } catch (error) {
+    input.destroy?.();
+    if (error.code === 'ENOENT' && error.syscall?.startsWith('spawn')) {
+      ffmpegMissing = true;
+      console.warn('ffmpeg was not found, so videos get no poster frames (set FFMPEG_PATH)');
+      return false;
+    }
+    throw error;
+  }
+  if (!thumbnail) return false;
+
+  await storage.save(boardId, getThumbnailName(getFileId(name)), Readable.from([thumbnail]), { contentType: 'image/jpeg' });
+  return true;
+}
+
+// Render the thumbnail for a stored file unless it is already queued.
+// Resolves to true once the thumbnail is stored, false if the file can't have one.
+function createThumbnail(boardId, name) {
+  const key = `${boardId}/${name}`;
+  if (!getKind(name) || failed.has(key)) return Promise.resolve(false);
+  if (pending.has(key)) return pending.get(key);
+
+  const run = queue
+    .then(() => renderThumbnail(boardId, name))
+    .catch(error => {
+      console.error(`Error creating thumbnail for ${key}:`, error.message);
+      return false;
+    })
+    .then(created => {
+      if (!created) failed.add(key);
+      pending.delete(key);
+      return created;
+    });
+
+  pending.set(key, run);
+  queue = run;
+  return run;
+}
+
+// Thumbnails for freshly uploaded files are made in the background
+function queueThumbnails(boardId, names) {
+  names.forEach(name => createThumbnail(boardId, name));
+}
+
+// The stored name of a file's thumbnail, rendering it first if needed.
+// Returns null if the file doesn't exist or can't have a thumbnail.
+async function getThumbnail(boardId, fileId) {
+  const storage = getStorage();
+  const thumbnail = getThumbnailName(fileId);
+  if (await storage.stat(boardId, thumbnail)) return thumbnail;
+
+  const name = await storage.find(boardId, fileId);
+  if (!name) return null;
+  return (await createThumbnail(boardId, name)) ? thumbnail : null;
+}
+
+module.exports = {
+  queueThumbnails,
+  getThumbnail
+};
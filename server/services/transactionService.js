@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Set once the database has refused a transaction (standalone server, not a replica set)
+let transactionsUnsupported = false;
+
+const isTransactionUnsupported = (error) =>
+  error?.code === 20 || /Transaction numbers are only allowed|replica set/i.test(error?.message || '');
+
+// Run multi-document writes in a transaction. `work(session)` must pass the session to every
+// query and may run more than once (transient errors such as write conflicts are retried), so it
+// should read what it needs inside the callback. Standalone MongoDB servers don't support
+// transactions; there `work` runs once with a null session.
+async function runInTransaction(work) {
+  if (!transactionsUnsupported) {
+    try {
+      return await mongoose.connection.transaction(work);
+    } catch (error) {
+      if (!isTransactionUnsupported(error)) throw error;
+      transactionsUnsupported = true;
+      console.warn('MongoDB does not support transactions (not a replica set); multi-document writes run without one');
+    }
+  }
+  return work(null);
+}
+
+module.exports = {
+  runInTransaction
+};
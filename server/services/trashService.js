@@ -0,0 +1,90 @@
+const Board = require('../models/Board');
+const Column = require('../models/Column');
+const Task = require('../models/Task');
+const SavedView = require('../models/SavedView');
+const EmailRule = require('../models/EmailRule');
+const { deleteTaskHistory } = require('./historyService');
+const { removeDependencyLinks } = require('./dependencyService');
+const Attachment = require('../models/Attachment');
+const { releaseAttachments } = require('./attachmentService');
+const { getStorage } = require('./storage');
+
+// Days a deleted board, column or task stays in the trash before it is removed for good
+const DEFAULT_RETENTION_DAYS = 30;
+const PURGE_INTERVAL = 60 * 60 * 1000; // Check for expired items hourly
+
+const getRetentionDays = () => {
+  const days = Number(process.env.TRASH_RETENTION_DAYS);
+  return Number.isFinite(days) && days >= 0 ? days : DEFAULT_RETENTION_DAYS;
+};
+
+// When an item deleted at deletedAt will be purged
+const getPurgeDate = (deletedAt) => new Date(deletedAt.getTime() + getRetentionDays() * 24 * 60 * 60 * 1000);
+
+// Delete the files attached to a task and to its comments, unless other tasks have them too
+const deleteTaskFiles = (task) => releaseAttachments(task.boardId, { taskId: task._id });
+
+// Remove a board with all its columns, tasks, history, views, email rules and uploaded files
+async function purgeBoard(board) {
+  await Task.deleteMany({ boardId: board._id });
+  await deleteTaskHistory({ boardId: board._id });
+  await Column.deleteMany({ boardId: board._id });
+  await SavedView.deleteMany({ boardId: board._id });
+  await EmailRule.deleteMany({ boardId: board._id });
+  await Attachment.deleteMany({ boardId: board._id });
+  await board.deleteOne();
+  await getStorage().removeBoard(board._id.toString());
+}
+
+// Remove tasks for good, with their files, history and the links other tasks have to them
+async function purgeTasks(tasks) {
+  const ids = tasks.map(task => task._id);
+  for (const task of tasks) {
+    await deleteTaskFiles(task);
+  }
+  await Task.deleteMany({ _id: { $in: ids } });
+  await deleteTaskHistory({ taskId: { $in: ids } });
+  await removeDependencyLinks(ids);
+}
+
+// Remove everything that has been in the trash longer than the retention period
+// Returns the number of boards, columns and tasks removed.
+async function purgeExpired(now = new Date()) {
+  const cutoff = new Date(now.getTime() - getRetentionDays() * 24 * 60 * 60 * 1000);
+  const expired = { deletedAt: { $ne: null, $lte: cutoff } };
+
+  const boards = await Board.find(expired);
+  for (const board of boards) {
+    await purgeBoard(board);
+  }
+
+  const tasks = await Task.find(expired);
+  if (tasks.length > 0) {
+    await purgeTasks(tasks);
+  }
+
+  const { deletedCount: columns } = await Column.deleteMany(expired);
+
+  return { boards: boards.length, columns, tasks: tasks.length };
+}
+
+// Purge expired trash now and then every hour
+function scheduleTrashPurge() {
+  const run = () => purgeExpired()
+    .then(({ boards, columns, tasks }) => {
+      if (boards + columns + tasks > 0) {
+        console.log(`Purged ${boards} board(s), ${columns} column(s) and ${tasks} task(s) from the trash`);
+      }
+    })
+    .catch(err => console.error('Trash purge error:', err));
+
+  run();
+  setInterval(run, PURGE_INTERVAL).unref();
+}
+
+module.exports = {
+  getRetentionDays,
+  getPurgeDate,
+  purgeExpired,
+  scheduleTrashPurge
+};
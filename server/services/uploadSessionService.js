@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const UploadSession = require('../models/UploadSession');
+const { HEAD_SIZE } = require('./fileTypeService');
+
+// Chunks are staged on local disk whatever the storage backend, so an upload can be resumed
+// after a dropped connection. Finalizing moves the complete file into attachment storage.
+const STAGING_DIR = path.join(__dirname, '..', 'Upload_Staging');
+const SESSION_LIFETIME = 24 * 60 * 60 * 1000; // Abandoned uploads are removed after a day
+const CLEANUP_INTERVAL = 60 * 60 * 1000; // Check for abandoned uploads hourly
+
+// A chunk that doesn't fit the upload (reported to the client as 400/409)
+class ChunkError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.statusCode = statusCode;
+  }
+}
+
+// Sessions with a chunk being written, so two requests can't append to the same file
+const busy = new Set();
+
+const getStagingPath = (session) => path.join(STAGING_DIR, session._id.toString());
+const getExpiryDate = (now = new Date()) => new Date(now.getTime() + SESSION_LIFETIME);
+
+// Create the staging file for a new session
+async function createStagingFile(session) {
+  await fs.promises.mkdir(STAGING_DIR, { recursive: true });
+  await fs.promises.writeFile(getStagingPath(session), '');
+}
+
+// The first bytes received, for sniffing the file type
+async function readStagedHead(session) {
+  const head = Buffer.alloc(Math.min(session.offset, HEAD_SIZE));
+  const file = await fs.promises.open(getStagingPath(session));
+  try {
+    await file.read(head, 0, head.length, 0);
+  } finally {
+    await file.close();
+  }
+  return head;
+}
+
+// Append one chunk at offset (which must be where the session left off).
+// Bytes from a chunk that was cut short are dropped, so the client simply sends it again.
+// Returns the updated session.
+async function appendChunk(session, offset, input, maxChunkSize) {
+  const contentLength = Number(input.headers?.['content-length']) || 0;
+  const id = session._id.toString();
+  if (offset !== session.offset) {
+    throw new ChunkError(`Expected the chunk at offset ${session.offset}`, 409);
+  }
+  if (contentLength > session.size - offset) {
+    throw new ChunkError('The chunk goes past the end of the file');
+  }
+  if (busy.has(id)) {
+    throw new ChunkError('Another chunk of this upload is still being received', 409);
+  }
+
+  busy.add(id);
+  try {
+    const maxBytes = Math.min(maxChunkSize, session.size - offset);
+    let received = 0;
+    const limit = new Transform({
+      transform(chunk, encoding, callback) {
+        received += chunk.length;
+        if (received > maxBytes) {
+          callback(new ChunkError(received > maxChunkSize
+            ? `Chunks can be at most ${maxChunkSize / (1024 * 1024)}MB`
+            : 'The chunk goes past the end of the file'));
+        } else {
+          callback(null, chunk);
+        }
+      }
+    });
+
+    const file = getStagingPath(session);
+    await fs.promises.truncate(file, offset);
+    try {
+      await pipeline(input, limit, fs.createWriteStream(file, { flags: 'a' }));
+    } catch (error) {
+      await fs.promises.truncate(file, offset).catch(() => {});
+      throw error;
+    }
+
+    session.offset += received;
+    session.expiresAt = getExpiryDate();
+    return await session.save();
+  } finally {
+    busy.delete(id);
+  }
+}
+
+// Remove a session and its staged bytes
+async function removeSession(session) {
+  await fs.promises.rm(getStagingPath(session), { force: true });
+  await session.deleteOne();
+}
+
+// Remove expired sessions, and staged files whose session is gone
+async function removeExpiredSessions(now = new Date()) {
+  const expired = await UploadSession.find({ expiresAt: { $lte: now } });
+  for (const session of expired) {
+    await removeSession(session);
+  }
+
+  const names = await fs.promises.readdir(STAGING_DIR).catch(() => []);
+  const live = new Set((await UploadSession.find({}, '_id')).map(session => session._id.toString()));
+  for (const name of names.filter(name => !live.has(name))) {
+    await fs.promises.rm(path.join(STAGING_DIR, name), { force: true });
+  }
+
+  return expired.length;
+}
+
+// Remove abandoned uploads now and then every hour
+function scheduleUploadSessionCleanup() {
+  const run = () => removeExpiredSessions()
+    .then(count => {
+      if (count > 0) {
+        console.log(`Removed ${count} abandoned chunked upload(s)`);
+      }
+    })
+    .catch(err => console.error('Chunked upload cleanup error:', err));
+
+  run();
+  setInterval(run, CLEANUP_INTERVAL).unref();
+}
+
+module.exports = {
+  ChunkError,
+  getStagingPath,
+  getExpiryDate,
+  createStagingFile,
+  readStagedHead,
+  appendChunk,
+  removeSession,
+  scheduleUploadSessionCleanup
+};